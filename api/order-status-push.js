@@ -0,0 +1,195 @@
+// Order status push notifications
+//
+// Supabase calls this as a database webhook on UPDATE of `orders`. When the
+// status changes, every push subscription stored for the order's session gets
+// a Web Push message; tapping it opens /orders?order=<id>.
+//
+// Deployed as a Vercel serverless function. Run `node api/order-status-push.js`
+// to exercise the handler against an in-memory stand-in instead of Supabase
+// and a real push service.
+
+const crypto = require('crypto');
+
+const STATUS_MESSAGES = {
+  confirmed: 'The kitchen has confirmed your order',
+  preparing: 'Your order is being prepared',
+  ready: 'Your order is ready',
+  delivered: 'Your order has been served - enjoy!',
+  cancelled: 'Your order was cancelled. Please ask a member of staff.'
+};
+
+// Push services answer 404/410 once a subscription has been revoked
+const EXPIRED_SUBSCRIPTION_CODES = [404, 410];
+
+const buildNotification = (order) => ({
+  title: `Order #${order.id.slice(-8)}`,
+  body: STATUS_MESSAGES[order.status] || `Order status: ${order.status}`,
+  tag: `order-${order.id}`,
+  data: {
+    orderId: order.id,
+    status: order.status
+  }
+});
+
+// Core logic with its dependencies injected, so the same code runs against
+// Supabase + web-push in production and the stand-in locally
+const createOrderStatusPushHandler = ({ getSubscriptions, sendNotification, removeSubscription }) => {
+  return async (event) => {
+    const { type, table, record: order, old_record: previous } = event || {};
+
+    if (table !== 'orders' || type !== 'UPDATE' || !order) {
+      return { sent: 0, skipped: 'not an order update' };
+    }
+
+    if (previous && previous.status === order.status) {
+      return { sent: 0, skipped: 'status unchanged' };
+    }
+
+    if (!STATUS_MESSAGES[order.status]) {
+      return { sent: 0, skipped: `no notification for status ${order.status}` };
+    }
+
+    const subscriptions = await getSubscriptions(order.session_id);
+    const payload = JSON.stringify(buildNotification(order));
+    let sent = 0;
+    let removed = 0;
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await sendNotification({
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+        }, payload);
+        sent += 1;
+      } catch (error) {
+        if (EXPIRED_SUBSCRIPTION_CODES.includes(error.statusCode)) {
+          await removeSubscription(subscription.endpoint);
+          removed += 1;
+        } else {
+          console.error('Error sending push notification:', error);
+        }
+      }
+    }));
+
+    return { sent, removed };
+  };
+};
+
+// Production wiring: service role Supabase client + web-push with VAPID keys.
+// Required lazily so the local stand-in runs without either package configured.
+const createDefaultHandler = () => {
+  const { createClient } = require('@supabase/supabase-js');
+  const webpush = require('web-push');
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+
+  return createOrderStatusPushHandler({
+    getSubscriptions: async (sessionId) => {
+      const { data, error } = await supabase
+        .from('push_subscriptions')
+        .select('endpoint, p256dh, auth')
+        .eq('session_id', sessionId);
+
+      if (error) throw error;
+      return data || [];
+    },
+    sendNotification: (subscription, payload) => webpush.sendNotification(subscription, payload),
+    removeSubscription: async (endpoint) => {
+      const { error } = await supabase
+        .from('push_subscriptions')
+        .delete()
+        .eq('endpoint', endpoint);
+
+      if (error) console.error('Error removing expired push subscription:', error);
+    }
+  });
+};
+
+// In-memory stand-in: subscriptions live in a Map and "sending" logs the payload
+const createLocalStandIn = (subscriptions = []) => {
+  const store = new Map(subscriptions.map(subscription => [subscription.endpoint, subscription]));
+  const delivered = [];
+
+  const handler = createOrderStatusPushHandler({
+    getSubscriptions: async (sessionId) => (
+      Array.from(store.values()).filter(subscription => subscription.session_id === sessionId)
+    ),
+    sendNotification: async (subscription, payload) => {
+      if (subscription.endpoint.includes('expired')) {
+        const error = new Error('Subscription has expired');
+        error.statusCode = 410;
+        throw error;
+      }
+      delivered.push({ endpoint: subscription.endpoint, payload: JSON.parse(payload) });
+    },
+    removeSubscription: async (endpoint) => {
+      store.delete(endpoint);
+    }
+  });
+
+  return { handler, store, delivered };
+};
+
+let defaultHandler = null;
+
+// Constant-time check of the webhook secret. Hashing both sides first gives timingSafeEqual
+// the equal-length buffers it needs without revealing the secret's length.
+const secretMatches = (provided, secret) => {
+  if (typeof provided !== 'string') return false;
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(secret));
+};
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const secret = process.env.ORDER_PUSH_WEBHOOK_SECRET;
+  if (!secret || !secretMatches(req.headers['x-webhook-secret'], secret)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  try {
+    defaultHandler = defaultHandler || createDefaultHandler();
+    const result = await defaultHandler(req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error handling order status webhook:', error);
+    res.status(500).json({ error: 'Failed to send notifications' });
+  }
+};
+
+module.exports.createOrderStatusPushHandler = createOrderStatusPushHandler;
+module.exports.createLocalStandIn = createLocalStandIn;
+module.exports.buildNotification = buildNotification;
+
+if (require.main === module) {
+  const { handler, store, delivered } = createLocalStandIn([
+    { session_id: 'session-1', endpoint: 'https://push.example.com/phone', p256dh: 'key', auth: 'auth' },
+    { session_id: 'session-1', endpoint: 'https://push.example.com/expired', p256dh: 'key', auth: 'auth' },
+    { session_id: 'session-2', endpoint: 'https://push.example.com/other', p256dh: 'key', auth: 'auth' }
+  ]);
+
+  const order = { id: '6f1c2a9e-0000-4000-8000-00000000abcd', session_id: 'session-1', status: 'ready' };
+
+  handler({ type: 'UPDATE', table: 'orders', record: order, old_record: { ...order, status: 'preparing' } })
+    .then((result) => {
+      console.log('Result:', result);
+      console.log('Delivered:', JSON.stringify(delivered, null, 2));
+      console.log('Remaining subscriptions:', Array.from(store.keys()));
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -1,18 +1,122 @@
 -- Restaurant Ordering System Database Schema
 -- This file contains the SQL schema for Supabase
 
+-- pgcrypto provides hmac() and gen_random_bytes() for signed QR table tokens
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Create menu categories table (adding a category is a row, not a migration)
+CREATE TABLE menu_categories (
+    id VARCHAR(50) PRIMARY KEY, -- slug stored in menu.category, e.g. 'starters'
+    name VARCHAR(100) NOT NULL, -- display name
+    icon VARCHAR(16), -- emoji shown on the category tab
+    sort_order INTEGER DEFAULT 0,
+    is_visible BOOLEAN DEFAULT true, -- hidden categories and their items are left off the menu
+    availability_schedule JSONB, -- see menu.availability_schedule; applies to every item in the category
+    translations JSONB DEFAULT '{}'::jsonb, -- {"es": {"name": "..."}, "ar": {...}}; untranslated languages show name
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create menu table
 CREATE TABLE menu (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    category VARCHAR(50) NOT NULL CHECK (category IN ('meat', 'vegetable', 'sauces', 'desserts', 'drinks')),
-    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    category VARCHAR(50) NOT NULL REFERENCES menu_categories(id) ON UPDATE CASCADE,
+    price DECIMAL(12,3) NOT NULL CHECK (price >= 0),
     description TEXT,
     image_url TEXT,
     is_available BOOLEAN DEFAULT true,
     preparation_time INTEGER DEFAULT 15, -- in minutes
     allergens TEXT[], -- array of allergen strings
+    dietary_tags TEXT[] DEFAULT '{}', -- e.g. {vegan, vegetarian, halal, kosher}
+    spice_level INTEGER DEFAULT 0 CHECK (spice_level BETWEEN 0 AND 3), -- 0 not spicy .. 3 hot
     nutritional_info JSONB, -- flexible nutrition data
+    modifier_groups JSONB DEFAULT '[]'::jsonb, -- array of {id, name, required, min_selections, max_selections, options: [{id, name, price_delta, allergens}]}
+    availability_schedule JSONB, -- array of {days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM'} in the restaurant timezone; NULL = always
+    translations JSONB DEFAULT '{}'::jsonb, -- {"es": {"name": "...", "description": "..."}, "ar": {...}}; missing fields fall back to name/description
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create curated menu pairings table ("goes well with" suggestions)
+CREATE TABLE menu_pairings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    menu_item_id UUID NOT NULL REFERENCES menu(id) ON DELETE CASCADE,
+    paired_item_id UUID NOT NULL REFERENCES menu(id) ON DELETE CASCADE,
+    reason VARCHAR(100), -- shown to diners, e.g. 'Our BBQ sauce is made for these'
+    priority INTEGER DEFAULT 0, -- higher shows first
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (menu_item_id, paired_item_id),
+    CHECK (menu_item_id <> paired_item_id)
+);
+
+-- Create restaurant settings table (one row per restaurant)
+CREATE TABLE restaurant_settings (
+    restaurant_id VARCHAR(100) PRIMARY KEY,
+    currency VARCHAR(3) DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$'), -- ISO 4217 code menu prices and orders are in, e.g. 'EUR', 'JPY'; amounts keep 3 decimals for e.g. 'KWD'
+    tax_inclusive BOOLEAN DEFAULT false, -- menu prices already include tax
+    default_tax_rate DECIMAL(6,4) DEFAULT 0 CHECK (default_tax_rate >= 0), -- 0.0825 = 8.25%
+    category_tax_rates JSONB DEFAULT '{}'::jsonb, -- per-category overrides, e.g. {"drinks": 0.20}
+    service_charge_type VARCHAR(20) DEFAULT 'none' CHECK (service_charge_type IN ('none', 'percentage', 'flat')),
+    service_charge_value DECIMAL(10,4) DEFAULT 0 CHECK (service_charge_value >= 0), -- rate for percentage, amount for flat
+    rounding_mode VARCHAR(20) DEFAULT 'half_up' CHECK (rounding_mode IN ('half_up', 'half_even', 'down', 'up')),
+    total_rounding_increment INTEGER DEFAULT 1 CHECK (total_rounding_increment > 0), -- in the currency's minor unit, 5 rounds USD totals to the nearest 0.05
+    payment_mode VARCHAR(20) DEFAULT 'end_of_visit' CHECK (payment_mode IN ('per_order', 'end_of_visit')), -- pay before each order is sent, or settle the bill at the end
+    tips_enabled BOOLEAN DEFAULT true,
+    tip_presets JSONB DEFAULT '[0.10, 0.15, 0.20]'::jsonb, -- percentages offered on the pre-tax subtotal
+    allow_unsigned_table_entry BOOLEAN DEFAULT false, -- accept a bare table number without a signed QR token; mirrors REACT_APP_ALLOW_LEGACY_TABLE_PARAM
+    table_session_idle_minutes INTEGER DEFAULT 180 CHECK (table_session_idle_minutes > 0), -- a table visit with no activity for this long is closed
+    allow_mock_payments BOOLEAN DEFAULT false, -- development only: trust the in-browser mock gateway
+    timezone VARCHAR(64) DEFAULT 'UTC', -- IANA name, e.g. 'America/New_York'; availability schedules and promotion windows use it
+    display_name VARCHAR(255), -- shown on the QR landing page and in the page title
+    logo_url TEXT, -- https URL, shown in a round frame
+    primary_color VARCHAR(7) CHECK (primary_color ~ '^#[0-9a-fA-F]{6}$'), -- brand colour for buttons and accents, e.g. '#2f855a'
+    font_family TEXT, -- CSS font stack for body text, e.g. '''Lato'', sans-serif'
+    heading_font_family TEXT, -- CSS font stack for headings; defaults to font_family
+    font_stylesheet_url TEXT, -- https stylesheet that loads the fonts, e.g. from Google Fonts
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create promotions table (rows without a code apply automatically)
+CREATE TABLE promotions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code VARCHAR(50) UNIQUE, -- stored upper case; NULL for automatic promotions
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed', 'free_item')),
+    discount_value DECIMAL(10,4) DEFAULT 0 CHECK (discount_value >= 0), -- 0.20 = 20% off for percentage, amount for fixed
+    applies_to_categories TEXT[], -- NULL or empty applies to every category
+    min_spend DECIMAL(12,3) DEFAULT 0 CHECK (min_spend >= 0), -- subtotal before discounts
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    days_of_week INTEGER[], -- 0 = Sunday; NULL for every day
+    start_time TIME, -- daily window, e.g. 17:00-19:00 for happy hour
+    end_time TIME,
+    max_uses_per_session INTEGER CHECK (max_uses_per_session > 0), -- NULL for unlimited
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create promotion redemptions table (filled from orders.applied_promotions)
+CREATE TABLE promotion_redemptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL,
+    session_id VARCHAR(255) NOT NULL,
+    discount_amount DECIMAL(12,3) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create tables registry (every physical table a QR code can point at)
+CREATE TABLE tables (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    table_number INTEGER NOT NULL UNIQUE CHECK (table_number > 0),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'closed', 'reserved')),
+    capacity INTEGER DEFAULT 4 CHECK (capacity > 0),
+    zone VARCHAR(50), -- e.g. 'main', 'terrace', 'bar'
+    qr_nonce VARCHAR(32) NOT NULL DEFAULT encode(gen_random_bytes(8), 'hex'), -- rotate to revoke printed QR codes
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -20,24 +124,145 @@ CREATE TABLE menu (
 -- Create orders table
 CREATE TABLE orders (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    client_order_id UUID UNIQUE, -- idempotency key generated by the client so queued/retried orders aren't duplicated
     table_number INTEGER NOT NULL CHECK (table_number > 0),
-    order_items JSONB NOT NULL, -- array of {menu_item_id, name, price, quantity, special_instructions}
-    total_amount DECIMAL(10,2) NOT NULL CHECK (total_amount >= 0),
+    order_items JSONB NOT NULL, -- array of {menu_item_id, name, price, base_price, quantity, modifiers: [{group_id, group_name, option_id, option_name, price_delta}], allergens, special_instructions}
+    subtotal_amount DECIMAL(12,3) CHECK (subtotal_amount >= 0), -- sum of line prices before discount, tax and service
+    discount_amount DECIMAL(12,3) DEFAULT 0 CHECK (discount_amount >= 0),
+    applied_promotions JSONB DEFAULT '[]'::jsonb, -- array of {promotion_id, code, name, discount} for auditing
+    promo_code VARCHAR(50), -- code the diner entered, if any
+    tax_amount DECIMAL(12,3) DEFAULT 0 CHECK (tax_amount >= 0),
+    service_charge_amount DECIMAL(12,3) DEFAULT 0 CHECK (service_charge_amount >= 0),
+    rounding_amount DECIMAL(12,3) DEFAULT 0, -- cash rounding adjustment, may be negative
+    tax_inclusive BOOLEAN DEFAULT false, -- whether tax_amount is already included in line prices
+    tax_breakdown JSONB DEFAULT '[]'::jsonb, -- array of {rate, taxable, tax}
+    total_amount DECIMAL(12,3) NOT NULL CHECK (total_amount >= 0),
+    tip_amount DECIMAL(12,3) DEFAULT 0 CHECK (tip_amount >= 0), -- paid on top of total_amount, never included in it
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD', -- restaurant currency when the order was placed
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled')),
+    payment_status VARCHAR(20) DEFAULT 'unpaid' CHECK (payment_status IN ('unpaid', 'authorized', 'paid', 'refunded', 'failed')),
+    payment_provider VARCHAR(50), -- gateway that handled the payment, e.g. 'mock'
+    payment_reference VARCHAR(255), -- gateway payment id; one payment can cover several orders
+    paid_at TIMESTAMP WITH TIME ZONE,
     session_id VARCHAR(255) NOT NULL,
+    table_session_id UUID, -- shared table visit the order was submitted for
     special_instructions TEXT,
+    declared_allergies TEXT[] DEFAULT '{}', -- allergies the ordering diner declared, e.g. {nuts, dairy}
+    has_allergy_alert BOOLEAN GENERATED ALWAYS AS (COALESCE(cardinality(declared_allergies), 0) > 0) STORED, -- flag for kitchen screens
     estimated_prep_time INTEGER, -- in minutes
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create table sessions table (one open visit per table, shared by every diner's phone)
+CREATE TABLE table_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    table_number INTEGER NOT NULL CHECK (table_number > 0),
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- last join, cart change or order; idle visits are closed
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create diner sessions table (which signed-in browser owns each app session id, and the
+-- table visit it joined). Diners sign in anonymously, so auth.uid() identifies the browser.
+CREATE TABLE diner_sessions (
+    session_id VARCHAR(255) PRIMARY KEY,
+    user_id UUID NOT NULL,
+    table_session_id UUID REFERENCES table_sessions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create shared table cart table
+CREATE TABLE table_cart_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    table_session_id UUID NOT NULL REFERENCES table_sessions(id) ON DELETE CASCADE,
+    menu_item_id UUID NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(50),
+    image_url TEXT,
+    preparation_time INTEGER,
+    base_price DECIMAL(12,3) NOT NULL CHECK (base_price >= 0),
+    price DECIMAL(12,3) NOT NULL CHECK (price >= 0), -- unit price including modifiers
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    modifiers JSONB DEFAULT '[]'::jsonb,
+    allergens TEXT[] DEFAULT '{}',
+    special_instructions TEXT DEFAULT '',
+    added_by_session VARCHAR(255) NOT NULL, -- diner session that added the line
+    added_by_name VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create service requests table (call a server, request the bill, ...)
+CREATE TABLE service_requests (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
+    table_number INTEGER NOT NULL CHECK (table_number > 0),
+    table_session_id UUID REFERENCES table_sessions(id) ON DELETE SET NULL,
+    request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('assistance', 'bill', 'water', 'cutlery')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'acknowledged', 'completed', 'cancelled')),
+    note TEXT,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create payments table (the payment gateway's webhook writes these with the service role key;
+-- diners can't read or write them, only record_order_payment() checks against them)
+CREATE TABLE payments (
+    id VARCHAR(255) PRIMARY KEY, -- gateway payment id, stored on orders.payment_reference
+    provider VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('authorized', 'paid', 'refunded', 'failed')),
+    amount DECIMAL(12,3) NOT NULL CHECK (amount >= 0), -- authorized amount, tips included
+    currency VARCHAR(3) NOT NULL,
+    order_ids UUID[], -- from the payment's metadata: the orders it pays for (by client_order_id when paid before placing)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create push subscriptions table (Web Push endpoints for order status updates)
+CREATE TABLE push_subscriptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_menu_category ON menu(category);
 CREATE INDEX idx_menu_available ON menu(is_available);
+CREATE INDEX idx_tables_status ON tables(status);
+CREATE INDEX idx_promotions_active ON promotions(is_active);
+CREATE INDEX idx_promotion_redemptions_session ON promotion_redemptions(session_id, promotion_id);
 CREATE INDEX idx_orders_session ON orders(session_id);
 CREATE INDEX idx_orders_table ON orders(table_number);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_created_at ON orders(created_at);
+CREATE INDEX idx_orders_table_session ON orders(table_session_id);
+CREATE INDEX idx_orders_payment_status ON orders(payment_status);
+CREATE INDEX idx_orders_allergy_alert ON orders(has_allergy_alert) WHERE has_allergy_alert;
+CREATE UNIQUE INDEX idx_table_sessions_open ON table_sessions(table_number) WHERE status = 'open';
+CREATE INDEX idx_table_cart_items_session ON table_cart_items(table_session_id);
+CREATE INDEX idx_diner_sessions_user ON diner_sessions(user_id);
+CREATE INDEX idx_push_subscriptions_session ON push_subscriptions(session_id);
+CREATE INDEX idx_service_requests_session ON service_requests(session_id, created_at);
+CREATE INDEX idx_service_requests_status ON service_requests(status);
+-- One open request of each type per diner
+CREATE UNIQUE INDEX idx_service_requests_open ON service_requests(session_id, request_type)
+    WHERE status IN ('pending', 'acknowledged');
+
+-- Create QR signing keys table (one HMAC secret per restaurant).
+-- RLS is enabled with no policies, so only SECURITY DEFINER functions can read it.
+CREATE TABLE qr_signing_keys (
+    restaurant_id VARCHAR(100) PRIMARY KEY,
+    secret TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -49,27 +274,892 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers for updated_at
+CREATE TRIGGER update_menu_categories_updated_at BEFORE UPDATE ON menu_categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_menu_updated_at BEFORE UPDATE ON menu
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_restaurant_settings_updated_at BEFORE UPDATE ON restaurant_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tables_updated_at BEFORE UPDATE ON tables
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_table_cart_items_updated_at BEFORE UPDATE ON table_cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_service_requests_updated_at BEFORE UPDATE ON service_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Enable Row Level Security (RLS)
+ALTER TABLE menu_categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE menu ENABLE ROW LEVEL SECURITY;
+ALTER TABLE menu_pairings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE restaurant_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tables ENABLE ROW LEVEL SECURITY;
+ALTER TABLE qr_signing_keys ENABLE ROW LEVEL SECURITY;
 ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE table_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE table_cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE diner_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE service_requests ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for menu categories (read-only for public)
+CREATE POLICY "Allow public read access to menu categories" ON menu_categories
+    FOR SELECT USING (true);
 
 -- Create policies for menu table (read-only for public)
 CREATE POLICY "Allow public read access to menu" ON menu
     FOR SELECT USING (true);
 
--- Create policies for orders table (customers can only access their session orders)
+CREATE POLICY "Allow public read access to menu pairings" ON menu_pairings
+    FOR SELECT USING (true);
+
+-- Create policies for restaurant settings (read-only for public)
+CREATE POLICY "Allow public read access to restaurant settings" ON restaurant_settings
+    FOR SELECT USING (true);
+
+-- Create policies for promotions (read-only for public; redemptions are written by trigger)
+CREATE POLICY "Allow public read access to promotions" ON promotions
+    FOR SELECT USING (true);
+
+CREATE POLICY "Allow read promotion redemptions" ON promotion_redemptions
+    FOR SELECT USING (true);
+
+-- Create policies for tables registry (read-only for public, staff manage status)
+CREATE POLICY "Allow public read access to tables" ON tables
+    FOR SELECT USING (true);
+
+-- Create policies for orders table (customers can only access their session orders).
+-- Orders are always placed unpaid; payments are recorded by record_order_payment(). An order
+-- must come from the browser that owns its session, for the open visit that session joined
+-- with a verified table code (join_table_session), and for that visit's table.
 CREATE POLICY "Allow insert orders" ON orders
-    FOR INSERT WITH CHECK (true);
+    FOR INSERT WITH CHECK (
+        COALESCE(payment_status, 'unpaid') = 'unpaid'
+        AND payment_reference IS NULL
+        AND paid_at IS NULL
+        AND EXISTS (
+            SELECT 1
+            FROM diner_sessions d
+            JOIN table_sessions t ON t.id = d.table_session_id
+            WHERE d.session_id = orders.session_id
+              AND d.user_id = auth.uid()
+              AND t.id = orders.table_session_id
+              AND t.table_number = orders.table_number
+              AND t.status = 'open'
+        )
+    );
 
 CREATE POLICY "Allow read own session orders" ON orders
     FOR SELECT USING (true); -- In production, you might want to restrict this further
 
+REVOKE UPDATE ON orders FROM anon, authenticated;
+
+-- Create policies for table sessions and the shared cart (every diner at the table can edit).
+-- Visits are opened and joined through join_table_session() below, never inserted directly.
+CREATE POLICY "Allow read joined table sessions" ON table_sessions
+    FOR SELECT USING (
+        id IN (SELECT table_session_id FROM diner_sessions WHERE user_id = auth.uid())
+    );
+
+CREATE POLICY "Allow read own diner sessions" ON diner_sessions
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Any diner who joined the open visit can edit its cart, but lines are only added in the
+-- adding browser's own name
+CREATE POLICY "Allow table cart access" ON table_cart_items
+    FOR ALL USING (
+        table_session_id IN (
+            SELECT d.table_session_id
+            FROM diner_sessions d
+            JOIN table_sessions t ON t.id = d.table_session_id
+            WHERE d.user_id = auth.uid() AND t.status = 'open'
+        )
+    ) WITH CHECK (
+        table_session_id IN (
+            SELECT d.table_session_id
+            FROM diner_sessions d
+            JOIN table_sessions t ON t.id = d.table_session_id
+            WHERE d.user_id = auth.uid() AND t.status = 'open'
+        )
+    );
+
+CREATE POLICY "Allow adding own table cart lines" ON table_cart_items
+    AS RESTRICTIVE FOR INSERT WITH CHECK (
+        added_by_session IN (SELECT session_id FROM diner_sessions WHERE user_id = auth.uid())
+    );
+
+-- Push subscriptions have no policies: diners can neither read nor change other diners'
+-- endpoints and keys. The browser saves its own through save_push_subscription() below;
+-- the order-status-push function sends and prunes them with the service role key.
+
+-- Create policies for service requests (diners raise and cancel their own; staff
+-- acknowledge/complete with the service role key)
+CREATE POLICY "Allow insert service requests" ON service_requests
+    FOR INSERT WITH CHECK (
+        status = 'pending'
+        AND session_id IN (SELECT session_id FROM diner_sessions WHERE user_id = auth.uid())
+    );
+
+CREATE POLICY "Allow read service requests" ON service_requests
+    FOR SELECT USING (true);
+
+CREATE POLICY "Allow cancel own service requests" ON service_requests
+    FOR UPDATE USING (
+        status IN ('pending', 'acknowledged')
+        AND session_id IN (SELECT session_id FROM diner_sessions WHERE user_id = auth.uid())
+    ) WITH CHECK (
+        status = 'cancelled'
+        AND session_id IN (SELECT session_id FROM diner_sessions WHERE user_id = auth.uid())
+    );
+
+-- Cancelling only touches the status and its timestamp
+REVOKE UPDATE ON service_requests FROM anon, authenticated;
+GRANT UPDATE (status, cancelled_at) ON service_requests TO authenticated;
+
+-- Rate limit service requests: at most 5 per diner session in any 10 minutes
+-- (the client applies the same limit, plus a 1 minute cooldown per request type)
+CREATE OR REPLACE FUNCTION enforce_service_request_rate_limit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF (
+        SELECT COUNT(*) FROM service_requests
+        WHERE session_id = NEW.session_id
+          AND created_at > NOW() - INTERVAL '10 minutes'
+    ) >= 5 THEN
+        RAISE EXCEPTION 'Too many service requests - please wait a few minutes'
+            USING ERRCODE = 'P0001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER limit_service_requests BEFORE INSERT ON service_requests
+    FOR EACH ROW EXECUTE FUNCTION enforce_service_request_rate_limit();
+
+-- Table visits. A visit ends when staff close it, when its bill is fully paid (end_of_visit
+-- mode) or after restaurant_settings.table_session_idle_minutes without activity, so the
+-- next party at the table starts with an empty cart and bill.
+CREATE OR REPLACE FUNCTION close_table_session(p_table_session_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE table_sessions
+    SET status = 'closed', closed_at = NOW()
+    WHERE id = p_table_session_id AND status = 'open';
+
+    DELETE FROM table_cart_items WHERE table_session_id = p_table_session_id;
+END;
+$$;
+
+-- Close every visit that has gone idle; also safe to schedule (e.g. with pg_cron)
+CREATE OR REPLACE FUNCTION close_idle_table_sessions()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    idle_visit UUID;
+    closed_count INTEGER := 0;
+BEGIN
+    FOR idle_visit IN
+        SELECT id FROM table_sessions
+        WHERE status = 'open'
+          AND last_activity_at < NOW() - make_interval(mins => (
+              SELECT COALESCE(MIN(table_session_idle_minutes), 180) FROM restaurant_settings
+          ))
+    LOOP
+        PERFORM close_table_session(idle_visit);
+        closed_count := closed_count + 1;
+    END LOOP;
+
+    RETURN closed_count;
+END;
+$$;
+
+-- Join the table's current visit, opening one if there is none. The calling browser must be
+-- signed in (anonymously is enough) and claims p_session_id on first use. The table comes
+-- from the signed QR token; p_table_number is only used while allow_unsigned_table_entry is on.
+CREATE OR REPLACE FUNCTION join_table_session(p_session_id TEXT, p_table_token TEXT, p_table_number INTEGER DEFAULT NULL)
+RETURNS table_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    owner_id UUID;
+    verified JSONB;
+    visit table_sessions%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in before joining a table' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_table_token IS NOT NULL THEN
+        verified := verify_table_token(p_table_token, split_part(p_table_token, '.', 2));
+
+        IF NOT (verified->>'valid')::BOOLEAN THEN
+            RAISE EXCEPTION 'Table code is not valid (%)', verified->>'reason' USING ERRCODE = '42501';
+        END IF;
+
+        p_table_number := (verified->>'table_number')::INTEGER;
+    ELSIF NOT (SELECT COALESCE(bool_or(allow_unsigned_table_entry), false) FROM restaurant_settings) THEN
+        RAISE EXCEPTION 'A signed table code is required' USING ERRCODE = '42501';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM tables WHERE table_number = p_table_number AND status = 'active') THEN
+        RAISE EXCEPTION 'Table % is not taking orders', p_table_number USING ERRCODE = 'P0001';
+    END IF;
+
+    INSERT INTO diner_sessions (session_id, user_id)
+    VALUES (p_session_id, auth.uid())
+    ON CONFLICT (session_id) DO NOTHING;
+
+    SELECT user_id INTO owner_id FROM diner_sessions WHERE session_id = p_session_id;
+
+    IF owner_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Session % belongs to another diner', p_session_id USING ERRCODE = '42501';
+    END IF;
+
+    PERFORM close_idle_table_sessions();
+
+    -- Another phone at the table may open the visit at the same moment
+    INSERT INTO table_sessions (table_number)
+    VALUES (p_table_number)
+    ON CONFLICT (table_number) WHERE status = 'open' DO NOTHING;
+
+    UPDATE table_sessions
+    SET last_activity_at = NOW()
+    WHERE table_number = p_table_number AND status = 'open'
+    RETURNING * INTO visit;
+
+    UPDATE diner_sessions SET table_session_id = visit.id WHERE session_id = p_session_id;
+
+    RETURN visit;
+END;
+$$;
+
+-- Cart changes and new orders keep a visit from going idle
+CREATE OR REPLACE FUNCTION touch_table_session()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE table_sessions
+    SET last_activity_at = NOW()
+    WHERE id = NEW.table_session_id AND status = 'open';
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER touch_table_session_on_cart AFTER INSERT OR UPDATE ON table_cart_items
+    FOR EACH ROW EXECUTE FUNCTION touch_table_session();
+
+CREATE TRIGGER touch_table_session_on_order AFTER INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION touch_table_session();
+
+REVOKE ALL ON FUNCTION close_table_session(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION close_idle_table_sessions() FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION join_table_session(TEXT, TEXT, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION join_table_session(TEXT, TEXT, INTEGER) TO authenticated;
+
+-- Timezone schedules and promotion windows are evaluated in. One restaurant per
+-- database, like allow_mock_payments; unknown names fall back to UTC.
+CREATE OR REPLACE FUNCTION restaurant_timezone()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE((
+        SELECT s.timezone FROM restaurant_settings s
+        JOIN pg_timezone_names z ON z.name = s.timezone
+        ORDER BY s.restaurant_id
+        LIMIT 1
+    ), 'UTC');
+$$;
+
+-- Decimal places of a currency's minor unit, matching Intl.NumberFormat in the client
+CREATE OR REPLACE FUNCTION currency_digits(p_currency TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_currency IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 0
+        WHEN p_currency IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 3
+        ELSE 2
+    END;
+$$;
+
+-- 'HH:MM[:SS]' -> minutes after midnight ('24:00' -> 1440)
+CREATE OR REPLACE FUNCTION schedule_time_minutes(p_time TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT split_part(p_time, ':', 1)::INTEGER * 60 + COALESCE(NULLIF(split_part(p_time, ':', 2), '')::INTEGER, 0);
+$$;
+
+-- Whether an availability_schedule is open at a week minute (minutes since
+-- Sunday 00:00), with the same rules as src/utils/schedule.js: no schedule is
+-- always open, and a window ending before it starts runs past midnight
+CREATE OR REPLACE FUNCTION schedule_is_open(p_schedule JSONB, p_week_minute INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_schedule IS NULL OR jsonb_typeof(p_schedule) <> 'array' OR jsonb_array_length(p_schedule) = 0 THEN true
+        ELSE EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(p_schedule) AS schedule_window,
+            LATERAL (
+                SELECT
+                    schedule_time_minutes(COALESCE(schedule_window->>'start', '00:00')) AS start_minute,
+                    schedule_time_minutes(COALESCE(schedule_window->>'end', '24:00')) AS end_minute
+            ) AS times,
+            LATERAL jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(schedule_window->'days') = 'array' AND jsonb_array_length(schedule_window->'days') > 0
+                    THEN schedule_window->'days'
+                    ELSE '[0, 1, 2, 3, 4, 5, 6]'::jsonb
+                END
+            ) AS day,
+            LATERAL (
+                SELECT
+                    day::INTEGER * 1440 + times.start_minute AS opens,
+                    day::INTEGER * 1440 + times.end_minute
+                        + CASE WHEN times.end_minute <= times.start_minute THEN 1440 ELSE 0 END AS closes
+            ) AS open_interval
+            -- Saturday night windows run into Sunday
+            WHERE (p_week_minute >= open_interval.opens AND p_week_minute < open_interval.closes)
+               OR (p_week_minute + 10080 >= open_interval.opens AND p_week_minute + 10080 < open_interval.closes)
+        )
+    END;
+$$;
+
+-- Reject orders for dishes that can't be ordered right now: switched off,
+-- in a hidden category, or outside their own or their category's schedule
+-- in the restaurant timezone
+CREATE OR REPLACE FUNCTION check_order_items_available()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_local_now TIMESTAMP := NOW() AT TIME ZONE restaurant_timezone();
+    v_week_minute INTEGER := EXTRACT(DOW FROM v_local_now)::INTEGER * 1440
+        + EXTRACT(HOUR FROM v_local_now)::INTEGER * 60
+        + EXTRACT(MINUTE FROM v_local_now)::INTEGER;
+    v_unavailable TEXT;
+BEGIN
+    SELECT string_agg(DISTINCT COALESCE(m.name, item->>'name'), ', ')
+    INTO v_unavailable
+    FROM jsonb_array_elements(NEW.order_items) AS item
+    LEFT JOIN menu m ON m.id = (item->>'menu_item_id')::UUID
+    LEFT JOIN menu_categories c ON c.id = m.category
+    WHERE m.id IS NULL
+       OR m.is_available IS NOT TRUE
+       OR c.is_visible IS FALSE
+       OR NOT schedule_is_open(m.availability_schedule, v_week_minute)
+       OR NOT schedule_is_open(c.availability_schedule, v_week_minute);
+
+    IF v_unavailable IS NOT NULL THEN
+        RAISE EXCEPTION 'Not available right now: %', v_unavailable
+            USING ERRCODE = 'P0001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER check_order_items_available BEFORE INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION check_order_items_available();
+
+-- Check every promotion a new order claims, the same way src/utils/promotions.js
+-- evaluates it: active, inside its dates and daily window (in the restaurant
+-- timezone), under the per-session limit, min spend met, and no bigger discount
+-- than the promotion allows. Rejects the order otherwise, then rewrites
+-- applied_promotions, promo_code and discount_amount from the promotions table.
+CREATE OR REPLACE FUNCTION apply_order_promotions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_local_now TIMESTAMP := NOW() AT TIME ZONE restaurant_timezone();
+    v_digits INTEGER := currency_digits(NEW.currency);
+    v_lines JSONB;
+    v_subtotal DECIMAL;
+    v_claim JSONB;
+    v_promotion promotions%ROWTYPE;
+    v_eligible DECIMAL;
+    v_allowed DECIMAL;
+    v_discount DECIMAL;
+    v_total_discount DECIMAL := 0;
+    v_applied JSONB := '[]'::jsonb;
+BEGIN
+    -- Orders from one session are checked one at a time so a limited promotion
+    -- can't be redeemed twice by concurrent orders
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.session_id));
+
+    -- Categories come from the menu rather than the client
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'price', (item->>'price')::DECIMAL,
+        'quantity', COALESCE((item->>'quantity')::INTEGER, 0),
+        'category', m.category
+    )), '[]'::jsonb)
+    INTO v_lines
+    FROM jsonb_array_elements(NEW.order_items) AS item
+    LEFT JOIN menu m ON m.id = (item->>'menu_item_id')::UUID;
+
+    SELECT COALESCE(SUM(price * quantity), 0) INTO v_subtotal
+    FROM jsonb_to_recordset(v_lines) AS line(price DECIMAL, quantity INTEGER, category TEXT);
+
+    FOR v_claim IN SELECT * FROM jsonb_array_elements(COALESCE(NEW.applied_promotions, '[]'::jsonb)) LOOP
+        SELECT * INTO v_promotion FROM promotions WHERE id = (v_claim->>'promotion_id')::UUID;
+
+        IF NOT FOUND
+            OR NOT v_promotion.is_active
+            OR v_promotion.starts_at > NOW()
+            OR v_promotion.ends_at <= NOW()
+            OR (COALESCE(cardinality(v_promotion.days_of_week), 0) > 0
+                AND NOT EXTRACT(DOW FROM v_local_now)::INTEGER = ANY(v_promotion.days_of_week))
+            OR (v_promotion.start_time IS NOT NULL AND v_promotion.end_time IS NOT NULL AND NOT (
+                CASE WHEN v_promotion.start_time <= v_promotion.end_time
+                    THEN v_local_now::TIME >= v_promotion.start_time AND v_local_now::TIME < v_promotion.end_time
+                    ELSE v_local_now::TIME >= v_promotion.start_time OR v_local_now::TIME < v_promotion.end_time
+                END))
+            OR (v_promotion.code IS NOT NULL AND v_promotion.code IS DISTINCT FROM UPPER(TRIM(NEW.promo_code)))
+            OR v_applied @> jsonb_build_array(jsonb_build_object('promotion_id', v_promotion.id))
+            OR v_subtotal < COALESCE(v_promotion.min_spend, 0)
+            OR (v_promotion.max_uses_per_session IS NOT NULL AND (
+                SELECT COUNT(*) FROM promotion_redemptions
+                WHERE session_id = NEW.session_id AND promotion_id = v_promotion.id
+            ) >= v_promotion.max_uses_per_session)
+        THEN
+            RAISE EXCEPTION 'Promotion % cannot be applied to this order', COALESCE(v_promotion.name, v_claim->>'promotion_id')
+                USING ERRCODE = 'P0001';
+        END IF;
+
+        v_discount := COALESCE((v_claim->>'discount')::DECIMAL, 0);
+
+        SELECT COALESCE(SUM(price * quantity), 0) INTO v_eligible
+        FROM jsonb_to_recordset(v_lines) AS line(price DECIMAL, quantity INTEGER, category TEXT)
+        WHERE COALESCE(cardinality(v_promotion.applies_to_categories), 0) = 0
+           OR category = ANY(v_promotion.applies_to_categories);
+
+        v_allowed := CASE v_promotion.discount_type
+            WHEN 'percentage' THEN ROUND(v_eligible * LEAST(v_promotion.discount_value, 1), v_digits)
+            WHEN 'fixed' THEN LEAST(ROUND(v_promotion.discount_value, v_digits), v_eligible)
+            -- One unit of the cheapest eligible item
+            WHEN 'free_item' THEN (
+                SELECT COALESCE(MIN(price), 0)
+                FROM jsonb_to_recordset(v_lines) AS line(price DECIMAL, quantity INTEGER, category TEXT)
+                WHERE quantity > 0
+                  AND (COALESCE(cardinality(v_promotion.applies_to_categories), 0) = 0
+                       OR category = ANY(v_promotion.applies_to_categories))
+            )
+            ELSE 0
+        END;
+
+        IF v_eligible = 0 OR v_discount <= 0 OR v_discount > v_allowed THEN
+            RAISE EXCEPTION 'Promotion % cannot be applied to this order', v_promotion.name
+                USING ERRCODE = 'P0001';
+        END IF;
+
+        v_total_discount := v_total_discount + v_discount;
+        v_applied := v_applied || jsonb_build_array(jsonb_build_object(
+            'promotion_id', v_promotion.id,
+            'code', v_promotion.code,
+            'name', v_promotion.name,
+            'discount', v_discount
+        ));
+    END LOOP;
+
+    IF v_total_discount > v_subtotal THEN
+        RAISE EXCEPTION 'Discounts cannot exceed the order subtotal' USING ERRCODE = 'P0001';
+    END IF;
+
+    NEW.applied_promotions := v_applied;
+    NEW.discount_amount := v_total_discount;
+    NEW.promo_code := (SELECT promotion->>'code' FROM jsonb_array_elements(v_applied) AS promotion
+                       WHERE promotion->>'code' IS NOT NULL LIMIT 1);
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER apply_order_promotions BEFORE INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION apply_order_promotions();
+
+-- Record a redemption for every promotion applied to a new order
+CREATE OR REPLACE FUNCTION record_promotion_redemptions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO promotion_redemptions (promotion_id, order_id, session_id, discount_amount)
+    SELECT (promotion->>'promotion_id')::UUID, NEW.id, NEW.session_id, (promotion->>'discount')::DECIMAL
+    FROM jsonb_array_elements(COALESCE(NEW.applied_promotions, '[]'::jsonb)) AS promotion
+    WHERE promotion->>'promotion_id' IS NOT NULL;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER record_order_promotion_redemptions AFTER INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION record_promotion_redemptions();
+
+-- Signed QR table tokens
+-- Token format: <table_number>.<restaurant_id>.<nonce>.<expires_at_unix>.<hex hmac-sha256 of the first four parts>
+CREATE OR REPLACE FUNCTION verify_table_token(p_token TEXT, p_restaurant_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    parts TEXT[];
+    signing_secret TEXT;
+    current_nonce TEXT;
+BEGIN
+    parts := string_to_array(p_token, '.');
+
+    IF array_length(parts, 1) IS DISTINCT FROM 5
+        OR parts[1] !~ '^[0-9]{1,9}$'
+        OR parts[4] !~ '^[0-9]{1,12}$'
+        OR parts[2] IS DISTINCT FROM p_restaurant_id THEN
+        RETURN jsonb_build_object('valid', false, 'reason', 'invalid_token');
+    END IF;
+
+    SELECT secret INTO signing_secret FROM qr_signing_keys WHERE restaurant_id = parts[2];
+
+    IF signing_secret IS NULL
+        OR encode(hmac(array_to_string(parts[1:4], '.'), signing_secret, 'sha256'), 'hex') <> lower(parts[5]) THEN
+        RETURN jsonb_build_object('valid', false, 'reason', 'invalid_token');
+    END IF;
+
+    -- A rotated nonce revokes every QR code printed before the rotation
+    SELECT qr_nonce INTO current_nonce FROM tables WHERE table_number = parts[1]::INTEGER;
+
+    IF current_nonce IS DISTINCT FROM parts[3] THEN
+        RETURN jsonb_build_object('valid', false, 'reason', 'invalid_token');
+    END IF;
+
+    IF to_timestamp(parts[4]::BIGINT) < NOW() THEN
+        RETURN jsonb_build_object('valid', false, 'reason', 'expired_token');
+    END IF;
+
+    RETURN jsonb_build_object('valid', true, 'table_number', parts[1]::INTEGER);
+END;
+$$;
+
+-- Issue a token for printing on a table's QR code (staff / service role only)
+CREATE OR REPLACE FUNCTION sign_table_token(p_table_number INTEGER, p_restaurant_id TEXT, p_valid_for INTERVAL DEFAULT INTERVAL '365 days')
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    payload TEXT;
+    signing_secret TEXT;
+BEGIN
+    SELECT secret INTO signing_secret FROM qr_signing_keys WHERE restaurant_id = p_restaurant_id;
+
+    IF signing_secret IS NULL THEN
+        RAISE EXCEPTION 'No QR signing key for restaurant %', p_restaurant_id;
+    END IF;
+
+    SELECT concat_ws('.', table_number, p_restaurant_id, qr_nonce, floor(extract(epoch FROM NOW() + p_valid_for))::BIGINT)
+    INTO payload
+    FROM tables
+    WHERE table_number = p_table_number;
+
+    IF payload IS NULL THEN
+        RAISE EXCEPTION 'Unknown table %', p_table_number;
+    END IF;
+
+    RETURN payload || '.' || encode(hmac(payload, signing_secret, 'sha256'), 'hex');
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sign_table_token(INTEGER, TEXT, INTERVAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION verify_table_token(TEXT, TEXT) TO anon, authenticated;
+
+-- Save the calling browser's push subscription, keyed on its endpoint. Endpoints are
+-- unguessable capability URLs, so only the browser that owns one can re-point it, and only
+-- to a session that browser owns (see diner_sessions).
+CREATE OR REPLACE FUNCTION save_push_subscription(p_session_id TEXT, p_endpoint TEXT, p_p256dh TEXT, p_auth TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    subscription_id UUID;
+BEGIN
+    IF auth.uid() IS NULL OR NOT EXISTS (
+        SELECT 1 FROM diner_sessions WHERE session_id = p_session_id AND user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Session % belongs to another diner', p_session_id USING ERRCODE = '42501';
+    END IF;
+
+    INSERT INTO push_subscriptions (session_id, endpoint, p256dh, auth)
+    VALUES (p_session_id, p_endpoint, p_p256dh, p_auth)
+    ON CONFLICT (endpoint) DO UPDATE
+        SET session_id = EXCLUDED.session_id,
+            p256dh = EXCLUDED.p256dh,
+            auth = EXCLUDED.auth
+    RETURNING id INTO subscription_id;
+
+    RETURN subscription_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_push_subscription(TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Apply a gateway payment to the orders it covers, in one transaction. The payment must
+-- be known from the gateway's webhook (payments), still authorized or captured, name every
+-- order in its order_ids, and be large enough for those orders plus any already settled
+-- with it, tips included. p_tip_amounts are the orders' final tips, so calling again with
+-- the same arguments changes nothing - retries never double up. p_reported_status is only
+-- trusted for mock payments while allow_mock_payments is on, and a mock payment can only
+-- ever settle the orders it was first recorded against.
+CREATE OR REPLACE FUNCTION record_order_payment(
+    p_order_ids UUID[],
+    p_payment_reference TEXT,
+    p_tip_amounts DECIMAL[] DEFAULT NULL,
+    p_reported_status TEXT DEFAULT NULL
+)
+RETURNS SETOF orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    payment payments%ROWTYPE;
+    amount_due DECIMAL;
+BEGIN
+    SELECT * INTO payment FROM payments WHERE id = p_payment_reference;
+
+    IF NOT FOUND THEN
+        IF p_payment_reference LIKE 'mock\_pay\_%'
+            AND p_reported_status IN ('authorized', 'paid')
+            AND (SELECT COALESCE(bool_or(allow_mock_payments), false) FROM restaurant_settings)
+            AND NOT EXISTS (
+                SELECT 1 FROM orders
+                WHERE payment_reference = p_payment_reference
+                  AND NOT (id = ANY(p_order_ids))
+            ) THEN
+            payment.provider := 'mock';
+            payment.status := p_reported_status;
+        ELSE
+            RAISE EXCEPTION 'Unknown payment %', p_payment_reference USING ERRCODE = 'P0002';
+        END IF;
+    ELSIF EXISTS (
+        SELECT 1 FROM orders o
+        WHERE o.id = ANY(p_order_ids)
+          AND NOT (o.id = ANY(COALESCE(payment.order_ids, '{}')))
+          AND NOT (o.client_order_id IS NOT NULL AND o.client_order_id = ANY(COALESCE(payment.order_ids, '{}')))
+    ) THEN
+        RAISE EXCEPTION 'Payment % is not for these orders', p_payment_reference USING ERRCODE = 'P0001';
+    END IF;
+
+    IF payment.status NOT IN ('authorized', 'paid') THEN
+        RAISE EXCEPTION 'Payment % is %', p_payment_reference, payment.status USING ERRCODE = 'P0001';
+    END IF;
+
+    -- An order settled by another payment keeps it
+    IF EXISTS (
+        SELECT 1 FROM orders
+        WHERE id = ANY(p_order_ids)
+          AND payment_status IN ('authorized', 'paid', 'refunded')
+          AND payment_reference IS DISTINCT FROM p_payment_reference
+    ) THEN
+        RAISE EXCEPTION 'An order is already paid' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Orders settled with this payment earlier count against it too, so one payment
+    -- can't be replayed to cover more than it was for
+    IF payment.amount IS NOT NULL THEN
+        SELECT COALESCE(SUM(o.total_amount + COALESCE(t.tip, o.tip_amount, 0)), 0)
+        INTO amount_due
+        FROM orders o
+        LEFT JOIN unnest(p_order_ids, p_tip_amounts) AS t(order_id, tip) ON t.order_id = o.id
+        WHERE o.id = ANY(p_order_ids) OR o.payment_reference = p_payment_reference;
+
+        IF amount_due > payment.amount THEN
+            RAISE EXCEPTION 'Payment % does not cover the orders', p_payment_reference USING ERRCODE = 'P0001';
+        END IF;
+    END IF;
+
+    RETURN QUERY
+    UPDATE orders o
+    SET payment_status = CASE WHEN o.payment_status = 'paid' THEN 'paid' ELSE payment.status END,
+        payment_provider = payment.provider,
+        payment_reference = p_payment_reference,
+        paid_at = CASE WHEN payment.status = 'paid' THEN COALESCE(o.paid_at, NOW()) ELSE o.paid_at END,
+        tip_amount = COALESCE(
+            (SELECT t.tip FROM unnest(p_order_ids, p_tip_amounts) AS t(order_id, tip) WHERE t.order_id = o.id),
+            o.tip_amount
+        )
+    WHERE o.id = ANY(p_order_ids)
+    RETURNING o.*;
+
+    -- Paying the whole bill ends the visit. Lines still in the shared cart keep it open.
+    IF (SELECT COALESCE(bool_or(payment_mode = 'end_of_visit'), false) FROM restaurant_settings) THEN
+        PERFORM close_table_session(s.id)
+        FROM table_sessions s
+        WHERE s.status = 'open'
+          AND s.id IN (SELECT table_session_id FROM orders WHERE id = ANY(p_order_ids))
+          AND NOT EXISTS (
+              SELECT 1 FROM orders o
+              WHERE o.table_session_id = s.id
+                AND o.status <> 'cancelled'
+                AND o.payment_status NOT IN ('authorized', 'paid', 'refunded')
+          )
+          AND NOT EXISTS (SELECT 1 FROM table_cart_items c WHERE c.table_session_id = s.id);
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_order_payment(UUID[], TEXT, DECIMAL[], TEXT) TO anon, authenticated;
+
+-- Popularity: menu items ranked by how many orders included them over a rolling
+-- window (cancelled orders don't count). Only aggregates leave the function.
+CREATE OR REPLACE FUNCTION get_popular_menu_items(p_window_hours INTEGER DEFAULT 168, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (menu_item_id UUID, order_count BIGINT, quantity BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT
+        (item->>'menu_item_id')::UUID AS menu_item_id,
+        COUNT(DISTINCT o.id) AS order_count,
+        SUM(COALESCE((item->>'quantity')::INTEGER, 1))::BIGINT AS quantity
+    FROM orders o
+    CROSS JOIN LATERAL jsonb_array_elements(o.order_items) AS item
+    WHERE o.created_at > NOW() - make_interval(hours => LEAST(GREATEST(p_window_hours, 1), 24 * 90))
+      AND o.status <> 'cancelled'
+      AND item ? 'menu_item_id'
+    GROUP BY 1
+    ORDER BY order_count DESC, quantity DESC, menu_item_id
+    LIMIT LEAST(GREATEST(p_limit, 1), 50);
+$$;
+
+GRANT EXECUTE ON FUNCTION get_popular_menu_items(INTEGER, INTEGER) TO anon, authenticated;
+
+-- Pairings: suggestions for items that go well with the given ones. Curated
+-- pairings always rank first; the rest are items most often ordered together
+-- with them over the last 90 days (seen in at least two orders).
+CREATE OR REPLACE FUNCTION get_item_pairings(p_menu_item_ids UUID[], p_limit INTEGER DEFAULT 4)
+RETURNS TABLE (menu_item_id UUID, score NUMERIC, source TEXT, reason TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH curated AS (
+        SELECT
+            p.paired_item_id AS menu_item_id,
+            (1000 + MAX(p.priority))::NUMERIC AS score,
+            'curated'::TEXT AS source,
+            MAX(p.reason)::TEXT AS reason
+        FROM menu_pairings p
+        WHERE p.menu_item_id = ANY(p_menu_item_ids)
+        GROUP BY p.paired_item_id
+    ),
+    related_orders AS (
+        SELECT o.id, o.order_items
+        FROM orders o
+        WHERE o.created_at > NOW() - INTERVAL '90 days'
+          AND o.status <> 'cancelled'
+          AND EXISTS (
+              SELECT 1 FROM jsonb_array_elements(o.order_items) AS item
+              WHERE item->>'menu_item_id' = ANY(p_menu_item_ids::TEXT[])
+          )
+    ),
+    co_ordered AS (
+        SELECT
+            (item->>'menu_item_id')::UUID AS menu_item_id,
+            COUNT(DISTINCT r.id)::NUMERIC AS score,
+            'frequently_ordered'::TEXT AS source,
+            NULL::TEXT AS reason
+        FROM related_orders r
+        CROSS JOIN LATERAL jsonb_array_elements(r.order_items) AS item
+        WHERE item ? 'menu_item_id'
+        GROUP BY 1
+        HAVING COUNT(DISTINCT r.id) >= 2
+    ),
+    best AS (
+        SELECT DISTINCT ON (candidates.menu_item_id) candidates.*
+        FROM (SELECT * FROM curated UNION ALL SELECT * FROM co_ordered) AS candidates
+        ORDER BY candidates.menu_item_id, candidates.score DESC
+    )
+    SELECT best.menu_item_id, best.score, best.source, best.reason
+    FROM best
+    JOIN menu m ON m.id = best.menu_item_id AND m.is_available
+    WHERE NOT (best.menu_item_id = ANY(p_menu_item_ids))
+    ORDER BY best.score DESC, best.menu_item_id
+    LIMIT LEAST(GREATEST(p_limit, 1), 20);
+$$;
+
+GRANT EXECUTE ON FUNCTION get_item_pairings(UUID[], INTEGER) TO anon, authenticated;
+
+-- Enable realtime for menu categories so renames, reordering and hiding show up live
+ALTER PUBLICATION supabase_realtime ADD TABLE menu_categories;
+
+-- Enable realtime for the shared cart (full replica identity so deletes carry the row)
+ALTER TABLE table_cart_items REPLICA IDENTITY FULL;
+ALTER PUBLICATION supabase_realtime ADD TABLE table_cart_items;
+
+-- Enable realtime for service requests so diners see staff acknowledge them
+ALTER PUBLICATION supabase_realtime ADD TABLE service_requests;
+
+-- Order status pushes: add a Supabase database webhook on UPDATE of orders that POSTs to
+-- /api/order-status-push with an x-webhook-secret header matching ORDER_PUSH_WEBHOOK_SECRET
+
+-- Sample menu categories
+INSERT INTO menu_categories (id, name, icon, sort_order) VALUES
+('meat', 'Meat', '🥩', 10),
+('vegetable', 'Vegetarian', '🥗', 20),
+('sauces', 'Sauces', '🍯', 30),
+('desserts', 'Desserts', '🍰', 40),
+('drinks', 'Drinks', '🥤', 50);
+
 -- Sample menu data
 INSERT INTO menu (name, category, price, description, image_url, allergens, preparation_time) VALUES
 -- Meat dishes
@@ -102,4 +1192,102 @@ INSERT INTO menu (name, category, price, description, image_url, allergens, prep
 ('Sparkling Water', 'drinks', 2.50, 'Refreshing sparkling water', 'https://example.com/water.jpg', ARRAY[], 1),
 ('House Wine', 'drinks', 8.99, 'Glass of house red or white wine', 'https://example.com/wine.jpg', ARRAY[], 1),
 ('Craft Beer', 'drinks', 6.50, 'Local craft beer on tap', 'https://example.com/beer.jpg', ARRAY['gluten'], 1),
-('Cocktail', 'drinks', 12.99, 'Signature house cocktail', 'https://example.com/cocktail.jpg', ARRAY[], 5);
\ No newline at end of file
+('Cocktail', 'drinks', 12.99, 'Signature house cocktail', 'https://example.com/cocktail.jpg', ARRAY[], 5);
+
+-- Sample restaurant settings (8% tax, 20% on alcohol, 10% service charge). Mock payments stay
+-- off; a local development database can turn them on to try the in-browser mock gateway.
+INSERT INTO restaurant_settings (restaurant_id, tax_inclusive, default_tax_rate, category_tax_rates, service_charge_type, service_charge_value, rounding_mode, timezone, display_name, primary_color, allow_mock_payments) VALUES
+('default', false, 0.08, '{"drinks": 0.20}'::jsonb, 'percentage', 0.10, 'half_up', 'America/New_York', 'The Corner Bistro', '#ff6b35', false);
+
+-- Sample promotions
+INSERT INTO promotions (code, name, description, discount_type, discount_value, applies_to_categories, min_spend, start_time, end_time, max_uses_per_session) VALUES
+(NULL, 'Happy Hour', '20% off drinks from 17:00 to 19:00', 'percentage', 0.20, ARRAY['drinks'], 0, '17:00', '19:00', NULL),
+(NULL, 'Free Dessert', 'A free dessert when you spend $50 or more', 'free_item', 0, ARRAY['desserts'], 50.00, NULL, NULL, 1),
+('WELCOME5', 'Welcome Voucher', '$5 off your first order', 'fixed', 5.00, NULL, 20.00, NULL, NULL, 1);
+
+-- Sample QR signing key (replace the secret in production)
+INSERT INTO qr_signing_keys (restaurant_id, secret) VALUES
+('default', encode(gen_random_bytes(32), 'hex'));
+
+-- Sample tables
+INSERT INTO tables (table_number, status, capacity, zone) VALUES
+(1, 'active', 2, 'main'),
+(2, 'active', 2, 'main'),
+(3, 'active', 4, 'main'),
+(4, 'active', 4, 'main'),
+(5, 'active', 6, 'main'),
+(6, 'active', 4, 'terrace'),
+(7, 'active', 4, 'terrace'),
+(8, 'reserved', 8, 'terrace'),
+(9, 'active', 2, 'bar'),
+(10, 'closed', 2, 'bar');
+
+-- Sample modifier groups
+UPDATE menu SET modifier_groups = '[
+  {"id": "doneness", "name": "Doneness", "required": true, "min_selections": 1, "max_selections": 1,
+   "options": [
+     {"id": "rare", "name": "Rare", "price_delta": 0},
+     {"id": "medium-rare", "name": "Medium rare", "price_delta": 0},
+     {"id": "medium", "name": "Medium", "price_delta": 0},
+     {"id": "well-done", "name": "Well done", "price_delta": 0}
+   ]},
+  {"id": "side", "name": "Side", "required": true, "min_selections": 1, "max_selections": 1,
+   "options": [
+     {"id": "fries", "name": "Fries", "price_delta": 0},
+     {"id": "mash", "name": "Mashed potatoes", "price_delta": 0, "allergens": ["dairy"]},
+     {"id": "side-salad", "name": "Side salad", "price_delta": 0}
+   ]},
+  {"id": "extras", "name": "Extras", "required": false, "min_selections": 0, "max_selections": 3,
+   "options": [
+     {"id": "extra-cheese", "name": "Extra cheese", "price_delta": 1.50, "allergens": ["dairy"]},
+     {"id": "peppercorn-sauce", "name": "Peppercorn sauce", "price_delta": 2.00, "allergens": ["dairy"]},
+     {"id": "fried-egg", "name": "Fried egg", "price_delta": 1.00, "allergens": ["eggs"]}
+   ]}
+]'::jsonb
+WHERE name = 'Beef Steak';
+
+-- Sample availability: the bar serves alcohol from noon until 23:00
+UPDATE menu SET availability_schedule = '[{"start": "12:00", "end": "23:00"}]'::jsonb
+WHERE name IN ('House Wine', 'Craft Beer', 'Cocktail');
+
+-- Sample curated pairings
+INSERT INTO menu_pairings (menu_item_id, paired_item_id, reason, priority)
+SELECT main.id, side.id, pairing.reason, pairing.priority
+FROM (VALUES
+    ('Pork Ribs', 'BBQ Sauce', 'Extra BBQ sauce for the ribs', 10),
+    ('Beef Steak', 'House Wine', 'A glass of red with your steak', 10),
+    ('Grilled Chicken Breast', 'Garlic Aioli', 'Great for dipping', 5),
+    ('Vegetarian Pasta', 'Pesto', 'Stir in fresh pesto', 5),
+    ('Chocolate Cake', 'Coffee', 'Perfect with dessert', 5)
+) AS pairing (main_name, side_name, reason, priority)
+JOIN menu main ON main.name = pairing.main_name
+JOIN menu side ON side.name = pairing.side_name;
+
+-- Sample dietary tags and spice levels
+UPDATE menu SET dietary_tags = ARRAY['vegetarian', 'vegan'] WHERE name IN ('Grilled Vegetables', 'BBQ Sauce', 'Hot Sauce', 'Coffee', 'Fresh Orange Juice', 'Sparkling Water');
+UPDATE menu SET dietary_tags = ARRAY['vegetarian'] WHERE name IN ('Caprese Salad', 'Vegetarian Pasta', 'Garlic Aioli', 'Pesto', 'Chocolate Cake', 'Tiramisu', 'Ice Cream', 'Fruit Tart');
+UPDATE menu SET dietary_tags = ARRAY['halal'] WHERE name IN ('Grilled Chicken Breast', 'Lamb Chops');
+UPDATE menu SET spice_level = 1 WHERE name IN ('Grilled Chicken Breast', 'BBQ Sauce');
+UPDATE menu SET spice_level = 3 WHERE name = 'Hot Sauce';
+
+-- Sample translations (Spanish and Arabic)
+UPDATE menu_categories SET translations = data.translations
+FROM (VALUES
+    ('meat', '{"es": {"name": "Carnes"}, "ar": {"name": "اللحوم"}}'::jsonb),
+    ('vegetable', '{"es": {"name": "Vegetariano"}, "ar": {"name": "نباتي"}}'::jsonb),
+    ('sauces', '{"es": {"name": "Salsas"}, "ar": {"name": "الصلصات"}}'::jsonb),
+    ('desserts', '{"es": {"name": "Postres"}, "ar": {"name": "الحلويات"}}'::jsonb),
+    ('drinks', '{"es": {"name": "Bebidas"}, "ar": {"name": "المشروبات"}}'::jsonb)
+) AS data (id, translations)
+WHERE menu_categories.id = data.id;
+
+UPDATE menu SET translations = data.translations
+FROM (VALUES
+    ('Grilled Chicken Breast', '{"es": {"name": "Pechuga de pollo a la parrilla", "description": "Tierna pechuga de pollo a la parrilla con hierbas y especias"}, "ar": {"name": "صدر دجاج مشوي", "description": "صدر دجاج طري مشوي بالأعشاب والتوابل"}}'::jsonb),
+    ('Beef Steak', '{"es": {"name": "Filete de ternera", "description": "Filete de ternera premium cocinado a la perfección"}, "ar": {"name": "ستيك لحم بقري", "description": "ستيك لحم بقري فاخر مطهو بإتقان"}}'::jsonb),
+    ('Caesar Salad', '{"es": {"name": "Ensalada César", "description": "Lechuga romana fresca con aderezo César"}, "ar": {"name": "سلطة سيزر", "description": "خس روماني طازج مع صلصة سيزر"}}'::jsonb),
+    ('Chocolate Cake', '{"es": {"name": "Tarta de chocolate", "description": "Tarta de chocolate intenso con ganache"}, "ar": {"name": "كعكة الشوكولاتة", "description": "كعكة شوكولاتة غنية مع الغاناش"}}'::jsonb),
+    ('Coffee', '{"es": {"name": "Café", "description": "Café recién hecho"}, "ar": {"name": "قهوة", "description": "قهوة طازجة التحضير"}}'::jsonb),
+    ('Fresh Orange Juice', '{"es": {"name": "Zumo de naranja natural", "description": "Zumo de naranja recién exprimido"}, "ar": {"name": "عصير برتقال طازج", "description": "عصير برتقال معصور طازجًا"}}'::jsonb)
+) AS data (name, translations)
+WHERE menu.name = data.name;
@@ -0,0 +1,71 @@
+// Offline order sync, shared by the app (src/utils/offline.js) and the service
+// worker (sw.js) so both treat failures the same way. Loaded as a plain script:
+// index.html includes it for the app and sw.js pulls it in with importScripts,
+// so it can't use imports and lives on `self.orderSync`.
+(function (scope) {
+  // Fields that only exist on the locally queued copy of an order
+  const LOCAL_ORDER_FIELDS = [
+    'id', 'status', 'created_offline', 'retry_count', 'last_retry', 'last_error',
+    'failure_code', 'failure_reason', 'timestamp', 'updated_at'
+  ];
+
+  // A queued order the database refused; it stays in the queue (never retried)
+  // until the diner edits or discards it
+  const FAILED_STATUS = 'failed';
+
+  // Postgres error classes the database will answer the same way however often
+  // the order is retried: data exceptions (22), constraint violations (23) and
+  // access rules (42, e.g. the table's visit has ended). P0001 is raised by the
+  // order triggers - a dish became unavailable, a promotion no longer applies.
+  const PERMANENT_ERROR_CLASSES = ['22', '23', '42'];
+
+  const isPermanentFailure = (error) => {
+    const code = error && error.code;
+    if (typeof code !== 'string') return false;
+
+    return code === 'P0001' || (code.length === 5 && PERMANENT_ERROR_CLASSES.includes(code.slice(0, 2)));
+  };
+
+  // Strip queue bookkeeping so the row matches what the app inserts online
+  const toOrderPayload = (order) => {
+    const payload = { ...order };
+    LOCAL_ORDER_FIELDS.forEach(field => delete payload[field]);
+    return { ...payload, status: 'pending' };
+  };
+
+  // Send every queued order that hasn't failed for good. `submit(order)` resolves
+  // with the stored order; `save(order)` and `remove(order)` update the queue.
+  // Resolves with [{ success, permanent, error, order }] for the orders tried.
+  const syncQueuedOrders = async (orders, { submit, save, remove }) => {
+    const results = [];
+
+    for (const order of orders) {
+      if (order.status === FAILED_STATUS) continue;
+
+      try {
+        const syncedOrder = await submit(order);
+        await remove(order);
+        results.push({ success: true, order: syncedOrder });
+      } catch (error) {
+        console.error('Failed to sync order:', order.id, error);
+
+        const permanent = isPermanentFailure(error);
+        const updatedOrder = permanent
+          ? { ...order, status: FAILED_STATUS, failure_code: error.code, failure_reason: error.message, last_retry: Date.now() }
+          : { ...order, retry_count: (order.retry_count || 0) + 1, last_retry: Date.now(), last_error: error.message };
+
+        await save(updatedOrder);
+        results.push({ success: false, permanent, error: error.message, order: updatedOrder });
+      }
+    }
+
+    return results;
+  };
+
+  scope.orderSync = {
+    FAILED_STATUS,
+    isPermanentFailure,
+    toOrderPayload,
+    syncQueuedOrders
+  };
+})(self);
@@ -1,5 +1,8 @@
 // Service Worker for PWA capabilities and offline support
 
+// Offline order sync shared with the app (self.orderSync)
+importScripts('/order-sync.js');
+
 const CACHE_NAME = 'restaurant-ordering-v1';
 const STATIC_CACHE_NAME = 'restaurant-static-v1';
 const DYNAMIC_CACHE_NAME = 'restaurant-dynamic-v1';
@@ -10,7 +13,8 @@ const STATIC_ASSETS = [
   '/static/js/bundle.js',
   '/static/css/main.css',
   '/manifest.json',
-  '/favicon.ico'
+  '/favicon.ico',
+  '/order-sync.js'
 ];
 
 // URLs that should always try network first
@@ -179,49 +183,190 @@ function isStaticAsset(pathname) {
 }
 
 // Handle background sync for offline orders
+const ORDER_SYNC_TAG = 'background-sync-orders';
+
+// IndexedDB database shared with OfflineStorage in src/utils/offline.js -
+// the name, version and stores must stay in step with it
+const DB_NAME = 'restaurant-app';
+const DB_VERSION = 1;
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY = 1000; // doubles after every failed attempt
+
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'background-sync-orders') {
-    event.waitUntil(syncOrders());
+  if (event.tag === ORDER_SYNC_TAG) {
+    event.waitUntil(syncOrders(event.lastChance));
   }
 });
 
-// Sync pending orders when back online
-async function syncOrders() {
-  try {
-    // Get pending orders from IndexedDB
-    const pendingOrders = await getPendingOrders();
-    
-    for (const order of pendingOrders) {
-      try {
-        const response = await fetch('/api/orders', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(order)
-        });
-        
-        if (response.ok) {
-          await removePendingOrder(order.id);
-          console.log('Order synced successfully:', order.id);
-        }
-      } catch (error) {
-        console.error('Failed to sync order:', order.id, error);
+// Sync pending orders when back online. Orders the database refused are marked
+// failed and reported to the app; rejecting asks the browser to schedule another
+// sync for the rest later, unless this is its last attempt.
+async function syncOrders(lastChance = false) {
+  const config = await getSyncConfig();
+  if (!config) {
+    console.warn('Background sync skipped - no Supabase config stored');
+    return;
+  }
+
+  // Orders are only accepted from the diner's signed-in session; without it the
+  // app sends them itself next time it opens
+  if (!config.accessToken) {
+    console.warn('Background sync skipped - no diner session stored');
+    return;
+  }
+
+  const pendingOrders = await getPendingOrders();
+  const results = await self.orderSync.syncQueuedOrders(pendingOrders, {
+    submit: order => submitWithRetry(order, config),
+    save: updatePendingOrder,
+    remove: order => removePendingOrder(order.id)
+  });
+
+  if (results.length > 0) {
+    await notifyClients({ type: 'ORDERS_SYNCED', results });
+  }
+
+  const remaining = results.filter(result => !result.success && !result.permanent).length;
+  if (remaining > 0 && !lastChance) {
+    throw new Error(`${remaining} orders still waiting to sync`);
+  }
+}
+
+// Submit one order, backing off between attempts on network and server errors
+async function submitWithRetry(order, config) {
+  let lastError;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    try {
+      return await submitOrder(order, config);
+    } catch (error) {
+      lastError = error;
+
+      // Client errors won't succeed on retry
+      if (error.status && error.status < 500) break;
+
+      if (attempt < MAX_ATTEMPTS - 1) {
+        await new Promise(resolve => setTimeout(resolve, BASE_RETRY_DELAY * Math.pow(2, attempt)));
       }
     }
-  } catch (error) {
-    console.error('Background sync failed:', error);
+  }
+
+  throw lastError;
+}
+
+// Insert the order through the Supabase REST API
+async function submitOrder(order, config) {
+  const payload = self.orderSync.toOrderPayload(order);
+
+  const headers = {
+    apikey: config.supabaseAnonKey,
+    // Orders are only accepted from the diner's own signed-in session
+    Authorization: `Bearer ${config.accessToken || config.supabaseAnonKey}`,
+    'Content-Type': 'application/json',
+    Prefer: 'return=representation'
+  };
+
+  const response = await fetch(`${config.supabaseUrl}/rest/v1/orders`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  });
+
+  // client_order_id already exists - the app (or an earlier sync) sent it
+  if (response.status === 409) {
+    const existing = await fetch(
+      `${config.supabaseUrl}/rest/v1/orders?client_order_id=eq.${encodeURIComponent(order.client_order_id)}&select=*`,
+      { headers }
+    );
+    if (existing.ok) {
+      const [existingOrder] = await existing.json();
+      if (existingOrder) return existingOrder;
+    }
+  }
+
+  // Keep the database's code and message, so refusals are told apart from outages
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.message || `Order sync failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = body.code;
+    throw error;
+  }
+
+  const [createdOrder] = await response.json();
+  return createdOrder;
+}
+
+// Tell open tabs so their order lists update
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach(client => client.postMessage(message));
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    // Only runs if the worker opens the database before the app has
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains('pending_orders')) {
+        const orderStore = db.createObjectStore('pending_orders', { keyPath: 'id' });
+        orderStore.createIndex('timestamp', 'timestamp');
+      }
+
+      if (!db.objectStoreNames.contains('cached_menu')) {
+        const menuStore = db.createObjectStore('cached_menu', { keyPath: 'id' });
+        menuStore.createIndex('category', 'category');
+      }
+
+      if (!db.objectStoreNames.contains('user_sessions')) {
+        db.createObjectStore('user_sessions', { keyPath: 'sessionId' });
+      }
+
+      if (!db.objectStoreNames.contains('app_data')) {
+        db.createObjectStore('app_data', { keyPath: 'key' });
+      }
+    };
+  });
+}
+
+async function runStoreRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([storeName], mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
   }
 }
 
-// Mock functions for IndexedDB operations
-// In a real implementation, these would interact with IndexedDB
+// Supabase URL, anon key and the diner's access token stored by backgroundSync.register in the app
+async function getSyncConfig() {
+  const syncData = await runStoreRequest('app_data', 'readonly', store => store.get(`sync_${ORDER_SYNC_TAG}`));
+  return syncData?.data || null;
+}
+
 async function getPendingOrders() {
-  return [];
+  return runStoreRequest('pending_orders', 'readonly', store => store.getAll());
+}
+
+async function updatePendingOrder(order) {
+  return runStoreRequest('pending_orders', 'readwrite', store => store.put({ ...order, updated_at: Date.now() }));
 }
 
 async function removePendingOrder(orderId) {
-  return true;
+  return runStoreRequest('pending_orders', 'readwrite', store => store.delete(orderId));
 }
 
 // Handle push notifications
@@ -233,8 +378,8 @@ self.addEventListener('push', (event) => {
     body: data.body || 'Your order status has been updated',
     icon: '/icon-192x192.png',
     badge: '/badge-72x72.png',
-    tag: 'order-update',
-    data: data.data || {},
+    tag: data.tag || 'order-update',
+    data: data.data || {}, // { orderId } for order status updates
     actions: [
       {
         action: 'view',
@@ -255,13 +400,28 @@ self.addEventListener('push', (event) => {
   );
 });
 
-// Handle notification clicks
+// Handle notification clicks - "View Order" (or tapping the notification)
+// deep-links to the order, reusing an open tab when there is one
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
-  if (event.action === 'view') {
-    event.waitUntil(
-      clients.openWindow('/orders')
-    );
-  }
+  if (event.action === 'dismiss') return;
+
+  const { orderId } = event.notification.data || {};
+  const targetUrl = orderId ? `/orders?order=${encodeURIComponent(orderId)}` : '/orders';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clientList) => {
+        const client = clientList.find(c => new URL(c.url).origin === self.location.origin);
+
+        if (client) {
+          return client.navigate(targetUrl)
+            .then(navigated => (navigated || client).focus())
+            .catch(() => self.clients.openWindow(targetUrl));
+        }
+
+        return self.clients.openWindow(targetUrl);
+      })
+  );
 });
\ No newline at end of file
@@ -1,25 +1,35 @@
-import React, { Suspense } from 'react';
+import React, { Suspense, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AppProvider } from './contexts/AppContext';
 import ErrorBoundary from './components/ErrorBoundary';
 import LoadingStates from './components/LoadingStates';
 import NotificationToast from './components/NotificationToast';
+import { ALLOW_LEGACY_TABLE_PARAM } from './services/qrTokens';
+import useRestaurantSettings from './hooks/useRestaurantSettings';
+import { applyBranding } from './utils/theme';
 
 // Lazy load components for better performance
 const QRLanding = React.lazy(() => import('./components/QRLanding'));
 const TableSelect = React.lazy(() => import('./components/TableSelect'));
 const MenuContainer = React.lazy(() => import('./components/MenuContainer'));
 const OrderHistory = React.lazy(() => import('./components/OrderHistory'));
+const BillSplit = React.lazy(() => import('./components/BillSplit'));
 const ItemDetailModal = React.lazy(() => import('./components/ItemDetailModal'));
 
 // Protected route wrapper
 const ProtectedRoute = ({ children }) => {
   const urlParams = new URLSearchParams(window.location.search);
-  const tableFromUrl = urlParams.get('table');
+  const tokenFromUrl = urlParams.get('t');
+  const tableFromUrl = ALLOW_LEGACY_TABLE_PARAM ? urlParams.get('table') : null;
   const savedSession = localStorage.getItem('restaurant_session');
   
-  // Check if user has valid session or table parameter
-  if (!tableFromUrl && !savedSession) {
+  // QR parameters must be verified on the landing page before ordering
+  if (tokenFromUrl || tableFromUrl) {
+    return <Navigate to={`/qr${window.location.search}`} replace />;
+  }
+
+  // Check if user has a saved session
+  if (!savedSession) {
     return <Navigate to="/table-select" replace />;
   }
   
@@ -27,6 +37,16 @@ const ProtectedRoute = ({ children }) => {
 };
 
 function App() {
+  const { branding } = useRestaurantSettings();
+
+  // Restaurant colours, fonts and name from restaurant_settings
+  useEffect(() => {
+    applyBranding(branding);
+    if (branding.name) {
+      document.title = `Table Order - ${branding.name}`;
+    }
+  }, [branding]);
+
   return (
     <ErrorBoundary>
       <AppProvider>
@@ -69,6 +89,15 @@ function App() {
                   } 
                 />
                 
+                <Route 
+                  path="/bill" 
+                  element={
+                    <ProtectedRoute>
+                      <BillSplit />
+                    </ProtectedRoute>
+                  } 
+                />
+                
                 {/* Default route - redirect based on context */}
                 <Route 
                   path="/" 
@@ -95,12 +124,18 @@ function App() {
 // Component to handle default redirects based on URL parameters and session
 const DefaultRedirect = () => {
   const urlParams = new URLSearchParams(window.location.search);
+  const tokenFromUrl = urlParams.get('t');
   const tableFromUrl = urlParams.get('table');
   const savedSession = localStorage.getItem('restaurant_session');
   
-  // If URL has table parameter, go to QR landing for validation
-  if (tableFromUrl) {
-    return <Navigate to={`/qr?table=${tableFromUrl}`} replace />;
+  // If URL has a signed table token, go to QR landing for verification
+  if (tokenFromUrl) {
+    return <Navigate to={`/qr?t=${encodeURIComponent(tokenFromUrl)}`} replace />;
+  }
+
+  // Legacy plain table links are only honoured while the config flag allows them
+  if (tableFromUrl && ALLOW_LEGACY_TABLE_PARAM) {
+    return <Navigate to={`/qr?table=${encodeURIComponent(tableFromUrl)}`} replace />;
   }
   
   // If user has saved session, go to menu
@@ -0,0 +1,416 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Users, UserPlus, Minus, Plus, AlertCircle, Receipt, CreditCard, CheckCircle, Loader2 } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useOrders from '../hooks/useOrders';
+import LoadingStates from './LoadingStates';
+import TipSelector from './TipSelector';
+import useRestaurantSettings from '../hooks/useRestaurantSettings';
+import useMoney from '../hooks/useMoney';
+import useTranslation from '../i18n/useTranslation';
+import { fromCents, addAmounts } from '../utils/money';
+import { payOrders, isAwaitingPayment, getAmountDueCents, getPaymentErrorMessage } from '../services/payments';
+import { NO_TIP, getTipCents } from '../utils/tips';
+import {
+  SPLIT_MODES,
+  summarizeBill,
+  splitBill,
+  getDinerAssignments
+} from '../utils/billSplitting';
+
+// Tab order; labels are bill.modes.<mode>
+const MODES = [SPLIT_MODES.EVEN, SPLIT_MODES.BY_DINER, SPLIT_MODES.BY_ITEM];
+
+// 0.5 -> '1/2', shown next to items shared between several people
+const formatFraction = (fraction) => `1/${Math.round(1 / fraction)}`;
+
+// Aggregated bill for the current table visit, split evenly, by diner or by item
+const BillSplit = () => {
+  const navigate = useNavigate();
+  const { sessionId, tableNumber, tableSessionId, addNotification } = useApp();
+  const { t, language } = useTranslation();
+  const { orders, loading, fetchOrders } = useOrders(sessionId, { tableSessionId });
+  const { pricingSettings, tipsEnabled, tipPresets } = useRestaurantSettings();
+  const { currency, formatPriceCents } = useMoney(language);
+
+  const bill = useMemo(() => summarizeBill(orders), [orders]);
+
+  const [mode, setMode] = useState(null);
+  const [evenCount, setEvenCount] = useState(2);
+  const [extraPeople, setExtraPeople] = useState([]);
+  const [assignments, setAssignments] = useState({});
+  const [paying, setPaying] = useState(false);
+  const [tipSelection, setTipSelection] = useState(NO_TIP);
+  // A captured payment the bill doesn't show yet; paying again would charge twice
+  const [unrecordedPaymentId, setUnrecordedPaymentId] = useState(null);
+
+  const unpaidOrders = useMemo(() => bill.orders.filter(isAwaitingPayment), [bill.orders]);
+  const unpaidCents = unpaidOrders.reduce((sum, order) => sum + getAmountDueCents(order), 0);
+
+  // Tip presets apply to the pre-tax subtotal of what is still to be paid
+  const unpaidSubtotal = addAmounts(unpaidOrders.map(order => order.subtotal_amount ?? order.total_amount), currency);
+  const tipCents = tipsEnabled ? getTipCents(tipSelection, unpaidSubtotal, pricingSettings.roundingMode, currency) : 0;
+
+  // Split by diner when several phones ordered, evenly otherwise
+  const activeMode = mode || (bill.diners.length > 1 ? SPLIT_MODES.BY_DINER : SPLIT_MODES.EVEN);
+
+  const dinerLabels = useMemo(() => {
+    return bill.diners.reduce((labels, diner, index) => {
+      labels[diner.id] = diner.id === sessionId ? t('bill.you') : diner.name || t('bill.guest', { number: index + 1 });
+      return labels;
+    }, {});
+  }, [bill.diners, sessionId, t]);
+
+  const people = useMemo(() => {
+    switch (activeMode) {
+      case SPLIT_MODES.EVEN:
+        return Array.from({ length: evenCount }, (_, index) => ({ id: `person-${index + 1}`, label: t('bill.person', { number: index + 1 }) }));
+      case SPLIT_MODES.BY_ITEM:
+        return [
+          ...bill.diners.map(diner => ({ id: diner.id, label: dinerLabels[diner.id] })),
+          ...extraPeople
+        ];
+      case SPLIT_MODES.BY_DINER:
+      default:
+        return bill.diners.map(diner => ({ id: diner.id, label: dinerLabels[diner.id] }));
+    }
+  }, [activeMode, evenCount, bill.diners, dinerLabels, extraPeople, t]);
+
+  // Items start with whoever added them until someone reassigns them
+  const itemAssignments = useMemo(() => ({
+    ...getDinerAssignments(bill.lines),
+    ...assignments
+  }), [bill.lines, assignments]);
+
+  const split = useMemo(() => splitBill(bill, {
+    mode: activeMode,
+    people: people.map(person => person.id),
+    assignments: itemAssignments
+  }), [bill, activeMode, people, itemAssignments]);
+
+  const toggleAssignment = useCallback((lineId, personId) => {
+    setAssignments(prev => {
+      const current = prev[lineId] || itemAssignments[lineId] || [];
+      return {
+        ...prev,
+        [lineId]: current.includes(personId)
+          ? current.filter(id => id !== personId)
+          : [...current, personId]
+      };
+    });
+  }, [itemAssignments]);
+
+  const addPerson = useCallback(() => {
+    setExtraPeople(prev => {
+      const number = bill.diners.length + prev.length + 1;
+      return [...prev, { id: `person-${number}`, label: t('bill.person', { number }) }];
+    });
+  }, [bill.diners.length, t]);
+
+  // Settle every unpaid order for the visit in one payment
+  const handlePayBill = useCallback(async () => {
+    setPaying(true);
+
+    try {
+      const result = await payOrders(bill.orders, { reference: tableSessionId || sessionId, tip: fromCents(tipCents, currency) });
+      setTipSelection(NO_TIP);
+
+      if (result.recorded) {
+        await fetchOrders();
+        addNotification({
+          type: 'success',
+          message: t('bill.paymentComplete'),
+          duration: 4000
+        });
+      } else {
+        setUnrecordedPaymentId(result.payment.id);
+        addNotification({
+          type: 'warning',
+          message: t('bill.paymentUnrecorded', { reference: result.payment.id }),
+          duration: 10000
+        });
+      }
+    } catch (error) {
+      console.error('Error paying bill:', error);
+      addNotification({
+        type: 'error',
+        message: getPaymentErrorMessage(error, language),
+        duration: 5000
+      });
+    } finally {
+      setPaying(false);
+    }
+  }, [bill.orders, tipCents, currency, tableSessionId, sessionId, fetchOrders, addNotification, t, language]);
+
+  const labelFor = (personId) => people.find(person => person.id === personId)?.label || personId;
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        <h2 className="text-2xl font-bold text-text-primary mb-6">{t('bill.title')}</h2>
+        <LoadingStates.Orders />
+      </div>
+    );
+  }
+
+  const renderHeader = () => (
+    <div className="flex items-center space-x-3 mb-6">
+      <button
+        onClick={() => navigate('/menu')}
+        className="p-2 rounded-full hover:bg-background-color transition-colors touch-target"
+        aria-label={t('bill.backToMenu')}
+      >
+        <ArrowLeft className="w-5 h-5 text-text-secondary rtl-flip" />
+      </button>
+      <div>
+        <h2 className="text-2xl font-bold text-text-primary">{t('bill.title')}</h2>
+        {tableNumber && (
+          <p className="text-sm text-text-secondary">{t('common.table', { table: tableNumber })}</p>
+        )}
+      </div>
+    </div>
+  );
+
+  if (bill.lines.length === 0) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        {renderHeader()}
+        <div className="text-center py-12">
+          <Receipt className="w-16 h-16 text-text-light mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-text-primary mb-2">
+            {t('bill.empty')}
+          </h3>
+          <p className="text-text-secondary">
+            {t('bill.emptyHint')}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderBreakdownRow = (label, cents, className = 'text-text-secondary') => (
+    <div className={`flex justify-between items-center text-sm ${className}`}>
+      <span>{label}</span>
+      <span>{formatPriceCents(cents)}</span>
+    </div>
+  );
+
+  const renderShare = (share) => (
+    <motion.div
+      key={share.personId}
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card p-4"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-text-primary">{labelFor(share.personId)}</h3>
+        <span className="text-lg font-bold text-primary-color">{formatPriceCents(share.totalCents)}</span>
+      </div>
+
+      {activeMode !== SPLIT_MODES.EVEN && share.lines.length > 0 && (
+        <ul className="text-sm text-text-secondary mb-2 space-y-1">
+          {share.lines.map(line => (
+            <li key={line.id}>
+              {line.fraction < 1
+                ? t('bill.sharedLine', { fraction: formatFraction(line.fraction), quantity: line.quantity, name: line.name })
+                : t('bill.line', { quantity: line.quantity, name: line.name })}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-1 pt-2 border-t border-border-color">
+        {renderBreakdownRow(t('bill.items'), share.itemsCents)}
+        {share.discountCents > 0 && renderBreakdownRow(t('bill.discount'), -share.discountCents, 'text-green-600')}
+        {share.taxCents > 0 && renderBreakdownRow(t('bill.tax'), share.taxCents)}
+        {share.serviceChargeCents > 0 && renderBreakdownRow(t('bill.serviceCharge'), share.serviceChargeCents)}
+        {share.roundingCents !== 0 && renderBreakdownRow(t('bill.rounding'), share.roundingCents)}
+        {share.includedTaxCents > 0 && (
+          <p className="text-xs text-text-secondary">
+            {t('bill.includesTax', { amount: formatPriceCents(share.includedTaxCents) })}
+          </p>
+        )}
+      </div>
+    </motion.div>
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-6 pb-20">
+      {renderHeader()}
+
+      {/* Bill Total */}
+      <div className="card p-4 mb-4">
+        <div className="space-y-1">
+          {renderBreakdownRow(t('bill.subtotal'), bill.items)}
+          {bill.discount > 0 && renderBreakdownRow(t('bill.discount'), -bill.discount, 'text-green-600')}
+          {bill.tax > 0 && renderBreakdownRow(t('bill.tax'), bill.tax)}
+          {bill.serviceCharge > 0 && renderBreakdownRow(t('bill.serviceCharge'), bill.serviceCharge)}
+          {bill.rounding !== 0 && renderBreakdownRow(t('bill.rounding'), bill.rounding)}
+        </div>
+        <div className="flex justify-between items-center text-lg font-bold pt-2 mt-2 border-t border-border-color">
+          <span className="text-text-primary">{t('bill.tableTotal')}</span>
+          <span className="text-primary-color">{formatPriceCents(bill.total)}</span>
+        </div>
+        <p className="text-xs text-text-secondary mt-1">
+          {t('bill.orderCount', { count: bill.orders.length })}
+          {bill.tip > 0 && ` • ${t('bill.plusTips', { amount: formatPriceCents(bill.tip) })}`}
+        </p>
+
+        {unpaidCents > 0 && tipsEnabled && (
+          <div className="mt-4 pt-4 border-t border-border-color">
+            <TipSelector
+              subtotal={unpaidSubtotal}
+              value={tipSelection}
+              onChange={setTipSelection}
+              presets={tipPresets}
+              disabled={paying}
+            />
+          </div>
+        )}
+
+        {unpaidCents > 0 && unrecordedPaymentId ? (
+          <div className="flex items-start space-x-2 text-text-secondary text-sm mt-4">
+            <AlertCircle className="w-5 h-5 flex-shrink-0 text-orange-500" />
+            <span>{t('bill.paymentPending', { reference: unrecordedPaymentId })}</span>
+          </div>
+        ) : unpaidCents > 0 ? (
+          <button
+            onClick={handlePayBill}
+            disabled={paying}
+            className="btn btn-primary w-full mt-4 flex items-center justify-center space-x-2"
+          >
+            {paying ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>{t('bill.processingPayment')}</span>
+              </>
+            ) : (
+              <>
+                <CreditCard className="w-5 h-5" />
+                <span>
+                  {t(unpaidOrders.length === bill.orders.length ? 'bill.pay' : 'bill.payRemaining', {
+                    amount: formatPriceCents(unpaidCents + tipCents)
+                  })}
+                </span>
+              </>
+            )}
+          </button>
+        ) : (
+          <div className="flex items-center justify-center space-x-2 text-green-600 mt-4">
+            <CheckCircle className="w-5 h-5" />
+            <span className="font-medium">{t('bill.paid')}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Split Mode */}
+      <div className="flex bg-background-color rounded-lg p-1 mb-4" role="tablist">
+        {MODES.map(value => (
+          <button
+            key={value}
+            role="tab"
+            aria-selected={activeMode === value}
+            onClick={() => setMode(value)}
+            className={`flex-1 py-2 text-sm font-medium rounded-md transition-colors touch-target ${
+              activeMode === value ? 'bg-surface-color text-primary-color shadow-sm' : 'text-text-secondary'
+            }`}
+          >
+            {t(`bill.modes.${value}`)}
+          </button>
+        ))}
+      </div>
+
+      {/* Even split - number of people */}
+      {activeMode === SPLIT_MODES.EVEN && (
+        <div className="card p-4 mb-4 flex items-center justify-between">
+          <div className="flex items-center space-x-2 text-text-primary">
+            <Users className="w-5 h-5" />
+            <span className="font-medium">{t('bill.splitBetween')}</span>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setEvenCount(count => Math.max(1, count - 1))}
+              disabled={evenCount <= 1}
+              className="p-2 rounded-full bg-background-color touch-target disabled:opacity-50"
+              aria-label={t('bill.fewerPeople')}
+            >
+              <Minus className="w-4 h-4" />
+            </button>
+            <span className="w-6 text-center font-semibold">{evenCount}</span>
+            <button
+              onClick={() => setEvenCount(count => count + 1)}
+              className="p-2 rounded-full bg-background-color touch-target"
+              aria-label={t('bill.morePeople')}
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* By item - tap people to assign each item; several people share it */}
+      {activeMode === SPLIT_MODES.BY_ITEM && (
+        <div className="card p-4 mb-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-text-primary">{t('bill.whoHadWhat')}</h3>
+            <button
+              onClick={addPerson}
+              className="flex items-center space-x-1 text-sm text-primary-color hover:text-primary-dark"
+            >
+              <UserPlus className="w-4 h-4" />
+              <span>{t('bill.addPerson')}</span>
+            </button>
+          </div>
+
+          {bill.lines.map(line => (
+            <div key={line.id}>
+              <div className="flex justify-between text-sm text-text-primary mb-1">
+                <span>{t('bill.line', { quantity: line.quantity, name: line.name })}</span>
+                <span>{formatPriceCents(line.cents)}</span>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {people.map(person => {
+                  const isAssigned = (itemAssignments[line.id] || []).includes(person.id);
+                  return (
+                    <button
+                      key={person.id}
+                      onClick={() => toggleAssignment(line.id, person.id)}
+                      aria-pressed={isAssigned}
+                      className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                        isAssigned
+                          ? 'bg-primary-color text-white border-primary-color'
+                          : 'bg-surface-color text-text-secondary border-border-color'
+                      }`}
+                    >
+                      {person.label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Unassigned items */}
+      {!split.isFullyAssigned && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
+          <div className="flex items-center space-x-2 text-orange-800">
+            <AlertCircle className="w-5 h-5" />
+            <span className="text-sm font-medium">
+              {t('bill.unassigned', { amount: formatPriceCents(split.unassigned.totalCents) })}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Shares */}
+      <div className="space-y-3">
+        {split.shares.map(renderShare)}
+      </div>
+    </div>
+  );
+};
+
+export default BillSplit;
@@ -1,36 +1,124 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, ShoppingCart, AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import { X, ShoppingCart, AlertCircle, CheckCircle, Loader2, Users, Edit3, Tag, ShieldAlert } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
 import useCart from '../hooks/useCart';
 import useOrders from '../hooks/useOrders';
+import usePromotions from '../hooks/usePromotions';
+import usePairings from '../hooks/usePairings';
+import useRestaurantSettings from '../hooks/useRestaurantSettings';
+import useMoney from '../hooks/useMoney';
 import CartItem from './CartItem';
 import CartSummary from './CartSummary';
-
-const Cart = ({ onClose }) => {
+import TipSelector from './TipSelector';
+import PairingSuggestions from './PairingSuggestions';
+import useTranslation from '../i18n/useTranslation';
+import { formatModifiers } from '../utils/modifiers';
+import { addAmounts, multiplyAmount } from '../utils/money';
+import { getPromotionErrorMessage } from '../utils/promotions';
+import { shouldPromptForPush, markPushPrompted, subscribeToPush } from '../utils/push';
+import { PAYMENT_MODES, PAYMENT_ERRORS, payAndSubmitOrder, getPaymentErrorMessage } from '../services/payments';
+import { NO_TIP, getTipAmount } from '../utils/tips';
+import { loadDietaryFilters, findAllergenConflicts, getAllergenInfo } from '../utils/dietary';
+import { abTesting } from '../utils/analytics';
+import { CATEGORY_NAV_EXPERIMENT } from '../utils/experiments';
+
+const PUSH_OPT_IN_NOTIFICATION_ID = 'push-opt-in';
+
+const Cart = ({ onClose, getMenuItem, checkItemsAvailability }) => {
   const { 
     sessionId, 
     tableNumber, 
+    tableSessionId,
+    dinerName,
+    setDinerName,
     addNotification, 
+    removeNotification,
     isOnline 
   } = useApp();
+  const { t, dir, language } = useTranslation();
+  const { currency, formatPrice } = useMoney(language);
   
+  const { promotions, usageCounts, refreshPromotions } = usePromotions(sessionId);
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState(null);
+
   const {
     cart,
-    cartTotal,
+    pricing,
+    appliedPromotions,
+    promoCodeError,
     cartItemCount,
     estimatedPrepTime,
-    clearCart,
+    isShared,
+    removeItems,
     validateCart,
     prepareOrderData
-  } = useCart(sessionId);
-
-  const { submitNewOrder, submittingOrder } = useOrders(sessionId);
+  } = useCart(sessionId, {
+    tableSessionId,
+    dinerName,
+    promotions,
+    promoCode,
+    promotionUsage: usageCounts
+  });
+
+  const cartMenuItemIds = useMemo(() => cart.map(item => item.id), [cart]);
+
+  // Lines keep the default-language name for the kitchen; show the diner's translation
+  const getLineName = (line) => getMenuItem?.(line.id)?.displayName || line.name;
+  const { suggestions } = usePairings(cartMenuItemIds, {
+    getMenuItem,
+    excludeIds: cartMenuItemIds
+  });
+
+  const { submitNewOrder, queueOrder, submittingOrder } = useOrders(sessionId, { tableSessionId });
+  const { paymentMode, pricingSettings, tipsEnabled, tipPresets } = useRestaurantSettings();
+  const [tipSelection, setTipSelection] = useState(NO_TIP);
+
+  // Pay-per-order restaurants take payment before the kitchen sees the order;
+  // orders saved offline are paid for with the bill instead
+  const payNow = paymentMode === PAYMENT_MODES.PER_ORDER && isOnline;
 
   const [orderStep, setOrderStep] = useState('cart'); // cart, review, submitting, success
   const [orderData, setOrderData] = useState(null);
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  const [reviewedCartIds, setReviewedCartIds] = useState([]);
+  const [isEditingName, setIsEditingName] = useState(false);
+  const [editedName, setEditedName] = useState(dinerName || '');
   const [specialInstructions, setSpecialInstructions] = useState('');
   const [validationError, setValidationError] = useState(null);
+  const [showAllergenWarning, setShowAllergenWarning] = useState(false);
+
+  // Allergens the diner excluded with the menu's dietary filters
+  const declaredAllergies = useMemo(() => loadDietaryFilters(sessionId).excludedAllergens, [sessionId]);
+
+  // Tips are on the pre-tax subtotal and stored in their own column, never in total_amount
+  const tipAmount = tipsEnabled
+    ? getTipAmount(tipSelection, orderData?.subtotal_amount || 0, pricingSettings.roundingMode, currency)
+    : 0;
+
+  // The diner's own lines that contain something they declared an allergy to
+  const allergenConflicts = useMemo(() => findAllergenConflicts(
+    (orderData?.order_items || []).filter(item => !isShared || item.added_by === sessionId),
+    declaredAllergies
+  ), [orderData, isShared, sessionId, declaredAllergies]);
+
+  // Shared review, grouped by who added each line of the order being submitted
+  // (not the live cart, which other diners can change while this is open)
+  const reviewItemsByDiner = useMemo(() => {
+    return (orderData?.order_items || []).reduce((acc, item) => {
+      const dinerKey = item.added_by || sessionId;
+      if (!acc[dinerKey]) {
+        acc[dinerKey] = {
+          dinerName: item.added_by_name,
+          isCurrentDiner: dinerKey === sessionId,
+          items: []
+        };
+      }
+      acc[dinerKey].items.push(item);
+      return acc;
+    }, {});
+  }, [orderData, sessionId]);
 
   // Handle escape key and prevent body scroll
   useEffect(() => {
@@ -64,38 +152,32 @@ const Cart = ({ onClose }) => {
     if (cart.length === 0) {
       addNotification({
         type: 'error',
-        message: 'Your cart is empty',
+        message: t('cart.empty'),
         duration: 3000
       });
       return;
     }
 
-    if (!isOnline) {
-      addNotification({
-        type: 'error',
-        message: 'You need an internet connection to place an order',
-        duration: 5000
-      });
-      return;
-    }
-
     setValidationError(null);
 
     try {
-      // Validate cart items are still available
-      const validation = await validateCart(async (itemIds) => {
-        // Mock validation - in real app this would call the API
-        return { allAvailable: true, unavailableItems: [] };
-      });
+      // Validate cart items are still available, including their schedules
+      // (skipped offline - the order is checked again when the queued order is sent)
+      const validation = isOnline
+        ? await validateCart(checkItemsAvailability)
+        : { valid: true, unavailableItems: [] };
 
       if (!validation.valid) {
         if (validation.unavailableItems?.length > 0) {
+          // The diner checks the updated cart before reviewing again
           addNotification({
             type: 'warning',
-            message: `${validation.unavailableItems.length} items were removed from your cart as they're no longer available`,
+            message: t('cart.itemsRemoved', { count: validation.unavailableItems.length }),
             duration: 5000
           });
-        } else if (validation.error) {
+          return;
+        }
+        if (validation.error) {
           setValidationError(validation.error);
           return;
         }
@@ -105,33 +187,98 @@ const Cart = ({ onClose }) => {
       const data = prepareOrderData(
         tableNumber,
         sessionId,
-        { special_instructions: specialInstructions.trim() }
+        {
+          special_instructions: specialInstructions.trim(),
+          declared_allergies: declaredAllergies
+        }
       );
 
       setOrderData(data);
+      setReviewedCartIds(cart.map(item => item.cartId));
       setOrderStep('review');
     } catch (error) {
       console.error('Error validating cart:', error);
-      setValidationError('Failed to validate cart items');
+      setValidationError(t('cart.validationFailed'));
     }
-  }, [cart, isOnline, validateCart, prepareOrderData, tableNumber, sessionId, specialInstructions, addNotification]);
+  }, [cart, isOnline, validateCart, checkItemsAvailability, prepareOrderData, tableNumber, sessionId, specialInstructions, declaredAllergies, addNotification, t]);
+
+  // Offer order status push notifications once, after the diner's first order
+  const offerPushNotifications = useCallback(() => {
+    if (!shouldPromptForPush()) return;
+    markPushPrompted();
+
+    addNotification({
+      id: PUSH_OPT_IN_NOTIFICATION_ID,
+      type: 'info',
+      title: t('push.title'),
+      message: t('push.message'),
+      duration: 15000,
+      action: {
+        label: t('push.turnOn'),
+        onClick: async () => {
+          removeNotification(PUSH_OPT_IN_NOTIFICATION_ID);
+
+          try {
+            const subscribed = await subscribeToPush(sessionId);
+            addNotification({
+              type: subscribed ? 'success' : 'info',
+              message: subscribed ? t('push.enabled') : t('push.notEnabled'),
+              duration: 3000
+            });
+          } catch (error) {
+            console.error('Error subscribing to push notifications:', error);
+            addNotification({
+              type: 'error',
+              message: t('push.failed'),
+              duration: 3000
+            });
+          }
+        }
+      }
+    });
+  }, [sessionId, addNotification, removeNotification, t]);
 
   const handleSubmitOrder = useCallback(async () => {
     if (!orderData) return;
 
+    setShowAllergenWarning(false);
     setOrderStep('submitting');
+    const orderWithTip = { ...orderData, tip_amount: tipAmount };
 
     try {
-      const newOrder = await submitNewOrder(orderData);
-      
-      addNotification({
-        type: 'success',
-        message: `Order #${newOrder.id.slice(-8)} placed successfully!`,
-        duration: 5000
-      });
+      if (isOnline) {
+        const newOrder = payNow
+          ? await payAndSubmitOrder(orderWithTip, submitNewOrder)
+          : await submitNewOrder(orderWithTip);
+        
+        addNotification({
+          type: 'success',
+          message: isShared
+            ? t('cart.orderSentForTable', { order: newOrder.id.slice(-8) })
+            : t('cart.orderPlaced', { order: newOrder.id.slice(-8) }),
+          duration: 5000
+        });
+
+        offerPushNotifications();
+      } else {
+        await queueOrder(orderWithTip);
+        setQueuedOffline(true);
+
+        addNotification({
+          type: 'info',
+          message: t('cart.orderQueued'),
+          duration: 5000
+        });
+      }
+
+      abTesting.trackConversion(CATEGORY_NAV_EXPERIMENT, 'order_placed', orderWithTip.total_amount);
 
-      // Clear cart after successful order
-      clearCart();
+      // Clear the ordered lines; anything added meanwhile stays in the cart
+      removeItems(reviewedCartIds);
+      setPromoCode(null);
+      setPromoInput('');
+      setTipSelection(NO_TIP);
+      refreshPromotions();
       setOrderStep('success');
     } catch (error) {
       console.error('Error submitting order:', error);
@@ -139,18 +286,193 @@ const Cart = ({ onClose }) => {
       
       addNotification({
         type: 'error',
-        message: error.message || 'Failed to place order. Please try again.',
+        message: Object.values(PAYMENT_ERRORS).includes(error.code)
+          ? getPaymentErrorMessage(error, language)
+          : error.message || t('cart.orderFailed'),
         duration: 5000
       });
     }
-  }, [orderData, submitNewOrder, clearCart, addNotification]);
+  }, [orderData, tipAmount, isOnline, payNow, submitNewOrder, queueOrder, removeItems, reviewedCartIds, isShared, addNotification, refreshPromotions, offerPushNotifications, t, language]);
+
+  // Dishes containing a declared allergen need an explicit confirmation
+  const handlePlaceOrder = useCallback(() => {
+    if (allergenConflicts.length > 0) {
+      setShowAllergenWarning(true);
+      return;
+    }
+    handleSubmitOrder();
+  }, [allergenConflicts, handleSubmitOrder]);
 
   const handleBackToCart = useCallback(() => {
+    setShowAllergenWarning(false);
     setOrderStep('cart');
     setOrderData(null);
+    setReviewedCartIds([]);
     setValidationError(null);
   }, []);
 
+  const handleSaveName = useCallback(() => {
+    const name = editedName.trim();
+    if (name) {
+      setDinerName(name);
+    }
+    setIsEditingName(false);
+  }, [editedName, setDinerName]);
+
+  const handleApplyPromoCode = (e) => {
+    e.preventDefault();
+    const code = promoInput.trim();
+    setPromoCode(code || null);
+  };
+
+  const handleRemovePromoCode = () => {
+    setPromoCode(null);
+    setPromoInput('');
+  };
+
+  const appliedCodePromotion = appliedPromotions.find(promotion => promotion.code);
+
+  const renderPromoCode = () => (
+    <div className="pt-4 border-t border-border-color">
+      <label htmlFor="promo-code" className="block text-sm font-medium text-text-primary mb-2">
+        {t('cart.promoCode')}
+      </label>
+      {appliedCodePromotion ? (
+        <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg p-3">
+          <div className="flex items-center space-x-2 text-green-700">
+            <Tag className="w-4 h-4" />
+            <span className="text-sm font-medium">
+              {appliedCodePromotion.code} · {appliedCodePromotion.name}
+            </span>
+          </div>
+          <button
+            onClick={handleRemovePromoCode}
+            className="text-xs text-green-700 underline"
+          >
+            {t('common.remove')}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleApplyPromoCode} className="flex space-x-2">
+          <input
+            id="promo-code"
+            type="text"
+            value={promoInput}
+            onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+            placeholder={t('cart.enterCode')}
+            className="form-control flex-1"
+            maxLength={30}
+            autoComplete="off"
+          />
+          <button
+            type="submit"
+            disabled={!promoInput.trim()}
+            className="btn btn-secondary"
+          >
+            {t('cart.apply')}
+          </button>
+        </form>
+      )}
+      {promoCode && promoCodeError && (
+        <p className="text-xs text-red-500 mt-2" role="alert">
+          {getPromotionErrorMessage(promoCodeError.reason, promoCodeError.promotion, { currency: pricing.currency, language })}
+        </p>
+      )}
+      {appliedPromotions.filter(promotion => !promotion.code).map(promotion => (
+        <div key={promotion.promotion_id} className="flex items-center space-x-2 text-green-700 text-sm mt-2">
+          <Tag className="w-4 h-4" />
+          <span>{t('cart.promotionApplied', { promotion: promotion.name })}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderSharedCartBanner = () => (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+      <div className="flex items-center space-x-2 text-blue-700 mb-1">
+        <Users className="w-4 h-4" />
+        <span className="text-sm font-medium">
+          {t('cart.sharedCartTitle', { table: tableNumber })}
+        </span>
+      </div>
+      <p className="text-xs text-blue-600 mb-2">
+        {t('cart.sharedCartHint')}
+      </p>
+      {isEditingName ? (
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={editedName}
+            onChange={(e) => setEditedName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSaveName()}
+            className="form-control text-sm"
+            maxLength={30}
+            autoFocus
+          />
+          <button
+            onClick={handleSaveName}
+            className="btn btn-sm px-3 py-1 text-xs bg-primary-color text-white hover:bg-primary-dark"
+          >
+            {t('common.save')}
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => {
+            setEditedName(dinerName || '');
+            setIsEditingName(true);
+          }}
+          className="flex items-center space-x-1 text-xs text-blue-700"
+        >
+          <span>{t('cart.orderingAs')} <strong>{dinerName}</strong></span>
+          <Edit3 className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+
+  const formatAllergens = (allergens) => (
+    allergens
+      .map(allergen => t(`allergens.${allergen}`, { defaultValue: getAllergenInfo(allergen).label }).toLowerCase())
+      .join(', ')
+  );
+
+  const renderReviewItem = (item, index) => {
+    const conflict = allergenConflicts.find(entry => entry.line === item);
+
+    return (
+      <div key={index} className="flex justify-between items-center py-2 border-b border-border-color">
+        <div className="flex-1">
+          <h4 className="font-medium text-text-primary">{getLineName(item)}</h4>
+          {item.modifiers?.length > 0 && (
+            <p className="text-sm text-text-secondary">
+              {formatModifiers(item.modifiers)}
+            </p>
+          )}
+          {conflict && (
+            <p className="flex items-center space-x-1 text-sm font-medium text-red-600">
+              <ShieldAlert className="w-4 h-4" />
+              <span>{t('cart.contains', { allergens: formatAllergens(conflict.allergens) })}</span>
+            </p>
+          )}
+          {item.special_instructions && (
+            <p className="text-sm text-text-secondary italic">
+              {t('cart.note', { note: item.special_instructions })}
+            </p>
+          )}
+        </div>
+        <div className="text-right">
+          <div className="font-medium">
+            {item.quantity}× {formatPrice(item.price)}
+          </div>
+          <div className="text-sm text-text-secondary">
+            {formatPrice(multiplyAmount(item.price, item.quantity, currency))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderCartContent = () => {
     if (cart.length === 0) {
       return (
@@ -158,16 +480,16 @@ const Cart = ({ onClose }) => {
           <div className="text-center">
             <ShoppingCart className="w-16 h-16 text-text-light mx-auto mb-4" />
             <h3 className="text-xl font-semibold text-text-primary mb-2">
-              Your cart is empty
+              {t('cart.empty')}
             </h3>
             <p className="text-text-secondary mb-6">
-              Add some delicious items to get started!
+              {t('cart.emptyHint')}
             </p>
             <button
               onClick={onClose}
               className="btn btn-primary"
             >
-              Browse Menu
+              {t('cart.browseMenu')}
             </button>
           </div>
         </div>
@@ -178,6 +500,8 @@ const Cart = ({ onClose }) => {
       <>
         {/* Cart Items */}
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {isShared && renderSharedCartBanner()}
+
           <AnimatePresence>
             {cart.map((item, index) => (
               <motion.div
@@ -187,29 +511,41 @@ const Cart = ({ onClose }) => {
                 exit={{ opacity: 0, x: -300 }}
                 transition={{ delay: index * 0.1 }}
               >
-                <CartItem item={item} />
+                <CartItem item={item} displayName={getLineName(item)} />
               </motion.div>
             ))}
           </AnimatePresence>
 
+          {/* Complete your meal */}
+          {suggestions.length > 0 && (
+            <div className="pt-4 border-t border-border-color">
+              <h3 className="text-sm font-medium text-text-primary mb-3">
+                {t('cart.completeYourMeal')}
+              </h3>
+              <PairingSuggestions suggestions={suggestions} source="cart" />
+            </div>
+          )}
+
           {/* Special Instructions */}
           <div className="pt-4 border-t border-border-color">
             <label className="block text-sm font-medium text-text-primary mb-2">
-              Special Instructions for the Kitchen
+              {t('cart.kitchenInstructions')}
             </label>
             <textarea
               rows={3}
-              placeholder="Any special requests, allergies, or modifications..."
+              placeholder={t('cart.kitchenInstructionsPlaceholder')}
               value={specialInstructions}
               onChange={(e) => setSpecialInstructions(e.target.value)}
               className="form-control resize-none"
               maxLength={300}
             />
             <div className="text-xs text-text-light mt-1">
-              {specialInstructions.length}/300 characters
+              {t('cart.characterCount', { count: specialInstructions.length, max: 300 })}
             </div>
           </div>
 
+          {renderPromoCode()}
+
           {/* Validation Error */}
           {validationError && (
             <motion.div
@@ -228,8 +564,15 @@ const Cart = ({ onClose }) => {
         {/* Cart Summary */}
         <div className="border-t border-border-color bg-surface-color">
           <CartSummary
-            subtotal={cartTotal}
-            total={cartTotal}
+            subtotal={pricing.subtotal}
+            total={pricing.total}
+            taxAmount={pricing.taxAmount}
+            serviceCharge={pricing.serviceCharge}
+            discount={pricing.discount}
+            discounts={appliedPromotions}
+            rounding={pricing.rounding}
+            taxInclusive={pricing.taxInclusive}
+            taxLines={pricing.taxLines}
             estimatedTime={estimatedPrepTime}
             itemCount={cartItemCount}
           />
@@ -237,15 +580,15 @@ const Cart = ({ onClose }) => {
           <div className="p-4">
             <button
               onClick={handleProceedToReview}
-              disabled={cart.length === 0 || !isOnline}
+              disabled={cart.length === 0}
               className="btn btn-primary w-full btn-lg"
             >
-              Review Order
+              {isShared ? t('cart.reviewTableOrder') : t('cart.reviewOrder')}
             </button>
             
             {!isOnline && (
-              <p className="text-xs text-red-500 text-center mt-2">
-                Internet connection required to place order
+              <p className="text-xs text-text-secondary text-center mt-2">
+                {t('cart.offlineHint')}
               </p>
             )}
           </div>
@@ -259,54 +602,84 @@ const Cart = ({ onClose }) => {
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         <div className="text-center mb-6">
           <h3 className="text-xl font-bold text-text-primary mb-2">
-            Review Your Order
+            {t('cart.reviewTitle')}
           </h3>
           <p className="text-text-secondary">
-            Please review your order before placing it
+            {t('cart.reviewHint')}
           </p>
         </div>
 
         {/* Order Items */}
-        <div className="space-y-3">
-          {orderData?.order_items.map((item, index) => (
-            <div key={index} className="flex justify-between items-center py-2 border-b border-border-color">
-              <div className="flex-1">
-                <h4 className="font-medium text-text-primary">{item.name}</h4>
-                {item.special_instructions && (
-                  <p className="text-sm text-text-secondary italic">
-                    Note: {item.special_instructions}
-                  </p>
-                )}
-              </div>
-              <div className="text-right">
-                <div className="font-medium">
-                  {item.quantity}× ${item.price.toFixed(2)}
-                </div>
-                <div className="text-sm text-text-secondary">
-                  ${(item.price * item.quantity).toFixed(2)}
-                </div>
-              </div>
+        {isShared ? (
+          Object.entries(reviewItemsByDiner).map(([dinerKey, diner]) => (
+            <div key={dinerKey} className="space-y-3">
+              <h4 className="text-sm font-semibold text-text-secondary uppercase">
+                {diner.isCurrentDiner
+                  ? t('cart.currentDiner', { name: diner.dinerName || t('cart.you') })
+                  : (diner.dinerName || t('cart.guest'))}
+              </h4>
+              {diner.items.map(renderReviewItem)}
             </div>
-          ))}
-        </div>
+          ))
+        ) : (
+          <div className="space-y-3">
+            {orderData?.order_items.map(renderReviewItem)}
+          </div>
+        )}
+
+        {/* Declared Allergies */}
+        {orderData?.declared_allergies?.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+            <div className="flex items-center space-x-2 text-red-700">
+              <ShieldAlert className="w-5 h-5" />
+              <h4 className="font-medium">
+                {t('cart.allergies', { allergens: formatAllergens(orderData.declared_allergies) })}
+              </h4>
+            </div>
+            <p className="text-sm text-red-700 mt-1">
+              {t('cart.allergiesFlagged')}
+            </p>
+          </div>
+        )}
 
         {/* Special Instructions */}
         {orderData?.special_instructions && (
           <div className="bg-background-color rounded-lg p-3">
             <h4 className="font-medium text-text-primary mb-1">
-              Special Instructions
+              {t('cart.specialInstructions')}
             </h4>
             <p className="text-sm text-text-secondary">
               {orderData.special_instructions}
             </p>
           </div>
         )}
+
+        {/* Tip */}
+        {tipsEnabled && (
+          <div className="pt-4 border-t border-border-color">
+            <TipSelector
+              subtotal={orderData?.subtotal_amount || 0}
+              value={tipSelection}
+              onChange={setTipSelection}
+              presets={tipPresets}
+              disabled={submittingOrder}
+            />
+          </div>
+        )}
       </div>
 
       <div className="border-t border-border-color bg-surface-color">
         <CartSummary
-          subtotal={orderData?.total_amount || 0}
+          subtotal={orderData?.subtotal_amount || 0}
           total={orderData?.total_amount || 0}
+          taxAmount={orderData?.tax_amount || 0}
+          serviceCharge={orderData?.service_charge_amount || 0}
+          discount={orderData?.discount_amount || 0}
+          discounts={orderData?.applied_promotions || []}
+          rounding={orderData?.rounding_amount || 0}
+          taxInclusive={orderData?.tax_inclusive}
+          taxLines={orderData?.tax_breakdown || []}
+          tip={tipAmount}
           estimatedTime={orderData?.estimated_prep_time}
           itemCount={orderData?.order_items.reduce((sum, item) => sum + item.quantity, 0)}
           tableNumber={tableNumber}
@@ -314,17 +687,17 @@ const Cart = ({ onClose }) => {
         
         <div className="p-4 space-y-3">
           <button
-            onClick={handleSubmitOrder}
+            onClick={handlePlaceOrder}
             disabled={submittingOrder}
             className="btn btn-primary w-full btn-lg"
           >
             {submittingOrder ? (
               <div className="flex items-center justify-center space-x-2">
                 <Loader2 className="w-5 h-5 animate-spin" />
-                <span>Placing Order...</span>
+                <span>{t('cart.placingOrderProgress')}</span>
               </div>
             ) : (
-              `Place Order • $${orderData?.total_amount.toFixed(2)}`
+              `${!isOnline ? t('cart.saveOrder') : payNow ? t('cart.payAndPlaceOrder') : isShared ? t('cart.submitForTable') : t('cart.placeOrder')} • ${formatPrice(addAmounts([orderData?.total_amount || 0, tipAmount], currency))}`
             )}
           </button>
           
@@ -333,10 +706,65 @@ const Cart = ({ onClose }) => {
             disabled={submittingOrder}
             className="btn btn-secondary w-full"
           >
-            Back to Cart
+            {t('cart.backToCart')}
           </button>
         </div>
       </div>
+
+      {/* Allergen Confirmation */}
+      <AnimatePresence>
+        {showAllergenWarning && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 z-10 flex items-end sm:items-center justify-center bg-black bg-opacity-50 p-4"
+          >
+            <motion.div
+              initial={{ y: 40 }}
+              animate={{ y: 0 }}
+              exit={{ y: 40 }}
+              role="alertdialog"
+              aria-modal="true"
+              aria-labelledby="allergen-warning-title"
+              className="w-full bg-surface-color rounded-lg p-4 space-y-4"
+            >
+              <div className="flex items-center space-x-2 text-red-600">
+                <ShieldAlert className="w-6 h-6" />
+                <h3 id="allergen-warning-title" className="text-lg font-bold">
+                  {t('cart.allergenWarningTitle')}
+                </h3>
+              </div>
+              <p className="text-sm text-text-secondary">
+                {t('cart.allergenWarningMessage', { allergens: formatAllergens(declaredAllergies) })}
+              </p>
+              <ul className="space-y-2">
+                {allergenConflicts.map(({ line, allergens }, index) => (
+                  <li key={index} className="flex justify-between text-sm">
+                    <span className="font-medium text-text-primary">{line.quantity}× {getLineName(line)}</span>
+                    <span className="text-red-600">{formatAllergens(allergens)}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="space-y-2">
+                <button
+                  onClick={handleBackToCart}
+                  className="btn btn-primary w-full"
+                  autoFocus
+                >
+                  {t('cart.changeOrder')}
+                </button>
+                <button
+                  onClick={handleSubmitOrder}
+                  className="btn btn-secondary w-full"
+                >
+                  {t('cart.confirmAllergens')}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </>
   );
 
@@ -351,10 +779,10 @@ const Cart = ({ onClose }) => {
           <Loader2 className="w-16 h-16 text-primary-color mx-auto" />
         </motion.div>
         <h3 className="text-xl font-semibold text-text-primary mb-2">
-          Placing Your Order
+          {payNow ? t('cart.processingPayment') : t('cart.placingYourOrder')}
         </h3>
         <p className="text-text-secondary">
-          Please wait while we process your order...
+          {payNow ? t('cart.processingPaymentHint') : t('cart.placingYourOrderHint')}
         </p>
       </div>
     </div>
@@ -372,13 +800,13 @@ const Cart = ({ onClose }) => {
           <CheckCircle className="w-16 h-16 text-green-500 mx-auto" />
         </motion.div>
         <h3 className="text-xl font-semibold text-text-primary mb-2">
-          Order Placed Successfully!
+          {queuedOffline ? t('cart.orderSavedTitle') : t('cart.orderPlacedTitle')}
         </h3>
         <p className="text-text-secondary mb-4">
-          Your order has been sent to the kitchen. You'll receive updates on the status.
+          {queuedOffline ? t('cart.orderSavedHint') : t('cart.orderPlacedHint')}
         </p>
         <div className="text-sm text-text-secondary">
-          Closing automatically...
+          {t('cart.closingAutomatically')}
         </div>
       </div>
     </div>
@@ -402,15 +830,15 @@ const Cart = ({ onClose }) => {
   const getTitle = () => {
     switch (orderStep) {
       case 'cart':
-        return `Cart (${cartItemCount})`;
+        return t('cart.titleWithCount', { count: cartItemCount });
       case 'review':
-        return 'Review Order';
+        return t('cart.reviewOrder');
       case 'submitting':
-        return 'Placing Order';
+        return t('cart.placingOrder');
       case 'success':
-        return 'Order Confirmed';
+        return t('cart.orderConfirmed');
       default:
-        return 'Cart';
+        return t('cart.title');
     }
   };
 
@@ -425,13 +853,13 @@ const Cart = ({ onClose }) => {
       {/* Backdrop */}
       <div className="absolute inset-0 bg-black bg-opacity-50" />
 
-      {/* Cart Panel */}
+      {/* Cart Panel (slides in from the end edge, so from the left in RTL) */}
       <motion.div
-        initial={{ x: '100%' }}
+        initial={{ x: dir === 'rtl' ? '-100%' : '100%' }}
         animate={{ x: 0 }}
-        exit={{ x: '100%' }}
+        exit={{ x: dir === 'rtl' ? '-100%' : '100%' }}
         transition={{ type: 'tween', duration: 0.3 }}
-        className="ml-auto w-full max-w-md bg-surface-color flex flex-col h-full safe-area-bottom"
+        className={`relative ${dir === 'rtl' ? 'mr-auto' : 'ml-auto'} w-full max-w-md bg-surface-color flex flex-col h-full safe-area-bottom`}
         onClick={(e) => e.stopPropagation()}
       >
         {/* Header */}
@@ -442,7 +870,7 @@ const Cart = ({ onClose }) => {
           <button
             onClick={onClose}
             className="p-2 rounded-full hover:bg-background-color transition-colors touch-target"
-            aria-label="Close cart"
+            aria-label={t('cart.close')}
           >
             <X className="w-5 h-5 text-text-secondary" />
           </button>
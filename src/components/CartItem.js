@@ -3,10 +3,18 @@ import { motion } from 'framer-motion';
 import { Plus, Minus, Trash2, Edit3 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
 import useCart from '../hooks/useCart';
+import useMoney from '../hooks/useMoney';
+import useTranslation from '../i18n/useTranslation';
+import { formatModifiers } from '../utils/modifiers';
+import { multiplyAmount } from '../utils/money';
 
-const CartItem = ({ item }) => {
-  const { sessionId, addNotification } = useApp();
-  const { updateQuantity, removeFromCart, updateSpecialInstructions } = useCart(sessionId);
+// `displayName` is the dish in the diner's language; item.name stays in the
+// default language for the kitchen
+const CartItem = ({ item, displayName = item.name }) => {
+  const { sessionId, tableSessionId, dinerName, addNotification } = useApp();
+  const { t, language } = useTranslation();
+  const { updateQuantity, removeFromCart, updateSpecialInstructions } = useCart(sessionId, { tableSessionId, dinerName });
+  const { currency, formatPrice } = useMoney(language);
   
   const [isEditing, setIsEditing] = useState(false);
   const [editedInstructions, setEditedInstructions] = useState(item.specialInstructions || '');
@@ -23,7 +31,7 @@ const CartItem = ({ item }) => {
     removeFromCart(item.cartId);
     addNotification({
       type: 'info',
-      message: `${item.name} removed from cart`,
+      message: t('cart.removed', { name: displayName }),
       duration: 2000
     });
   };
@@ -35,7 +43,7 @@ const CartItem = ({ item }) => {
     if (editedInstructions.trim() !== (item.specialInstructions || '')) {
       addNotification({
         type: 'success',
-        message: 'Special instructions updated',
+        message: t('cart.instructionsUpdated'),
         duration: 2000
       });
     }
@@ -46,8 +54,7 @@ const CartItem = ({ item }) => {
     setIsEditing(false);
   };
 
-  const formatPrice = (price) => `$${price.toFixed(2)}`;
-  const itemTotal = item.price * item.quantity;
+  const itemTotal = multiplyAmount(item.price, item.quantity, currency);
 
   return (
     <motion.div
@@ -62,7 +69,7 @@ const CartItem = ({ item }) => {
           {item.image_url ? (
             <img
               src={item.image_url}
-              alt={item.name}
+              alt={displayName}
               className="w-full h-full object-cover rounded-lg"
               onError={(e) => {
                 e.target.style.display = 'none';
@@ -85,17 +92,31 @@ const CartItem = ({ item }) => {
         <div className="flex-1 min-w-0">
           <div className="flex items-start justify-between mb-2">
             <h3 className="font-semibold text-text-primary leading-tight">
-              {item.name}
+              {displayName}
             </h3>
             <button
               onClick={handleRemove}
               className="p-1 text-text-light hover:text-red-500 transition-colors"
-              aria-label={`Remove ${item.name} from cart`}
+              aria-label={t('cart.removeItem', { name: displayName })}
             >
               <Trash2 className="w-4 h-4" />
             </button>
           </div>
 
+          {/* Who added the line to a shared table cart */}
+          {tableSessionId && item.addedByName && (
+            <p className="text-xs text-text-light mb-1">
+              {item.addedBy === sessionId ? t('cart.addedByYou') : t('cart.addedBy', { name: item.addedByName })}
+            </p>
+          )}
+
+          {/* Modifiers */}
+          {item.modifiers && item.modifiers.length > 0 && (
+            <p className="text-sm text-text-secondary mb-2">
+              {formatModifiers(item.modifiers)}
+            </p>
+          )}
+
           {/* Price and Category */}
           <div className="flex items-center justify-between mb-3">
             <span className="text-sm text-text-secondary capitalize">
@@ -106,7 +127,7 @@ const CartItem = ({ item }) => {
                 {formatPrice(itemTotal)}
               </div>
               <div className="text-xs text-text-secondary">
-                {formatPrice(item.price)} each
+                {t('cart.priceEach', { price: formatPrice(item.price) })}
               </div>
             </div>
           </div>
@@ -114,13 +135,13 @@ const CartItem = ({ item }) => {
           {/* Quantity Controls */}
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-3">
-              <span className="text-sm font-medium text-text-primary">Qty:</span>
+              <span className="text-sm font-medium text-text-primary">{t('cart.quantity')}</span>
               <div className="flex items-center space-x-2">
                 <motion.button
                   whileTap={{ scale: 0.9 }}
                   onClick={() => handleQuantityChange(item.quantity - 1)}
                   className="w-8 h-8 rounded-full border border-border-color flex items-center justify-center hover:bg-background-color transition-colors touch-target"
-                  aria-label="Decrease quantity"
+                  aria-label={t('cart.decreaseQuantity')}
                 >
                   <Minus className="w-3 h-3" />
                 </motion.button>
@@ -131,7 +152,7 @@ const CartItem = ({ item }) => {
                   whileTap={{ scale: 0.9 }}
                   onClick={() => handleQuantityChange(item.quantity + 1)}
                   className="w-8 h-8 rounded-full border border-border-color flex items-center justify-center hover:bg-background-color transition-colors touch-target"
-                  aria-label="Increase quantity"
+                  aria-label={t('cart.increaseQuantity')}
                 >
                   <Plus className="w-3 h-3" />
                 </motion.button>
@@ -156,7 +177,7 @@ const CartItem = ({ item }) => {
                       <div className="flex items-center space-x-2 mb-1">
                         <Edit3 className="w-3 h-3 text-yellow-600" />
                         <span className="text-xs font-medium text-yellow-700">
-                          Special Instructions:
+                          {t('cart.itemInstructions')}
                         </span>
                       </div>
                       <p className="text-sm text-yellow-800">
@@ -165,14 +186,14 @@ const CartItem = ({ item }) => {
                     </div>
                   ) : (
                     <div className="text-xs text-text-light italic">
-                      No special instructions
+                      {t('cart.noInstructions')}
                     </div>
                   )}
                 </div>
                 <button
                   onClick={() => setIsEditing(true)}
                   className="ml-2 p-1 text-text-light hover:text-primary-color transition-colors"
-                  aria-label="Edit special instructions"
+                  aria-label={t('cart.editInstructions')}
                 >
                   <Edit3 className="w-3 h-3" />
                 </button>
@@ -185,7 +206,7 @@ const CartItem = ({ item }) => {
               >
                 <textarea
                   rows={2}
-                  placeholder="Add special instructions..."
+                  placeholder={t('cart.instructionsPlaceholder')}
                   value={editedInstructions}
                   onChange={(e) => setEditedInstructions(e.target.value)}
                   className="form-control text-sm resize-none"
@@ -201,13 +222,13 @@ const CartItem = ({ item }) => {
                       onClick={handleCancelEdit}
                       className="btn btn-sm px-3 py-1 text-xs bg-gray-100 text-gray-600 hover:bg-gray-200"
                     >
-                      Cancel
+                      {t('cart.cancel')}
                     </button>
                     <button
                       onClick={handleSaveInstructions}
                       className="btn btn-sm px-3 py-1 text-xs bg-primary-color text-white hover:bg-primary-dark"
                     >
-                      Save
+                      {t('common.save')}
                     </button>
                   </div>
                 </div>
@@ -1,5 +1,7 @@
 import React from 'react';
 import { Clock, MapPin, Receipt } from 'lucide-react';
+import useMoney from '../hooks/useMoney';
+import useTranslation from '../i18n/useTranslation';
 
 const CartSummary = ({ 
   subtotal = 0, 
@@ -9,21 +11,44 @@ const CartSummary = ({
   tableNumber = null,
   taxAmount = 0,
   serviceCharge = 0,
-  discount = 0
+  discount = 0,
+  discounts = [],
+  rounding = 0,
+  taxInclusive = false,
+  taxLines = [],
+  tip = 0
 }) => {
-  const formatPrice = (price) => `$${price.toFixed(2)}`;
+  const { t, language } = useTranslation();
+  const { formatPrice } = useMoney(language);
   
   const formatTime = (minutes) => {
     if (minutes < 60) {
-      return `${minutes} min`;
+      return t('common.minutesShort', { minutes });
     }
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
-    return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+    return remainingMinutes > 0
+      ? t('common.hoursMinutesShort', { hours, minutes: remainingMinutes })
+      : t('common.hoursShort', { hours });
   };
 
+  const formatRate = (rate) => (
+    new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 2 }).format(rate)
+  );
+
   // Calculate breakdown if we have additional charges
-  const hasBreakdown = taxAmount > 0 || serviceCharge > 0 || discount > 0;
+  const hasBreakdown = taxAmount > 0 || serviceCharge > 0 || discount > 0 || rounding !== 0 || tip > 0;
+
+  // Show one tax line per rate when items are taxed differently (e.g. alcohol)
+  const displayedTaxLines = taxLines.length > 1
+    ? taxLines.map(line => ({ label: t('cart.taxAtRate', { rate: formatRate(line.rate) }), amount: line.tax }))
+    : [{ label: taxLines.length === 1 ? t('cart.taxAtRate', { rate: formatRate(taxLines[0].rate) }) : t('cart.tax'), amount: taxAmount }];
+
+  const inclusiveTaxNote = taxLines.length > 1
+    ? t('cart.includesTaxes')
+    : taxLines.length === 1
+      ? t('cart.includesTaxAtRate', { rate: formatRate(taxLines[0].rate) })
+      : t('cart.includesTax');
 
   return (
     <div className="bg-background-color border-t border-border-color p-4 space-y-4">
@@ -33,14 +58,14 @@ const CartSummary = ({
           {tableNumber && (
             <div className="flex items-center space-x-1 text-text-secondary">
               <MapPin className="w-4 h-4" />
-              <span>Table {tableNumber}</span>
+              <span>{t('common.table', { table: tableNumber })}</span>
             </div>
           )}
           
           {itemCount > 0 && (
             <div className="flex items-center space-x-1 text-text-secondary">
               <Receipt className="w-4 h-4" />
-              <span>{itemCount} item{itemCount !== 1 ? 's' : ''}</span>
+              <span>{t('cart.itemCount', { count: itemCount })}</span>
             </div>
           )}
           
@@ -57,38 +82,66 @@ const CartSummary = ({
       <div className="space-y-2">
         {/* Subtotal */}
         <div className="flex justify-between items-center">
-          <span className="text-text-secondary">Subtotal</span>
+          <span className="text-text-secondary">{t('cart.subtotal')}</span>
           <span className="font-medium text-text-primary">
             {formatPrice(subtotal)}
           </span>
         </div>
 
-        {/* Tax */}
-        {taxAmount > 0 && (
+        {/* Discount - one line per applied promotion when they are known */}
+        {discount > 0 && discounts.length === 0 && (
           <div className="flex justify-between items-center">
-            <span className="text-text-secondary">Tax</span>
-            <span className="font-medium text-text-primary">
-              {formatPrice(taxAmount)}
+            <span className="text-green-600">{t('cart.discount')}</span>
+            <span className="font-medium text-green-600">
+              -{formatPrice(discount)}
             </span>
           </div>
         )}
+        {discount > 0 && discounts.map(promotion => (
+          <div key={promotion.promotion_id} className="flex justify-between items-center">
+            <span className="text-green-600">{promotion.name}</span>
+            <span className="font-medium text-green-600">
+              -{formatPrice(promotion.discount)}
+            </span>
+          </div>
+        ))}
+
+        {/* Tax - exclusive tax is added on top, inclusive tax is already in the prices */}
+        {taxAmount > 0 && !taxInclusive && displayedTaxLines.map(line => (
+          <div key={line.label} className="flex justify-between items-center">
+            <span className="text-text-secondary">{line.label}</span>
+            <span className="font-medium text-text-primary">
+              {formatPrice(line.amount)}
+            </span>
+          </div>
+        ))}
 
         {/* Service Charge */}
         {serviceCharge > 0 && (
           <div className="flex justify-between items-center">
-            <span className="text-text-secondary">Service Charge</span>
+            <span className="text-text-secondary">{t('cart.serviceCharge')}</span>
             <span className="font-medium text-text-primary">
               {formatPrice(serviceCharge)}
             </span>
           </div>
         )}
 
-        {/* Discount */}
-        {discount > 0 && (
+        {/* Cash rounding */}
+        {rounding !== 0 && (
           <div className="flex justify-between items-center">
-            <span className="text-green-600">Discount</span>
-            <span className="font-medium text-green-600">
-              -{formatPrice(discount)}
+            <span className="text-text-secondary">{t('cart.rounding')}</span>
+            <span className="font-medium text-text-primary">
+              {rounding < 0 ? '-' : ''}{formatPrice(Math.abs(rounding))}
+            </span>
+          </div>
+        )}
+
+        {/* Tip - stored separately from the order total */}
+        {tip > 0 && (
+          <div className="flex justify-between items-center">
+            <span className="text-text-secondary">{t('cart.tip')}</span>
+            <span className="font-medium text-text-primary">
+              {formatPrice(tip)}
             </span>
           </div>
         )}
@@ -100,11 +153,19 @@ const CartSummary = ({
 
         {/* Total */}
         <div className="flex justify-between items-center text-lg font-bold">
-          <span className="text-text-primary">Total</span>
+          <span className="text-text-primary">{t('cart.total')}</span>
           <span className="text-primary-color">
-            {formatPrice(total)}
+            {formatPrice(total + tip)}
           </span>
         </div>
+
+        {/* Inclusive tax note */}
+        {taxAmount > 0 && taxInclusive && (
+          <div className="flex justify-between items-center text-xs text-text-secondary">
+            <span>{inclusiveTaxNote}</span>
+            <span>{formatPrice(taxAmount)}</span>
+          </div>
+        )}
       </div>
 
       {/* Estimated Prep Time Highlight */}
@@ -113,11 +174,11 @@ const CartSummary = ({
           <div className="flex items-center space-x-2 text-blue-700">
             <Clock className="w-4 h-4" />
             <span className="text-sm font-medium">
-              Estimated preparation time: {formatTime(estimatedTime)}
+              {t('cart.estimatedPrepTime', { time: formatTime(estimatedTime) })}
             </span>
           </div>
           <p className="text-xs text-blue-600 mt-1">
-            We'll notify you when your order is ready
+            {t('cart.readyNotification')}
           </p>
         </div>
       )}
@@ -125,7 +186,7 @@ const CartSummary = ({
       {/* Empty state message */}
       {itemCount === 0 && (
         <div className="text-center text-text-secondary py-4">
-          <p className="text-sm">Your cart is empty</p>
+          <p className="text-sm">{t('cart.empty')}</p>
         </div>
       )}
     </div>
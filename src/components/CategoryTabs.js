@@ -1,17 +1,19 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
-
-const CATEGORY_CONFIG = {
-  all: { label: 'All', emoji: '🍽️' },
-  meat: { label: 'Meat', emoji: '🥩' },
-  vegetable: { label: 'Vegetarian', emoji: '🥗' },
-  sauces: { label: 'Sauces', emoji: '🍯' },
-  desserts: { label: 'Desserts', emoji: '🍰' },
-  drinks: { label: 'Drinks', emoji: '🥤' }
-};
-
-const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {} }) => {
+import useTranslation from '../i18n/useTranslation';
+
+// scrollLeft runs from 0 to the overflow in LTR, and from minus the overflow
+// up to 0 in RTL (where the tabs start at the right edge)
+const getMinScrollLeft = (container) => (
+  getComputedStyle(container).direction === 'rtl' ? -(container.scrollWidth - container.clientWidth) : 0
+);
+
+// `categories` are menu_categories rows ({ id, name, icon }) in display order,
+// usually useMenu's availableCategories (led by the "All" pseudo-category).
+// With `scrollSpy` the tabs jump to sections instead of filtering.
+const CategoryTabs = ({ categories = [], selectedCategory, onCategoryChange, categoryCounts = {}, scrollSpy = false }) => {
+  const { t } = useTranslation();
   const scrollContainerRef = useRef(null);
   const [showLeftArrow, setShowLeftArrow] = useState(false);
   const [showRightArrow, setShowRightArrow] = useState(false);
@@ -21,9 +23,11 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
   const updateArrowVisibility = () => {
     if (!scrollContainerRef.current) return;
 
-    const { scrollLeft, scrollWidth, clientWidth } = scrollContainerRef.current;
-    setShowLeftArrow(scrollLeft > 0);
-    setShowRightArrow(scrollLeft < scrollWidth - clientWidth - 1);
+    const container = scrollContainerRef.current;
+    const minScrollLeft = getMinScrollLeft(container);
+    const { scrollLeft, scrollWidth, clientWidth } = container;
+    setShowLeftArrow(scrollLeft > minScrollLeft);
+    setShowRightArrow(scrollLeft < minScrollLeft + scrollWidth - clientWidth - 1);
   };
 
   // Scroll to active tab when category changes
@@ -38,17 +42,18 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
       const isTabVisible = tabRect.left >= containerRect.left && 
                           tabRect.right <= containerRect.right;
       
+      // Centre the tab by its on-screen offset, which works in either direction
       if (!isTabVisible) {
-        const scrollLeft = activeTab.offsetLeft - (container.clientWidth / 2) + (activeTab.clientWidth / 2);
-        container.scrollTo({
-          left: Math.max(0, scrollLeft),
+        const offset = (tabRect.left + tabRect.width / 2) - (containerRect.left + containerRect.width / 2);
+        container.scrollBy({
+          left: offset,
           behavior: 'smooth'
         });
       }
     }
   }, [selectedCategory, activeTabRef]);
 
-  // Initial arrow visibility check
+  // Arrow visibility check, repeated when categories change live
   useEffect(() => {
     updateArrowVisibility();
     
@@ -56,7 +61,7 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
     window.addEventListener('resize', handleResize);
     
     return () => window.removeEventListener('resize', handleResize);
-  }, []);
+  }, [categories]);
 
   const handleScroll = (direction) => {
     if (!scrollContainerRef.current) return;
@@ -68,7 +73,7 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
       : container.scrollLeft + scrollAmount;
 
     container.scrollTo({
-      left: Math.max(0, targetScroll),
+      left: Math.max(getMinScrollLeft(container), targetScroll),
       behavior: 'smooth'
     });
   };
@@ -78,8 +83,8 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
   };
 
   // Get available categories (only show categories with items)
-  const availableCategories = Object.keys(CATEGORY_CONFIG).filter(category => 
-    category === 'all' || (categoryCounts[category] && categoryCounts[category] > 0)
+  const availableCategories = categories.filter(category => 
+    category.id === 'all' || (categoryCounts[category.id] && categoryCounts[category.id] > 0)
   );
 
   return (
@@ -92,7 +97,7 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
           exit={{ opacity: 0 }}
           onClick={() => handleScroll('left')}
           className="absolute left-0 top-0 bottom-0 z-10 w-10 bg-gradient-to-r from-surface-color to-transparent flex items-center justify-center"
-          aria-label="Scroll categories left"
+          aria-label={t('menu.scrollCategoriesLeft')}
         >
           <ChevronLeft className="w-5 h-5 text-text-secondary" />
         </motion.button>
@@ -106,7 +111,7 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
           exit={{ opacity: 0 }}
           onClick={() => handleScroll('right')}
           className="absolute right-0 top-0 bottom-0 z-10 w-10 bg-gradient-to-l from-surface-color to-transparent flex items-center justify-center"
-          aria-label="Scroll categories right"
+          aria-label={t('menu.scrollCategoriesRight')}
         >
           <ChevronRight className="w-5 h-5 text-text-secondary" />
         </motion.button>
@@ -125,15 +130,14 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
       >
         <div className="flex space-x-2 px-4 min-w-max">
           {availableCategories.map((category) => {
-            const config = CATEGORY_CONFIG[category];
-            const isActive = selectedCategory === category;
-            const count = categoryCounts[category] || 0;
+            const isActive = selectedCategory === category.id;
+            const count = categoryCounts[category.id] || 0;
 
             return (
               <motion.button
-                key={category}
+                key={category.id}
                 ref={isActive ? setActiveTabRef : null}
-                onClick={() => handleTabClick(category)}
+                onClick={() => handleTabClick(category.id)}
                 whileTap={{ scale: 0.95 }}
                 className={`
                   relative flex items-center space-x-2 px-4 py-2 rounded-full
@@ -144,15 +148,19 @@ const CategoryTabs = ({ selectedCategory, onCategoryChange, categoryCounts = {}
                   }
                 `}
                 aria-pressed={isActive}
-                aria-label={`Filter by ${config.label} category`}
+                aria-label={scrollSpy
+                  ? t('menu.goToCategory', { category: category.name })
+                  : t('menu.filterByCategory', { category: category.name })}
               >
-                <span className="text-lg" role="img" aria-label={config.label}>
-                  {config.emoji}
-                </span>
+                {category.icon && (
+                  <span className="text-lg" role="img" aria-label={category.name}>
+                    {category.icon}
+                  </span>
+                )}
                 <span className="font-medium">
-                  {config.label}
+                  {category.name}
                 </span>
-                {category !== 'all' && count > 0 && (
+                {category.id !== 'all' && count > 0 && (
                   <span className={`
                     text-xs px-2 py-0.5 rounded-full font-medium
                     ${isActive
@@ -0,0 +1,100 @@
+import React from 'react';
+import useTranslation from '../i18n/useTranslation';
+import { ALLERGENS, DIETARY_TAGS, SPICE_FILTERS, hasActiveDietaryFilters } from '../utils/dietary';
+
+// Allergen exclusions, required dietary tags and spice preference.
+// `filters` comes from useMenu; see utils/dietary for its shape.
+const DietaryFilterPanel = ({
+  filters,
+  onToggleAllergen,
+  onToggleTag,
+  onSpiceChange,
+  onClear
+}) => {
+  const { t } = useTranslation();
+
+  const chipClassName = (selected) => (
+    `flex items-center space-x-1 px-3 py-1.5 rounded-full border text-sm transition-colors touch-target ${
+      selected
+        ? 'bg-primary-color text-white border-primary-color'
+        : 'bg-surface-color text-text-primary border-border-color hover:bg-background-color'
+    }`
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-text-primary mb-2">{t('dietary.excludeAllergens')}</h3>
+        <div className="flex flex-wrap gap-2">
+          {ALLERGENS.map(allergen => {
+            const selected = filters.excludedAllergens.includes(allergen.id);
+            return (
+              <button
+                key={allergen.id}
+                onClick={() => onToggleAllergen(allergen.id)}
+                aria-pressed={selected}
+                className={chipClassName(selected)}
+              >
+                <span>{allergen.emoji}</span>
+                <span>{t(`allergens.${allergen.id}`, { defaultValue: allergen.label })}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-text-primary mb-2">{t('dietary.dietaryNeeds')}</h3>
+        <div className="flex flex-wrap gap-2">
+          {DIETARY_TAGS.map(tag => {
+            const selected = filters.requiredTags.includes(tag.id);
+            return (
+              <button
+                key={tag.id}
+                onClick={() => onToggleTag(tag.id)}
+                aria-pressed={selected}
+                className={chipClassName(selected)}
+              >
+                <span>{tag.emoji}</span>
+                <span>{t(`dietary.tags.${tag.id}`, { defaultValue: tag.label })}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-text-primary mb-2">{t('dietary.spiceLevel')}</h3>
+        <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={t('dietary.spiceLevel')}>
+          {Object.entries(SPICE_FILTERS).map(([id, spice]) => (
+            <button
+              key={id}
+              role="radio"
+              aria-checked={filters.spice === id}
+              onClick={() => onSpiceChange(id)}
+              className={chipClassName(filters.spice === id)}
+            >
+              {t(`dietary.spiceFilters.${id}`, { defaultValue: spice.label })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-text-secondary">
+          {t('dietary.disclaimer')}
+        </p>
+        {hasActiveDietaryFilters(filters) && (
+          <button
+            onClick={onClear}
+            className="text-sm text-primary-color hover:text-primary-dark whitespace-nowrap ml-4"
+          >
+            {t('dietary.reset')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DietaryFilterPanel;
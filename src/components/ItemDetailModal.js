@@ -1,21 +1,45 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Plus, Minus, Clock, AlertTriangle, Star, ShoppingCart } from 'lucide-react';
+import { X, Plus, Minus, Clock, AlertTriangle, Star, ShoppingCart, Check } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
 import useCart from '../hooks/useCart';
+import useMoney from '../hooks/useMoney';
+import {
+  getModifierGroups,
+  getDefaultSelections,
+  toggleModifierOption,
+  validateModifierSelections,
+  getModifierErrorMessage,
+  buildSelectedModifiers,
+  getModifiersTotal
+} from '../utils/modifiers';
+import { getAllergenInfo, getDietaryTagInfo, SPICE_LEVELS } from '../utils/dietary';
+import { addAmounts, multiplyAmount } from '../utils/money';
+import { formatAvailableFrom } from '../utils/schedule';
 
 const ItemDetailModal = ({ item, isOpen, onClose }) => {
-  const { sessionId, addNotification } = useApp();
-  const { addToCart, getItemQuantity } = useCart(sessionId);
+  const { sessionId, tableSessionId, dinerName, addNotification, showUpsell } = useApp();
+  const { addToCart, getItemQuantity } = useCart(sessionId, { tableSessionId, dinerName });
+  const { t, language } = useTranslation();
+  const { currency, formatPrice } = useMoney(language);
   
   const [quantity, setQuantity] = useState(1);
   const [specialInstructions, setSpecialInstructions] = useState('');
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
   const [isAdding, setIsAdding] = useState(false);
+  const [modifierSelections, setModifierSelections] = useState({});
+  const [modifierErrors, setModifierErrors] = useState({});
 
   const currentCartQuantity = getItemQuantity(item?.id);
 
+  const modifierGroups = useMemo(() => getModifierGroups(item), [item]);
+
+  const selectedModifiers = useMemo(() => {
+    return buildSelectedModifiers(modifierGroups, modifierSelections);
+  }, [modifierGroups, modifierSelections]);
+
   // Reset state when modal opens/closes or item changes
   useEffect(() => {
     if (isOpen && item) {
@@ -24,8 +48,10 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
       setImageLoaded(false);
       setImageError(false);
       setIsAdding(false);
+      setModifierSelections(getDefaultSelections(modifierGroups));
+      setModifierErrors({});
     }
-  }, [isOpen, item]);
+  }, [isOpen, item, modifierGroups]);
 
   // Handle escape key
   useEffect(() => {
@@ -50,11 +76,31 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
     setQuantity(prev => Math.max(1, prev + change));
   }, []);
 
+  const handleModifierToggle = useCallback((group, optionId) => {
+    setModifierSelections(prev => toggleModifierOption(prev, group, optionId));
+    setModifierErrors(prev => {
+      if (!prev[group.id]) return prev;
+      const { [group.id]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
   const handleAddToCart = useCallback(async () => {
     if (!item?.is_available) {
       addNotification({
         type: 'error',
-        message: 'This item is currently unavailable',
+        message: item?.availableFrom ? formatAvailableFrom(item.availableFrom, t, language) : t('menu.itemUnavailable'),
+        duration: 3000
+      });
+      return;
+    }
+
+    const validation = validateModifierSelections(modifierGroups, modifierSelections);
+    if (!validation.valid) {
+      setModifierErrors(validation.errors);
+      addNotification({
+        type: 'error',
+        message: t('menu.completeRequiredChoices'),
         duration: 3000
       });
       return;
@@ -63,58 +109,42 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
     setIsAdding(true);
 
     try {
-      addToCart(item, quantity, specialInstructions.trim());
+      addToCart(item, quantity, specialInstructions.trim(), selectedModifiers);
       
       addNotification({
         type: 'success',
-        message: `${quantity}x ${item.name} added to cart`,
+        message: t('menu.addedQuantityToCart', { count: quantity, name: item.displayName }),
         duration: 3000
       });
 
       onClose();
+      showUpsell(item);
     } catch (error) {
       addNotification({
         type: 'error',
-        message: 'Failed to add item to cart',
+        message: t('menu.addToCartFailed'),
         duration: 3000
       });
     } finally {
       setIsAdding(false);
     }
-  }, [item, quantity, specialInstructions, addToCart, addNotification, onClose]);
-
-  const formatPrice = (price) => `$${price.toFixed(2)}`;
+  }, [item, quantity, specialInstructions, modifierGroups, modifierSelections, selectedModifiers, addToCart, addNotification, onClose, showUpsell, t, language]);
 
   const formatPrepTime = (minutes) => {
     if (minutes < 60) {
-      return `${minutes} minutes`;
+      return t('common.minutes', { count: minutes });
     }
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
-    return remainingMinutes > 0 
-      ? `${hours} hour${hours > 1 ? 's' : ''} ${remainingMinutes} minutes`
-      : `${hours} hour${hours > 1 ? 's' : ''}`;
-  };
-
-  const getAllergenDisplay = (allergens) => {
-    const allergenMap = {
-      'gluten': { emoji: '🌾', name: 'Gluten' },
-      'dairy': { emoji: '🥛', name: 'Dairy' },
-      'eggs': { emoji: '🥚', name: 'Eggs' },
-      'nuts': { emoji: '🥜', name: 'Nuts' },
-      'shellfish': { emoji: '🦐', name: 'Shellfish' },
-      'soy': { emoji: '🫘', name: 'Soy' },
-      'fish': { emoji: '🐟', name: 'Fish' }
-    };
-
-    return allergens.map(allergen => 
-      allergenMap[allergen.toLowerCase()] || { emoji: '⚠️', name: allergen }
-    );
+    return remainingMinutes > 0
+      ? `${t('common.hours', { count: hours })} ${t('common.minutes', { count: remainingMinutes })}`
+      : t('common.hours', { count: hours });
   };
 
   if (!item) return null;
 
-  const totalPrice = item.price * quantity;
+  const unitPrice = addAmounts([item.price, getModifiersTotal(selectedModifiers, currency)], currency);
+  const totalPrice = multiplyAmount(unitPrice, quantity, currency);
 
   return (
     <AnimatePresence>
@@ -142,12 +172,12 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
             <div className="sticky top-0 bg-surface-color border-b border-border-color z-10">
               <div className="flex items-center justify-between p-4">
                 <h2 className="text-lg font-bold text-text-primary pr-8">
-                  {item.name}
+                  {item.displayName}
                 </h2>
                 <button
                   onClick={onClose}
                   className="p-2 rounded-full hover:bg-background-color transition-colors touch-target"
-                  aria-label="Close modal"
+                  aria-label={t('itemDetail.close')}
                 >
                   <X className="w-5 h-5 text-text-secondary" />
                 </button>
@@ -165,7 +195,7 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                     )}
                     <img
                       src={item.image_url}
-                      alt={item.name}
+                      alt={item.displayName}
                       className={`
                         w-full h-64 object-cover transition-opacity duration-300
                         ${imageLoaded ? 'opacity-100' : 'opacity-0'}
@@ -183,16 +213,16 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                 {/* Status indicators */}
                 <div className="absolute top-4 left-4 flex flex-col space-y-2">
                   {!item.is_available && (
-                    <div className="bg-red-500 text-white px-3 py-1 rounded-full text-sm flex items-center space-x-1">
+                    <div className={`${item.availableFrom ? 'bg-orange-500' : 'bg-red-500'} text-white px-3 py-1 rounded-full text-sm flex items-center space-x-1`}>
                       <AlertTriangle className="w-4 h-4" />
-                      <span>Unavailable</span>
+                      <span>{item.availableFrom ? formatAvailableFrom(item.availableFrom, t, language) : t('menu.unavailable')}</span>
                     </div>
                   )}
                   
-                  {Math.random() > 0.8 && (
+                  {item.isPopular && (
                     <div className="bg-orange-500 text-white px-3 py-1 rounded-full text-sm flex items-center space-x-1">
                       <Star className="w-4 h-4" />
-                      <span>Popular</span>
+                      <span>{t('menu.popular')}</span>
                     </div>
                   )}
                 </div>
@@ -207,11 +237,11 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
               {/* Details */}
               <div className="p-6 space-y-6">
                 {/* Description */}
-                {item.description && (
+                {item.displayDescription && (
                   <div>
-                    <h3 className="font-semibold text-text-primary mb-2">Description</h3>
+                    <h3 className="font-semibold text-text-primary mb-2">{t('itemDetail.description')}</h3>
                     <p className="text-text-secondary leading-relaxed">
-                      {item.description}
+                      {item.displayDescription}
                     </p>
                   </div>
                 )}
@@ -221,27 +251,48 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                   {item.preparation_time && (
                     <div className="flex items-center space-x-2">
                       <Clock className="w-4 h-4" />
-                      <span>Prep time: {formatPrepTime(item.preparation_time)}</span>
+                      <span>{t('itemDetail.prepTime', { time: formatPrepTime(item.preparation_time) })}</span>
                     </div>
                   )}
                   
                   <div className="capitalize">
-                    Category: {item.category}
+                    {t('itemDetail.category', { category: item.category })}
                   </div>
+
+                  {item.spice_level > 0 && (
+                    <div>
+                      {'🌶️'.repeat(item.spice_level)} {t(`dietary.spiceLevels.${item.spice_level}`, { defaultValue: SPICE_LEVELS[item.spice_level] })}
+                    </div>
+                  )}
                 </div>
 
+                {/* Dietary tags */}
+                {item.dietary_tags && item.dietary_tags.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {item.dietary_tags.map(getDietaryTagInfo).map(tag => (
+                      <div
+                        key={tag.id}
+                        className="flex items-center space-x-1 bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm"
+                      >
+                        <span>{tag.emoji}</span>
+                        <span>{t(`dietary.tags.${tag.id}`, { defaultValue: tag.label })}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Allergens */}
                 {item.allergens && item.allergens.length > 0 && (
                   <div>
-                    <h3 className="font-semibold text-text-primary mb-3">Allergen Information</h3>
+                    <h3 className="font-semibold text-text-primary mb-3">{t('itemDetail.allergenInfo')}</h3>
                     <div className="flex flex-wrap gap-2">
-                      {getAllergenDisplay(item.allergens).map((allergen, index) => (
+                      {item.allergens.map(getAllergenInfo).map((allergen, index) => (
                         <div
                           key={index}
                           className="flex items-center space-x-1 bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full text-sm"
                         >
                           <span>{allergen.emoji}</span>
-                          <span>{allergen.name}</span>
+                          <span>{t(`allergens.${allergen.id}`, { defaultValue: allergen.label })}</span>
                         </div>
                       ))}
                     </div>
@@ -251,7 +302,7 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                 {/* Nutritional info */}
                 {item.nutritional_info && (
                   <div>
-                    <h3 className="font-semibold text-text-primary mb-3">Nutritional Information</h3>
+                    <h3 className="font-semibold text-text-primary mb-3">{t('itemDetail.nutritionalInfo')}</h3>
                     <div className="grid grid-cols-2 gap-4 text-sm">
                       {Object.entries(item.nutritional_info).map(([key, value]) => (
                         <div key={key} className="flex justify-between">
@@ -265,22 +316,96 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                   </div>
                 )}
 
+                {/* Modifier groups */}
+                {modifierGroups.map(group => {
+                  const selected = modifierSelections[group.id] || [];
+                  const isSingleChoice = group.maxSelections === 1;
+
+                  return (
+                    <div key={group.id}>
+                      <div className="flex items-center justify-between mb-3">
+                        <h3 className="font-semibold text-text-primary">{group.name}</h3>
+                        <span className={`text-xs px-2 py-1 rounded-full ${
+                          group.minSelections > 0
+                            ? 'bg-orange-100 text-orange-700'
+                            : 'bg-gray-100 text-text-secondary'
+                        }`}>
+                          {group.minSelections > 0
+                            ? t('itemDetail.required')
+                            : isSingleChoice ? t('itemDetail.optional') : t('itemDetail.optionalUpTo', { count: group.maxSelections })
+                          }
+                        </span>
+                      </div>
+
+                      <div className="space-y-2" role={isSingleChoice ? 'radiogroup' : 'group'} aria-label={group.name}>
+                        {group.options.map(option => {
+                          const isSelected = selected.includes(option.id);
+                          const isDisabled = !option.isAvailable ||
+                            (!isSelected && !isSingleChoice && selected.length >= group.maxSelections);
+
+                          return (
+                            <button
+                              key={option.id}
+                              type="button"
+                              role={isSingleChoice ? 'radio' : 'checkbox'}
+                              aria-checked={isSelected}
+                              onClick={() => handleModifierToggle(group, option.id)}
+                              disabled={isDisabled}
+                              className={`
+                                w-full flex items-center justify-between p-3 rounded-lg border transition-colors touch-target
+                                disabled:opacity-50 disabled:cursor-not-allowed
+                                ${isSelected
+                                  ? 'border-primary-color bg-orange-50'
+                                  : 'border-border-color hover:bg-background-color'
+                                }
+                              `}
+                            >
+                              <div className="flex items-center space-x-3">
+                                <span className={`
+                                  w-5 h-5 flex items-center justify-center border
+                                  ${isSingleChoice ? 'rounded-full' : 'rounded'}
+                                  ${isSelected ? 'bg-primary-color border-primary-color text-white' : 'border-border-color'}
+                                `}>
+                                  {isSelected && <Check className="w-3 h-3" />}
+                                </span>
+                                <span className="text-text-primary">{option.name}</span>
+                              </div>
+                              {option.priceDelta !== 0 && (
+                                <span className="text-sm text-text-secondary">
+                                  {option.priceDelta > 0 ? '+' : '-'}{formatPrice(Math.abs(option.priceDelta))}
+                                </span>
+                              )}
+                            </button>
+                          );
+                        })}
+                      </div>
+
+                      {modifierErrors[group.id] && (
+                        <p className="text-sm text-red-500 mt-2 flex items-center space-x-1">
+                          <AlertTriangle className="w-4 h-4" />
+                          <span>{getModifierErrorMessage(modifierErrors[group.id], language)}</span>
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
+
                 {/* Special instructions */}
                 <div>
                   <label htmlFor="instructions" className="block font-semibold text-text-primary mb-2">
-                    Special Instructions
+                    {t('itemDetail.specialInstructions')}
                   </label>
                   <textarea
                     id="instructions"
                     rows={3}
-                    placeholder="Any special requests or modifications..."
+                    placeholder={t('itemDetail.instructionsPlaceholder')}
                     value={specialInstructions}
                     onChange={(e) => setSpecialInstructions(e.target.value)}
                     className="form-control resize-none"
                     maxLength={200}
                   />
                   <div className="text-xs text-text-light mt-1">
-                    {specialInstructions.length}/200 characters
+                    {t('cart.characterCount', { count: specialInstructions.length, max: 200 })}
                   </div>
                 </div>
 
@@ -290,7 +415,7 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                     <div className="flex items-center space-x-2 text-blue-700">
                       <ShoppingCart className="w-4 h-4" />
                       <span className="text-sm">
-                        You have {currentCartQuantity} of this item in your cart
+                        {t('itemDetail.inCart', { count: currentCartQuantity })}
                       </span>
                     </div>
                   </div>
@@ -302,7 +427,7 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
             <div className="sticky bottom-0 bg-surface-color border-t border-border-color p-4">
               <div className="flex items-center justify-between mb-4">
                 <div className="flex items-center space-x-4">
-                  <span className="font-semibold text-text-primary">Quantity:</span>
+                  <span className="font-semibold text-text-primary">{t('itemDetail.quantity')}</span>
                   <div className="flex items-center space-x-3">
                     <button
                       onClick={() => handleQuantityChange(-1)}
@@ -324,7 +449,7 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                 </div>
 
                 <div className="text-right">
-                  <div className="text-sm text-text-secondary">Total</div>
+                  <div className="text-sm text-text-secondary">{t('itemDetail.total')}</div>
                   <div className="text-xl font-bold text-primary-color">
                     {formatPrice(totalPrice)}
                   </div>
@@ -339,10 +464,10 @@ const ItemDetailModal = ({ item, isOpen, onClose }) => {
                 {isAdding ? (
                   <div className="flex items-center justify-center space-x-2">
                     <div className="spinner" />
-                    <span>Adding to Cart...</span>
+                    <span>{t('itemDetail.adding')}</span>
                   </div>
                 ) : (
-                  `Add ${quantity} to Cart • ${formatPrice(totalPrice)}`
+                  t('itemDetail.addToCart', { count: quantity, price: formatPrice(totalPrice) })
                 )}
               </button>
             </div>
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import useTranslation from '../i18n/useTranslation';
+import { SUPPORTED_LANGUAGES } from '../i18n';
+
+// Compact language switcher; the choice is remembered by AppContext
+const LanguagePicker = ({ className = '' }) => {
+  const { t, language, setLanguage } = useTranslation();
+
+  return (
+    <label className={`flex items-center space-x-1 text-text-secondary ${className}`}>
+      <Globe className="w-4 h-4" aria-hidden="true" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="bg-transparent text-sm text-text-secondary border-none focus:outline-none touch-target"
+        aria-label={t('language.label')}
+      >
+        {SUPPORTED_LANGUAGES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguagePicker;
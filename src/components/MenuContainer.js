@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Search, ShoppingCart, X, Menu as MenuIcon, Wifi, WifiOff } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Search, ShoppingCart, X, Menu as MenuIcon, Wifi, WifiOff, Receipt, SlidersHorizontal } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
 import useMenu from '../hooks/useMenu';
 import useCart from '../hooks/useCart';
@@ -8,11 +9,24 @@ import CategoryTabs from './CategoryTabs';
 import MenuGrid from './MenuGrid';
 import Cart from './Cart';
 import ItemDetailModal from './ItemDetailModal';
+import ServiceRequestButton from './ServiceRequestButton';
+import DietaryFilterPanel from './DietaryFilterPanel';
+import UpsellSheet from './UpsellSheet';
+import LanguagePicker from './LanguagePicker';
+import ThemeToggle from './ThemeToggle';
+import RestaurantLogo from './RestaurantLogo';
+import useTranslation from '../i18n/useTranslation';
+import { getDietaryFilterChips } from '../utils/dietary';
+import { abTesting } from '../utils/analytics';
+import { CATEGORY_NAV_EXPERIMENT, CATEGORY_NAV_MODES } from '../utils/experiments';
 
 const MenuContainer = () => {
+  const navigate = useNavigate();
   const {
     sessionId,
     tableNumber,
+    tableSessionId,
+    dinerName,
     showCart,
     showItemModal,
     selectedMenuItem,
@@ -21,27 +35,54 @@ const MenuContainer = () => {
     showCart: openCart,
     hideCart,
     hideItemModal,
+    upsellItem,
+    hideUpsell,
     updateActivity
   } = useApp();
+  const { t, language } = useTranslation();
 
-  const { cartItemCount } = useCart(sessionId);
+  const { cartItemCount } = useCart(sessionId, { tableSessionId, dinerName });
   const {
     menuItems,
+    categories,
+    availableCategories,
+    categoryCounts,
+    popularItems,
     loading,
     error,
     selectedCategory,
     searchQuery,
+    dietaryFilters,
+    hasDietaryFilters,
     filterByCategory,
     searchMenu,
     clearFilters,
+    toggleExcludedAllergen,
+    toggleRequiredTag,
+    setSpiceFilter,
+    clearDietaryFilters,
+    getMenuItem,
+    checkItemsAvailability,
     refetchMenu,
     isDataStale
-  } = useMenu();
+  } = useMenu(sessionId, { language });
 
   const [showSearch, setShowSearch] = useState(false);
+  const [showDietaryFilters, setShowDietaryFilters] = useState(false);
   const [localSearchQuery, setLocalSearchQuery] = useState('');
   const searchInputRef = useRef(null);
 
+  // Category tabs either filter the menu or scroll to a section (experiment)
+  const [categoryNavMode] = useState(() => abTesting.getVariation(CATEGORY_NAV_EXPERIMENT));
+  const isScrollSpy = categoryNavMode === CATEGORY_NAV_MODES.SCROLL_SPY;
+  const menuGridRef = useRef(null);
+  const [activeSection, setActiveSection] = useState(null);
+  const [pendingSection, setPendingSection] = useState(null);
+
+  useEffect(() => {
+    abTesting.trackExposure(CATEGORY_NAV_EXPERIMENT);
+  }, []);
+
   // Handle search input changes with debounce
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -88,7 +129,7 @@ const MenuContainer = () => {
         refetchMenu();
         addNotification({
           type: 'info',
-          message: 'Refreshing menu...',
+          message: t('menu.refreshing'),
           duration: 2000
         });
       }
@@ -108,7 +149,7 @@ const MenuContainer = () => {
       document.removeEventListener('touchmove', handleTouchMove);
       document.removeEventListener('touchend', handleTouchEnd);
     };
-  }, [refetchMenu, addNotification]);
+  }, [refetchMenu, addNotification, t]);
 
   // Track user activity
   useEffect(() => {
@@ -140,16 +181,61 @@ const MenuContainer = () => {
     setLocalSearchQuery('');
     clearFilters();
     setShowSearch(false);
+    setShowDietaryFilters(false);
   }, [clearFilters]);
 
+  const selectedCategoryName = categories.find(category => category.id === selectedCategory)?.name || selectedCategory;
+
+  const handleRemoveDietaryChip = useCallback((chip) => {
+    if (chip.type === 'allergen') {
+      toggleExcludedAllergen(chip.value);
+    } else if (chip.type === 'tag') {
+      toggleRequiredTag(chip.value);
+    } else {
+      setSpiceFilter('any');
+    }
+  }, [toggleExcludedAllergen, toggleRequiredTag, setSpiceFilter]);
+
   const handleCategoryChange = useCallback((category) => {
+    abTesting.trackConversion(CATEGORY_NAV_EXPERIMENT, 'category_tab_click');
+
+    if (isScrollSpy) {
+      // Sections only exist outside search results, so leave search first
+      if (searchQuery) {
+        setLocalSearchQuery('');
+        searchMenu('');
+        setPendingSection(category);
+      } else {
+        menuGridRef.current?.scrollToCategory(category);
+      }
+      return;
+    }
+
     filterByCategory(category);
     // Clear search when changing categories
     if (searchQuery) {
       setLocalSearchQuery('');
       searchMenu('');
     }
-  }, [filterByCategory, searchQuery, searchMenu]);
+  }, [isScrollSpy, filterByCategory, searchQuery, searchMenu]);
+
+  // Scroll to a section tapped during a search once the sections are back
+  useEffect(() => {
+    if (pendingSection && !searchQuery) {
+      menuGridRef.current?.scrollToCategory(pendingSection);
+      setPendingSection(null);
+    }
+  }, [pendingSection, searchQuery]);
+
+  // In scroll-spy mode the tabs are the sections; "All" has nothing to do
+  const tabCategories = isScrollSpy
+    ? availableCategories.filter(category => category.id !== 'all')
+    : availableCategories.map(category => (
+      category.id === 'all' ? { ...category, name: t('menu.allCategory') } : category
+    ));
+  const activeTab = isScrollSpy
+    ? (searchQuery ? null : activeSection || tabCategories[0]?.id)
+    : selectedCategory;
 
   if (error) {
     return (
@@ -160,7 +246,7 @@ const MenuContainer = () => {
               <MenuIcon className="w-16 h-16 mx-auto" />
             </div>
             <h2 className="text-2xl font-bold text-text-primary mb-4">
-              Unable to Load Menu
+              {t('menu.loadError')}
             </h2>
             <p className="text-text-secondary mb-6">
               {error}
@@ -169,7 +255,7 @@ const MenuContainer = () => {
               onClick={refetchMenu}
               className="btn btn-primary"
             >
-              Try Again
+              {t('common.tryAgain')}
             </button>
           </div>
         </div>
@@ -185,12 +271,10 @@ const MenuContainer = () => {
           {/* Top Bar */}
           <div className="flex items-center justify-between p-4">
             <div className="flex items-center space-x-3">
-              <div className="w-10 h-10 bg-primary-color rounded-full flex items-center justify-center">
-                <MenuIcon className="w-5 h-5 text-white" />
-              </div>
+              <RestaurantLogo icon={MenuIcon} />
               <div>
                 <h1 className="text-lg font-bold text-text-primary">
-                  Table {tableNumber}
+                  {t('common.table', { table: tableNumber })}
                 </h1>
                 <div className="flex items-center space-x-2">
                   {isOnline ? (
@@ -199,11 +283,11 @@ const MenuContainer = () => {
                     <WifiOff className="w-4 h-4 text-red-500" />
                   )}
                   <span className="text-sm text-text-secondary">
-                    {isOnline ? 'Connected' : 'Offline'}
+                    {isOnline ? t('menu.connected') : t('menu.offline')}
                   </span>
                   {isDataStale && (
                     <span className="text-xs text-orange-500">
-                      • Data may be outdated
+                      • {t('menu.dataStale')}
                     </span>
                   )}
                 </div>
@@ -211,20 +295,47 @@ const MenuContainer = () => {
             </div>
             
             <div className="flex items-center space-x-3">
+              <LanguagePicker />
+              <ThemeToggle />
+
               {/* Search Button */}
               <button
                 onClick={handleSearchToggle}
                 className="p-2 rounded-full hover:bg-background-color transition-colors"
-                aria-label="Search menu"
+                aria-label={t('menu.searchLabel')}
               >
                 <Search className="w-5 h-5 text-text-secondary" />
               </button>
               
+              {/* Dietary Filter Button */}
+              <button
+                onClick={() => setShowDietaryFilters(!showDietaryFilters)}
+                className={`relative p-2 rounded-full transition-colors ${
+                  showDietaryFilters ? 'bg-background-color' : 'hover:bg-background-color'
+                }`}
+                aria-label={t('menu.dietaryFiltersLabel')}
+                aria-expanded={showDietaryFilters}
+              >
+                <SlidersHorizontal className="w-5 h-5 text-text-secondary" />
+                {hasDietaryFilters && (
+                  <span className="absolute top-1 right-1 w-2 h-2 bg-primary-color rounded-full" />
+                )}
+              </button>
+              
+              {/* Bill Button */}
+              <button
+                onClick={() => navigate('/bill')}
+                className="p-2 rounded-full hover:bg-background-color transition-colors"
+                aria-label={t('menu.billLabel')}
+              >
+                <Receipt className="w-5 h-5 text-text-secondary" />
+              </button>
+              
               {/* Cart Button */}
               <button
                 onClick={openCart}
                 className="relative p-2 rounded-full hover:bg-background-color transition-colors"
-                aria-label="Open cart"
+                aria-label={t('menu.cartLabel')}
               >
                 <ShoppingCart className="w-5 h-5 text-text-secondary" />
                 {cartItemCount > 0 && (
@@ -254,7 +365,7 @@ const MenuContainer = () => {
                   <input
                     ref={searchInputRef}
                     type="text"
-                    placeholder="Search for dishes, categories..."
+                    placeholder={t('menu.searchPlaceholder')}
                     value={localSearchQuery}
                     onChange={(e) => setLocalSearchQuery(e.target.value)}
                     className="form-control pr-10"
@@ -263,6 +374,7 @@ const MenuContainer = () => {
                     <button
                       onClick={() => setLocalSearchQuery('')}
                       className="absolute right-3 top-1/2 transform -translate-y-1/2 p-1 rounded-full hover:bg-background-color"
+                      aria-label={t('menu.clearSearch')}
                     >
                       <X className="w-4 h-4 text-text-secondary" />
                     </button>
@@ -273,10 +385,34 @@ const MenuContainer = () => {
             )}
           </AnimatePresence>
 
+          {/* Dietary Filters */}
+          <AnimatePresence>
+            {showDietaryFilters && (
+              <motion.div
+                initial={{ height: 0, opacity: 0 }}
+                animate={{ height: 'auto', opacity: 1 }}
+                exit={{ height: 0, opacity: 0 }}
+                transition={{ duration: 0.2 }}
+                className="px-4 pb-4 overflow-hidden"
+              >
+                <DietaryFilterPanel
+                  filters={dietaryFilters}
+                  onToggleAllergen={toggleExcludedAllergen}
+                  onToggleTag={toggleRequiredTag}
+                  onSpiceChange={setSpiceFilter}
+                  onClear={clearDietaryFilters}
+                />
+              </motion.div>
+            )}
+          </AnimatePresence>
+
           {/* Category Tabs */}
           <CategoryTabs
-            selectedCategory={selectedCategory}
+            categories={tabCategories}
+            categoryCounts={categoryCounts}
+            selectedCategory={activeTab}
             onCategoryChange={handleCategoryChange}
+            scrollSpy={isScrollSpy}
           />
         </div>
       </div>
@@ -284,39 +420,59 @@ const MenuContainer = () => {
       {/* Main Content */}
       <div className="container mx-auto px-4 pb-20 menu-content">
         {/* Active Filters */}
-        {(searchQuery || selectedCategory !== 'all') && (
+        {(searchQuery || selectedCategory !== 'all' || hasDietaryFilters) && (
           <motion.div
             initial={{ opacity: 0, y: -10 }}
             animate={{ opacity: 1, y: 0 }}
             className="flex items-center justify-between py-4"
           >
-            <div className="flex items-center space-x-2">
-              <span className="text-sm text-text-secondary">Active filters:</span>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-text-secondary">{t('menu.activeFilters')}</span>
               {searchQuery && (
                 <span className="px-2 py-1 bg-primary-color text-white text-sm rounded-full">
                   "{searchQuery}"
                 </span>
               )}
               {selectedCategory !== 'all' && (
-                <span className="px-2 py-1 bg-secondary-color text-white text-sm rounded-full capitalize">
-                  {selectedCategory}
+                <span className="px-2 py-1 bg-secondary-color text-white text-sm rounded-full">
+                  {selectedCategoryName}
                 </span>
               )}
+              {getDietaryFilterChips(dietaryFilters).map(chip => (
+                <span
+                  key={chip.key}
+                  className="flex items-center space-x-1 pl-2 pr-1 py-1 bg-green-600 text-white text-sm rounded-full"
+                >
+                  <span>{chip.label}</span>
+                  <button
+                    onClick={() => handleRemoveDietaryChip(chip)}
+                    className="p-0.5 rounded-full hover:bg-green-700"
+                    aria-label={t('menu.removeFilter', { filter: chip.label })}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
             </div>
             <button
               onClick={handleClearFilters}
               className="text-sm text-primary-color hover:text-primary-dark"
             >
-              Clear all
+              {t('menu.clearAll')}
             </button>
           </motion.div>
         )}
 
         {/* Menu Grid */}
         <MenuGrid
+          ref={menuGridRef}
           menuItems={menuItems}
+          categories={categories}
+          popularItems={searchQuery || selectedCategory !== 'all' ? [] : popularItems}
+          ranked={Boolean(searchQuery)}
           loading={loading}
           onRefresh={refetchMenu}
+          onActiveCategoryChange={isScrollSpy ? setActiveSection : undefined}
         />
 
         {/* No Results */}
@@ -328,27 +484,44 @@ const MenuContainer = () => {
           >
             <Search className="w-16 h-16 text-text-light mx-auto mb-4" />
             <h3 className="text-xl font-semibold text-text-primary mb-2">
-              No dishes found
+              {t('menu.noDishes')}
             </h3>
             <p className="text-text-secondary mb-6">
               {searchQuery
-                ? `No results for "${searchQuery}"`
-                : `No dishes available in ${selectedCategory} category`
+                ? t('menu.noSearchResults', { query: searchQuery })
+                : hasDietaryFilters
+                  ? t('menu.noDietaryResults')
+                  : t('menu.noCategoryResults', { category: selectedCategoryName })
               }
             </p>
             <button
               onClick={handleClearFilters}
               className="btn btn-primary"
             >
-              Clear Filters
+              {t('menu.clearFilters')}
             </button>
           </motion.div>
         )}
       </div>
 
+      {/* Call a Server */}
+      <ServiceRequestButton />
+
       {/* Cart Overlay */}
       <AnimatePresence>
-        {showCart && <Cart onClose={hideCart} />}
+        {showCart && <Cart onClose={hideCart} getMenuItem={getMenuItem} checkItemsAvailability={checkItemsAvailability} />}
+      </AnimatePresence>
+
+      {/* "Goes well with" suggestions after adding an item */}
+      <AnimatePresence>
+        {upsellItem && !showCart && (
+          <UpsellSheet
+            key={upsellItem.id}
+            item={upsellItem}
+            getMenuItem={getMenuItem}
+            onClose={hideUpsell}
+          />
+        )}
       </AnimatePresence>
 
       {/* Item Detail Modal */}
@@ -1,11 +1,134 @@
-import React, { useMemo, useState, useCallback } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, {
+  useMemo,
+  useState,
+  useCallback,
+  useEffect,
+  useRef,
+  memo,
+  forwardRef,
+  createContext,
+  useContext,
+  useImperativeHandle
+} from 'react';
+import { VariableSizeList } from 'react-window';
 import { RefreshCw } from 'lucide-react';
 import MenuItem from './MenuItem';
 import LoadingStates from './LoadingStates';
+import PopularItemsCarousel from './PopularItemsCarousel';
+import { getScrollParent } from '../utils/performance';
 
-const MenuGrid = ({ menuItems = [], loading, onRefresh }) => {
+// Estimated row heights until a row has been rendered and measured
+const HEADER_ROW_HEIGHT = 64;
+const ITEM_ROW_HEIGHT = 176;
+const OVERSCAN_COUNT = 4;
+
+// Scroll spy: a section becomes active once its header enters the top 30% of
+// the scroll container. Observer updates are ignored while a tab tap scrolls.
+const SPY_ROOT_MARGIN = '0px 0px -70% 0px';
+const SCROLL_LOCK_DURATION = 800;
+
+// Title of the section the diner is scrolled into, for the sticky header
+const StickyHeaderContext = createContext(null);
+
+const CategoryHeader = ({ title }) => (
+  <div className="bg-background-color py-4 px-4">
+    <h2 className="text-xl font-bold text-text-primary border-b border-border-color pb-2">
+      {title}
+    </h2>
+  </div>
+);
+
+// Rows are absolutely positioned, so the sticky header lives in the list's
+// inner element and sticks within the page's scroll container
+const ListInner = forwardRef(({ children, ...props }, ref) => {
+  const stickyTitle = useContext(StickyHeaderContext);
+
+  return (
+    <div ref={ref} {...props}>
+      {stickyTitle && (
+        <div className="sticky top-0 z-10" style={{ top: 0, height: 0 }}>
+          <CategoryHeader title={stickyTitle} />
+        </div>
+      )}
+      {children}
+    </div>
+  );
+});
+
+const MenuGridRow = memo(({ index, style, data }) => {
+  const row = data.rows[index];
+  const rowRef = useRef(null);
+  const { setRowSize, observeHeader } = data;
+
+  // Measure the real height, and again whenever it changes (images, fonts)
+  useEffect(() => {
+    const element = rowRef.current;
+    if (!element) return;
+
+    const measure = () => setRowSize(index, row.id, element.getBoundingClientRect().height);
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [index, row.id, setRowSize]);
+
+  // Headers report to the scroll spy while they're mounted
+  useEffect(() => {
+    if (row.type !== 'header' || !observeHeader || !rowRef.current) return;
+    return observeHeader(rowRef.current, row.category);
+  }, [row.type, row.category, observeHeader]);
+
+  return (
+    <div style={style}>
+      <div ref={rowRef}>
+        {row.type === 'header' ? (
+          <CategoryHeader title={row.title} />
+        ) : (
+          <div className="px-4 py-2">
+            <MenuItem item={row} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+// `categories` (from useMenu) sets the section order and titles; `popularItems`
+// fill the "Popular right now" carousel above the sections. `ranked` lists
+// `menuItems` in the given order without sections (search results).
+//
+// Only the rows near the viewport are rendered. The list never scrolls
+// itself: it follows the scroll position of the page's existing scroll
+// container, so the mobile scroll fixes keep working (MOBILE_SCROLL_FIXES.md).
+//
+// Passing `onActiveCategoryChange` turns on the scroll spy: it's called with
+// the category the diner has scrolled into (null above the first section).
+// The ref exposes `scrollToCategory(categoryId)`.
+const MenuGrid = forwardRef(({
+  menuItems = [],
+  categories = [],
+  popularItems = [],
+  ranked = false,
+  loading,
+  onRefresh,
+  onActiveCategoryChange
+}, ref) => {
   const [refreshing, setRefreshing] = useState(false);
+  const [viewportHeight, setViewportHeight] = useState(() => window.innerHeight);
+  const [stickyTitle, setStickyTitle] = useState(null);
+  const listRef = useRef(null);
+  const listOuterRef = useRef(null);
+  const rowSizes = useRef({});
+  const scrollerRef = useRef(null);
+  const spyObserver = useRef(null);
+  const observedHeaders = useRef(new Map()); // header element -> category id
+  const activeCategory = useRef(null);
+  const scrollLockUntil = useRef(0);
+  const onActiveCategoryChangeRef = useRef(onActiveCategoryChange);
+  onActiveCategoryChangeRef.current = onActiveCategoryChange;
+  const spyEnabled = Boolean(onActiveCategoryChange);
 
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -19,13 +142,14 @@ const MenuGrid = ({ menuItems = [], loading, onRefresh }) => {
   // Group items by category for better organization
   const groupedItems = useMemo(() => {
     const groups = {};
-    const categoryOrder = ['meat', 'vegetable', 'sauces', 'desserts', 'drinks'];
+    const categoryOrder = categories.map(category => category.id);
     
     menuItems.forEach(item => {
       const category = item.category || 'other';
       if (!groups[category]) {
         groups[category] = {
-          title: category.charAt(0).toUpperCase() + category.slice(1),
+          title: categories.find(({ id }) => id === category)?.name ||
+            category.charAt(0).toUpperCase() + category.slice(1),
           items: []
         };
       }
@@ -48,10 +172,14 @@ const MenuGrid = ({ menuItems = [], loading, onRefresh }) => {
     });
 
     return sortedGroups;
-  }, [menuItems]);
+  }, [menuItems, categories]);
 
-  // Flatten items for virtual scrolling with category headers
+  // Flatten items for the virtualized list, with category headers
   const flattenedItems = useMemo(() => {
+    if (ranked) {
+      return menuItems.map(item => ({ type: 'item', ...item }));
+    }
+
     const flattened = [];
     
     groupedItems.forEach(group => {
@@ -73,7 +201,168 @@ const MenuGrid = ({ menuItems = [], loading, onRefresh }) => {
     });
     
     return flattened;
-  }, [groupedItems]);
+  }, [groupedItems, ranked, menuItems]);
+
+  const getRowSize = useCallback((index) => {
+    const row = flattenedItems[index];
+    return rowSizes.current[row.id] ?? (row.type === 'header' ? HEADER_ROW_HEIGHT : ITEM_ROW_HEIGHT);
+  }, [flattenedItems]);
+
+  const getRowKey = useCallback((index, data) => data.rows[index].id, []);
+
+  const setRowSize = useCallback((index, id, size) => {
+    if (!size || rowSizes.current[id] === size) return;
+    rowSizes.current[id] = size;
+    listRef.current?.resetAfterIndex(index);
+  }, []);
+
+  const observeHeader = useCallback((element, category) => {
+    observedHeaders.current.set(element, category);
+    spyObserver.current?.observe(element);
+
+    return () => {
+      observedHeaders.current.delete(element);
+      spyObserver.current?.unobserve(element);
+    };
+  }, []);
+
+  const rowData = useMemo(() => ({
+    rows: flattenedItems,
+    setRowSize,
+    observeHeader: spyEnabled ? observeHeader : null
+  }), [flattenedItems, setRowSize, observeHeader, spyEnabled]);
+
+  // Section order, for working out which section is active when scrolling up
+  const sectionOrder = useMemo(() => {
+    return flattenedItems.filter(row => row.type === 'header').map(row => row.category);
+  }, [flattenedItems]);
+
+  const setActiveCategory = useCallback((category) => {
+    if (activeCategory.current === category) return;
+    activeCategory.current = category;
+    onActiveCategoryChangeRef.current?.(category);
+  }, []);
+
+  // Row positions are cached by index, so recompute them when the rows change
+  useEffect(() => {
+    listRef.current?.resetAfterIndex(0);
+  }, [flattenedItems]);
+
+  // The sticky header shows the section of the first visible row. At the top
+  // of the list it sits exactly over the first header row.
+  const handleItemsRendered = useCallback(({ visibleStartIndex }) => {
+    let title = null;
+    for (let index = Math.min(visibleStartIndex, flattenedItems.length - 1); index >= 0; index--) {
+      if (flattenedItems[index].type === 'header') {
+        title = flattenedItems[index].title;
+        break;
+      }
+    }
+    setStickyTitle(title);
+  }, [flattenedItems]);
+
+  // Follow the scroll container: its visible height sizes the list window and
+  // its scroll position, relative to the top of the list, drives which rows render
+  useEffect(() => {
+    const outer = listOuterRef.current;
+    if (!outer) return;
+
+    const scroller = getScrollParent(outer);
+    const scrollTarget = scroller === document.scrollingElement ? window : scroller;
+    scrollerRef.current = scroller;
+
+    const syncScroll = () => {
+      const listTop = outer.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+      listRef.current?.scrollTo(Math.max(0, scroller.scrollTop - listTop));
+    };
+
+    const syncSize = () => {
+      setViewportHeight(scroller.clientHeight || window.innerHeight);
+      syncScroll();
+    };
+
+    syncSize();
+    scrollTarget.addEventListener('scroll', syncScroll, { passive: true });
+    window.addEventListener('resize', syncSize);
+
+    return () => {
+      scrollTarget.removeEventListener('scroll', syncScroll);
+      window.removeEventListener('resize', syncSize);
+    };
+  }, [loading, flattenedItems.length]);
+
+  // Scroll spy over the mounted header rows. Rows come and go while
+  // scrolling, so a header that mounts already past the band (a fast fling)
+  // still moves the active section forward or back.
+  useEffect(() => {
+    if (!spyEnabled || !listOuterRef.current || typeof IntersectionObserver === 'undefined') return;
+
+    const scroller = scrollerRef.current || getScrollParent(listOuterRef.current);
+
+    const observer = new IntersectionObserver((entries) => {
+      if (Date.now() < scrollLockUntil.current) return;
+
+      entries.forEach(entry => {
+        const category = observedHeaders.current.get(entry.target);
+        if (!category || !entry.rootBounds) return;
+
+        const index = sectionOrder.indexOf(category);
+        const activeIndex = sectionOrder.indexOf(activeCategory.current);
+
+        if (entry.isIntersecting) {
+          setActiveCategory(category);
+        } else if (entry.boundingClientRect.top >= entry.rootBounds.bottom && index <= activeIndex) {
+          // Scrolled back up past this header
+          setActiveCategory(index > 0 ? sectionOrder[index - 1] : null);
+        } else if (entry.boundingClientRect.bottom <= entry.rootBounds.top && index > activeIndex) {
+          setActiveCategory(category);
+        }
+      });
+    }, {
+      root: scroller === document.scrollingElement ? null : scroller,
+      rootMargin: SPY_ROOT_MARGIN
+    });
+
+    spyObserver.current = observer;
+    observedHeaders.current.forEach((category, element) => observer.observe(element));
+
+    return () => {
+      observer.disconnect();
+      spyObserver.current = null;
+    };
+  }, [spyEnabled, sectionOrder, setActiveCategory, loading]);
+
+  // Scroll the page so a section's header sits at the top. Rows that haven't
+  // been measured yet are estimates, so the position is corrected once the
+  // rows around the target have rendered.
+  const scrollToCategory = useCallback((category) => {
+    const scroller = scrollerRef.current;
+    const headerIndex = flattenedItems.findIndex(row => row.type === 'header' && row.category === category);
+    if (!scroller || !listOuterRef.current || headerIndex === -1) return;
+
+    const getTargetTop = () => {
+      let offset = 0;
+      for (let index = 0; index < headerIndex; index++) {
+        offset += getRowSize(index);
+      }
+      const listTop = listOuterRef.current.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+      return listTop + offset;
+    };
+
+    scrollLockUntil.current = Date.now() + SCROLL_LOCK_DURATION;
+    setActiveCategory(category);
+    scroller.scrollTo({ top: getTargetTop(), behavior: 'smooth' });
+
+    setTimeout(() => {
+      if (!listOuterRef.current) return;
+      const targetTop = getTargetTop();
+      if (Math.abs(scroller.scrollTop - targetTop) > 1) {
+        scroller.scrollTo({ top: targetTop });
+      }
+    }, SCROLL_LOCK_DURATION);
+  }, [flattenedItems, getRowSize, setActiveCategory]);
+
+  useImperativeHandle(ref, () => ({ scrollToCategory }), [scrollToCategory]);
 
   // Loading state
   if (loading) {
@@ -116,42 +405,32 @@ const MenuGrid = ({ menuItems = [], loading, onRefresh }) => {
     );
   }
 
-  // Always use simple scrolling for better mobile compatibility
+  // Virtualized list of headers and items
   return (
     <div className="space-y-2 scroll-optimized">
-      <AnimatePresence>
-        {flattenedItems.map((item, index) => {
-          if (item.type === 'header') {
-            return (
-              <motion.div
-                key={item.id}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: Math.min(index * 0.02, 0.5) }}
-                className="sticky top-0 z-10 bg-background-color py-4 px-4"
-              >
-                <h2 className="text-xl font-bold text-text-primary border-b border-border-color pb-2">
-                  {item.title}
-                </h2>
-              </motion.div>
-            );
-          }
-
-          return (
-            <motion.div
-              key={item.id}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: Math.min(index * 0.02, 0.5) }}
-              className="px-4 py-2"
-            >
-              <MenuItem item={item} />
-            </motion.div>
-          );
-        })}
-      </AnimatePresence>
+      <PopularItemsCarousel items={popularItems} />
+
+      <StickyHeaderContext.Provider value={stickyTitle}>
+        <VariableSizeList
+          ref={listRef}
+          outerRef={listOuterRef}
+          innerElementType={ListInner}
+          height={viewportHeight}
+          width="100%"
+          itemCount={flattenedItems.length}
+          itemSize={getRowSize}
+          itemKey={getRowKey}
+          itemData={rowData}
+          estimatedItemSize={ITEM_ROW_HEIGHT}
+          overscanCount={OVERSCAN_COUNT}
+          onItemsRendered={handleItemsRendered}
+          style={{ height: 'auto', overflow: 'visible', willChange: 'auto' }}
+        >
+          {MenuGridRow}
+        </VariableSizeList>
+      </StickyHeaderContext.Provider>
     </div>
   );
-};
+});
 
-export default MenuGrid;
\ No newline at end of file
+export default MenuGrid;
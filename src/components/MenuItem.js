@@ -2,11 +2,19 @@ import React, { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Plus, Clock, AlertTriangle, Star } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
 import useCart from '../hooks/useCart';
+import useMoney from '../hooks/useMoney';
+import { hasRequiredModifiers } from '../utils/modifiers';
+import { getAllergenInfo } from '../utils/dietary';
+import { getHighlightSegments } from '../utils/search';
+import { formatAvailableFrom } from '../utils/schedule';
 
 const MenuItem = ({ item }) => {
-  const { sessionId, showItemModal, addNotification } = useApp();
-  const { addToCart, getItemQuantity } = useCart(sessionId);
+  const { sessionId, tableSessionId, dinerName, showItemModal, showUpsell, addNotification } = useApp();
+  const { addToCart, getItemQuantity } = useCart(sessionId, { tableSessionId, dinerName });
+  const { t, language } = useTranslation();
+  const { formatPrice } = useMoney(language);
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
   const [isAdding, setIsAdding] = useState(false);
@@ -19,60 +27,59 @@ const MenuItem = ({ item }) => {
     if (!item.is_available) {
       addNotification({
         type: 'error',
-        message: 'This item is currently unavailable',
+        message: item.availableFrom ? formatAvailableFrom(item.availableFrom, t, language) : t('menu.itemUnavailable'),
         duration: 3000
       });
       return;
     }
 
+    // Items with required choices must go through the detail modal
+    if (hasRequiredModifiers(item)) {
+      showItemModal(item);
+      return;
+    }
+
     setIsAdding(true);
     
     try {
       addToCart(item, 1);
       addNotification({
         type: 'success',
-        message: `${item.name} added to cart`,
+        message: t('menu.addedToCart', { name: item.displayName }),
         duration: 2000
       });
+      showUpsell(item);
     } catch (error) {
       addNotification({
         type: 'error',
-        message: 'Failed to add item to cart',
+        message: t('menu.addToCartFailed'),
         duration: 3000
       });
     } finally {
       setIsAdding(false);
     }
-  }, [item, addToCart, addNotification]);
+  }, [item, addToCart, addNotification, showItemModal, showUpsell, t, language]);
 
   const handleItemClick = useCallback(() => {
     showItemModal(item);
   }, [item, showItemModal]);
 
-  const formatPrice = (price) => {
-    return `$${price.toFixed(2)}`;
-  };
+  // Mark the parts of the text that matched the search
+  const renderHighlighted = (text) => getHighlightSegments(text, item.searchHighlights).map((segment, index) => (
+    segment.highlighted
+      ? <mark key={index} className="search-highlight">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  ));
 
   const formatPrepTime = (minutes) => {
     if (minutes < 60) {
-      return `${minutes}m`;
+      return t('common.minutesShort', { minutes });
     }
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
-    return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
-  };
-
-  const getAllergenEmoji = (allergen) => {
-    const allergenMap = {
-      'gluten': '🌾',
-      'dairy': '🥛',
-      'eggs': '🥚',
-      'nuts': '🥜',
-      'shellfish': '🦐',
-      'soy': '🫘',
-      'fish': '🐟'
-    };
-    return allergenMap[allergen.toLowerCase()] || '⚠️';
+    return remainingMinutes > 0
+      ? t('common.hoursMinutesShort', { hours, minutes: remainingMinutes })
+      : t('common.hoursShort', { hours });
   };
 
   return (
@@ -95,7 +102,7 @@ const MenuItem = ({ item }) => {
               )}
               <img
                 src={item.image_url}
-                alt={item.name}
+                alt={item.displayName}
                 className={`
                   w-full h-full object-cover rounded-lg transition-opacity duration-300
                   ${imageLoaded ? 'opacity-100' : 'opacity-0'}
@@ -123,7 +130,7 @@ const MenuItem = ({ item }) => {
         <div className="flex-1 min-w-0">
           <div className="flex items-start justify-between mb-2">
             <h3 className="font-semibold text-text-primary text-lg leading-tight">
-              {item.name}
+              {renderHighlighted(item.displayName)}
             </h3>
             <div className="flex flex-col items-end ml-2">
               <span className="font-bold text-primary-color text-lg">
@@ -138,9 +145,9 @@ const MenuItem = ({ item }) => {
           </div>
 
           {/* Description */}
-          {item.description && (
+          {item.displayDescription && (
             <p className="text-text-secondary text-sm line-clamp-2 mb-3">
-              {item.description}
+              {renderHighlighted(item.displayDescription)}
             </p>
           )}
 
@@ -159,8 +166,8 @@ const MenuItem = ({ item }) => {
               {item.allergens && item.allergens.length > 0 && (
                 <div className="flex items-center space-x-1">
                   {item.allergens.slice(0, 3).map((allergen, index) => (
-                    <span key={index} className="text-xs" title={allergen}>
-                      {getAllergenEmoji(allergen)}
+                    <span key={index} className="text-xs" title={getAllergenInfo(allergen).label}>
+                      {getAllergenInfo(allergen).emoji}
                     </span>
                   ))}
                   {item.allergens.length > 3 && (
@@ -186,7 +193,7 @@ const MenuItem = ({ item }) => {
                   : 'bg-gray-200 text-gray-400 cursor-not-allowed'
                 }
               `}
-              aria-label={`Add ${item.name} to cart`}
+              aria-label={t('menu.addItemToCart', { name: item.displayName })}
             >
               {isAdding ? (
                 <motion.div
@@ -205,18 +212,18 @@ const MenuItem = ({ item }) => {
 
       {/* Special indicators */}
       <div className="absolute top-2 left-2 flex flex-col space-y-1">
-        {/* Popular item indicator (mock - in real app this would come from analytics) */}
-        {Math.random() > 0.8 && (
+        {/* Popular item indicator (ranked from recent orders by useMenu) */}
+        {item.isPopular && (
           <div className="bg-orange-500 text-white text-xs px-2 py-1 rounded-full flex items-center space-x-1">
             <Star className="w-3 h-3" />
-            <span>Popular</span>
+            <span>{t('menu.popular')}</span>
           </div>
         )}
         
         {/* New item indicator */}
         {new Date(item.created_at) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) && (
           <div className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">
-            New
+            {t('menu.new')}
           </div>
         )}
       </div>
@@ -224,8 +231,8 @@ const MenuItem = ({ item }) => {
       {/* Unavailable overlay */}
       {!item.is_available && (
         <div className="absolute top-2 right-2">
-          <div className="bg-red-500 text-white text-xs px-2 py-1 rounded-full">
-            Unavailable
+          <div className={`${item.availableFrom ? 'bg-orange-500' : 'bg-red-500'} text-white text-xs px-2 py-1 rounded-full`}>
+            {item.availableFrom ? formatAvailableFrom(item.availableFrom, t, language) : t('menu.unavailable')}
           </div>
         </div>
       )}
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Clock, 
@@ -9,28 +10,68 @@ import {
   ChevronUp,
   ShoppingCart,
   Calendar,
-  DollarSign
+  Banknote,
+  CloudOff,
+  Receipt,
+  ShieldAlert
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
 import useOrders from '../hooks/useOrders';
 import useCart from '../hooks/useCart';
+import useMenu from '../hooks/useMenu';
+import useMoney from '../hooks/useMoney';
 import LoadingStates from './LoadingStates';
+import { formatModifiers, reselectModifiers } from '../utils/modifiers';
+import { multiplyAmount } from '../utils/money';
+import { getAllergenInfo } from '../utils/dietary';
+import { FAILED_ORDER_STATUS } from '../utils/offline';
+
+const PAYMENT_BADGE_STYLES = {
+  paid: 'bg-green-100 text-green-800',
+  authorized: 'bg-blue-100 text-blue-800',
+  refunded: 'bg-gray-100 text-text-secondary',
+  failed: 'bg-red-100 text-red-800',
+  unpaid: 'bg-orange-100 text-orange-800'
+};
 
 const OrderHistory = () => {
-  const { sessionId, addNotification } = useApp();
+  const { sessionId, tableSessionId, dinerName, addNotification, showCart } = useApp();
+  const { t, language } = useTranslation();
+  const { formatPrice } = useMoney(language);
   const { 
     orders, 
+    pendingOrders,
     loading, 
     formatOrder, 
     canReorder, 
     prepareReorderData, 
     getEstimatedDeliveryTime,
+    discardPendingOrder,
     ORDER_STATUS_COLORS 
-  } = useOrders(sessionId);
-  const { addToCart, clearCart } = useCart(sessionId);
+  } = useOrders(sessionId, { tableSessionId });
+  const { addToCart } = useCart(sessionId, { tableSessionId, dinerName });
+  const { getMenuItem, loading: menuLoading } = useMenu(sessionId, { language });
   
   const [expandedOrders, setExpandedOrders] = useState(new Set());
   const [reorderingOrder, setReorderingOrder] = useState(null);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const linkedOrderId = searchParams.get('order');
+  const handledLinkRef = useRef(null);
+
+  // Push notifications deep-link to /orders?order=<id> - open that order once it has loaded
+  useEffect(() => {
+    if (!linkedOrderId || handledLinkRef.current === linkedOrderId) return;
+    if (!orders.some(order => order.id === linkedOrderId)) return;
+
+    handledLinkRef.current = linkedOrderId;
+    setExpandedOrders(prev => new Set(prev).add(linkedOrderId));
+
+    requestAnimationFrame(() => {
+      document.getElementById(`order-${linkedOrderId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }, [linkedOrderId, orders]);
 
   const toggleOrderExpansion = (orderId) => {
     const newExpanded = new Set(expandedOrders);
@@ -42,11 +83,67 @@ const OrderHistory = () => {
     setExpandedOrders(newExpanded);
   };
 
+  // Add an earlier order's dishes as they are on today's menu, so prices and
+  // categories (and with them tax and promotions) are current. Dishes that are
+  // gone, or can't be ordered right now, are left out. Returns how many were added.
+  const addOrderItemsToCart = (orderItems) => {
+    const lines = orderItems
+      .map(item => {
+        const menuItem = getMenuItem(item.menu_item_id);
+        if (!menuItem || !menuItem.is_available) return null;
+
+        const modifiers = reselectModifiers(menuItem, item.modifiers || []);
+        return modifiers && { item, menuItem, modifiers };
+      })
+      .filter(Boolean);
+    const skippedCount = orderItems.length - lines.length;
+
+    // Add the items on top of what's already there: the cart may be shared with
+    // the rest of the table, so clearing it would drop other diners' lines
+    lines.forEach(({ item, menuItem, modifiers }) => {
+      addToCart(menuItem, item.quantity, item.special_instructions, modifiers);
+    });
+
+    addNotification({
+      type: lines.length === 0 ? 'error' : skippedCount > 0 ? 'warning' : 'success',
+      message: [
+        lines.length > 0 && t('orders.reorderAdded', { count: lines.length }),
+        skippedCount > 0 && t('orders.reorderSkipped', { count: skippedCount })
+      ].filter(Boolean).join('. '),
+      duration: 4000
+    });
+
+    return lines.length;
+  };
+
+  // A queued order the restaurant refused: put its dishes back in the cart to fix
+  // and send again, then drop it from the queue
+  const handleEditFailedOrder = async (order) => {
+    try {
+      if (addOrderItemsToCart(order.order_items) === 0) return;
+
+      await discardPendingOrder(order.id);
+      showCart();
+      navigate('/menu');
+    } catch (error) {
+      console.error('Error editing refused order:', error);
+    }
+  };
+
+  const handleDiscardFailedOrder = async (order) => {
+    try {
+      await discardPendingOrder(order.id);
+      addNotification({ type: 'info', message: t('orders.discarded'), duration: 3000 });
+    } catch (error) {
+      console.error('Error discarding refused order:', error);
+    }
+  };
+
   const handleReorder = async (order) => {
     if (!canReorder(order)) {
       addNotification({
         type: 'error',
-        message: 'This order cannot be reordered',
+        message: t('orders.cannotReorder'),
         duration: 3000
       });
       return;
@@ -60,33 +157,12 @@ const OrderHistory = () => {
         throw new Error('Unable to prepare reorder data');
       }
 
-      // Clear current cart and add reorder items
-      clearCart();
-      
-      // Add each item to cart
-      for (const item of reorderData.order_items) {
-        // We need to simulate the full menu item object
-        const menuItem = {
-          id: item.menu_item_id,
-          name: item.name,
-          price: item.price,
-          category: 'reorder', // placeholder
-          preparation_time: 15 // placeholder
-        };
-        
-        addToCart(menuItem, item.quantity, item.special_instructions);
-      }
-
-      addNotification({
-        type: 'success',
-        message: `${reorderData.order_items.length} items added to cart from previous order`,
-        duration: 4000
-      });
+      addOrderItemsToCart(reorderData.order_items);
     } catch (error) {
       console.error('Error reordering:', error);
       addNotification({
         type: 'error',
-        message: 'Failed to reorder items',
+        message: t('orders.reorderFailed'),
         duration: 3000
       });
     } finally {
@@ -121,34 +197,34 @@ const OrderHistory = () => {
     const diffHours = Math.floor(diffMins / 60);
     const diffDays = Math.floor(diffHours / 24);
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays < 7) return `${diffDays}d ago`;
+    if (diffMins < 1) return t('orders.justNow');
+    if (diffMins < 60) return t('orders.minutesAgo', { count: diffMins });
+    if (diffHours < 24) return t('orders.hoursAgo', { count: diffHours });
+    if (diffDays < 7) return t('orders.daysAgo', { count: diffDays });
     
-    return date.toLocaleDateString();
+    return date.toLocaleDateString(language);
   };
 
   if (loading) {
     return (
       <div className="container mx-auto px-4 py-6">
-        <h2 className="text-2xl font-bold text-text-primary mb-6">Order History</h2>
+        <h2 className="text-2xl font-bold text-text-primary mb-6">{t('orders.title')}</h2>
         <LoadingStates.Orders />
       </div>
     );
   }
 
-  if (orders.length === 0) {
+  if (orders.length === 0 && pendingOrders.length === 0) {
     return (
       <div className="container mx-auto px-4 py-6">
-        <h2 className="text-2xl font-bold text-text-primary mb-6">Order History</h2>
+        <h2 className="text-2xl font-bold text-text-primary mb-6">{t('orders.title')}</h2>
         <div className="text-center py-12">
           <ShoppingCart className="w-16 h-16 text-text-light mx-auto mb-4" />
           <h3 className="text-xl font-semibold text-text-primary mb-2">
-            No orders yet
+            {t('orders.empty')}
           </h3>
           <p className="text-text-secondary">
-            Your order history will appear here once you place your first order.
+            {t('orders.emptyHint')}
           </p>
         </div>
       </div>
@@ -157,12 +233,86 @@ const OrderHistory = () => {
 
   return (
     <div className="container mx-auto px-4 py-6">
-      <h2 className="text-2xl font-bold text-text-primary mb-6">Order History</h2>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-text-primary">{t('orders.title')}</h2>
+        {orders.length > 0 && (
+          <button
+            onClick={() => navigate('/bill')}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <Receipt className="w-4 h-4" />
+            <span>{t('orders.splitBill')}</span>
+          </button>
+        )}
+      </div>
       
       <div className="space-y-4">
+        {/* Orders placed offline that haven't reached the kitchen yet */}
+        {pendingOrders.map(order => (
+          <div key={order.id} className="card p-4 border border-dashed border-border-color">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-3">
+                <div className="p-2 rounded-full bg-gray-100">
+                  <CloudOff className="w-4 h-4 text-text-secondary" />
+                </div>
+                <div>
+                  <h3 className="font-semibold text-text-primary">
+                    {t('orders.itemCount', { count: order.order_items.reduce((sum, item) => sum + item.quantity, 0) })}
+                  </h3>
+                  <div className="flex items-center space-x-4 text-sm text-text-secondary">
+                    <span className="flex items-center space-x-1">
+                      <Calendar className="w-3 h-3" />
+                      <span>{formatDateTime(order.created_at)}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Banknote className="w-3 h-3" />
+                      <span>{formatPrice(order.total_amount, { currency: order.currency })}</span>
+                    </span>
+                  </div>
+                </div>
+              </div>
+              {order.status === FAILED_ORDER_STATUS ? (
+                <div className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                  {t('orders.notSent')}
+                </div>
+              ) : (
+                <div className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-text-secondary">
+                  {t('orders.waitingToSend')}
+                </div>
+              )}
+            </div>
+            {order.status === FAILED_ORDER_STATUS ? (
+              <>
+                <p className="text-sm text-red-800 mt-2">
+                  {t('orders.rejectedReason', { reason: order.failure_reason })}
+                </p>
+                <div className="flex justify-end space-x-2 mt-3">
+                  <button
+                    onClick={() => handleDiscardFailedOrder(order)}
+                    className="btn btn-sm btn-secondary"
+                  >
+                    {t('orders.discard')}
+                  </button>
+                  <button
+                    onClick={() => handleEditFailedOrder(order)}
+                    disabled={menuLoading}
+                    className="btn btn-sm btn-primary"
+                  >
+                    {t('orders.editInCart')}
+                  </button>
+                </div>
+              </>
+            ) : order.retry_count > 0 && (
+              <p className="text-xs text-text-light mt-2">
+                {t('orders.retrying')}
+              </p>
+            )}
+          </div>
+        ))}
+
         <AnimatePresence>
           {orders.map((order, index) => {
-            const formattedOrder = formatOrder(order);
+            const formattedOrder = formatOrder(order, language);
             const isExpanded = expandedOrders.has(order.id);
             const estimatedDelivery = getEstimatedDeliveryTime(order);
             const isReordering = reorderingOrder === order.id;
@@ -170,6 +320,7 @@ const OrderHistory = () => {
             return (
               <motion.div
                 key={order.id}
+                id={`order-${order.id}`}
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -20 }}
@@ -194,7 +345,7 @@ const OrderHistory = () => {
                       
                       <div>
                         <h3 className="font-semibold text-text-primary">
-                          Order #{order.id.slice(-8)}
+                          {t('orders.orderNumber', { order: order.id.slice(-8) })}
                         </h3>
                         <div className="flex items-center space-x-4 text-sm text-text-secondary">
                           <span className="flex items-center space-x-1">
@@ -202,9 +353,18 @@ const OrderHistory = () => {
                             <span>{formatDateTime(order.created_at)}</span>
                           </span>
                           <span className="flex items-center space-x-1">
-                            <DollarSign className="w-3 h-3" />
-                            <span>{formattedOrder.formattedAmount}</span>
+                            <Banknote className="w-3 h-3" />
+                            <span>{formatPrice(order.total_amount, { currency: order.currency })}</span>
                           </span>
+                          {order.status !== 'cancelled' && (
+                            <span
+                              className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                PAYMENT_BADGE_STYLES[formattedOrder.paymentStatus] || PAYMENT_BADGE_STYLES.unpaid
+                              }`}
+                            >
+                              {formattedOrder.paymentLabel}
+                            </span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -222,7 +382,7 @@ const OrderHistory = () => {
                         </div>
                         {estimatedDelivery && estimatedDelivery.remainingMinutes > 0 && (
                           <div className="text-xs text-text-secondary mt-1">
-                            ~{estimatedDelivery.remainingMinutes}m remaining
+                            {t('orders.minutesRemaining', { count: estimatedDelivery.remainingMinutes })}
                           </div>
                         )}
                       </div>
@@ -250,24 +410,29 @@ const OrderHistory = () => {
                       <div className="p-4 space-y-4">
                         {/* Order Items */}
                         <div>
-                          <h4 className="font-medium text-text-primary mb-3">Items Ordered</h4>
+                          <h4 className="font-medium text-text-primary mb-3">{t('orders.itemsOrdered')}</h4>
                           <div className="space-y-2">
                             {order.order_items.map((item, itemIndex) => (
                               <div key={itemIndex} className="flex justify-between items-center py-2 border-b border-border-color last:border-b-0">
                                 <div className="flex-1">
                                   <h5 className="font-medium text-text-primary">{item.name}</h5>
+                                  {item.modifiers?.length > 0 && (
+                                    <p className="text-sm text-text-secondary">
+                                      {formatModifiers(item.modifiers)}
+                                    </p>
+                                  )}
                                   {item.special_instructions && (
                                     <p className="text-sm text-text-secondary italic">
-                                      Note: {item.special_instructions}
+                                      {t('cart.note', { note: item.special_instructions })}
                                     </p>
                                   )}
                                 </div>
                                 <div className="text-right">
                                   <div className="font-medium">
-                                    {item.quantity}× ${item.price.toFixed(2)}
+                                    {item.quantity}× {formatPrice(item.price, { currency: order.currency })}
                                   </div>
                                   <div className="text-sm text-text-secondary">
-                                    ${(item.price * item.quantity).toFixed(2)}
+                                    {formatPrice(multiplyAmount(item.price, item.quantity, order.currency), { currency: order.currency })}
                                   </div>
                                 </div>
                               </div>
@@ -275,10 +440,24 @@ const OrderHistory = () => {
                           </div>
                         </div>
 
+                        {/* Declared Allergies */}
+                        {order.declared_allergies?.length > 0 && (
+                          <div className="flex items-center space-x-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 p-3 rounded-lg">
+                            <ShieldAlert className="w-4 h-4" />
+                            <span>
+                              {t('cart.allergies', {
+                                allergens: order.declared_allergies
+                                  .map(allergen => t(`allergens.${allergen}`, { defaultValue: getAllergenInfo(allergen).label }))
+                                  .join(', ')
+                              })}
+                            </span>
+                          </div>
+                        )}
+
                         {/* Special Instructions */}
                         {order.special_instructions && (
                           <div>
-                            <h4 className="font-medium text-text-primary mb-2">Special Instructions</h4>
+                            <h4 className="font-medium text-text-primary mb-2">{t('cart.specialInstructions')}</h4>
                             <p className="text-sm text-text-secondary bg-background-color p-3 rounded-lg">
                               {order.special_instructions}
                             </p>
@@ -287,19 +466,19 @@ const OrderHistory = () => {
 
                         {/* Order Timeline */}
                         <div>
-                          <h4 className="font-medium text-text-primary mb-3">Order Timeline</h4>
+                          <h4 className="font-medium text-text-primary mb-3">{t('orders.timeline')}</h4>
                           <div className="space-y-2">
                             <div className="flex items-center space-x-3 text-sm">
                               <div className="w-2 h-2 bg-blue-500 rounded-full" />
                               <span className="text-text-secondary">
-                                Order placed at {new Date(order.created_at).toLocaleTimeString()}
+                                {t('orders.placedAt', { time: new Date(order.created_at).toLocaleTimeString(language) })}
                               </span>
                             </div>
                             {order.updated_at !== order.created_at && (
                               <div className="flex items-center space-x-3 text-sm">
                                 <div className="w-2 h-2 bg-green-500 rounded-full" />
                                 <span className="text-text-secondary">
-                                  Last updated at {new Date(order.updated_at).toLocaleTimeString()}
+                                  {t('orders.updatedAt', { time: new Date(order.updated_at).toLocaleTimeString(language) })}
                                 </span>
                               </div>
                             )}
@@ -309,7 +488,7 @@ const OrderHistory = () => {
                         {/* Actions */}
                         <div className="flex justify-between items-center pt-4">
                           <div className="text-sm text-text-secondary">
-                            Table {order.table_number} • {formattedOrder.totalItems} items
+                            {t('common.table', { table: order.table_number })} • {t('orders.itemCount', { count: formattedOrder.totalItems })}
                           </div>
                           
                           {canReorder(order) && (
@@ -318,18 +497,18 @@ const OrderHistory = () => {
                                 e.stopPropagation();
                                 handleReorder(order);
                               }}
-                              disabled={isReordering}
+                              disabled={isReordering || menuLoading}
                               className="btn btn-sm btn-secondary"
                             >
                               {isReordering ? (
                                 <div className="flex items-center space-x-2">
                                   <LoadingStates.Spinner size="sm" />
-                                  <span>Adding to Cart...</span>
+                                  <span>{t('orders.addingToCart')}</span>
                                 </div>
                               ) : (
                                 <>
                                   <RefreshCw className="w-4 h-4 mr-2" />
-                                  Reorder
+                                  {t('orders.reorder')}
                                 </>
                               )}
                             </button>
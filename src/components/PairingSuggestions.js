@@ -0,0 +1,117 @@
+import React, { useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Plus } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
+import useCart from '../hooks/useCart';
+import useMoney from '../hooks/useMoney';
+import { hasRequiredModifiers } from '../utils/modifiers';
+import { userTracker } from '../utils/analytics';
+
+// Horizontal row of suggested items with one-tap add. `suggestions` comes from
+// usePairings; `source` ('sheet' or 'cart') and `triggerItemId` are recorded
+// with the tracking events so conversion can be measured per placement.
+const PairingSuggestions = ({ suggestions = [], source, triggerItemId = null, onAdded }) => {
+  const { sessionId, tableSessionId, dinerName, showItemModal, hideCart, addNotification } = useApp();
+  const { addToCart } = useCart(sessionId, { tableSessionId, dinerName });
+  const { t, language } = useTranslation();
+  const { formatPrice } = useMoney(language);
+
+  const suggestionsRef = useRef(suggestions);
+  suggestionsRef.current = suggestions;
+  const suggestionKey = suggestions.map(({ item }) => item.id).join(',');
+
+  // Record each distinct set of suggestions once
+  useEffect(() => {
+    suggestionsRef.current.forEach(({ item, source: pairingSource }) => {
+      userTracker.trackCartEvent('suggestion_view', item, 0, {
+        source,
+        trigger_item_id: triggerItemId,
+        pairing_source: pairingSource
+      });
+    });
+  }, [suggestionKey, source, triggerItemId]);
+
+  const handleAdd = useCallback((suggestion) => {
+    const { item } = suggestion;
+
+    // Items with required choices must go through the detail modal
+    if (hasRequiredModifiers(item)) {
+      hideCart();
+      onAdded?.(item);
+      showItemModal(item);
+      return;
+    }
+
+    try {
+      addToCart(item, 1);
+      userTracker.trackCartEvent('suggestion_add', item, 1, {
+        source,
+        trigger_item_id: triggerItemId,
+        pairing_source: suggestion.source
+      });
+      addNotification({
+        type: 'success',
+        message: t('menu.addedToCart', { name: item.displayName }),
+        duration: 2000
+      });
+      onAdded?.(item);
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: t('menu.addToCartFailed'),
+        duration: 3000
+      });
+    }
+  }, [addToCart, addNotification, showItemModal, hideCart, onAdded, source, triggerItemId, t]);
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className="flex overflow-x-auto scrollbar-hidden pb-2 space-x-3">
+      {suggestions.map((suggestion, index) => {
+        const { item, reason } = suggestion;
+        return (
+          <motion.div
+            key={item.id}
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: Math.min(index * 0.05, 0.3) }}
+            className="card flex-shrink-0 w-36 overflow-hidden"
+          >
+            <div className="w-full h-20 bg-gray-100 rounded-lg overflow-hidden mb-2">
+              {item.image_url ? (
+                <img
+                  src={item.image_url}
+                  alt={item.displayName}
+                  className="w-full h-full object-cover"
+                  loading="lazy"
+                />
+              ) : (
+                <div className="w-full h-full flex items-center justify-center">
+                  <span className="text-2xl">🍽️</span>
+                </div>
+              )}
+            </div>
+            <h4 className="font-medium text-sm text-text-primary truncate">{item.displayName}</h4>
+            <p className="text-xs text-text-secondary truncate">
+              {reason || t('upsell.oftenOrderedTogether')}
+            </p>
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-sm font-bold text-primary-color">{formatPrice(item.price)}</span>
+              <button
+                onClick={() => handleAdd(suggestion)}
+                className="w-8 h-8 rounded-full bg-primary-color text-white flex items-center justify-center hover:bg-primary-dark touch-target"
+                aria-label={t('menu.addItemToCart', { name: item.displayName })}
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </motion.div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PairingSuggestions;
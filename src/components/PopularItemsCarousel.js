@@ -0,0 +1,60 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { TrendingUp } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useMoney from '../hooks/useMoney';
+import useTranslation from '../i18n/useTranslation';
+
+// Horizontal strip of the most ordered dishes (useMenu's popularItems)
+const PopularItemsCarousel = ({ items = [] }) => {
+  const { showItemModal } = useApp();
+  const { t, language } = useTranslation();
+  const { formatPrice } = useMoney(language);
+
+  if (items.length === 0) return null;
+
+  return (
+    <section className="py-4" aria-label={t('menu.popularNow')}>
+      <div className="flex items-center space-x-2 px-4 mb-3">
+        <TrendingUp className="w-5 h-5 text-primary-color" />
+        <h2 className="text-xl font-bold text-text-primary">{t('menu.popularNow')}</h2>
+      </div>
+
+      <div className="flex overflow-x-auto scrollbar-hidden px-4 pb-2 space-x-3">
+        {items.map((item, index) => (
+          <motion.button
+            key={item.id}
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: Math.min(index * 0.05, 0.3) }}
+            whileTap={{ scale: 0.97 }}
+            onClick={() => showItemModal(item)}
+            className="card flex-shrink-0 w-36 text-left overflow-hidden touch-target"
+          >
+            <div className="relative w-full h-24 bg-gray-100 rounded-lg overflow-hidden mb-2">
+              {item.image_url ? (
+                <img
+                  src={item.image_url}
+                  alt={item.displayName}
+                  className="w-full h-full object-cover"
+                  loading="lazy"
+                />
+              ) : (
+                <div className="w-full h-full flex items-center justify-center">
+                  <span className="text-3xl">🍽️</span>
+                </div>
+              )}
+              <span className="absolute top-1 left-1 bg-orange-500 text-white text-xs font-bold px-2 py-0.5 rounded-full">
+                #{index + 1}
+              </span>
+            </div>
+            <h3 className="font-medium text-sm text-text-primary truncate">{item.displayName}</h3>
+            <p className="text-sm font-bold text-primary-color">{formatPrice(item.price)}</p>
+          </motion.button>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default PopularItemsCarousel;
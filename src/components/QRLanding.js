@@ -1,60 +1,89 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { CheckCircle, AlertCircle, Loader2, Utensils } from 'lucide-react';
+import { CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
+import LanguagePicker from './LanguagePicker';
+import ThemeToggle from './ThemeToggle';
+import RestaurantLogo from './RestaurantLogo';
+import useRestaurantSettings from '../hooks/useRestaurantSettings';
+import {
+  validateTableNumber,
+  parseTableNumber,
+  TABLE_ERRORS
+} from '../services/tables';
+import { verifyTableToken, ALLOW_LEGACY_TABLE_PARAM, ALLOW_MANUAL_TABLE_ENTRY } from '../services/qrTokens';
 
 const QRLanding = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
-  const { setSession, sessionId, tableNumber, addNotification } = useApp();
+  const { setSession, sessionId, addNotification } = useApp();
+  const { t } = useTranslation();
+  const { branding, loading: settingsLoading } = useRestaurantSettings();
   
   const [validationState, setValidationState] = useState('validating'); // validating, valid, invalid
+  const [invalidReason, setInvalidReason] = useState(null);
   const [tableNum, setTableNum] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  // Context actions are recreated every render, so guard against
+  // re-validating the same QR code when the session updates
+  const validatedKeyRef = useRef(null);
 
   useEffect(() => {
+    const validationKey = `${searchParams.toString()}#${attempt}`;
+    if (validatedKeyRef.current === validationKey) return;
+    validatedKeyRef.current = validationKey;
+
+    const rejectTable = (reason, message) => {
+      setInvalidReason(reason);
+      setValidationState('invalid');
+      addNotification({
+        type: 'error',
+        message,
+        duration: 5000
+      });
+    };
+
     const validateTableFromUrl = async () => {
       try {
+        const token = searchParams.get('t');
         const tableFromUrl = searchParams.get('table');
-        
-        if (!tableFromUrl) {
-          setValidationState('invalid');
-          addNotification({
-            type: 'error',
-            message: 'No table number found in QR code',
-            duration: 5000
-          });
-          return;
-        }
+        let tableToValidate;
 
-        const tableNumber = parseInt(tableFromUrl, 10);
-        
-        if (isNaN(tableNumber) || tableNumber <= 0) {
-          setValidationState('invalid');
-          addNotification({
-            type: 'error',
-            message: 'Invalid table number',
-            duration: 5000
-          });
+        if (token) {
+          const tokenResult = await verifyTableToken(token);
+
+          if (!tokenResult.valid) {
+            rejectTable(tokenResult.reason, t(`tableErrors.${tokenResult.reason}`));
+            return;
+          }
+
+          tableToValidate = tokenResult.tableNumber;
+        } else if (tableFromUrl && ALLOW_LEGACY_TABLE_PARAM) {
+          tableToValidate = tableFromUrl;
+        } else if (tableFromUrl) {
+          rejectTable(TABLE_ERRORS.INVALID_TOKEN, t('qr.outdatedCode'));
+          return;
+        } else {
+          rejectTable(TABLE_ERRORS.INVALID_NUMBER, t('qr.noTableNumber'));
           return;
         }
 
-        setTableNum(tableNumber);
+        setTableNum(parseTableNumber(tableToValidate));
 
-        // Simulate table validation (in real app, this would call validateTable API)
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        const result = await validateTableNumber(tableToValidate);
 
-        // For demo purposes, assume all tables 1-50 are valid
-        if (tableNumber >= 1 && tableNumber <= 50) {
+        if (result.valid) {
           setValidationState('valid');
           
           // Generate session ID and set session
           const newSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          setSession(newSessionId, tableNumber);
+          setSession(newSessionId, result.tableNumber, token);
           
           addNotification({
             type: 'success',
-            message: `Welcome to Table ${tableNumber}!`,
+            message: t('qr.welcome', { table: result.tableNumber }),
             duration: 3000
           });
 
@@ -63,26 +92,22 @@ const QRLanding = () => {
             navigate('/menu');
           }, 2000);
         } else {
-          setValidationState('invalid');
-          addNotification({
-            type: 'error',
-            message: 'Table not found or inactive',
-            duration: 5000
-          });
+          rejectTable(result.reason, t(`tableErrors.${result.reason}`));
         }
       } catch (error) {
         console.error('Error validating table:', error);
+        setInvalidReason(null);
         setValidationState('invalid');
         addNotification({
           type: 'error',
-          message: 'Error validating table. Please try again.',
+          message: t('qr.validationError'),
           duration: 5000
         });
       }
     };
 
     validateTableFromUrl();
-  }, [searchParams, sessionId, setSession, addNotification, navigate]);
+  }, [searchParams, attempt, sessionId, setSession, addNotification, navigate, t]);
 
   const handleManualEntry = () => {
     navigate('/table-select');
@@ -90,7 +115,28 @@ const QRLanding = () => {
 
   const handleRetry = () => {
     setValidationState('validating');
-    window.location.reload();
+    setInvalidReason(null);
+    setAttempt(prev => prev + 1);
+  };
+
+  const getInvalidContent = () => {
+    switch (invalidReason) {
+      case TABLE_ERRORS.NOT_FOUND:
+      case TABLE_ERRORS.CLOSED:
+      case TABLE_ERRORS.OCCUPIED:
+      case TABLE_ERRORS.INVALID_TOKEN:
+      case TABLE_ERRORS.EXPIRED_TOKEN:
+      case TABLE_ERRORS.INVALID_NUMBER:
+        return {
+          title: t(`qr.invalid.${invalidReason}.title`),
+          message: t(`qr.invalid.${invalidReason}.message`, { table: tableNum })
+        };
+      default:
+        return {
+          title: t('qr.invalid.unknown.title'),
+          message: t('qr.invalid.unknown.message')
+        };
+    }
   };
 
   const renderValidationContent = () => {
@@ -110,10 +156,10 @@ const QRLanding = () => {
               <Loader2 className="w-16 h-16 text-primary-color mx-auto" />
             </motion.div>
             <h2 className="text-2xl font-bold text-text-primary mb-4">
-              Validating Table...
+              {t('qr.validating')}
             </h2>
             <p className="text-text-secondary">
-              {tableNum ? `Checking Table ${tableNum}` : 'Processing QR code'}
+              {tableNum ? t('qr.checkingTable', { table: tableNum }) : t('qr.processing')}
             </p>
           </motion.div>
         );
@@ -134,10 +180,10 @@ const QRLanding = () => {
               <CheckCircle className="w-16 h-16 text-green-500 mx-auto" />
             </motion.div>
             <h2 className="text-2xl font-bold text-text-primary mb-4">
-              Welcome to Table {tableNum}!
+              {t('qr.welcome', { table: tableNum })}
             </h2>
             <p className="text-text-secondary mb-6">
-              You're all set to start ordering. Redirecting to menu...
+              {t('qr.redirecting')}
             </p>
             <div className="flex justify-center">
               <div className="w-8 h-1 bg-primary-color rounded-full animate-pulse"></div>
@@ -145,7 +191,8 @@ const QRLanding = () => {
           </motion.div>
         );
 
-      case 'invalid':
+      case 'invalid': {
+        const { title, message } = getInvalidContent();
         return (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -154,27 +201,30 @@ const QRLanding = () => {
           >
             <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-6" />
             <h2 className="text-2xl font-bold text-text-primary mb-4">
-              Invalid QR Code
+              {title}
             </h2>
             <p className="text-text-secondary mb-8">
-              We couldn't validate your table. Please try scanning the QR code again or enter your table number manually.
+              {message}
             </p>
             <div className="space-y-4">
               <button
                 onClick={handleRetry}
                 className="btn btn-primary w-full"
               >
-                Try Again
-              </button>
-              <button
-                onClick={handleManualEntry}
-                className="btn btn-secondary w-full"
-              >
-                Enter Table Number
+                {t('common.tryAgain')}
               </button>
+              {ALLOW_MANUAL_TABLE_ENTRY && (
+                <button
+                  onClick={handleManualEntry}
+                  className="btn btn-secondary w-full"
+                >
+                  {t('qr.enterTableNumber')}
+                </button>
+              )}
             </div>
           </motion.div>
         );
+      }
 
       default:
         return null;
@@ -184,20 +234,24 @@ const QRLanding = () => {
   return (
     <div className="min-h-screen bg-background-color flex items-center justify-center p-4">
       <div className="w-full max-w-md">
+        <div className="flex justify-end items-center space-x-2 mb-4">
+          <ThemeToggle />
+          <LanguagePicker />
+        </div>
+
         {/* Header */}
         <motion.div
           initial={{ opacity: 0, y: -20 }}
           animate={{ opacity: 1, y: 0 }}
           className="text-center mb-8"
         >
-          <div className="w-20 h-20 bg-primary-color rounded-full flex items-center justify-center mx-auto mb-4">
-            <Utensils className="w-10 h-10 text-white" />
-          </div>
+          <RestaurantLogo className="w-20 h-20 mx-auto mb-4" iconClassName="w-10 h-10" />
           <h1 className="text-3xl font-bold text-text-primary mb-2">
-            Restaurant Order
+            {/* Keep the line while settings load so the generic title doesn't flash */}
+            {settingsLoading ? '\u00a0' : branding.name || t('qr.title')}
           </h1>
           <p className="text-text-secondary">
-            Quick & Easy Table Service
+            {t('qr.tagline')}
           </p>
         </motion.div>
 
@@ -214,7 +268,7 @@ const QRLanding = () => {
           className="text-center mt-8"
         >
           <p className="text-sm text-text-light">
-            Having trouble? Ask your server for assistance
+            {t('qr.help')}
           </p>
         </motion.div>
       </div>
@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+import { Utensils } from 'lucide-react';
+import useRestaurantSettings from '../hooks/useRestaurantSettings';
+
+// The restaurant's logo (restaurant_settings.logo_url) in a primary-coloured
+// circle, or `icon` when there is none or it fails to load
+const RestaurantLogo = ({ className = 'w-10 h-10', iconClassName = 'w-5 h-5', icon: Icon = Utensils }) => {
+  const { branding } = useRestaurantSettings();
+  const [failedUrl, setFailedUrl] = useState(null);
+  const showLogo = branding.logoUrl && branding.logoUrl !== failedUrl;
+
+  return (
+    <div className={`${className} bg-primary-color rounded-full flex items-center justify-center overflow-hidden`}>
+      {showLogo ? (
+        <img
+          src={branding.logoUrl}
+          alt={branding.name || ''}
+          className="w-full h-full object-cover"
+          onError={() => setFailedUrl(branding.logoUrl)}
+        />
+      ) : (
+        <Icon className={`${iconClassName} text-white`} aria-hidden="true" />
+      )}
+    </div>
+  );
+};
+
+export default RestaurantLogo;
@@ -0,0 +1,229 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ConciergeBell, Hand, Receipt, GlassWater, UtensilsCrossed, X, Loader2 } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useServiceRequests from '../hooks/useServiceRequests';
+import useTranslation from '../i18n/useTranslation';
+
+const REQUEST_ICONS = {
+  assistance: Hand,
+  bill: Receipt,
+  water: GlassWater,
+  cutlery: UtensilsCrossed
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  acknowledged: 'bg-green-100 text-green-800'
+};
+
+// Floating "call a server" action with a sheet of typed requests
+const ServiceRequestButton = () => {
+  const { sessionId, tableNumber, tableSessionId, addNotification, isOnline } = useApp();
+  const { t } = useTranslation();
+  const {
+    requests,
+    activeRequests,
+    submittingType,
+    raiseRequest,
+    cancelRequest,
+    getRequestLimit,
+    SERVICE_REQUEST_TYPES
+  } = useServiceRequests(sessionId, { tableNumber, tableSessionId });
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [cancellingId, setCancellingId] = useState(null);
+  const previousStatusesRef = useRef(null);
+
+  const getTypeLabel = useCallback((type) => t(`service.types.${type}`, { defaultValue: type }), [t]);
+
+  // Let the diner know when staff pick a request up, even with the sheet closed
+  useEffect(() => {
+    const previousStatuses = previousStatusesRef.current;
+    previousStatusesRef.current = new Map(requests.map(request => [request.id, request.status]));
+    if (!previousStatuses) return;
+
+    requests.forEach(request => {
+      if (request.status === 'acknowledged' && previousStatuses.get(request.id) === 'pending') {
+        addNotification({
+          type: 'success',
+          message: t('service.onTheWay', { request: getTypeLabel(request.request_type) }),
+          duration: 4000
+        });
+      }
+    });
+  }, [requests, addNotification, getTypeLabel, t]);
+
+  const handleRaise = useCallback(async (type) => {
+    try {
+      await raiseRequest(type);
+      addNotification({
+        type: 'success',
+        message: t('service.sent', { request: getTypeLabel(type) }),
+        duration: 3000
+      });
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: error.code === 'open'
+          ? t('service.errors.open')
+          : ['cooldown', 'rate_limited'].includes(error.code)
+            ? t('service.errors.wait', { count: Math.ceil(error.retryAfterMs / 1000) })
+            : t('service.sendFailed'),
+        duration: 4000
+      });
+    }
+  }, [raiseRequest, addNotification, getTypeLabel, t]);
+
+  const handleCancel = useCallback(async (request) => {
+    setCancellingId(request.id);
+
+    try {
+      const cancelled = await cancelRequest(request.id);
+      addNotification({
+        type: cancelled ? 'info' : 'warning',
+        message: cancelled
+          ? t('service.cancelled', { request: getTypeLabel(request.request_type) })
+          : t('service.alreadyHandled'),
+        duration: 3000
+      });
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: t('service.cancelFailed'),
+        duration: 3000
+      });
+    } finally {
+      setCancellingId(null);
+    }
+  }, [cancelRequest, addNotification, getTypeLabel, t]);
+
+  const getLimitText = (limit) => {
+    if (limit.reason === 'open') return t('service.requested');
+    const seconds = Math.ceil(limit.retryAfterMs / 1000);
+    return seconds >= 60
+      ? t('service.availableInMinutes', { count: Math.ceil(seconds / 60) })
+      : t('service.availableInSeconds', { count: seconds });
+  };
+
+  if (!sessionId) return null;
+
+  return (
+    <>
+      {/* Floating Action */}
+      <motion.button
+        initial={{ scale: 0 }}
+        animate={{ scale: 1 }}
+        onClick={() => setIsOpen(true)}
+        className="fixed bottom-6 left-4 z-30 w-14 h-14 rounded-full bg-primary-color text-white shadow-lg flex items-center justify-center touch-target safe-area-bottom"
+        aria-label={t('service.callServer')}
+      >
+        <ConciergeBell className="w-6 h-6" />
+        {activeRequests.length > 0 && (
+          <span className="absolute -top-1 -right-1 bg-secondary-color text-white text-xs rounded-full w-5 h-5 flex items-center justify-center font-bold">
+            {activeRequests.length}
+          </span>
+        )}
+      </motion.button>
+
+      {/* Request Sheet */}
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-end"
+            onClick={() => setIsOpen(false)}
+          >
+            <div className="absolute inset-0 bg-black bg-opacity-50" />
+
+            <motion.div
+              initial={{ y: '100%' }}
+              animate={{ y: 0 }}
+              exit={{ y: '100%' }}
+              transition={{ type: 'tween', duration: 0.3 }}
+              className="relative w-full bg-surface-color rounded-t-2xl p-4 safe-area-bottom"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-bold text-text-primary">
+                  {t('service.title')}
+                </h2>
+                <button
+                  onClick={() => setIsOpen(false)}
+                  className="p-2 rounded-full hover:bg-background-color transition-colors touch-target"
+                  aria-label={t('service.close')}
+                >
+                  <X className="w-5 h-5 text-text-secondary" />
+                </button>
+              </div>
+
+              {!isOnline && (
+                <p className="text-sm text-orange-500 mb-3">
+                  {t('service.offline')}
+                </p>
+              )}
+
+              {/* Request Types */}
+              <div className="grid grid-cols-2 gap-3">
+                {Object.keys(SERVICE_REQUEST_TYPES).map(type => {
+                  const Icon = REQUEST_ICONS[type];
+                  const limit = getRequestLimit(type);
+                  const isSubmitting = submittingType === type;
+
+                  return (
+                    <button
+                      key={type}
+                      onClick={() => handleRaise(type)}
+                      disabled={!limit.allowed || !isOnline || Boolean(submittingType)}
+                      className="card p-4 flex flex-col items-center text-center space-y-2 touch-target disabled:opacity-50"
+                    >
+                      {isSubmitting ? (
+                        <Loader2 className="w-6 h-6 text-primary-color animate-spin" />
+                      ) : (
+                        <Icon className="w-6 h-6 text-primary-color" />
+                      )}
+                      <span className="text-sm font-medium text-text-primary">{getTypeLabel(type)}</span>
+                      {!limit.allowed && (
+                        <span className="text-xs text-text-secondary">{getLimitText(limit)}</span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Open Requests */}
+              {activeRequests.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-border-color space-y-2">
+                  <h3 className="text-sm font-semibold text-text-primary">{t('service.yourRequests')}</h3>
+                  {activeRequests.map(request => (
+                    <div key={request.id} className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm text-text-primary">
+                          {getTypeLabel(request.request_type)}
+                        </span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                          {t(`service.status.${request.status}`)}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handleCancel(request)}
+                        disabled={cancellingId === request.id}
+                        className="text-sm text-primary-color hover:text-primary-dark disabled:opacity-50"
+                      >
+                        {cancellingId === request.id ? t('service.cancelling') : t('service.cancel')}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default ServiceRequestButton;
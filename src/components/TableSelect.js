@@ -1,24 +1,32 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { MapPin, ArrowRight, Utensils } from 'lucide-react';
+import { MapPin, ArrowRight, Utensils, AlertCircle, QrCode } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
+import {
+  validateTableNumber,
+  parseTableNumber,
+  TABLE_ERRORS
+} from '../services/tables';
+import { ALLOW_MANUAL_TABLE_ENTRY } from '../services/qrTokens';
 
 const TableSelect = () => {
   const navigate = useNavigate();
   const { setSession, sessionId, addNotification } = useApp();
+  const { t } = useTranslation();
   const [tableNumber, setTableNumber] = useState('');
   const [isValidating, setIsValidating] = useState(false);
+  const [tableError, setTableError] = useState(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    const tableNum = parseInt(tableNumber, 10);
-    
-    if (!tableNumber || isNaN(tableNum) || tableNum <= 0) {
+    setTableError(null);
+
+    if (!parseTableNumber(tableNumber)) {
       addNotification({
         type: 'error',
-        message: 'Please enter a valid table number',
+        message: t(`tableErrors.${TABLE_ERRORS.INVALID_NUMBER}`),
         duration: 3000
       });
       return;
@@ -27,33 +35,27 @@ const TableSelect = () => {
     setIsValidating(true);
 
     try {
-      // Simulate table validation
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const result = await validateTableNumber(tableNumber);
 
-      // For demo purposes, assume tables 1-50 are valid
-      if (tableNum >= 1 && tableNum <= 50) {
+      if (result.valid) {
         const newSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        setSession(newSessionId, tableNum);
+        setSession(newSessionId, result.tableNumber);
         
         addNotification({
           type: 'success',
-          message: `Welcome to Table ${tableNum}!`,
+          message: t('qr.welcome', { table: result.tableNumber }),
           duration: 3000
         });
 
         navigate('/menu');
       } else {
-        addNotification({
-          type: 'error',
-          message: 'Table not found or inactive',
-          duration: 5000
-        });
+        setTableError(t(`tableErrors.${result.reason}`));
       }
     } catch (error) {
       console.error('Error validating table:', error);
       addNotification({
         type: 'error',
-        message: 'Error validating table. Please try again.',
+        message: t('qr.validationError'),
         duration: 5000
       });
     } finally {
@@ -61,6 +63,30 @@ const TableSelect = () => {
     }
   };
 
+  // Without manual entry, the signed QR code is the only way to start a session
+  if (!ALLOW_MANUAL_TABLE_ENTRY) {
+    return (
+      <div className="min-h-screen bg-background-color flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="w-full max-w-md card p-8 text-center"
+        >
+          <QrCode className="w-16 h-16 text-primary-color mx-auto mb-6" />
+          <h1 className="text-2xl font-bold text-text-primary mb-4">
+            {t('tableSelect.scanTitle')}
+          </h1>
+          <p className="text-text-secondary mb-2">
+            {t('tableSelect.scanMessage')}
+          </p>
+          <p className="text-sm text-text-light">
+            {t('tableSelect.scanHelp')}
+          </p>
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-background-color flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -74,10 +100,10 @@ const TableSelect = () => {
             <Utensils className="w-10 h-10 text-white" />
           </div>
           <h1 className="text-3xl font-bold text-text-primary mb-2">
-            Table Selection
+            {t('tableSelect.title')}
           </h1>
           <p className="text-text-secondary">
-            Enter your table number to start ordering
+            {t('tableSelect.subtitle')}
           </p>
         </motion.div>
 
@@ -91,7 +117,7 @@ const TableSelect = () => {
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
               <label htmlFor="table" className="block text-sm font-medium text-text-primary mb-2">
-                Table Number
+                {t('tableSelect.label')}
               </label>
               <div className="relative">
                 <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-text-secondary" />
@@ -99,17 +125,25 @@ const TableSelect = () => {
                   id="table"
                   type="number"
                   min="1"
-                  max="100"
                   value={tableNumber}
-                  onChange={(e) => setTableNumber(e.target.value)}
-                  placeholder="Enter table number (e.g., 15)"
+                  onChange={(e) => {
+                    setTableNumber(e.target.value);
+                    setTableError(null);
+                  }}
+                  placeholder={t('tableSelect.placeholder')}
                   className="form-control pl-10"
                   disabled={isValidating}
                   autoFocus
                 />
               </div>
+              {tableError && (
+                <div className="flex items-center space-x-2 text-red-600 text-sm mt-2" role="alert">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  <span>{tableError}</span>
+                </div>
+              )}
               <p className="text-xs text-text-light mt-2">
-                Look for the table number on your table or ask your server
+                {t('tableSelect.hint')}
               </p>
             </div>
 
@@ -121,12 +155,12 @@ const TableSelect = () => {
               {isValidating ? (
                 <div className="flex items-center justify-center space-x-2">
                   <div className="spinner" />
-                  <span>Validating...</span>
+                  <span>{t('tableSelect.validating')}</span>
                 </div>
               ) : (
                 <>
-                  <span>Continue to Menu</span>
-                  <ArrowRight className="w-5 h-5 ml-2" />
+                  <span>{t('tableSelect.continue')}</span>
+                  <ArrowRight className="w-5 h-5 ml-2 rtl-flip" />
                 </>
               )}
             </button>
@@ -141,10 +175,10 @@ const TableSelect = () => {
           className="text-center mt-8"
         >
           <p className="text-sm text-text-light mb-4">
-            Can't find your table number?
+            {t('tableSelect.cantFind')}
           </p>
           <p className="text-xs text-text-secondary">
-            Ask your server for assistance or scan the QR code on your table
+            {t('tableSelect.help')}
           </p>
         </motion.div>
       </div>
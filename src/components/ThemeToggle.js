@@ -0,0 +1,33 @@
+import React from 'react';
+import { Sun, Moon, Monitor } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
+import { THEMES, getNextThemePreference } from '../utils/theme';
+
+const THEME_ICONS = {
+  [THEMES.LIGHT]: Sun,
+  [THEMES.DARK]: Moon,
+  [THEMES.SYSTEM]: Monitor
+};
+
+// Cycles system -> light -> dark; the choice is remembered by AppContext
+const ThemeToggle = ({ className = '' }) => {
+  const { theme, setTheme } = useApp();
+  const { t } = useTranslation();
+  const Icon = THEME_ICONS[theme] || Monitor;
+  const next = getNextThemePreference(theme);
+
+  return (
+    <button
+      type="button"
+      onClick={() => setTheme(next)}
+      className={`p-2 rounded-full hover:bg-background-color transition-colors ${className}`}
+      aria-label={t('theme.switchTo', { theme: t(`theme.${next}`).toLowerCase() })}
+      title={t(`theme.${theme}`)}
+    >
+      <Icon className="w-5 h-5 text-text-secondary" aria-hidden="true" />
+    </button>
+  );
+};
+
+export default ThemeToggle;
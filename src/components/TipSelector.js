@@ -0,0 +1,106 @@
+import React from 'react';
+import { Heart } from 'lucide-react';
+import { TIP_MODES, NO_TIP, DEFAULT_TIP_PRESETS, getTipAmount, formatTipPercentage } from '../utils/tips';
+import useRestaurantSettings from '../hooks/useRestaurantSettings';
+import useMoney from '../hooks/useMoney';
+import useTranslation from '../i18n/useTranslation';
+
+// Tip choice: percentage presets on the pre-tax subtotal, a custom amount or no tip.
+// `value` is a selection ({ mode, percentage, customAmount }); see utils/tips.
+const TipSelector = ({
+  subtotal = 0,
+  value = NO_TIP,
+  onChange,
+  presets = DEFAULT_TIP_PRESETS,
+  disabled = false
+}) => {
+  const { t, language } = useTranslation();
+  const { pricingSettings } = useRestaurantSettings();
+  const { formatPrice, currencySymbol, currencyDigits } = useMoney(language);
+  const { roundingMode, currency } = pricingSettings;
+
+  const isSelected = (mode, percentage) => (
+    value.mode === mode && (mode !== TIP_MODES.PERCENTAGE || value.percentage === percentage)
+  );
+
+  const optionClassName = (selected) => (
+    `flex-1 py-2 px-1 rounded-lg border text-sm font-medium transition-colors touch-target ${
+      selected
+        ? 'bg-primary-color text-white border-primary-color'
+        : 'bg-surface-color text-text-primary border-border-color hover:bg-background-color'
+    }`
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-text-primary">
+          <Heart className="w-4 h-4 text-primary-color" />
+          <span className="text-sm font-medium">{t('tips.addTip')}</span>
+        </div>
+        {value.mode !== TIP_MODES.NONE && (
+          <span className="text-sm font-medium text-text-primary">
+            {formatPrice(getTipAmount(value, subtotal, roundingMode, currency))}
+          </span>
+        )}
+      </div>
+
+      <div className="flex space-x-2" role="radiogroup" aria-label={t('tips.amount')}>
+        {presets.map(percentage => (
+          <button
+            key={percentage}
+            role="radio"
+            aria-checked={isSelected(TIP_MODES.PERCENTAGE, percentage)}
+            onClick={() => onChange({ ...NO_TIP, mode: TIP_MODES.PERCENTAGE, percentage })}
+            disabled={disabled}
+            className={optionClassName(isSelected(TIP_MODES.PERCENTAGE, percentage))}
+          >
+            <span className="block">{formatTipPercentage(percentage)}</span>
+            <span className="block text-xs opacity-75">
+              {formatPrice(getTipAmount({ mode: TIP_MODES.PERCENTAGE, percentage }, subtotal, roundingMode, currency))}
+            </span>
+          </button>
+        ))}
+        <button
+          role="radio"
+          aria-checked={isSelected(TIP_MODES.CUSTOM)}
+          onClick={() => onChange({ ...NO_TIP, mode: TIP_MODES.CUSTOM, customAmount: value.customAmount })}
+          disabled={disabled}
+          className={optionClassName(isSelected(TIP_MODES.CUSTOM))}
+        >
+          {t('tips.custom')}
+        </button>
+        <button
+          role="radio"
+          aria-checked={isSelected(TIP_MODES.NONE)}
+          onClick={() => onChange(NO_TIP)}
+          disabled={disabled}
+          className={optionClassName(isSelected(TIP_MODES.NONE))}
+        >
+          {t('tips.noTip')}
+        </button>
+      </div>
+
+      {value.mode === TIP_MODES.CUSTOM && (
+        <div className="relative">
+          <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-text-secondary">{currencySymbol}</span>
+          <input
+            type="number"
+            inputMode={currencyDigits > 0 ? 'decimal' : 'numeric'}
+            min="0"
+            step={10 ** -currencyDigits}
+            placeholder={(0).toFixed(currencyDigits)}
+            value={value.customAmount}
+            onChange={(e) => onChange({ ...value, customAmount: e.target.value })}
+            disabled={disabled}
+            className="form-control pl-7"
+            aria-label={t('tips.customAmount')}
+            autoFocus
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TipSelector;
@@ -0,0 +1,101 @@
+import React, { useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import useTranslation from '../i18n/useTranslation';
+import useCart from '../hooks/useCart';
+import usePairings from '../hooks/usePairings';
+import PairingSuggestions from './PairingSuggestions';
+import { userTracker } from '../utils/analytics';
+
+// Bottom sheet shown after an item is added: "Goes well with <item>".
+// Closes itself when there is nothing worth suggesting.
+const UpsellSheet = ({ item, getMenuItem, onClose }) => {
+  const { sessionId, tableSessionId, dinerName } = useApp();
+  const { cart } = useCart(sessionId, { tableSessionId, dinerName });
+  const { t } = useTranslation();
+
+  const { suggestions, loading } = usePairings([item.id], {
+    getMenuItem,
+    excludeIds: cart.map(line => line.id)
+  });
+
+  const handleDismiss = useCallback(() => {
+    userTracker.trackCartEvent('suggestion_dismiss', item, 0, { source: 'sheet' });
+    onClose();
+  }, [item, onClose]);
+
+  useEffect(() => {
+    if (!loading && suggestions.length === 0) {
+      onClose();
+    }
+  }, [loading, suggestions.length, onClose]);
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        handleDismiss();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [handleDismiss]);
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-40 flex items-end justify-center"
+      onClick={handleDismiss}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black bg-opacity-30" />
+
+      {/* Sheet */}
+      <motion.div
+        initial={{ y: '100%' }}
+        animate={{ y: 0 }}
+        exit={{ y: '100%' }}
+        transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+        className="relative w-full max-w-lg bg-surface-color rounded-t-2xl shadow-xl p-4 safe-area-bottom"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="upsell-title"
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h2 id="upsell-title" className="text-lg font-semibold text-text-primary truncate">
+            {t('upsell.title', { name: item.displayName })}
+          </h2>
+          <button
+            onClick={handleDismiss}
+            className="p-2 rounded-full hover:bg-background-color touch-target"
+            aria-label={t('upsell.dismiss')}
+          >
+            <X className="w-5 h-5 text-text-secondary" />
+          </button>
+        </div>
+
+        <PairingSuggestions
+          suggestions={suggestions}
+          source="sheet"
+          triggerItemId={item.id}
+          onAdded={onClose}
+        />
+
+        <button
+          onClick={handleDismiss}
+          className="btn btn-secondary w-full mt-3"
+        >
+          {t('upsell.dismiss')}
+        </button>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default UpsellSheet;
@@ -1,12 +1,28 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid';
+import { joinTableSession } from '../services/supabase';
+import { loadLanguage, saveLanguage, getLanguageDirection, isSupportedLanguage } from '../i18n';
+import {
+  THEMES,
+  loadThemePreference,
+  saveThemePreference,
+  isThemePreference,
+  resolveTheme,
+  watchSystemTheme,
+  applyTheme
+} from '../utils/theme';
+
+const DINER_NAME_STORAGE_KEY = 'restaurant_diner_name';
 
 // Initial state
 const initialState = {
   // Session data
   sessionId: null,
   tableNumber: null,
+  tableToken: null, // signed QR token the table was verified with; rejoining the visit needs it
   isSessionActive: false,
+  tableSessionId: null, // shared visit joined by every phone at the table
+  dinerName: localStorage.getItem(DINER_NAME_STORAGE_KEY),
 
   // UI state
   isMobile: false,
@@ -17,13 +33,14 @@ const initialState = {
   showCart: false,
   showItemModal: false,
   selectedMenuItem: null,
+  upsellItem: null, // item just added, for "goes well with" suggestions
   
   // Toast notifications
   notifications: [],
   
   // App settings
-  theme: 'light',
-  language: 'en',
+  theme: loadThemePreference(), // light, dark or system (follows prefers-color-scheme)
+  language: loadLanguage(), // saved choice, else detected from the browser
   
   // Performance
   isLoading: false,
@@ -35,6 +52,8 @@ const actionTypes = {
   // Session actions
   SET_SESSION: 'SET_SESSION',
   SET_TABLE_NUMBER: 'SET_TABLE_NUMBER',
+  SET_TABLE_SESSION: 'SET_TABLE_SESSION',
+  SET_DINER_NAME: 'SET_DINER_NAME',
   CLEAR_SESSION: 'CLEAR_SESSION',
   
   // UI actions
@@ -47,6 +66,8 @@ const actionTypes = {
   HIDE_CART: 'HIDE_CART',
   SHOW_ITEM_MODAL: 'SHOW_ITEM_MODAL',
   HIDE_ITEM_MODAL: 'HIDE_ITEM_MODAL',
+  SHOW_UPSELL: 'SHOW_UPSELL',
+  HIDE_UPSELL: 'HIDE_UPSELL',
   
   // Notification actions
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
@@ -70,13 +91,30 @@ const appReducer = (state, action) => {
         ...state,
         sessionId: action.payload.sessionId,
         tableNumber: action.payload.tableNumber,
+        tableToken: action.payload.tableToken,
+        // Always rejoin: the table's previous visit may have ended since
+        tableSessionId: null,
         isSessionActive: true
       };
       
     case actionTypes.SET_TABLE_NUMBER:
       return {
         ...state,
-        tableNumber: action.payload
+        tableNumber: action.payload,
+        tableToken: null,
+        tableSessionId: null
+      };
+      
+    case actionTypes.SET_TABLE_SESSION:
+      return {
+        ...state,
+        tableSessionId: action.payload
+      };
+      
+    case actionTypes.SET_DINER_NAME:
+      return {
+        ...state,
+        dinerName: action.payload
       };
       
     case actionTypes.CLEAR_SESSION:
@@ -84,6 +122,8 @@ const appReducer = (state, action) => {
         ...state,
         sessionId: null,
         tableNumber: null,
+        tableToken: null,
+        tableSessionId: null,
         isSessionActive: false,
         currentView: 'menu'
       };
@@ -133,6 +173,18 @@ const appReducer = (state, action) => {
         selectedMenuItem: null
       };
       
+    case actionTypes.SHOW_UPSELL:
+      return {
+        ...state,
+        upsellItem: action.payload
+      };
+      
+    case actionTypes.HIDE_UPSELL:
+      return {
+        ...state,
+        upsellItem: null
+      };
+      
     case actionTypes.ADD_NOTIFICATION:
       return {
         ...state,
@@ -194,10 +246,11 @@ export const AppProvider = ({ children }) => {
   // Action creators
   const actions = {
     // Session actions
-    setSession: (sessionId, tableNumber) => {
+    // tableToken is null for manually entered tables (only joinable while unsigned entry is on)
+    setSession: (sessionId, tableNumber, tableToken = null) => {
       dispatch({
         type: actionTypes.SET_SESSION,
-        payload: { sessionId, tableNumber }
+        payload: { sessionId, tableNumber, tableToken }
       });
     },
     
@@ -208,6 +261,20 @@ export const AppProvider = ({ children }) => {
       });
     },
     
+    setTableSession: (tableSessionId) => {
+      dispatch({
+        type: actionTypes.SET_TABLE_SESSION,
+        payload: tableSessionId
+      });
+    },
+    
+    setDinerName: (dinerName) => {
+      dispatch({
+        type: actionTypes.SET_DINER_NAME,
+        payload: dinerName
+      });
+    },
+    
     clearSession: () => {
       dispatch({ type: actionTypes.CLEAR_SESSION });
     },
@@ -254,6 +321,17 @@ export const AppProvider = ({ children }) => {
       dispatch({ type: actionTypes.HIDE_ITEM_MODAL });
     },
     
+    showUpsell: (menuItem) => {
+      dispatch({
+        type: actionTypes.SHOW_UPSELL,
+        payload: menuItem
+      });
+    },
+    
+    hideUpsell: () => {
+      dispatch({ type: actionTypes.HIDE_UPSELL });
+    },
+    
     // Notification actions
     addNotification: (notification) => {
       dispatch({
@@ -275,6 +353,7 @@ export const AppProvider = ({ children }) => {
     
     // Settings actions
     setTheme: (theme) => {
+      if (!isThemePreference(theme)) return;
       dispatch({
         type: actionTypes.SET_THEME,
         payload: theme
@@ -282,6 +361,7 @@ export const AppProvider = ({ children }) => {
     },
     
     setLanguage: (language) => {
+      if (!isSupportedLanguage(language)) return;
       dispatch({
         type: actionTypes.SET_LANGUAGE,
         payload: language
@@ -301,21 +381,6 @@ export const AppProvider = ({ children }) => {
     }
   };
 
-  // Auto-generate session ID on mount if not present
-  useEffect(() => {
-    if (!state.sessionId) {
-      const sessionId = uuidv4();
-      
-      // Try to get table number from URL
-      const urlParams = new URLSearchParams(window.location.search);
-      const tableFromUrl = urlParams.get('table');
-      
-      if (tableFromUrl) {
-        actions.setSession(sessionId, parseInt(tableFromUrl, 10));
-      }
-    }
-  }, [state.sessionId]);
-
   // Handle mobile detection
   useEffect(() => {
     const checkMobile = () => {
@@ -366,21 +431,91 @@ export const AppProvider = ({ children }) => {
       localStorage.setItem('restaurant_session', JSON.stringify({
         sessionId: state.sessionId,
         tableNumber: state.tableNumber,
+        tableToken: state.tableToken,
         timestamp: Date.now()
       }));
     }
-  }, [state.sessionId, state.tableNumber]);
+  }, [state.sessionId, state.tableNumber, state.tableToken]);
+
+  // Join the table's shared visit so diners at the same table share one cart
+  useEffect(() => {
+    if (!state.sessionId || !state.tableNumber || state.tableSessionId || !state.isOnline) return;
+
+    let cancelled = false;
+
+    joinTableSession(state.sessionId, { tableToken: state.tableToken, tableNumber: state.tableNumber })
+      .then((tableSession) => {
+        if (!cancelled && tableSession) {
+          dispatch({ type: actionTypes.SET_TABLE_SESSION, payload: tableSession.id });
+        }
+      })
+      .catch((error) => {
+        // The cart stays private meanwhile, and the database refuses orders until the
+        // diner has joined a visit (e.g. after rescanning a revoked table code)
+        console.error('Error joining table session:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [state.sessionId, state.tableNumber, state.tableToken, state.tableSessionId, state.isOnline]);
+
+  // Check the visit is still open when the diner comes back to the app: staff may have
+  // closed it, or the bill was paid, and a new party must not inherit its cart
+  useEffect(() => {
+    if (!state.sessionId || !state.tableNumber || !state.tableSessionId || !state.isOnline) return;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible') return;
+
+      joinTableSession(state.sessionId, { tableToken: state.tableToken, tableNumber: state.tableNumber })
+        .then((tableSession) => {
+          if (tableSession && tableSession.id !== state.tableSessionId) {
+            dispatch({ type: actionTypes.SET_TABLE_SESSION, payload: tableSession.id });
+          }
+        })
+        .catch((error) => {
+          console.error('Error checking table session:', error);
+        });
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [state.sessionId, state.tableNumber, state.tableToken, state.tableSessionId, state.isOnline]);
+
+  // Remember the language and apply it to the document (lang and text direction)
+  useEffect(() => {
+    saveLanguage(state.language);
+    document.documentElement.lang = state.language;
+    document.documentElement.dir = getLanguageDirection(state.language);
+  }, [state.language]);
+
+  // Remember the theme and apply it, tracking the OS setting while on 'system'
+  useEffect(() => {
+    saveThemePreference(state.theme);
+    applyTheme(resolveTheme(state.theme));
+
+    if (state.theme !== THEMES.SYSTEM) return;
+    return watchSystemTheme(applyTheme);
+  }, [state.theme]);
+
+  // Persist the diner's display name
+  useEffect(() => {
+    if (state.dinerName) {
+      localStorage.setItem(DINER_NAME_STORAGE_KEY, state.dinerName);
+    }
+  }, [state.dinerName]);
 
   // Load session data from localStorage on mount
   useEffect(() => {
     try {
       const savedSession = localStorage.getItem('restaurant_session');
       if (savedSession) {
-        const { sessionId, tableNumber, timestamp } = JSON.parse(savedSession);
+        const { sessionId, tableNumber, tableToken, timestamp } = JSON.parse(savedSession);
         
         // Check if session is still valid (24 hours)
         if (Date.now() - timestamp < 24 * 60 * 60 * 1000) {
-          actions.setSession(sessionId, tableNumber);
+          actions.setSession(sessionId, tableNumber, tableToken);
         } else {
           localStorage.removeItem('restaurant_session');
         }
@@ -392,6 +527,8 @@ export const AppProvider = ({ children }) => {
 
   const value = {
     ...state,
+    // Default name shown to other diners until the diner picks one
+    dinerName: state.dinerName || (state.sessionId ? `Guest ${state.sessionId.slice(-4).toUpperCase()}` : null),
     ...actions
   };
 
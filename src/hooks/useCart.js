@@ -1,13 +1,57 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { getModifiersTotal, getModifiersKey } from '../utils/modifiers';
+import { calculatePricing, toPricingAmounts } from '../utils/pricing';
+import { addAmounts, fromCents } from '../utils/money';
+import { evaluatePromotions } from '../utils/promotions';
+import { getLineAllergens } from '../utils/dietary';
+import { tableCartStore } from '../services/tableCart';
+import useRestaurantSettings from './useRestaurantSettings';
 
 const CART_STORAGE_KEY = 'restaurant_cart';
+const NO_PROMOTIONS = [];
+const NO_USAGE = {};
 
-const useCart = (sessionId) => {
-  const [cart, setCart] = useState([]);
+// Lines only merge when instructions and modifier choices match; shared
+// carts also keep each diner's lines separate
+const findMatchingLine = (lines, line, matchDiner) => {
+  const modifiersKey = getModifiersKey(line.modifiers);
+
+  return lines.find(
+    item => item.id === line.id &&
+      item.specialInstructions === line.specialInstructions &&
+      getModifiersKey(item.modifiers) === modifiersKey &&
+      (!matchDiner || item.addedBy === line.addedBy)
+  );
+};
+
+// When a tableSessionId is given the cart is shared by every diner at the
+// table through Supabase; otherwise it is private and kept in localStorage.
+// Pass promotions (from usePromotions) and an entered promoCode to price
+// the cart with discounts.
+const useCart = (sessionId, {
+  tableSessionId = null,
+  dinerName = null,
+  promotions = NO_PROMOTIONS,
+  promoCode = null,
+  promotionUsage = NO_USAGE
+} = {}) => {
+  const isShared = Boolean(tableSessionId);
+  const [localCart, setCart] = useState([]);
+  const [sharedCart, setSharedCart] = useState(() => (
+    tableCartStore.tableSessionId === tableSessionId ? tableCartStore.items : []
+  ));
   const [isLoading, setIsLoading] = useState(false);
+  const { settings, pricingSettings } = useRestaurantSettings();
+  const { currency } = pricingSettings;
+  const timeZone = settings.timezone || undefined;
+
+  const cart = isShared ? sharedCart : localCart;
 
   // Load cart from localStorage on mount
   useEffect(() => {
+    if (isShared) return;
+
     try {
       const savedCart = localStorage.getItem(`${CART_STORAGE_KEY}_${sessionId}`);
       if (savedCart) {
@@ -17,23 +61,59 @@ const useCart = (sessionId) => {
     } catch (error) {
       console.error('Error loading cart from localStorage:', error);
     }
-  }, [sessionId]);
+  }, [sessionId, isShared]);
 
   // Save cart to localStorage whenever it changes
   useEffect(() => {
+    if (isShared) return;
+
     try {
-      localStorage.setItem(`${CART_STORAGE_KEY}_${sessionId}`, JSON.stringify(cart));
+      localStorage.setItem(`${CART_STORAGE_KEY}_${sessionId}`, JSON.stringify(localCart));
     } catch (error) {
       console.error('Error saving cart to localStorage:', error);
     }
-  }, [cart, sessionId]);
+  }, [localCart, sessionId, isShared]);
+
+  // Join the shared table cart and follow live changes from other diners
+  useEffect(() => {
+    if (!tableSessionId) return;
+
+    const removeListener = tableCartStore.addListener(setSharedCart);
+    tableCartStore.join(tableSessionId).then(setSharedCart);
+
+    return removeListener;
+  }, [tableSessionId]);
 
   // Add item to cart
-  const addToCart = useCallback((menuItem, quantity = 1, specialInstructions = '') => {
+  const addToCart = useCallback((menuItem, quantity = 1, specialInstructions = '', modifiers = []) => {
+    const newLine = {
+      id: menuItem.id,
+      name: menuItem.name,
+      basePrice: menuItem.price,
+      price: addAmounts([menuItem.price, getModifiersTotal(modifiers, currency)], currency),
+      modifiers,
+      allergens: menuItem.allergens || [],
+      category: menuItem.category,
+      image_url: menuItem.image_url,
+      preparation_time: menuItem.preparation_time,
+      quantity,
+      specialInstructions,
+      addedBy: sessionId,
+      addedByName: dinerName
+    };
+
+    if (isShared) {
+      const existingItem = findMatchingLine(tableCartStore.items, newLine, true);
+      const request = existingItem
+        ? tableCartStore.updateLine(existingItem.cartId, { quantity: existingItem.quantity + quantity })
+        : tableCartStore.addLine(newLine);
+
+      return request.catch(error => console.error('Error adding item to table cart:', error));
+    }
+
     setCart(prevCart => {
-      const existingItemIndex = prevCart.findIndex(
-        item => item.id === menuItem.id && item.specialInstructions === specialInstructions
-      );
+      const existingItem = findMatchingLine(prevCart, newLine, false);
+      const existingItemIndex = prevCart.indexOf(existingItem);
 
       if (existingItemIndex >= 0) {
         // Update existing item quantity
@@ -46,19 +126,12 @@ const useCart = (sessionId) => {
       } else {
         // Add new item
         return [...prevCart, {
-          id: menuItem.id,
-          name: menuItem.name,
-          price: menuItem.price,
-          category: menuItem.category,
-          image_url: menuItem.image_url,
-          preparation_time: menuItem.preparation_time,
-          quantity,
-          specialInstructions,
+          ...newLine,
           cartId: `${menuItem.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
         }];
       }
     });
-  }, []);
+  }, [isShared, sessionId, dinerName, currency]);
 
   // Update item quantity
   const updateQuantity = useCallback((cartId, newQuantity) => {
@@ -67,6 +140,12 @@ const useCart = (sessionId) => {
       return;
     }
 
+    if (isShared) {
+      tableCartStore.updateLine(cartId, { quantity: newQuantity })
+        .catch(error => console.error('Error updating table cart item:', error));
+      return;
+    }
+
     setCart(prevCart =>
       prevCart.map(item =>
         item.cartId === cartId
@@ -74,20 +153,41 @@ const useCart = (sessionId) => {
           : item
       )
     );
-  }, []);
+  }, [isShared]);
+
+  // Remove specific lines from cart (e.g. the lines that were just ordered)
+  const removeItems = useCallback((cartIds) => {
+    if (isShared) {
+      return tableCartStore.removeLines(cartIds)
+        .catch(error => console.error('Error removing table cart items:', error));
+    }
+
+    setCart(prevCart => prevCart.filter(item => !cartIds.includes(item.cartId)));
+  }, [isShared]);
 
   // Remove item from cart
   const removeFromCart = useCallback((cartId) => {
-    setCart(prevCart => prevCart.filter(item => item.cartId !== cartId));
-  }, []);
+    removeItems([cartId]);
+  }, [removeItems]);
 
   // Clear entire cart
   const clearCart = useCallback(() => {
+    if (isShared) {
+      removeItems(tableCartStore.items.map(item => item.cartId));
+      return;
+    }
+
     setCart([]);
-  }, []);
+  }, [isShared, removeItems]);
 
   // Update special instructions for cart item
   const updateSpecialInstructions = useCallback((cartId, instructions) => {
+    if (isShared) {
+      tableCartStore.updateLine(cartId, { specialInstructions: instructions })
+        .catch(error => console.error('Error updating table cart item:', error));
+      return;
+    }
+
     setCart(prevCart =>
       prevCart.map(item =>
         item.cartId === cartId
@@ -95,7 +195,7 @@ const useCart = (sessionId) => {
           : item
       )
     );
-  }, []);
+  }, [isShared]);
 
   // Get item from cart by cartId
   const getCartItem = useCallback((cartId) => {
@@ -115,18 +215,32 @@ const useCart = (sessionId) => {
   }, [cart]);
 
   // Calculated values with memoization
-  const cartTotal = useMemo(() => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
-  }, [cart]);
+  const promotionResult = useMemo(() => {
+    return evaluatePromotions(promotions, cart, { code: promoCode, usageCounts: promotionUsage, currency, timeZone });
+  }, [promotions, cart, promoCode, promotionUsage, currency, timeZone]);
+
+  const appliedPromotions = useMemo(() => {
+    return promotionResult.applied.map(promotion => ({
+      promotion_id: promotion.promotionId,
+      code: promotion.code,
+      name: promotion.name,
+      discount: fromCents(promotion.discountCents, currency)
+    }));
+  }, [promotionResult, currency]);
+
+  const pricing = useMemo(() => {
+    return toPricingAmounts(calculatePricing(cart, pricingSettings, {
+      lineDiscounts: promotionResult.lineDiscounts
+    }));
+  }, [cart, pricingSettings, promotionResult]);
+
+  const cartSubtotal = pricing.subtotal;
+  const cartTotal = pricing.total;
 
   const cartItemCount = useMemo(() => {
     return cart.reduce((total, item) => total + item.quantity, 0);
   }, [cart]);
 
-  const cartSubtotal = useMemo(() => {
-    return cartTotal; // Same as total for now, but can be different if we add taxes/fees
-  }, [cartTotal]);
-
   const estimatedPrepTime = useMemo(() => {
     if (cart.length === 0) return 0;
     
@@ -153,6 +267,22 @@ const useCart = (sessionId) => {
     return grouped;
   }, [cart]);
 
+  // Group cart items by the diner who added them (shared carts)
+  const cartItemsByDiner = useMemo(() => {
+    return cart.reduce((acc, item) => {
+      const dinerKey = item.addedBy || sessionId;
+      if (!acc[dinerKey]) {
+        acc[dinerKey] = {
+          dinerName: item.addedByName,
+          isCurrentDiner: dinerKey === sessionId,
+          items: []
+        };
+      }
+      acc[dinerKey].items.push(item);
+      return acc;
+    }, {});
+  }, [cart, sessionId]);
+
   // Validate cart items (check if all items are still available)
   const validateCart = useCallback(async (checkAvailabilityFn) => {
     if (cart.length === 0) return { valid: true, unavailableItems: [] };
@@ -168,9 +298,7 @@ const useCart = (sessionId) => {
         );
         
         // Remove unavailable items from cart
-        setCart(prevCart => 
-          prevCart.filter(item => !availability.unavailableItems.includes(item.id))
-        );
+        removeItems(unavailableItems.map(item => item.cartId));
         
         return { valid: false, unavailableItems };
       }
@@ -182,11 +310,13 @@ const useCart = (sessionId) => {
     } finally {
       setIsLoading(false);
     }
-  }, [cart]);
+  }, [cart, removeItems]);
 
-  // Prepare order data for submission
+  // Prepare order data for submission. client_order_id is an idempotency key
+  // so a retried or queued submission can never create the order twice.
   const prepareOrderData = useCallback((tableNumber, sessionId, additionalData = {}) => {
     return {
+      client_order_id: uuidv4(),
       table_number: tableNumber,
       session_id: sessionId,
       order_items: cart.map(item => ({
@@ -194,25 +324,51 @@ const useCart = (sessionId) => {
         name: item.name,
         price: item.price,
         quantity: item.quantity,
-        special_instructions: item.specialInstructions || ''
+        base_price: item.basePrice ?? item.price,
+        modifiers: (item.modifiers || []).map(modifier => ({
+          group_id: modifier.group_id,
+          group_name: modifier.group_name,
+          option_id: modifier.option_id,
+          option_name: modifier.option_name,
+          price_delta: modifier.price_delta
+        })),
+        allergens: getLineAllergens(item),
+        special_instructions: item.specialInstructions || '',
+        ...(isShared && {
+          added_by: item.addedBy,
+          added_by_name: item.addedByName
+        })
       })),
-      total_amount: cartTotal,
+      subtotal_amount: pricing.subtotal,
+      discount_amount: pricing.discount,
+      applied_promotions: appliedPromotions,
+      promo_code: appliedPromotions.find(promotion => promotion.code)?.code || null,
+      tax_amount: pricing.taxAmount,
+      service_charge_amount: pricing.serviceCharge,
+      rounding_amount: pricing.rounding,
+      tax_inclusive: pricing.taxInclusive,
+      tax_breakdown: pricing.taxLines,
+      total_amount: pricing.total,
+      currency: pricing.currency,
       estimated_prep_time: estimatedPrepTime,
       status: 'pending',
+      ...(isShared && { table_session_id: tableSessionId }),
       ...additionalData
     };
-  }, [cart, cartTotal, estimatedPrepTime]);
+  }, [cart, pricing, appliedPromotions, estimatedPrepTime, isShared, tableSessionId]);
 
   return {
     // State
     cart,
     isLoading,
+    isShared,
     
     // Actions
     addToCart,
     updateQuantity,
     removeFromCart,
     clearCart,
+    removeItems,
     updateSpecialInstructions,
     
     // Getters
@@ -224,8 +380,12 @@ const useCart = (sessionId) => {
     cartTotal,
     cartItemCount,
     cartSubtotal,
+    pricing,
+    appliedPromotions,
+    promoCodeError: promotionResult.codeError,
     estimatedPrepTime,
     cartItemsByCategory,
+    cartItemsByDiner,
     
     // Utilities
     validateCart,
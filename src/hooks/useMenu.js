@@ -1,16 +1,87 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { fetchMenu, subscribeToMenuUpdates } from '../services/supabase';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  fetchMenu,
+  fetchMenuCategories,
+  fetchPopularMenuItems,
+  subscribeToMenuUpdates,
+  subscribeToMenuCategoryUpdates
+} from '../services/supabase';
 import { menuCache } from '../services/api';
+import {
+  DEFAULT_DIETARY_FILTERS,
+  matchesDietaryFilters,
+  hasActiveDietaryFilters,
+  loadDietaryFilters,
+  saveDietaryFilters
+} from '../utils/dietary';
+import {
+  getWeekMinute,
+  getScheduleAvailability,
+  getMinutesUntilNextBoundary,
+  getAvailableFrom
+} from '../utils/schedule';
+import { buildSearchIndex, searchIndex } from '../utils/search';
+import { userTracker } from '../utils/analytics';
+import useRestaurantSettings from './useRestaurantSettings';
+import { DEFAULT_LANGUAGE, localizeMenuItem, localizeCategory } from '../i18n';
 
-const CATEGORIES = ['all', 'meat', 'vegetable', 'sauces', 'desserts', 'drinks'];
+// Popularity is ranked from orders over a rolling window and refreshed
+// periodically; the top few items get a "Popular" badge
+const POPULARITY_WINDOW_HOURS = 7 * 24;
+const POPULARITY_REFRESH_INTERVAL = 15 * 60 * 1000;
+const POPULAR_BADGE_COUNT = 5;
+const POPULAR_ITEMS_COUNT = 6;
 
-const useMenu = () => {
+// Searches are recorded once the diner stops typing
+const SEARCH_TRACKING_DELAY = 1500;
+
+// Pseudo-category shown first in the tabs
+export const ALL_CATEGORY = { id: 'all', name: 'All', icon: '🍽️' };
+
+const sortCategories = (categories) => {
+  return [...categories].sort((a, b) =>
+    (a.sort_order ?? 0) - (b.sort_order ?? 0) || a.name.localeCompare(b.name)
+  );
+};
+
+// Used when menu_categories can't be loaded: one category per slug on the menu
+const deriveCategories = (menuItems) => {
+  const slugs = [...new Set(menuItems.map(item => item.category).filter(Boolean))];
+  return slugs.map(slug => ({
+    id: slug,
+    name: slug.charAt(0).toUpperCase() + slug.slice(1),
+    icon: null,
+    sort_order: 0,
+    is_visible: true
+  }));
+};
+
+// Pass the sessionId to remember the diner's dietary filters for the visit.
+// Names and descriptions are shown in `language` where translated.
+const useMenu = (sessionId, { language = DEFAULT_LANGUAGE } = {}) => {
   const [menuItems, setMenuItems] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [popularity, setPopularity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [dietaryFilters, setDietaryFilters] = useState(DEFAULT_DIETARY_FILTERS);
   const [lastFetch, setLastFetch] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const { settings } = useRestaurantSettings();
+
+  // Load dietary filters from localStorage on mount
+  useEffect(() => {
+    if (!sessionId) return;
+    setDietaryFilters(loadDietaryFilters(sessionId));
+  }, [sessionId]);
+
+  // Save dietary filters whenever they change
+  useEffect(() => {
+    if (!sessionId) return;
+    saveDietaryFilters(sessionId, dietaryFilters);
+  }, [dietaryFilters, sessionId]);
 
   // Fetch menu data
   const fetchMenuData = useCallback(async (useCache = true) => {
@@ -50,32 +121,189 @@ const useMenu = () => {
     }
   }, []);
 
+  // Fetch categories; the menu still works (with derived categories) without them
+  const fetchCategoryData = useCallback(async (useCache = true) => {
+    const cachedCategories = menuCache.get('categories');
+    if (useCache && cachedCategories) {
+      setCategories(cachedCategories);
+      return cachedCategories;
+    }
+
+    try {
+      const data = await fetchMenuCategories();
+      setCategories(data);
+      menuCache.set('categories', data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching menu categories:', err);
+      if (cachedCategories) {
+        setCategories(cachedCategories);
+      }
+    }
+  }, []);
+
+  // Fetch popularity ranking; without it the menu simply shows no badges
+  const fetchPopularityData = useCallback(async (useCache = true) => {
+    const cachedPopularity = menuCache.get('popularity');
+    if (useCache && cachedPopularity) {
+      setPopularity(cachedPopularity);
+      return cachedPopularity;
+    }
+
+    try {
+      const data = await fetchPopularMenuItems({ windowHours: POPULARITY_WINDOW_HOURS });
+      setPopularity(data);
+      menuCache.set('popularity', data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching popular menu items:', err);
+    }
+  }, []);
+
   // Refetch menu data (force refresh)
   const refetchMenu = useCallback(() => {
+    fetchCategoryData(false);
     return fetchMenuData(false);
-  }, [fetchMenuData]);
+  }, [fetchMenuData, fetchCategoryData]);
+
+  // Visible categories in display order
+  const menuCategories = useMemo(() => {
+    if (categories.length === 0) {
+      return deriveCategories(menuItems);
+    }
+    return sortCategories(categories.filter(category => category.is_visible !== false))
+      .map(category => localizeCategory(category, language));
+  }, [categories, menuItems, language]);
+
+  // Items in hidden categories are left off the menu
+  const listedMenuItems = useMemo(() => {
+    const visibleIds = new Set(menuCategories.map(category => category.id));
+    return menuItems
+      .filter(item => categories.length === 0 || visibleIds.has(item.category))
+      .map(item => localizeMenuItem(item, language));
+  }, [menuItems, categories, menuCategories, language]);
+
+  // Schedules are evaluated in the restaurant's timezone
+  const weekMinute = useMemo(() => getWeekMinute(now, settings.timezone || undefined), [now, settings.timezone]);
+
+  // Menu item id -> popularity rank (0 = most ordered)
+  const popularityRanks = useMemo(() => {
+    return new Map(popularity.map((entry, index) => [entry.menu_item_id, index]));
+  }, [popularity]);
+
+  // Items outside their own or their category's schedule stay on the menu as
+  // unavailable, labelled with when they're back. Popular items are ranked.
+  const visibleMenuItems = useMemo(() => {
+    const categorySchedules = categories.reduce((acc, category) => {
+      acc[category.id] = category.availability_schedule;
+      return acc;
+    }, {});
+
+    return listedMenuItems.map(item => {
+      const availability = getScheduleAvailability(
+        [item.availability_schedule, categorySchedules[item.category]],
+        weekMinute
+      );
+      const popularityRank = popularityRanks.get(item.id);
+      if (availability.isAvailable && popularityRank === undefined) return item;
+
+      return {
+        ...item,
+        ...(popularityRank !== undefined && {
+          popularityRank,
+          isPopular: popularityRank < POPULAR_BADGE_COUNT
+        }),
+        ...(!availability.isAvailable && {
+          is_available: false,
+          availableFrom: getAvailableFrom(availability, weekMinute)
+        })
+      };
+    });
+  }, [listedMenuItems, categories, weekMinute, popularityRanks]);
+
+  // Re-evaluate schedules when the next window opens or closes. Capped at an
+  // hour so daylight saving changes don't leave the menu out of date.
+  useEffect(() => {
+    const minutes = getMinutesUntilNextBoundary([
+      ...menuItems.map(item => item.availability_schedule),
+      ...categories.map(category => category.availability_schedule)
+    ], weekMinute);
+    if (minutes === null) return;
+
+    const delay = minutes * 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    const timer = setTimeout(() => setNow(new Date()), Math.min(Math.max(delay, 1000), 3600000));
+
+    return () => clearTimeout(timer);
+  }, [menuItems, categories, weekMinute, now]);
+
+  // Timers don't run while a phone sleeps, so check again when the page is shown
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) {
+        setNow(new Date());
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
 
   // Filter menu items by category
   const filteredByCategory = useMemo(() => {
     if (selectedCategory === 'all') {
-      return menuItems;
+      return visibleMenuItems;
     }
-    return menuItems.filter(item => item.category === selectedCategory);
-  }, [menuItems, selectedCategory]);
+    return visibleMenuItems.filter(item => item.category === selectedCategory);
+  }, [visibleMenuItems, selectedCategory]);
 
-  // Search menu items
+  // Drop items that don't meet the diner's allergen and dietary needs
+  const filteredByDiet = useMemo(() => {
+    if (!hasActiveDietaryFilters(dietaryFilters)) {
+      return filteredByCategory;
+    }
+    return filteredByCategory.filter(item => matchesDietaryFilters(item, dietaryFilters));
+  }, [filteredByCategory, dietaryFilters]);
+
+  // Search index over the whole menu, rebuilt only when the menu changes
+  const menuSearchIndex = useMemo(() => {
+    return buildSearchIndex(visibleMenuItems, menuCategories);
+  }, [visibleMenuItems, menuCategories]);
+
+  // Search menu items. Results are ranked by relevance and carry
+  // `searchHighlights` for MenuItem.
   const filteredMenuItems = useMemo(() => {
     if (!searchQuery.trim()) {
-      return filteredByCategory;
+      return filteredByDiet;
     }
 
-    const query = searchQuery.toLowerCase().trim();
-    return filteredByCategory.filter(item => 
-      item.name.toLowerCase().includes(query) ||
-      item.description?.toLowerCase().includes(query) ||
-      item.category.toLowerCase().includes(query)
-    );
-  }, [filteredByCategory, searchQuery]);
+    const allowedIds = new Set(filteredByDiet.map(item => item.id));
+    return searchIndex(menuSearchIndex, searchQuery)
+      .filter(({ item }) => allowedIds.has(item.id))
+      .map(({ item, highlights }) => ({ ...item, searchHighlights: highlights }));
+  }, [menuSearchIndex, filteredByDiet, searchQuery]);
+
+  // Record settled searches, including ones that found nothing, so gaps in
+  // the menu or the synonyms show up in analytics
+  const lastTrackedSearch = useRef(null);
+  const searchResultCount = filteredMenuItems.length;
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query || loading) return;
+
+    const timeoutId = setTimeout(() => {
+      const key = `${query.toLowerCase()}:${searchResultCount}`;
+      if (lastTrackedSearch.current === key) return;
+
+      lastTrackedSearch.current = key;
+      userTracker.trackSearch(query, searchResultCount, {
+        category: selectedCategory,
+        dietary: hasActiveDietaryFilters(dietaryFilters)
+      });
+    }, SEARCH_TRACKING_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery, searchResultCount, selectedCategory, dietaryFilters, loading]);
 
   // Group menu items by category
   const menuItemsByCategory = useMemo(() => {
@@ -88,42 +316,40 @@ const useMenu = () => {
       return acc;
     }, {});
 
-    // Sort categories by predefined order
+    // Sort categories by their configured order
     const sortedGrouped = {};
-    CATEGORIES.forEach(category => {
-      if (category !== 'all' && grouped[category]) {
-        sortedGrouped[category] = grouped[category];
+    menuCategories.forEach(category => {
+      if (grouped[category.id]) {
+        sortedGrouped[category.id] = grouped[category.id];
       }
     });
 
     return sortedGrouped;
-  }, [filteredMenuItems]);
+  }, [filteredMenuItems, menuCategories]);
 
-  // Get available categories (categories that have items)
+  // Get available categories (categories that have items), led by "All"
   const availableCategories = useMemo(() => {
-    const categories = new Set(menuItems.map(item => item.category));
-    return CATEGORIES.filter(category => 
-      category === 'all' || categories.has(category)
-    );
-  }, [menuItems]);
+    const used = new Set(visibleMenuItems.map(item => item.category));
+    return [ALL_CATEGORY, ...menuCategories.filter(category => used.has(category.id))];
+  }, [visibleMenuItems, menuCategories]);
 
   // Get category item counts
   const categoryCounts = useMemo(() => {
-    const counts = { all: menuItems.length };
+    const counts = { all: visibleMenuItems.length };
     
-    menuItems.forEach(item => {
+    visibleMenuItems.forEach(item => {
       counts[item.category] = (counts[item.category] || 0) + 1;
     });
 
     return counts;
-  }, [menuItems]);
+  }, [visibleMenuItems]);
 
   // Find menu item by ID
   const getMenuItem = useCallback((id) => {
-    return menuItems.find(item => item.id === id);
-  }, [menuItems]);
+    return visibleMenuItems.find(item => item.id === id);
+  }, [visibleMenuItems]);
 
-  // Check if items are available
+  // Check if items can be ordered right now (is_available and their schedules)
   const checkItemsAvailability = useCallback((itemIds) => {
     const unavailableItems = itemIds.filter(id => {
       const item = getMenuItem(id);
@@ -143,34 +369,80 @@ const useMenu = () => {
 
   // Category filtering
   const filterByCategory = useCallback((category) => {
-    if (CATEGORIES.includes(category)) {
+    if (category === ALL_CATEGORY.id || menuCategories.some(({ id }) => id === category)) {
       setSelectedCategory(category);
     }
+  }, [menuCategories]);
+
+  // Fall back to "All" if the selected category is hidden or removed
+  useEffect(() => {
+    if (selectedCategory !== ALL_CATEGORY.id && !menuCategories.some(({ id }) => id === selectedCategory)) {
+      setSelectedCategory(ALL_CATEGORY.id);
+    }
+  }, [selectedCategory, menuCategories]);
+
+  // Dietary filtering
+  const toggleExcludedAllergen = useCallback((allergen) => {
+    setDietaryFilters(prev => ({
+      ...prev,
+      excludedAllergens: prev.excludedAllergens.includes(allergen)
+        ? prev.excludedAllergens.filter(id => id !== allergen)
+        : [...prev.excludedAllergens, allergen]
+    }));
+  }, []);
+
+  const toggleRequiredTag = useCallback((tag) => {
+    setDietaryFilters(prev => ({
+      ...prev,
+      requiredTags: prev.requiredTags.includes(tag)
+        ? prev.requiredTags.filter(id => id !== tag)
+        : [...prev.requiredTags, tag]
+    }));
+  }, []);
+
+  const setSpiceFilter = useCallback((spice) => {
+    setDietaryFilters(prev => ({ ...prev, spice }));
+  }, []);
+
+  const clearDietaryFilters = useCallback(() => {
+    setDietaryFilters(DEFAULT_DIETARY_FILTERS);
   }, []);
 
-  // Clear search and filters
+  // Clear search and filters. Excluded allergens stay: they are also the
+  // diner's declared allergies for the kitchen, removed one chip at a time.
   const clearFilters = useCallback(() => {
     setSearchQuery('');
     setSelectedCategory('all');
+    setDietaryFilters(prev => ({ ...DEFAULT_DIETARY_FILTERS, excludedAllergens: prev.excludedAllergens }));
   }, []);
 
-  // Get popular items (mock implementation - in real app, this would come from analytics)
+  // Most ordered items right now that the diner can actually order
   const popularItems = useMemo(() => {
-    return menuItems
-      .filter(item => item.is_available)
-      .sort(() => Math.random() - 0.5) // Random for demo
-      .slice(0, 6);
-  }, [menuItems]);
+    return visibleMenuItems
+      .filter(item => item.popularityRank !== undefined && item.is_available)
+      .filter(item => matchesDietaryFilters(item, dietaryFilters))
+      .sort((a, b) => a.popularityRank - b.popularityRank)
+      .slice(0, POPULAR_ITEMS_COUNT);
+  }, [visibleMenuItems, dietaryFilters]);
 
   // Get featured items (items with images)
   const featuredItems = useMemo(() => {
-    return menuItems.filter(item => item.is_available && item.image_url);
-  }, [menuItems]);
+    return visibleMenuItems.filter(item => item.is_available && item.image_url);
+  }, [visibleMenuItems]);
 
   // Initialize menu data on mount
   useEffect(() => {
+    fetchCategoryData();
     fetchMenuData();
-  }, [fetchMenuData]);
+  }, [fetchMenuData, fetchCategoryData]);
+
+  // Keep the popularity ranking current as the window rolls forward
+  useEffect(() => {
+    fetchPopularityData();
+
+    const interval = setInterval(() => fetchPopularityData(false), POPULARITY_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchPopularityData]);
 
   // Set up real-time subscriptions
   useEffect(() => {
@@ -210,10 +482,44 @@ const useMenu = () => {
     };
   }, [refetchMenu]);
 
+  // Follow category changes (new categories, renames, reordering, hiding)
+  useEffect(() => {
+    const subscription = subscribeToMenuCategoryUpdates((payload) => {
+      switch (payload.eventType) {
+        case 'INSERT':
+          setCategories(prev => [...prev, payload.new]);
+          break;
+        case 'UPDATE':
+          setCategories(prev =>
+            prev.map(category =>
+              category.id === payload.old.id ? payload.new : category
+            )
+          );
+          break;
+        case 'DELETE':
+          setCategories(prev =>
+            prev.filter(category => category.id !== payload.old.id)
+          );
+          break;
+        default:
+          fetchCategoryData(false);
+      }
+
+      menuCache.clear();
+    });
+
+    return () => {
+      if (subscription) {
+        subscription.unsubscribe();
+      }
+    };
+  }, [fetchCategoryData]);
+
   return {
     // Data
     menuItems: filteredMenuItems,
     allMenuItems: menuItems,
+    categories: menuCategories,
     menuItemsByCategory,
     availableCategories,
     categoryCounts,
@@ -225,6 +531,8 @@ const useMenu = () => {
     error,
     selectedCategory,
     searchQuery,
+    dietaryFilters,
+    hasDietaryFilters: hasActiveDietaryFilters(dietaryFilters),
     lastFetch,
     
     // Actions
@@ -232,12 +540,16 @@ const useMenu = () => {
     searchMenu,
     filterByCategory,
     clearFilters,
+    toggleExcludedAllergen,
+    toggleRequiredTag,
+    setSpiceFilter,
+    clearDietaryFilters,
     getMenuItem,
     checkItemsAvailability,
     
     // Utilities
     isDataStale: lastFetch && (Date.now() - lastFetch > 300000), // 5 minutes
-    isEmpty: !loading && menuItems.length === 0,
+    isEmpty: !loading && visibleMenuItems.length === 0,
     hasResults: filteredMenuItems.length > 0
   };
 };
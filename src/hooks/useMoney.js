@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import { formatMoney, formatCents, getCurrencySymbol, getCurrencyDigits } from '../utils/money';
+import useRestaurantSettings from './useRestaurantSettings';
+
+// Money formatting in the restaurant's currency (restaurant_settings.currency).
+// Pass the diner's language as `locale` so separators and symbol placement
+// follow it: '$12.50', '12,50 US$'.
+const useMoney = (locale) => {
+  const { currency } = useRestaurantSettings();
+
+  const formatPrice = useCallback((amount, options = {}) => (
+    formatMoney(amount, { currency: options.currency || currency, locale })
+  ), [currency, locale]);
+
+  const formatPriceCents = useCallback((cents, options = {}) => (
+    formatCents(cents, { currency: options.currency || currency, locale })
+  ), [currency, locale]);
+
+  return {
+    currency,
+    currencySymbol: getCurrencySymbol(currency, locale),
+    currencyDigits: getCurrencyDigits(currency),
+    formatPrice,
+    formatPriceCents
+  };
+};
+
+export default useMoney;
@@ -1,15 +1,12 @@
 import { useState, useCallback, useEffect, useMemo } from 'react';
-import { submitOrder, getOrdersBySession } from '../services/supabase';
-import { subscribeToOrderUpdates } from '../services/supabase';
-
-const ORDER_STATUS_LABELS = {
-  pending: 'Order Placed',
-  confirmed: 'Confirmed',
-  preparing: 'Preparing',
-  ready: 'Ready',
-  delivered: 'Delivered',
-  cancelled: 'Cancelled'
-};
+import { submitOrder, getOrderByClientId, getOrdersBySession, getOrdersByTableSession } from '../services/supabase';
+import { subscribeToOrderUpdates, subscribeToTableOrderUpdates } from '../services/supabase';
+import { offlineOrderQueue } from '../utils/offline';
+import { DEFAULT_CURRENCY, toCents, fromCents, formatMoney } from '../utils/money';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+// Labels come from the orders.status.* and orders.payment.* catalog entries
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
 
 const ORDER_STATUS_COLORS = {
   pending: '#ffc107',
@@ -20,11 +17,22 @@ const ORDER_STATUS_COLORS = {
   cancelled: '#dc3545'
 };
 
-const useOrders = (sessionId) => {
+const PAYMENT_STATUSES = ['unpaid', 'authorized', 'paid', 'refunded', 'failed'];
+
+// Merge order lists by id, newest first
+const mergeOrders = (...lists) => {
+  const byId = new Map();
+  lists.flat().forEach(order => byId.set(order.id, order));
+  return [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+// With a tableSessionId, orders submitted by anyone at the table are included
+const useOrders = (sessionId, { tableSessionId = null } = {}) => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [submittingOrder, setSubmittingOrder] = useState(false);
+  const [pendingOrders, setPendingOrders] = useState([]);
 
   // Fetch orders for current session
   const fetchOrders = useCallback(async () => {
@@ -33,30 +41,40 @@ const useOrders = (sessionId) => {
     try {
       setLoading(true);
       setError(null);
-      const data = await getOrdersBySession(sessionId);
-      setOrders(data || []);
+      const [sessionOrders, tableOrders] = await Promise.all([
+        getOrdersBySession(sessionId),
+        tableSessionId ? getOrdersByTableSession(tableSessionId) : []
+      ]);
+      setOrders(mergeOrders(sessionOrders || [], tableOrders || []));
     } catch (err) {
       console.error('Error fetching orders:', err);
       setError(err.message || 'Failed to load orders');
     } finally {
       setLoading(false);
     }
-  }, [sessionId]);
+  }, [sessionId, tableSessionId]);
 
-  // Submit new order
+  // Submit new order. A retry after a dropped response hits the client_order_id
+  // unique key; the order is already in, so that counts as success.
   const submitNewOrder = useCallback(async (orderData) => {
     try {
       setSubmittingOrder(true);
       setError(null);
 
-      const newOrder = await submitOrder({
-        ...orderData,
-        session_id: sessionId,
-        created_at: new Date().toISOString()
-      });
+      let newOrder;
+      try {
+        newOrder = await submitOrder({
+          ...orderData,
+          session_id: sessionId,
+          created_at: new Date().toISOString()
+        });
+      } catch (err) {
+        if (err.code !== '23505' || !orderData.client_order_id) throw err;
+        newOrder = await getOrderByClientId(orderData.client_order_id);
+      }
 
       // Add the new order to the state
-      setOrders(prev => [newOrder, ...prev]);
+      setOrders(prev => mergeOrders([newOrder], prev));
       
       return newOrder;
     } catch (err) {
@@ -68,6 +86,31 @@ const useOrders = (sessionId) => {
     }
   }, [sessionId]);
 
+  // Queue an order in IndexedDB while offline; it is sent when the connection returns
+  const queueOrder = useCallback(async (orderData) => {
+    return offlineOrderQueue.addPendingOrder({
+      ...orderData,
+      session_id: sessionId,
+      created_at: new Date().toISOString()
+    });
+  }, [sessionId]);
+
+  // Drop a queued order the restaurant refused (the queue listener reloads the list)
+  const discardPendingOrder = useCallback((orderId) => {
+    return offlineOrderQueue.discardPendingOrder(orderId);
+  }, []);
+
+  const loadPendingOrders = useCallback(async () => {
+    if (!sessionId) return;
+
+    const queued = await offlineOrderQueue.getPendingOrders();
+    setPendingOrders(
+      queued
+        .filter(order => order.session_id === sessionId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    );
+  }, [sessionId]);
+
   // Get order by ID
   const getOrder = useCallback((orderId) => {
     return orders.find(order => order.id === orderId);
@@ -78,24 +121,27 @@ const useOrders = (sessionId) => {
     return orders.filter(order => order.status === status);
   }, [orders]);
 
-  // Calculate order statistics
+  // Calculate order statistics, summing in integer cents of the restaurant's currency
   const orderStats = useMemo(() => {
+    const currency = orders[0]?.currency || DEFAULT_CURRENCY;
+    const totalCents = orders.reduce((sum, order) => sum + toCents(order.total_amount, currency), 0);
+
     const stats = {
       total: orders.length,
-      totalAmount: orders.reduce((sum, order) => sum + order.total_amount, 0),
+      totalAmount: fromCents(totalCents, currency),
       statusCounts: {},
       averageOrderValue: 0,
       recentOrders: orders.slice(0, 5)
     };
 
     // Count orders by status
-    Object.keys(ORDER_STATUS_LABELS).forEach(status => {
+    ORDER_STATUSES.forEach(status => {
       stats.statusCounts[status] = orders.filter(order => order.status === status).length;
     });
 
     // Calculate average order value
     if (orders.length > 0) {
-      stats.averageOrderValue = stats.totalAmount / orders.length;
+      stats.averageOrderValue = fromCents(Math.round(totalCents / orders.length), currency);
     }
 
     return stats;
@@ -120,15 +166,19 @@ const useOrders = (sessionId) => {
     return activeOrders.length > 0 ? activeOrders[0] : null;
   }, [activeOrders]);
 
-  // Format order for display
-  const formatOrder = useCallback((order) => {
+  // Format order for display in the diner's language
+  const formatOrder = useCallback((order, language = DEFAULT_LANGUAGE) => {
+    const paymentStatus = order.payment_status || 'unpaid';
+
     return {
       ...order,
-      statusLabel: ORDER_STATUS_LABELS[order.status] || order.status,
+      statusLabel: translate(language, `orders.status.${order.status}`, { defaultValue: order.status }),
       statusColor: ORDER_STATUS_COLORS[order.status] || '#6c757d',
-      formattedAmount: `$${order.total_amount.toFixed(2)}`,
-      formattedDate: new Date(order.created_at).toLocaleDateString(),
-      formattedTime: new Date(order.created_at).toLocaleTimeString(),
+      paymentStatus,
+      paymentLabel: translate(language, `orders.payment.${paymentStatus}`, { defaultValue: paymentStatus }),
+      formattedAmount: formatMoney(order.total_amount, { currency: order.currency, locale: language }),
+      formattedDate: new Date(order.created_at).toLocaleDateString(language),
+      formattedTime: new Date(order.created_at).toLocaleTimeString(language),
       itemCount: order.order_items?.length || 0,
       totalItems: order.order_items?.reduce((sum, item) => sum + item.quantity, 0) || 0
     };
@@ -150,6 +200,7 @@ const useOrders = (sessionId) => {
         special_instructions: item.special_instructions || ''
       })),
       total_amount: order.total_amount,
+      declared_allergies: order.declared_allergies || [],
       special_instructions: `Reorder of order #${order.id.slice(-8)}`
     };
   }, [canReorder]);
@@ -178,11 +229,30 @@ const useOrders = (sessionId) => {
     }
   }, [fetchOrders, sessionId]);
 
+  // Keep queued offline orders in step with the IndexedDB queue
+  useEffect(() => {
+    loadPendingOrders();
+
+    return offlineOrderQueue.addListener((event) => {
+      if (event.type === 'synced') {
+        const syncedOrders = event.results
+          .filter(result => result.success && result.order?.session_id === sessionId)
+          .map(result => result.order);
+
+        if (syncedOrders.length > 0) {
+          setOrders(prev => mergeOrders(syncedOrders, prev));
+        }
+      }
+
+      loadPendingOrders();
+    });
+  }, [sessionId, loadPendingOrders]);
+
   // Set up real-time subscriptions for order updates
   useEffect(() => {
     if (!sessionId) return;
 
-    const subscription = subscribeToOrderUpdates(sessionId, (payload) => {
+    const handleOrderChange = (payload) => {
       console.log('Order update received:', payload);
 
       switch (payload.eventType) {
@@ -212,18 +282,26 @@ const useOrders = (sessionId) => {
           // Refetch on unknown changes
           fetchOrders();
       }
-    });
+    };
+
+    const subscriptions = [subscribeToOrderUpdates(sessionId, handleOrderChange)];
+    if (tableSessionId) {
+      subscriptions.push(subscribeToTableOrderUpdates(tableSessionId, handleOrderChange));
+    }
 
     return () => {
-      if (subscription) {
-        subscription.unsubscribe();
-      }
+      subscriptions.forEach(subscription => {
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+      });
     };
-  }, [sessionId, fetchOrders]);
+  }, [sessionId, tableSessionId, fetchOrders]);
 
   return {
     // Data
     orders,
+    pendingOrders,
     activeOrders,
     completedOrders,
     currentOrder,
@@ -236,6 +314,8 @@ const useOrders = (sessionId) => {
 
     // Actions
     submitNewOrder,
+    queueOrder,
+    discardPendingOrder,
     fetchOrders,
     getOrder,
     getOrdersByStatus,
@@ -247,8 +327,9 @@ const useOrders = (sessionId) => {
     getEstimatedDeliveryTime,
 
     // Constants
-    ORDER_STATUS_LABELS,
+    ORDER_STATUSES,
     ORDER_STATUS_COLORS,
+    PAYMENT_STATUSES,
 
     // Computed
     hasOrders: orders.length > 0,
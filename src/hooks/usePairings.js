@@ -0,0 +1,76 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchItemPairings } from '../services/supabase';
+import { menuCache } from '../services/api';
+
+// "Goes well with" suggestions for a set of menu items: curated pairings first,
+// then items frequently ordered together. `getMenuItem` (from useMenu) resolves
+// ids to the live menu so unavailable or hidden items are never suggested.
+const usePairings = (menuItemIds = [], { getMenuItem, excludeIds = [], limit = 4 } = {}) => {
+  const [pairings, setPairings] = useState([]);
+  // Ids the current `pairings` belong to; anything else is still loading
+  const [loadedKey, setLoadedKey] = useState(null);
+
+  // Stable key so re-renders with the same ids don't refetch
+  const idsKey = useMemo(() => [...new Set(menuItemIds)].sort().join(','), [menuItemIds]);
+
+  useEffect(() => {
+    if (!idsKey) {
+      setPairings([]);
+      setLoadedKey(idsKey);
+      return;
+    }
+
+    const cacheKey = `pairings:${idsKey}:${limit}`;
+    const cached = menuCache.get(cacheKey);
+    if (cached) {
+      setPairings(cached);
+      setLoadedKey(idsKey);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadPairings = async () => {
+      try {
+        // Fetch a few extra so there is something left after filtering
+        const data = await fetchItemPairings(idsKey.split(','), { limit: limit * 2 });
+        menuCache.set(cacheKey, data);
+        if (!cancelled) setPairings(data);
+      } catch (err) {
+        // Suggestions are optional; ordering works without them
+        console.error('Error fetching item pairings:', err);
+        if (!cancelled) setPairings([]);
+      } finally {
+        if (!cancelled) setLoadedKey(idsKey);
+      }
+    };
+
+    loadPairings();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, limit]);
+
+  const excludeKey = excludeIds.join(',');
+
+  const suggestions = useMemo(() => {
+    if (!getMenuItem || loadedKey !== idsKey) return [];
+
+    const excluded = new Set(excludeKey ? excludeKey.split(',') : []);
+
+    return pairings
+      .filter(pairing => !excluded.has(pairing.menu_item_id))
+      .map(pairing => ({
+        item: getMenuItem(pairing.menu_item_id),
+        reason: pairing.reason,
+        source: pairing.source
+      }))
+      .filter(({ item }) => item?.is_available)
+      .slice(0, limit);
+  }, [pairings, loadedKey, idsKey, getMenuItem, excludeKey, limit]);
+
+  return { suggestions, loading: loadedKey !== idsKey };
+};
+
+export default usePairings;
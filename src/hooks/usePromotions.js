@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchActivePromotions, getPromotionRedemptions } from '../services/supabase';
+import { normalizePromotion } from '../utils/promotions';
+
+// Active promotions plus how often this session has already redeemed each one
+const usePromotions = (sessionId) => {
+  const [promotionRows, setPromotionRows] = useState([]);
+  const [usageCounts, setUsageCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPromotions = useCallback(async () => {
+    if (!sessionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [rows, redemptions] = await Promise.all([
+        fetchActivePromotions(),
+        getPromotionRedemptions(sessionId)
+      ]);
+
+      setPromotionRows(rows || []);
+      setUsageCounts((redemptions || []).reduce((acc, redemption) => {
+        acc[redemption.promotion_id] = (acc[redemption.promotion_id] || 0) + 1;
+        return acc;
+      }, {}));
+    } catch (err) {
+      // Ordering still works without promotions
+      console.error('Error fetching promotions:', err);
+      setError(err.message || 'Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  const promotions = useMemo(() => promotionRows.map(normalizePromotion), [promotionRows]);
+
+  return {
+    promotions,
+    usageCounts,
+    loading,
+    error,
+    refreshPromotions: fetchPromotions
+  };
+};
+
+export default usePromotions;
@@ -0,0 +1,76 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchRestaurantSettings } from '../services/supabase';
+import { normalizePricingSettings } from '../utils/pricing';
+import { PAYMENT_MODES } from '../services/payments';
+import { normalizeTipPresets } from '../utils/tips';
+import { normalizeBranding } from '../utils/theme';
+
+// Settings change rarely, so every hook instance shares one request per page load
+let cachedSettings = null;
+let settingsRequest = null;
+
+const loadRestaurantSettings = () => {
+  if (!settingsRequest) {
+    settingsRequest = fetchRestaurantSettings()
+      .then((data) => {
+        cachedSettings = data || {};
+        return cachedSettings;
+      })
+      .catch((error) => {
+        // Allow a retry on the next mount
+        settingsRequest = null;
+        throw error;
+      });
+  }
+
+  return settingsRequest;
+};
+
+const useRestaurantSettings = () => {
+  const [settings, setSettings] = useState(cachedSettings);
+  const [loading, setLoading] = useState(!cachedSettings);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (cachedSettings) return;
+
+    let cancelled = false;
+
+    loadRestaurantSettings()
+      .then((data) => {
+        if (!cancelled) setSettings(data);
+      })
+      .catch((err) => {
+        console.error('Error loading restaurant settings:', err);
+        if (!cancelled) setError(err.message || 'Failed to load restaurant settings');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const pricingSettings = useMemo(() => normalizePricingSettings(settings), [settings]);
+  const paymentMode = settings?.payment_mode === PAYMENT_MODES.PER_ORDER
+    ? PAYMENT_MODES.PER_ORDER
+    : PAYMENT_MODES.END_OF_VISIT;
+  const tipPresets = useMemo(() => normalizeTipPresets(settings?.tip_presets), [settings]);
+  const branding = useMemo(() => normalizeBranding(settings), [settings]);
+
+  return {
+    settings: settings || {},
+    pricingSettings,
+    currency: pricingSettings.currency,
+    paymentMode,
+    tipsEnabled: settings?.tips_enabled !== false,
+    tipPresets,
+    branding,
+    loading,
+    error
+  };
+};
+
+export default useRestaurantSettings;
@@ -0,0 +1,202 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  createServiceRequest,
+  getServiceRequestsBySession,
+  cancelServiceRequest,
+  subscribeToServiceRequestUpdates
+} from '../services/supabase';
+
+const SERVICE_REQUEST_TYPES = {
+  assistance: 'Call a server',
+  bill: 'Request the bill',
+  water: 'Water for the table',
+  cutlery: 'Cutlery & napkins'
+};
+
+const SERVICE_REQUEST_STATUS_LABELS = {
+  pending: 'Waiting for staff',
+  acknowledged: 'On the way',
+  completed: 'Done',
+  cancelled: 'Cancelled'
+};
+
+const OPEN_STATUSES = ['pending', 'acknowledged'];
+
+// Rate limits per session - the database trigger enforces the same window
+const REQUEST_TYPE_COOLDOWN_MS = 60 * 1000;
+const REQUEST_WINDOW_MS = 10 * 60 * 1000;
+const MAX_REQUESTS_PER_WINDOW = 5;
+
+// Merge request lists by id, newest first
+const mergeRequests = (...lists) => {
+  const byId = new Map();
+  lists.flat().forEach(request => byId.set(request.id, request));
+  return [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+const useServiceRequests = (sessionId, { tableNumber = null, tableSessionId = null } = {}) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [submittingType, setSubmittingType] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchRequests = useCallback(async () => {
+    if (!sessionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getServiceRequestsBySession(sessionId);
+      setRequests(mergeRequests(data || []));
+    } catch (err) {
+      console.error('Error fetching service requests:', err);
+      setError(err.message || 'Failed to load service requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  const activeRequests = useMemo(() => {
+    return requests.filter(request => OPEN_STATUSES.includes(request.status));
+  }, [requests]);
+
+  // Why a request type can't be raised right now ({ allowed, reason, retryAfterMs })
+  const getRequestLimit = useCallback((type) => {
+    if (activeRequests.some(request => request.request_type === type)) {
+      return { allowed: false, reason: 'open', retryAfterMs: 0 };
+    }
+
+    const lastOfType = requests.find(request => request.request_type === type);
+    if (lastOfType) {
+      const retryAfterMs = new Date(lastOfType.created_at).getTime() + REQUEST_TYPE_COOLDOWN_MS - now;
+      if (retryAfterMs > 0) {
+        return { allowed: false, reason: 'cooldown', retryAfterMs };
+      }
+    }
+
+    const recent = requests.filter(request =>
+      now - new Date(request.created_at).getTime() < REQUEST_WINDOW_MS
+    );
+    if (recent.length >= MAX_REQUESTS_PER_WINDOW) {
+      const oldest = recent[recent.length - 1];
+      return {
+        allowed: false,
+        reason: 'rate_limited',
+        retryAfterMs: new Date(oldest.created_at).getTime() + REQUEST_WINDOW_MS - now
+      };
+    }
+
+    return { allowed: true, reason: null, retryAfterMs: 0 };
+  }, [requests, activeRequests, now]);
+
+  const isRateLimited = useMemo(() => {
+    return Object.keys(SERVICE_REQUEST_TYPES).some(type => getRequestLimit(type).retryAfterMs > 0);
+  }, [getRequestLimit]);
+
+  const raiseRequest = useCallback(async (type, note = '') => {
+    if (!SERVICE_REQUEST_TYPES[type]) {
+      throw new Error(`Unknown service request type: ${type}`);
+    }
+
+    // Refused requests reject with the limit's `reason` as the error code
+    // (service.errors.* in the catalogs) and its `retryAfterMs`
+    const limit = getRequestLimit(type);
+    if (!limit.allowed) {
+      const limitError = new Error(`Service request not allowed: ${limit.reason}`);
+      limitError.code = limit.reason;
+      limitError.retryAfterMs = limit.retryAfterMs;
+      throw limitError;
+    }
+
+    try {
+      setSubmittingType(type);
+      setError(null);
+
+      const newRequest = await createServiceRequest({
+        session_id: sessionId,
+        table_number: tableNumber,
+        table_session_id: tableSessionId,
+        request_type: type,
+        note: note.trim() || null
+      });
+
+      setRequests(prev => mergeRequests([newRequest], prev));
+      return newRequest;
+    } catch (err) {
+      console.error('Error raising service request:', err);
+      setError(err.message || 'Failed to send request');
+      throw err;
+    } finally {
+      setSubmittingType(null);
+    }
+  }, [sessionId, tableNumber, tableSessionId, getRequestLimit]);
+
+  const cancelRequest = useCallback(async (requestId) => {
+    const cancelled = await cancelServiceRequest(requestId);
+
+    if (cancelled) {
+      setRequests(prev => mergeRequests([cancelled], prev));
+    } else {
+      // Staff completed it in the meantime - show the real status
+      await fetchRequests();
+    }
+
+    return cancelled;
+  }, [fetchRequests]);
+
+  useEffect(() => {
+    if (sessionId) {
+      fetchRequests();
+    }
+  }, [fetchRequests, sessionId]);
+
+  // Tick once a second while a cooldown is running so countdowns stay current
+  useEffect(() => {
+    if (!isRateLimited) return;
+
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [isRateLimited]);
+
+  // Staff acknowledge and complete requests from the dashboard
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const subscription = subscribeToServiceRequestUpdates(sessionId, (payload) => {
+      switch (payload.eventType) {
+        case 'INSERT':
+        case 'UPDATE':
+          setRequests(prev => mergeRequests(prev, [payload.new]));
+          break;
+        case 'DELETE':
+          setRequests(prev => prev.filter(request => request.id !== payload.old.id));
+          break;
+        default:
+          fetchRequests();
+      }
+    });
+
+    return () => {
+      if (subscription) {
+        subscription.unsubscribe();
+      }
+    };
+  }, [sessionId, fetchRequests]);
+
+  return {
+    requests,
+    activeRequests,
+    loading,
+    error,
+    submittingType,
+    raiseRequest,
+    cancelRequest,
+    getRequestLimit,
+    fetchRequests,
+    SERVICE_REQUEST_TYPES,
+    SERVICE_REQUEST_STATUS_LABELS
+  };
+};
+
+export default useServiceRequests;
@@ -0,0 +1,565 @@
+// Arabic (right-to-left). Plurals use all six Arabic categories:
+// zero, one, two, few (3-10), many (11-99) and other.
+const ar = {
+  common: {
+    tryAgain: 'حاول مرة أخرى',
+    table: 'طاولة {table}',
+    save: 'حفظ',
+    remove: 'إزالة',
+    minutesShort: '{minutes} د',
+    hoursShort: '{hours} س',
+    hoursMinutesShort: '{hours} س {minutes} د',
+    minutes: {
+      zero: '{count} دقيقة',
+      one: 'دقيقة واحدة',
+      two: 'دقيقتان',
+      few: '{count} دقائق',
+      many: '{count} دقيقة',
+      other: '{count} دقيقة'
+    },
+    hours: {
+      zero: '{count} ساعة',
+      one: 'ساعة واحدة',
+      two: 'ساعتان',
+      few: '{count} ساعات',
+      many: '{count} ساعة',
+      other: '{count} ساعة'
+    }
+  },
+
+  language: {
+    label: 'اللغة'
+  },
+
+  theme: {
+    light: 'المظهر الفاتح',
+    dark: 'المظهر الداكن',
+    system: 'مظهر النظام',
+    switchTo: 'التبديل إلى {theme}'
+  },
+
+  allergens: {
+    gluten: 'الغلوتين',
+    dairy: 'الألبان',
+    eggs: 'البيض',
+    nuts: 'المكسرات',
+    shellfish: 'المحار',
+    soy: 'الصويا',
+    fish: 'السمك'
+  },
+
+  tableErrors: {
+    invalid_number: 'يرجى إدخال رقم طاولة صحيح',
+    not_found: 'لم نتمكن من العثور على هذه الطاولة',
+    closed: 'هذه الطاولة مغلقة حاليًا',
+    occupied: 'هذه الطاولة محجوزة لمجموعة أخرى',
+    invalid_token: 'رمز QR هذا غير صالح لهذا المطعم',
+    expired_token: 'انتهت صلاحية رمز QR هذا'
+  },
+
+  tableSelect: {
+    title: 'اختيار الطاولة',
+    subtitle: 'أدخل رقم طاولتك لبدء الطلب',
+    label: 'رقم الطاولة',
+    placeholder: 'أدخل رقم الطاولة (مثلًا 15)',
+    hint: 'ابحث عن الرقم على طاولتك أو اسأل النادل',
+    validating: 'جارٍ التحقق...',
+    continue: 'المتابعة إلى القائمة',
+    cantFind: 'لا تجد رقم طاولتك؟',
+    help: 'اطلب المساعدة من النادل أو امسح رمز QR الموجود على طاولتك',
+    scanTitle: 'امسح للطلب',
+    scanMessage: 'امسح رمز QR الموجود على طاولتك بكاميرا هاتفك لبدء الطلب.',
+    scanHelp: 'لا تجده؟ اطلب المساعدة من النادل.'
+  },
+
+  qr: {
+    title: 'طلب من المطعم',
+    tagline: 'خدمة طاولات سريعة وسهلة',
+    help: 'هل تواجه مشكلة؟ اطلب المساعدة من النادل',
+    validating: 'جارٍ التحقق من الطاولة...',
+    checkingTable: 'جارٍ التحقق من الطاولة {table}',
+    processing: 'جارٍ معالجة رمز QR',
+    welcome: 'مرحبًا بك في الطاولة {table}!',
+    redirecting: 'كل شيء جاهز للطلب. جارٍ الانتقال إلى القائمة...',
+    enterTableNumber: 'أدخل رقم الطاولة',
+    outdatedCode: 'رمز QR هذا قديم. يرجى طلب المساعدة من النادل.',
+    noTableNumber: 'لم يتم العثور على رقم طاولة في رمز QR',
+    validationError: 'حدث خطأ أثناء التحقق من الطاولة. يرجى المحاولة مرة أخرى.',
+    invalid: {
+      not_found: {
+        title: 'الطاولة غير موجودة',
+        message: 'لم نتمكن من العثور على الطاولة {table} في هذا المطعم. يرجى التحقق من رمز QR أو طلب المساعدة من النادل.'
+      },
+      closed: {
+        title: 'الطاولة مغلقة',
+        message: 'الطاولة {table} لا تستقبل الطلبات حاليًا. يرجى الطلب من النادل فتحها لك.'
+      },
+      occupied: {
+        title: 'الطاولة محجوزة',
+        message: 'الطاولة {table} محجوزة لمجموعة أخرى. يرجى مراجعة النادل قبل الطلب.'
+      },
+      invalid_token: {
+        title: 'رمز QR غير معروف',
+        message: 'رمز QR هذا غير صالح لهذا المطعم أو تم استبداله. يرجى مسح الرمز الموجود على طاولتك أو طلب المساعدة من النادل.'
+      },
+      expired_token: {
+        title: 'انتهت صلاحية رمز QR',
+        message: 'انتهت صلاحية رمز QR هذا. يرجى طلب رمز جديد من النادل.'
+      },
+      invalid_number: {
+        title: 'رمز QR غير صالح',
+        message: 'لا يحتوي رمز QR هذا على رقم طاولة صحيح. يرجى مسحه مرة أخرى.'
+      },
+      unknown: {
+        title: 'تعذر التحقق من الطاولة',
+        message: 'لم نتمكن من التحقق من طاولتك. يرجى التحقق من اتصالك والمحاولة مرة أخرى.'
+      }
+    }
+  },
+
+  menu: {
+    allCategory: 'الكل',
+    scrollCategoriesLeft: 'تمرير الفئات لليسار',
+    scrollCategoriesRight: 'تمرير الفئات لليمين',
+    goToCategory: 'الانتقال إلى {category}',
+    filterByCategory: 'التصفية حسب فئة {category}',
+    refreshing: 'جارٍ تحديث القائمة...',
+    loadError: 'تعذر تحميل القائمة',
+    connected: 'متصل',
+    offline: 'غير متصل',
+    dataStale: 'قد تكون البيانات قديمة',
+    searchLabel: 'البحث في القائمة',
+    dietaryFiltersLabel: 'فلاتر النظام الغذائي ومسببات الحساسية',
+    billLabel: 'عرض الفاتورة وتقسيمها',
+    cartLabel: 'فتح السلة',
+    searchPlaceholder: 'ابحث عن الأطباق والفئات...',
+    clearSearch: 'مسح البحث',
+    activeFilters: 'الفلاتر النشطة:',
+    removeFilter: 'إزالة فلتر {filter}',
+    clearAll: 'مسح الكل',
+    noDishes: 'لم يتم العثور على أطباق',
+    noSearchResults: 'لا توجد نتائج لـ "{query}"',
+    noDietaryResults: 'لا توجد أطباق تطابق فلاتر النظام الغذائي',
+    noCategoryResults: 'لا توجد أطباق متاحة في فئة {category}',
+    clearFilters: 'مسح الفلاتر',
+    itemUnavailable: 'هذا الطبق غير متوفر حاليًا',
+    unavailable: 'غير متوفر',
+    availableFrom: 'متوفر من {time}',
+    availableTomorrowFrom: 'متوفر غدًا من {time}',
+    availableOnDayFrom: 'متوفر يوم {day} من {time}',
+    completeRequiredChoices: 'يرجى إكمال الاختيارات المطلوبة',
+    addedToCart: 'تمت إضافة {name} إلى السلة',
+    addedQuantityToCart: 'تمت إضافة {count}× {name} إلى السلة',
+    addToCartFailed: 'تعذرت إضافة الطبق إلى السلة',
+    popular: 'رائج',
+    new: 'جديد',
+    popularNow: 'الأكثر طلبًا الآن',
+    addItemToCart: 'أضف {name} إلى السلة'
+  },
+
+  upsell: {
+    title: 'يتناسب جيدًا مع {name}',
+    dismiss: 'لا، شكرًا',
+    oftenOrderedTogether: 'غالبًا ما يُطلبان معًا'
+  },
+
+  itemDetail: {
+    close: 'إغلاق',
+    description: 'الوصف',
+    prepTime: 'وقت التحضير: {time}',
+    category: 'الفئة: {category}',
+    allergenInfo: 'معلومات مسببات الحساسية',
+    nutritionalInfo: 'المعلومات الغذائية',
+    required: 'مطلوب',
+    optional: 'اختياري',
+    optionalUpTo: 'اختياري • حتى {count}',
+    specialInstructions: 'تعليمات خاصة',
+    instructionsPlaceholder: 'أي طلبات خاصة أو تعديلات...',
+    inCart: {
+      zero: 'لا يوجد هذا الطبق في سلتك',
+      one: 'لديك طبق واحد من هذا في سلتك',
+      two: 'لديك طبقان من هذا في سلتك',
+      few: 'لديك {count} أطباق من هذا في سلتك',
+      many: 'لديك {count} طبقًا من هذا في سلتك',
+      other: 'لديك {count} طبق من هذا في سلتك'
+    },
+    quantity: 'الكمية:',
+    total: 'الإجمالي',
+    adding: 'جارٍ الإضافة إلى السلة...',
+    addToCart: 'أضف {count} إلى السلة • {price}'
+  },
+
+  dietary: {
+    excludeAllergens: 'استبعاد مسببات الحساسية',
+    dietaryNeeds: 'الاحتياجات الغذائية',
+    spiceLevel: 'مستوى الحرارة',
+    disclaimer: 'يقدم المطبخ معلومات مسببات الحساسية. يرجى إخبار النادل عن أي حساسية شديدة.',
+    reset: 'إعادة تعيين',
+    tags: {
+      vegetarian: 'نباتي',
+      vegan: 'نباتي صرف',
+      halal: 'حلال',
+      kosher: 'كوشر'
+    },
+    spiceFilters: {
+      any: 'أي مستوى',
+      none: 'غير حار',
+      mild: 'خفيف أو أقل',
+      spicy: 'حار فقط'
+    },
+    spiceLevels: ['غير حار', 'خفيف', 'متوسط', 'حار']
+  },
+
+  cart: {
+    title: 'السلة',
+    titleWithCount: 'السلة ({count})',
+    close: 'إغلاق السلة',
+    empty: 'سلتك فارغة',
+    emptyHint: 'أضف بعض الأطباق الشهية للبدء!',
+    browseMenu: 'تصفح القائمة',
+    itemsRemoved: {
+      zero: 'لم تتم إزالة أي طبق من سلتك',
+      one: 'تمت إزالة طبق واحد من سلتك لأنه لم يعد متوفرًا',
+      two: 'تمت إزالة طبقين من سلتك لأنهما لم يعودا متوفرين',
+      few: 'تمت إزالة {count} أطباق من سلتك لأنها لم تعد متوفرة',
+      many: 'تمت إزالة {count} طبقًا من سلتك لأنها لم تعد متوفرة',
+      other: 'تمت إزالة {count} طبق من سلتك لأنها لم تعد متوفرة'
+    },
+    validationFailed: 'تعذر التحقق من أطباق السلة',
+    promoCode: 'رمز الخصم',
+    enterCode: 'أدخل الرمز',
+    apply: 'تطبيق',
+    promotionApplied: 'تم تطبيق {promotion}',
+    sharedCartTitle: 'سلة مشتركة للطاولة {table}',
+    sharedCartHint: 'يرى جميع من على الطاولة هذه السلة ويعدّلونها. يُرسل طلب واحد للطاولة بأكملها.',
+    orderingAs: 'تطلب باسم',
+    contains: 'يحتوي على {allergens}',
+    note: 'ملاحظة: {note}',
+    completeYourMeal: 'أكمل وجبتك',
+    kitchenInstructions: 'تعليمات خاصة للمطبخ',
+    kitchenInstructionsPlaceholder: 'أي طلبات خاصة أو حساسية أو تعديلات...',
+    characterCount: '{count}/{max} حرف',
+    reviewOrder: 'مراجعة الطلب',
+    reviewTableOrder: 'مراجعة طلب الطاولة',
+    offlineHint: 'أنت غير متصل - سيتم إرسال طلبك عند عودة الاتصال',
+    reviewTitle: 'راجع طلبك',
+    reviewHint: 'يرجى مراجعة طلبك قبل إرساله',
+    currentDiner: '{name} (أنت)',
+    you: 'أنت',
+    guest: 'ضيف',
+    allergies: 'الحساسية: {allergens}',
+    allergiesFlagged: 'سيتم تمييز طلبك ليعرف المطبخ بالحساسية لديك.',
+    specialInstructions: 'تعليمات خاصة',
+    placingOrderProgress: 'جارٍ إرسال الطلب...',
+    saveOrder: 'حفظ الطلب',
+    payAndPlaceOrder: 'ادفع وأرسل الطلب',
+    submitForTable: 'إرسال للطاولة',
+    placeOrder: 'إرسال الطلب',
+    backToCart: 'العودة إلى السلة',
+    allergenWarningTitle: 'تحذير من مسببات الحساسية',
+    allergenWarningMessage: 'أخبرتنا أنك تتجنب {allergens}. هذه الأطباق تحتوي عليه:',
+    changeOrder: 'تغيير طلبي',
+    confirmAllergens: 'فهمت، أرسل الطلب',
+    processingPayment: 'جارٍ معالجة الدفع',
+    processingPaymentHint: 'يرجى الانتظار بينما نستلم الدفع ونرسل طلبك. لا تغلق هذه الصفحة.',
+    placingYourOrder: 'جارٍ إرسال طلبك',
+    placingYourOrderHint: 'يرجى الانتظار بينما نعالج طلبك...',
+    placingOrder: 'جارٍ إرسال الطلب',
+    orderConfirmed: 'تم تأكيد الطلب',
+    orderSavedTitle: 'تم حفظ الطلب',
+    orderSavedHint: 'أنت غير متصل حاليًا. سنرسل طلبك إلى المطبخ فور عودة الاتصال.',
+    orderPlacedTitle: 'تم إرسال الطلب بنجاح!',
+    orderPlacedHint: 'تم إرسال طلبك إلى المطبخ. ستصلك تحديثات بحالته.',
+    closingAutomatically: 'سيتم الإغلاق تلقائيًا...',
+    orderPlaced: 'تم إرسال الطلب #{order} بنجاح!',
+    orderSentForTable: 'تم إرسال الطلب #{order} للطاولة بأكملها!',
+    orderQueued: 'أنت غير متصل. تم حفظ طلبك وسيتم إرساله فور عودة الاتصال.',
+    orderFailed: 'تعذر إرسال الطلب. يرجى المحاولة مرة أخرى.',
+    removed: 'تمت إزالة {name} من السلة',
+    removeItem: 'إزالة {name} من السلة',
+    addedBy: 'أضافه {name}',
+    addedByYou: 'أضفته أنت',
+    priceEach: '{price} للواحد',
+    quantity: 'الكمية:',
+    decreaseQuantity: 'تقليل الكمية',
+    increaseQuantity: 'زيادة الكمية',
+    itemInstructions: 'تعليمات خاصة:',
+    noInstructions: 'لا توجد تعليمات خاصة',
+    editInstructions: 'تعديل التعليمات الخاصة',
+    instructionsPlaceholder: 'أضف تعليمات خاصة...',
+    instructionsUpdated: 'تم تحديث التعليمات الخاصة',
+    cancel: 'إلغاء',
+    itemCount: {
+      zero: 'لا أطباق',
+      one: 'طبق واحد',
+      two: 'طبقان',
+      few: '{count} أطباق',
+      many: '{count} طبقًا',
+      other: '{count} طبق'
+    },
+    subtotal: 'المجموع الفرعي',
+    discount: 'الخصم',
+    tax: 'الضريبة',
+    taxAtRate: 'الضريبة ({rate})',
+    serviceCharge: 'رسوم الخدمة',
+    rounding: 'التقريب',
+    tip: 'البقشيش',
+    total: 'الإجمالي',
+    includesTax: 'شامل الضريبة',
+    includesTaxAtRate: 'شامل الضريبة ({rate})',
+    includesTaxes: 'شامل الضرائب',
+    estimatedPrepTime: 'وقت التحضير المتوقع: {time}',
+    readyNotification: 'سنخبرك عندما يصبح طلبك جاهزًا'
+  },
+
+  tips: {
+    addTip: 'أضف بقشيشًا',
+    amount: 'مبلغ البقشيش',
+    custom: 'مبلغ آخر',
+    noTip: 'بدون بقشيش',
+    customAmount: 'مبلغ بقشيش مخصص'
+  },
+
+  promotions: {
+    errors: {
+      not_found: 'لا نعرف رمز العرض هذا',
+      not_started: 'لم يبدأ هذا العرض بعد',
+      expired: 'انتهى هذا العرض',
+      outside_hours: 'هذا العرض غير متاح الآن',
+      min_spend: 'أنفق {amount} أو أكثر لاستخدام هذا العرض',
+      no_eligible_categories: 'أضف {categories} لاستخدام هذا العرض',
+      no_eligible_items: 'أضف أطباقًا لاستخدام هذا العرض',
+      usage_limit: 'لقد استخدمت هذا العرض من قبل',
+      failed: 'لا يمكن تطبيق هذا العرض'
+    }
+  },
+
+  modifiers: {
+    errors: {
+      choose_one: 'يرجى اختيار {name}',
+      too_few: 'يرجى اختيار {count} خيارات على الأقل',
+      too_many: {
+        zero: 'اختر حتى {count} خيار',
+        one: 'اختر خيارًا واحدًا كحد أقصى',
+        two: 'اختر خيارين كحد أقصى',
+        few: 'اختر حتى {count} خيارات',
+        many: 'اختر حتى {count} خيارًا',
+        other: 'اختر حتى {count} خيار'
+      }
+    }
+  },
+
+  payments: {
+    errors: {
+      declined: 'تم رفض الدفع. يرجى تجربة بطاقة أخرى أو الدفع لأحد الموظفين.',
+      not_found: 'لم نعثر على هذه الدفعة',
+      invalid_state: 'لم يعد بالإمكان تعديل هذه الدفعة',
+      invalid_amount: 'مبلغ الدفع غير صالح',
+      not_configured: 'الدفع عبر الإنترنت غير متاح هنا. يرجى الدفع لأحد الموظفين.',
+      failed: 'فشل الدفع. يرجى المحاولة مرة أخرى.'
+    }
+  },
+
+  bill: {
+    title: 'تقسيم الفاتورة',
+    backToMenu: 'العودة إلى القائمة',
+    modes: {
+      even: 'بالتساوي',
+      by_diner: 'حسب الشخص',
+      by_item: 'حسب الطبق'
+    },
+    you: 'أنت',
+    guest: 'ضيف {number}',
+    person: 'شخص {number}',
+    empty: 'لا يوجد شيء للدفع بعد',
+    emptyHint: 'ستظهر طلبات طاولتك هنا بعد إرسالها.',
+    items: 'الأطباق',
+    subtotal: 'المجموع الفرعي',
+    discount: 'الخصم',
+    tax: 'الضريبة',
+    serviceCharge: 'رسوم الخدمة',
+    rounding: 'التقريب',
+    includesTax: 'يشمل {amount} ضريبة',
+    tableTotal: 'إجمالي الطاولة',
+    orderCount: {
+      zero: 'لا توجد طلبات في هذه الزيارة',
+      one: 'طلب واحد في هذه الزيارة',
+      two: 'طلبان في هذه الزيارة',
+      few: '{count} طلبات في هذه الزيارة',
+      many: '{count} طلبًا في هذه الزيارة',
+      other: '{count} طلب في هذه الزيارة'
+    },
+    plusTips: 'بالإضافة إلى {amount} إكرامية',
+    processingPayment: 'جارٍ معالجة الدفع...',
+    pay: 'ادفع {amount}',
+    payRemaining: 'ادفع المتبقي {amount}',
+    paid: 'تم دفع الفاتورة',
+    paymentComplete: 'تم الدفع - شكرًا لك!',
+    paymentUnrecorded: 'تم استلام الدفعة، لكن الفاتورة لم تُحدَّث بعد. يرجى إظهار المرجع {reference} لأحد الموظفين.',
+    paymentPending: 'تم استلام الدفعة {reference}. سيقوم أحد الموظفين بتحديث فاتورتك.',
+    splitBetween: 'التقسيم بين',
+    fewerPeople: 'أشخاص أقل',
+    morePeople: 'أشخاص أكثر',
+    whoHadWhat: 'من طلب ماذا؟',
+    addPerson: 'إضافة شخص',
+    line: '{quantity}x {name}',
+    sharedLine: '{fraction} من {quantity}x {name}',
+    unassigned: '{amount} من الأطباق لم تُنسب إلى أحد'
+  },
+
+  service: {
+    callServer: 'نداء النادل',
+    title: 'كيف يمكننا مساعدتك؟',
+    close: 'إغلاق',
+    offline: 'أنت غير متصل - يرجى الإشارة إلى أحد الموظفين',
+    types: {
+      assistance: 'نداء النادل',
+      bill: 'طلب الفاتورة',
+      water: 'ماء للطاولة',
+      cutlery: 'أدوات المائدة والمناديل'
+    },
+    status: {
+      pending: 'بانتظار الموظفين',
+      acknowledged: 'في الطريق',
+      completed: 'تم',
+      cancelled: 'ملغى'
+    },
+    yourRequests: 'طلباتك',
+    requested: 'تم الطلب',
+    availableInMinutes: 'متاح بعد {count} د',
+    availableInSeconds: 'متاح بعد {count} ث',
+    sent: '{request} - أبلغنا الموظفين',
+    onTheWay: '{request}: النادل في الطريق',
+    sendFailed: 'تعذر إرسال الطلب',
+    cancel: 'إلغاء',
+    cancelling: 'جارٍ الإلغاء...',
+    cancelled: 'تم إلغاء {request}',
+    alreadyHandled: 'تمت معالجة هذا الطلب بالفعل',
+    cancelFailed: 'تعذر إلغاء الطلب',
+    errors: {
+      open: 'لدينا هذا الطلب بالفعل - سيأتي إليك أحد الموظفين قريبًا',
+      wait: 'يرجى الانتظار {count} ثانية قبل الطلب مرة أخرى'
+    }
+  },
+
+  offline: {
+    wentOffline: 'أنت الآن غير متصل. سيتم حفظ الطلبات وإرسالها عند عودة الاتصال.',
+    synced: {
+      zero: 'لم تتم مزامنة أي طلب',
+      one: 'تمت مزامنة طلب واحد بنجاح',
+      two: 'تمت مزامنة طلبين بنجاح',
+      few: 'تمت مزامنة {count} طلبات بنجاح',
+      many: 'تمت مزامنة {count} طلبًا بنجاح',
+      other: 'تمت مزامنة {count} طلب بنجاح'
+    },
+    syncFailed: {
+      zero: 'لم يفشل إرسال أي طلب',
+      one: 'تعذر إرسال طلب واحد',
+      two: 'تعذر إرسال طلبين',
+      few: 'تعذر إرسال {count} طلبات',
+      many: 'تعذر إرسال {count} طلبًا',
+      other: 'تعذر إرسال {count} طلب'
+    },
+    syncRejected: {
+      one: 'رفض المطعم طلبًا واحدًا - راجع سجل الطلبات',
+      two: 'رفض المطعم طلبين - راجع سجل الطلبات',
+      few: 'رفض المطعم {count} طلبات - راجع سجل الطلبات',
+      many: 'رفض المطعم {count} طلبًا - راجع سجل الطلبات',
+      other: 'رفض المطعم {count} طلب - راجع سجل الطلبات'
+    }
+  },
+
+  push: {
+    title: 'هل تريد تلقي تحديثات الطلب؟',
+    message: 'سنخبرك عندما تتغير حالة طلبك، حتى لو أغلقت هذه الصفحة.',
+    turnOn: 'تفعيل الإشعارات',
+    enabled: 'تم تفعيل الإشعارات - سنبقيك على اطلاع',
+    notEnabled: 'لم يتم تفعيل الإشعارات',
+    failed: 'تعذر تفعيل الإشعارات'
+  },
+
+  orders: {
+    title: 'سجل الطلبات',
+    empty: 'لا توجد طلبات بعد',
+    emptyHint: 'سيظهر سجل طلباتك هنا بعد إرسال طلبك الأول.',
+    splitBill: 'تقسيم الفاتورة',
+    orderNumber: 'الطلب #{order}',
+    itemCount: {
+      zero: 'لا أطباق',
+      one: 'طبق واحد',
+      two: 'طبقان',
+      few: '{count} أطباق',
+      many: '{count} طبقًا',
+      other: '{count} طبق'
+    },
+    waitingToSend: 'في انتظار الإرسال',
+    notSent: 'لم يُرسل',
+    rejectedReason: 'تعذر على المطعم قبول هذا الطلب: {reason}',
+    editInCart: 'تعديل في السلة',
+    discard: 'حذف',
+    discarded: 'تم حذف الطلب',
+    retrying: 'لم نتمكن من الوصول إلى المطعم بعد - سنواصل المحاولة',
+    justNow: 'الآن',
+    minutesAgo: {
+      one: 'منذ دقيقة',
+      two: 'منذ دقيقتين',
+      few: 'منذ {count} دقائق',
+      many: 'منذ {count} دقيقة',
+      other: 'منذ {count} دقيقة'
+    },
+    hoursAgo: {
+      one: 'منذ ساعة',
+      two: 'منذ ساعتين',
+      few: 'منذ {count} ساعات',
+      many: 'منذ {count} ساعة',
+      other: 'منذ {count} ساعة'
+    },
+    daysAgo: {
+      one: 'منذ يوم',
+      two: 'منذ يومين',
+      few: 'منذ {count} أيام',
+      many: 'منذ {count} يومًا',
+      other: 'منذ {count} يوم'
+    },
+    minutesRemaining: 'متبقٍ ~{count} د',
+    itemsOrdered: 'الأطباق المطلوبة',
+    timeline: 'مراحل الطلب',
+    placedAt: 'تم الطلب في {time}',
+    updatedAt: 'آخر تحديث في {time}',
+    reorder: 'إعادة الطلب',
+    addingToCart: 'جارٍ الإضافة إلى السلة...',
+    cannotReorder: 'لا يمكن إعادة هذا الطلب',
+    reorderAdded: {
+      one: 'تمت إضافة طبق واحد من الطلب السابق إلى السلة',
+      two: 'تمت إضافة طبقين من الطلب السابق إلى السلة',
+      few: 'تمت إضافة {count} أطباق من الطلب السابق إلى السلة',
+      many: 'تمت إضافة {count} طبقًا من الطلب السابق إلى السلة',
+      other: 'تمت إضافة {count} طبق من الطلب السابق إلى السلة'
+    },
+    reorderSkipped: {
+      one: 'طبق واحد لم يعد متاحًا ولم تتم إضافته',
+      two: 'طبقان لم يعودا متاحين ولم تتم إضافتهما',
+      few: '{count} أطباق لم تعد متاحة ولم تتم إضافتها',
+      many: '{count} طبقًا لم يعد متاحًا ولم تتم إضافته',
+      other: '{count} طبق لم يعد متاحًا ولم تتم إضافته'
+    },
+    reorderFailed: 'تعذرت إعادة طلب الأطباق',
+    status: {
+      pending: 'تم الطلب',
+      confirmed: 'مؤكد',
+      preparing: 'قيد التحضير',
+      ready: 'جاهز',
+      delivered: 'تم التقديم',
+      cancelled: 'ملغى'
+    },
+    payment: {
+      unpaid: 'غير مدفوع',
+      authorized: 'الدفع قيد الانتظار',
+      paid: 'مدفوع',
+      refunded: 'مسترد',
+      failed: 'فشل الدفع'
+    }
+  }
+};
+
+export default ar;
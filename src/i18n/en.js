@@ -0,0 +1,494 @@
+// English - the default language and the fallback for missing messages
+const en = {
+  common: {
+    tryAgain: 'Try Again',
+    table: 'Table {table}',
+    save: 'Save',
+    remove: 'Remove',
+    minutesShort: '{minutes} min',
+    hoursShort: '{hours}h',
+    hoursMinutesShort: '{hours}h {minutes}m',
+    minutes: {
+      one: '{count} minute',
+      other: '{count} minutes'
+    },
+    hours: {
+      one: '{count} hour',
+      other: '{count} hours'
+    }
+  },
+
+  language: {
+    label: 'Language'
+  },
+
+  theme: {
+    light: 'Light theme',
+    dark: 'Dark theme',
+    system: 'System theme',
+    switchTo: 'Switch to {theme}'
+  },
+
+  allergens: {
+    gluten: 'Gluten',
+    dairy: 'Dairy',
+    eggs: 'Eggs',
+    nuts: 'Nuts',
+    shellfish: 'Shellfish',
+    soy: 'Soy',
+    fish: 'Fish'
+  },
+
+  tableErrors: {
+    invalid_number: 'Please enter a valid table number',
+    not_found: "We couldn't find that table",
+    closed: 'This table is closed right now',
+    occupied: 'This table is reserved for another party',
+    invalid_token: "This QR code isn't valid for this restaurant",
+    expired_token: 'This QR code has expired'
+  },
+
+  tableSelect: {
+    title: 'Table Selection',
+    subtitle: 'Enter your table number to start ordering',
+    label: 'Table Number',
+    placeholder: 'Enter table number (e.g., 15)',
+    hint: 'Look for the table number on your table or ask your server',
+    validating: 'Validating...',
+    continue: 'Continue to Menu',
+    cantFind: "Can't find your table number?",
+    help: 'Ask your server for assistance or scan the QR code on your table',
+    scanTitle: 'Scan to Order',
+    scanMessage: "Scan the QR code on your table with your phone's camera to start ordering.",
+    scanHelp: "Can't find it? Ask your server for help."
+  },
+
+  qr: {
+    title: 'Restaurant Order',
+    tagline: 'Quick & Easy Table Service',
+    help: 'Having trouble? Ask your server for assistance',
+    validating: 'Validating Table...',
+    checkingTable: 'Checking Table {table}',
+    processing: 'Processing QR code',
+    welcome: 'Welcome to Table {table}!',
+    redirecting: "You're all set to start ordering. Redirecting to menu...",
+    enterTableNumber: 'Enter Table Number',
+    outdatedCode: 'This QR code is out of date. Please ask your server for help.',
+    noTableNumber: 'No table number found in QR code',
+    validationError: 'Error validating table. Please try again.',
+    invalid: {
+      not_found: {
+        title: 'Table Not Found',
+        message: "We couldn't find Table {table} in this restaurant. Please check the QR code or ask your server for help."
+      },
+      closed: {
+        title: 'Table Closed',
+        message: "Table {table} isn't taking orders right now. Please ask your server to open it for you."
+      },
+      occupied: {
+        title: 'Table Reserved',
+        message: 'Table {table} is reserved for another party. Please check with your server before ordering.'
+      },
+      invalid_token: {
+        title: 'QR Code Not Recognised',
+        message: "This QR code isn't valid for this restaurant or has been replaced. Please scan the code on your table or ask your server for help."
+      },
+      expired_token: {
+        title: 'QR Code Expired',
+        message: 'This QR code has expired. Please ask your server for a new one.'
+      },
+      invalid_number: {
+        title: 'Invalid QR Code',
+        message: "This QR code doesn't contain a valid table number. Please try scanning it again."
+      },
+      unknown: {
+        title: "Couldn't Check Table",
+        message: "We couldn't validate your table. Please check your connection and try again."
+      }
+    }
+  },
+
+  menu: {
+    allCategory: 'All',
+    scrollCategoriesLeft: 'Scroll categories left',
+    scrollCategoriesRight: 'Scroll categories right',
+    goToCategory: 'Go to {category}',
+    filterByCategory: 'Filter by {category} category',
+    refreshing: 'Refreshing menu...',
+    loadError: 'Unable to Load Menu',
+    connected: 'Connected',
+    offline: 'Offline',
+    dataStale: 'Data may be outdated',
+    searchLabel: 'Search menu',
+    dietaryFiltersLabel: 'Dietary and allergen filters',
+    billLabel: 'View and split the bill',
+    cartLabel: 'Open cart',
+    searchPlaceholder: 'Search for dishes, categories...',
+    clearSearch: 'Clear search',
+    activeFilters: 'Active filters:',
+    removeFilter: 'Remove {filter} filter',
+    clearAll: 'Clear all',
+    noDishes: 'No dishes found',
+    noSearchResults: 'No results for "{query}"',
+    noDietaryResults: 'No dishes match your dietary filters',
+    noCategoryResults: 'No dishes available in {category} category',
+    clearFilters: 'Clear Filters',
+    itemUnavailable: 'This item is currently unavailable',
+    unavailable: 'Unavailable',
+    availableFrom: 'Available from {time}',
+    availableTomorrowFrom: 'Available tomorrow from {time}',
+    availableOnDayFrom: 'Available {day} from {time}',
+    completeRequiredChoices: 'Please complete the required choices',
+    addedToCart: '{name} added to cart',
+    addedQuantityToCart: '{count}x {name} added to cart',
+    addToCartFailed: 'Failed to add item to cart',
+    popular: 'Popular',
+    new: 'New',
+    popularNow: 'Popular right now',
+    addItemToCart: 'Add {name} to cart'
+  },
+
+  upsell: {
+    title: 'Goes well with {name}',
+    dismiss: 'No thanks',
+    oftenOrderedTogether: 'Often ordered together'
+  },
+
+  itemDetail: {
+    close: 'Close',
+    description: 'Description',
+    prepTime: 'Prep time: {time}',
+    category: 'Category: {category}',
+    allergenInfo: 'Allergen Information',
+    nutritionalInfo: 'Nutritional Information',
+    required: 'Required',
+    optional: 'Optional',
+    optionalUpTo: 'Optional • up to {count}',
+    specialInstructions: 'Special Instructions',
+    instructionsPlaceholder: 'Any special requests or modifications...',
+    inCart: 'You have {count} of this item in your cart',
+    quantity: 'Quantity:',
+    total: 'Total',
+    adding: 'Adding to Cart...',
+    addToCart: 'Add {count} to Cart • {price}'
+  },
+
+  dietary: {
+    excludeAllergens: 'Exclude allergens',
+    dietaryNeeds: 'Dietary needs',
+    spiceLevel: 'Spice level',
+    disclaimer: 'Allergen information is provided by the kitchen. Please tell your server about severe allergies.',
+    reset: 'Reset',
+    tags: {
+      vegetarian: 'Vegetarian',
+      vegan: 'Vegan',
+      halal: 'Halal',
+      kosher: 'Kosher'
+    },
+    spiceFilters: {
+      any: 'Any',
+      none: 'Not spicy',
+      mild: 'Mild or less',
+      spicy: 'Spicy only'
+    },
+    spiceLevels: ['Not spicy', 'Mild', 'Medium', 'Hot']
+  },
+
+  cart: {
+    title: 'Cart',
+    titleWithCount: 'Cart ({count})',
+    close: 'Close cart',
+    empty: 'Your cart is empty',
+    emptyHint: 'Add some delicious items to get started!',
+    browseMenu: 'Browse Menu',
+    itemsRemoved: {
+      one: "{count} item was removed from your cart as it's no longer available",
+      other: "{count} items were removed from your cart as they're no longer available"
+    },
+    validationFailed: 'Failed to validate cart items',
+    promoCode: 'Promo Code',
+    enterCode: 'Enter code',
+    apply: 'Apply',
+    promotionApplied: '{promotion} applied',
+    sharedCartTitle: 'Shared cart for Table {table}',
+    sharedCartHint: 'Everyone at the table sees and edits this cart. One order is sent for the whole table.',
+    orderingAs: 'Ordering as',
+    contains: 'Contains {allergens}',
+    note: 'Note: {note}',
+    completeYourMeal: 'Complete your meal',
+    kitchenInstructions: 'Special Instructions for the Kitchen',
+    kitchenInstructionsPlaceholder: 'Any special requests, allergies, or modifications...',
+    characterCount: '{count}/{max} characters',
+    reviewOrder: 'Review Order',
+    reviewTableOrder: 'Review Table Order',
+    offlineHint: "You're offline - your order will be sent when you reconnect",
+    reviewTitle: 'Review Your Order',
+    reviewHint: 'Please review your order before placing it',
+    currentDiner: '{name} (you)',
+    you: 'You',
+    guest: 'Guest',
+    allergies: 'Allergies: {allergens}',
+    allergiesFlagged: 'Your order will be flagged so the kitchen knows about your allergies.',
+    specialInstructions: 'Special Instructions',
+    placingOrderProgress: 'Placing Order...',
+    saveOrder: 'Save Order',
+    payAndPlaceOrder: 'Pay & Place Order',
+    submitForTable: 'Submit for the Table',
+    placeOrder: 'Place Order',
+    backToCart: 'Back to Cart',
+    allergenWarningTitle: 'Allergen warning',
+    allergenWarningMessage: 'You told us you avoid {allergens}. These dishes contain it:',
+    changeOrder: 'Change My Order',
+    confirmAllergens: 'I Understand, Place Order',
+    processingPayment: 'Processing Payment',
+    processingPaymentHint: "Please wait while we take payment and send your order. Don't close this page.",
+    placingYourOrder: 'Placing Your Order',
+    placingYourOrderHint: 'Please wait while we process your order...',
+    placingOrder: 'Placing Order',
+    orderConfirmed: 'Order Confirmed',
+    orderSavedTitle: 'Order Saved',
+    orderSavedHint: "You're offline right now. We'll send your order to the kitchen as soon as you reconnect.",
+    orderPlacedTitle: 'Order Placed Successfully!',
+    orderPlacedHint: "Your order has been sent to the kitchen. You'll receive updates on the status.",
+    closingAutomatically: 'Closing automatically...',
+    orderPlaced: 'Order #{order} placed successfully!',
+    orderSentForTable: 'Order #{order} sent for the whole table!',
+    orderQueued: "You're offline. Your order is saved and will be sent as soon as you reconnect.",
+    orderFailed: 'Failed to place order. Please try again.',
+    removed: '{name} removed from cart',
+    removeItem: 'Remove {name} from cart',
+    addedBy: 'Added by {name}',
+    addedByYou: 'Added by you',
+    priceEach: '{price} each',
+    quantity: 'Qty:',
+    decreaseQuantity: 'Decrease quantity',
+    increaseQuantity: 'Increase quantity',
+    itemInstructions: 'Special Instructions:',
+    noInstructions: 'No special instructions',
+    editInstructions: 'Edit special instructions',
+    instructionsPlaceholder: 'Add special instructions...',
+    instructionsUpdated: 'Special instructions updated',
+    cancel: 'Cancel',
+    itemCount: {
+      one: '{count} item',
+      other: '{count} items'
+    },
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    tax: 'Tax',
+    taxAtRate: 'Tax ({rate})',
+    serviceCharge: 'Service Charge',
+    rounding: 'Rounding',
+    tip: 'Tip',
+    total: 'Total',
+    includesTax: 'Includes tax',
+    includesTaxAtRate: 'Includes tax ({rate})',
+    includesTaxes: 'Includes taxes',
+    estimatedPrepTime: 'Estimated preparation time: {time}',
+    readyNotification: "We'll notify you when your order is ready"
+  },
+
+  tips: {
+    addTip: 'Add a tip',
+    amount: 'Tip amount',
+    custom: 'Custom',
+    noTip: 'No tip',
+    customAmount: 'Custom tip amount'
+  },
+
+  promotions: {
+    errors: {
+      not_found: "We don't recognise that promo code",
+      not_started: 'This promotion has not started yet',
+      expired: 'This promotion has ended',
+      outside_hours: 'This promotion is not available right now',
+      min_spend: 'Spend {amount} or more to use this promotion',
+      no_eligible_categories: 'Add {categories} to use this promotion',
+      no_eligible_items: 'Add items to use this promotion',
+      usage_limit: "You've already used this promotion",
+      failed: 'This promotion cannot be applied'
+    }
+  },
+
+  modifiers: {
+    errors: {
+      choose_one: 'Please choose {name}',
+      too_few: 'Please choose at least {count} options',
+      too_many: {
+        one: 'Choose up to {count} option',
+        other: 'Choose up to {count} options'
+      }
+    }
+  },
+
+  payments: {
+    errors: {
+      declined: 'Your payment was declined. Please try another card or pay a member of staff.',
+      not_found: 'We could not find that payment',
+      invalid_state: 'This payment can no longer be changed',
+      invalid_amount: 'The payment amount is not valid',
+      not_configured: "Online payment isn't available here. Please pay a member of staff.",
+      failed: 'Payment failed. Please try again.'
+    }
+  },
+
+  bill: {
+    title: 'Split the Bill',
+    backToMenu: 'Back to menu',
+    modes: {
+      even: 'Evenly',
+      by_diner: 'By diner',
+      by_item: 'By item'
+    },
+    you: 'You',
+    guest: 'Guest {number}',
+    person: 'Person {number}',
+    empty: 'Nothing to pay yet',
+    emptyHint: 'Orders for your table will appear here once they are placed.',
+    items: 'Items',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    tax: 'Tax',
+    serviceCharge: 'Service Charge',
+    rounding: 'Rounding',
+    includesTax: 'Includes {amount} tax',
+    tableTotal: 'Table Total',
+    orderCount: {
+      one: '{count} order this visit',
+      other: '{count} orders this visit'
+    },
+    plusTips: 'plus {amount} in tips',
+    processingPayment: 'Processing Payment...',
+    pay: 'Pay {amount}',
+    payRemaining: 'Pay remaining {amount}',
+    paid: 'Bill paid',
+    paymentComplete: 'Payment complete - thank you!',
+    paymentUnrecorded: "Payment received, but the bill hasn't updated yet. Please show reference {reference} to a member of staff.",
+    paymentPending: 'Payment {reference} received. A member of staff will update your bill.',
+    splitBetween: 'Split between',
+    fewerPeople: 'Fewer people',
+    morePeople: 'More people',
+    whoHadWhat: 'Who had what?',
+    addPerson: 'Add person',
+    line: '{quantity}x {name}',
+    sharedLine: '{fraction} of {quantity}x {name}',
+    unassigned: "{amount} of items haven't been assigned to anyone"
+  },
+
+  service: {
+    callServer: 'Call a server',
+    title: 'How can we help?',
+    close: 'Close',
+    offline: "You're offline - please wave to a member of staff",
+    types: {
+      assistance: 'Call a server',
+      bill: 'Request the bill',
+      water: 'Water for the table',
+      cutlery: 'Cutlery & napkins'
+    },
+    status: {
+      pending: 'Waiting for staff',
+      acknowledged: 'On the way',
+      completed: 'Done',
+      cancelled: 'Cancelled'
+    },
+    yourRequests: 'Your requests',
+    requested: 'Requested',
+    availableInMinutes: 'Available in {count} min',
+    availableInSeconds: 'Available in {count}s',
+    sent: "{request} - we've let the staff know",
+    onTheWay: '{request}: a server is on the way',
+    sendFailed: 'Failed to send request',
+    cancel: 'Cancel',
+    cancelling: 'Cancelling...',
+    cancelled: '{request} cancelled',
+    alreadyHandled: 'This request has already been handled',
+    cancelFailed: 'Failed to cancel request',
+    errors: {
+      open: 'We already have this request - staff will be with you shortly',
+      wait: 'Please wait {count}s before asking again'
+    }
+  },
+
+  offline: {
+    wentOffline: 'You are now offline. Orders will be saved and synced when connection is restored.',
+    synced: {
+      one: '{count} order synced successfully',
+      other: '{count} orders synced successfully'
+    },
+    syncFailed: {
+      one: "{count} order couldn't be sent",
+      other: "{count} orders couldn't be sent"
+    },
+    syncRejected: {
+      one: '{count} order was turned down by the restaurant - see Order History',
+      other: '{count} orders were turned down by the restaurant - see Order History'
+    }
+  },
+
+  push: {
+    title: 'Get order updates?',
+    message: "We'll let you know when your order status changes, even if you close this page.",
+    turnOn: 'Turn on notifications',
+    enabled: "Notifications are on - we'll keep you posted",
+    notEnabled: 'Notifications were not turned on',
+    failed: 'Could not turn on notifications'
+  },
+
+  orders: {
+    title: 'Order History',
+    empty: 'No orders yet',
+    emptyHint: 'Your order history will appear here once you place your first order.',
+    splitBill: 'Split the Bill',
+    orderNumber: 'Order #{order}',
+    itemCount: {
+      one: '{count} item',
+      other: '{count} items'
+    },
+    waitingToSend: 'Waiting to send',
+    notSent: 'Not sent',
+    rejectedReason: "The restaurant couldn't accept this order: {reason}",
+    editInCart: 'Edit in cart',
+    discard: 'Discard',
+    discarded: 'Order discarded',
+    retrying: "Couldn't reach the restaurant yet - we'll keep trying",
+    justNow: 'Just now',
+    minutesAgo: '{count}m ago',
+    hoursAgo: '{count}h ago',
+    daysAgo: '{count}d ago',
+    minutesRemaining: '~{count}m remaining',
+    itemsOrdered: 'Items Ordered',
+    timeline: 'Order Timeline',
+    placedAt: 'Order placed at {time}',
+    updatedAt: 'Last updated at {time}',
+    reorder: 'Reorder',
+    addingToCart: 'Adding to Cart...',
+    cannotReorder: 'This order cannot be reordered',
+    reorderAdded: {
+      one: '{count} item added to cart from previous order',
+      other: '{count} items added to cart from previous order'
+    },
+    reorderSkipped: {
+      one: '{count} item is no longer available and was left out',
+      other: '{count} items are no longer available and were left out'
+    },
+    reorderFailed: 'Failed to reorder items',
+    status: {
+      pending: 'Order Placed',
+      confirmed: 'Confirmed',
+      preparing: 'Preparing',
+      ready: 'Ready',
+      delivered: 'Delivered',
+      cancelled: 'Cancelled'
+    },
+    payment: {
+      unpaid: 'Unpaid',
+      authorized: 'Payment pending',
+      paid: 'Paid',
+      refunded: 'Refunded',
+      failed: 'Payment failed'
+    }
+  }
+};
+
+export default en;
@@ -0,0 +1,500 @@
+// Spanish
+const es = {
+  common: {
+    tryAgain: 'Intentar de nuevo',
+    table: 'Mesa {table}',
+    save: 'Guardar',
+    remove: 'Quitar',
+    minutesShort: '{minutes} min',
+    hoursShort: '{hours} h',
+    hoursMinutesShort: '{hours} h {minutes} min',
+    minutes: {
+      one: '{count} minuto',
+      other: '{count} minutos'
+    },
+    hours: {
+      one: '{count} hora',
+      other: '{count} horas'
+    }
+  },
+
+  language: {
+    label: 'Idioma'
+  },
+
+  theme: {
+    light: 'Tema claro',
+    dark: 'Tema oscuro',
+    system: 'Tema del sistema',
+    switchTo: 'Cambiar a {theme}'
+  },
+
+  allergens: {
+    gluten: 'Gluten',
+    dairy: 'Lácteos',
+    eggs: 'Huevos',
+    nuts: 'Frutos secos',
+    shellfish: 'Mariscos',
+    soy: 'Soja',
+    fish: 'Pescado'
+  },
+
+  tableErrors: {
+    invalid_number: 'Introduce un número de mesa válido',
+    not_found: 'No encontramos esa mesa',
+    closed: 'Esta mesa está cerrada en este momento',
+    occupied: 'Esta mesa está reservada para otro grupo',
+    invalid_token: 'Este código QR no es válido para este restaurante',
+    expired_token: 'Este código QR ha caducado'
+  },
+
+  tableSelect: {
+    title: 'Selección de mesa',
+    subtitle: 'Introduce el número de tu mesa para empezar a pedir',
+    label: 'Número de mesa',
+    placeholder: 'Número de mesa (p. ej., 15)',
+    hint: 'Busca el número en tu mesa o pregunta a tu camarero',
+    validating: 'Comprobando...',
+    continue: 'Ir a la carta',
+    cantFind: '¿No encuentras el número de tu mesa?',
+    help: 'Pide ayuda a tu camarero o escanea el código QR de tu mesa',
+    scanTitle: 'Escanea para pedir',
+    scanMessage: 'Escanea el código QR de tu mesa con la cámara del móvil para empezar a pedir.',
+    scanHelp: '¿No lo encuentras? Pide ayuda a tu camarero.'
+  },
+
+  qr: {
+    title: 'Pedido en el restaurante',
+    tagline: 'Servicio en mesa rápido y sencillo',
+    help: '¿Algún problema? Pide ayuda a tu camarero',
+    validating: 'Validando la mesa...',
+    checkingTable: 'Comprobando la mesa {table}',
+    processing: 'Procesando el código QR',
+    welcome: '¡Bienvenido a la mesa {table}!',
+    redirecting: 'Todo listo para pedir. Redirigiendo al menú...',
+    enterTableNumber: 'Introducir número de mesa',
+    outdatedCode: 'Este código QR está desactualizado. Pide ayuda a tu camarero.',
+    noTableNumber: 'No se encontró ningún número de mesa en el código QR',
+    validationError: 'Error al validar la mesa. Inténtalo de nuevo.',
+    invalid: {
+      not_found: {
+        title: 'Mesa no encontrada',
+        message: 'No encontramos la mesa {table} en este restaurante. Revisa el código QR o pide ayuda a tu camarero.'
+      },
+      closed: {
+        title: 'Mesa cerrada',
+        message: 'La mesa {table} no acepta pedidos ahora mismo. Pide a tu camarero que la abra.'
+      },
+      occupied: {
+        title: 'Mesa reservada',
+        message: 'La mesa {table} está reservada para otro grupo. Consulta con tu camarero antes de pedir.'
+      },
+      invalid_token: {
+        title: 'Código QR no reconocido',
+        message: 'Este código QR no es válido para este restaurante o ha sido sustituido. Escanea el código de tu mesa o pide ayuda a tu camarero.'
+      },
+      expired_token: {
+        title: 'Código QR caducado',
+        message: 'Este código QR ha caducado. Pide uno nuevo a tu camarero.'
+      },
+      invalid_number: {
+        title: 'Código QR no válido',
+        message: 'Este código QR no contiene un número de mesa válido. Vuelve a escanearlo.'
+      },
+      unknown: {
+        title: 'No se pudo comprobar la mesa',
+        message: 'No pudimos validar tu mesa. Revisa tu conexión e inténtalo de nuevo.'
+      }
+    }
+  },
+
+  menu: {
+    allCategory: 'Todo',
+    scrollCategoriesLeft: 'Desplazar categorías a la izquierda',
+    scrollCategoriesRight: 'Desplazar categorías a la derecha',
+    goToCategory: 'Ir a {category}',
+    filterByCategory: 'Filtrar por la categoría {category}',
+    refreshing: 'Actualizando el menú...',
+    loadError: 'No se pudo cargar el menú',
+    connected: 'Conectado',
+    offline: 'Sin conexión',
+    dataStale: 'Los datos pueden estar desactualizados',
+    searchLabel: 'Buscar en el menú',
+    dietaryFiltersLabel: 'Filtros de dieta y alérgenos',
+    billLabel: 'Ver y dividir la cuenta',
+    cartLabel: 'Abrir el carrito',
+    searchPlaceholder: 'Busca platos, categorías...',
+    clearSearch: 'Borrar búsqueda',
+    activeFilters: 'Filtros activos:',
+    removeFilter: 'Quitar el filtro {filter}',
+    clearAll: 'Quitar todos',
+    noDishes: 'No se encontraron platos',
+    noSearchResults: 'No hay resultados para "{query}"',
+    noDietaryResults: 'Ningún plato coincide con tus filtros de dieta',
+    noCategoryResults: 'No hay platos disponibles en la categoría {category}',
+    clearFilters: 'Quitar filtros',
+    itemUnavailable: 'Este plato no está disponible en este momento',
+    unavailable: 'No disponible',
+    availableFrom: 'Disponible desde las {time}',
+    availableTomorrowFrom: 'Disponible mañana desde las {time}',
+    availableOnDayFrom: 'Disponible el {day} desde las {time}',
+    completeRequiredChoices: 'Completa las opciones obligatorias',
+    addedToCart: '{name} añadido al carrito',
+    addedQuantityToCart: '{count}x {name} añadido al carrito',
+    addToCartFailed: 'No se pudo añadir el plato al carrito',
+    popular: 'Popular',
+    new: 'Nuevo',
+    popularNow: 'Lo más pedido ahora',
+    addItemToCart: 'Añadir {name} al carrito'
+  },
+
+  upsell: {
+    title: 'Combina bien con {name}',
+    dismiss: 'No, gracias',
+    oftenOrderedTogether: 'Se suelen pedir juntos'
+  },
+
+  itemDetail: {
+    close: 'Cerrar',
+    description: 'Descripción',
+    prepTime: 'Tiempo de preparación: {time}',
+    category: 'Categoría: {category}',
+    allergenInfo: 'Información sobre alérgenos',
+    nutritionalInfo: 'Información nutricional',
+    required: 'Obligatorio',
+    optional: 'Opcional',
+    optionalUpTo: 'Opcional • hasta {count}',
+    specialInstructions: 'Instrucciones especiales',
+    instructionsPlaceholder: 'Peticiones especiales o cambios...',
+    inCart: {
+      one: 'Tienes {count} unidad de este plato en el carrito',
+      other: 'Tienes {count} unidades de este plato en el carrito'
+    },
+    quantity: 'Cantidad:',
+    total: 'Total',
+    adding: 'Añadiendo al carrito...',
+    addToCart: 'Añadir {count} al carrito • {price}'
+  },
+
+  dietary: {
+    excludeAllergens: 'Excluir alérgenos',
+    dietaryNeeds: 'Necesidades alimentarias',
+    spiceLevel: 'Nivel de picante',
+    disclaimer: 'La cocina proporciona la información sobre alérgenos. Si tienes alergias graves, díselo a tu camarero.',
+    reset: 'Restablecer',
+    tags: {
+      vegetarian: 'Vegetariano',
+      vegan: 'Vegano',
+      halal: 'Halal',
+      kosher: 'Kosher'
+    },
+    spiceFilters: {
+      any: 'Cualquiera',
+      none: 'Sin picante',
+      mild: 'Suave o menos',
+      spicy: 'Solo picante'
+    },
+    spiceLevels: ['Sin picante', 'Suave', 'Medio', 'Picante']
+  },
+
+  cart: {
+    title: 'Carrito',
+    titleWithCount: 'Carrito ({count})',
+    close: 'Cerrar el carrito',
+    empty: 'Tu carrito está vacío',
+    emptyHint: '¡Añade algunos platos deliciosos para empezar!',
+    browseMenu: 'Ver el menú',
+    itemsRemoved: {
+      one: 'Se quitó {count} plato de tu carrito porque ya no está disponible',
+      other: 'Se quitaron {count} platos de tu carrito porque ya no están disponibles'
+    },
+    validationFailed: 'No se pudieron validar los platos del carrito',
+    promoCode: 'Código promocional',
+    enterCode: 'Introduce el código',
+    apply: 'Aplicar',
+    promotionApplied: '{promotion} aplicado',
+    sharedCartTitle: 'Carrito compartido de la mesa {table}',
+    sharedCartHint: 'Todos en la mesa ven y editan este carrito. Se envía un único pedido para toda la mesa.',
+    orderingAs: 'Pidiendo como',
+    contains: 'Contiene {allergens}',
+    note: 'Nota: {note}',
+    completeYourMeal: 'Completa tu comida',
+    kitchenInstructions: 'Instrucciones especiales para la cocina',
+    kitchenInstructionsPlaceholder: 'Peticiones especiales, alergias o cambios...',
+    characterCount: '{count}/{max} caracteres',
+    reviewOrder: 'Revisar pedido',
+    reviewTableOrder: 'Revisar pedido de la mesa',
+    offlineHint: 'Estás sin conexión: tu pedido se enviará cuando vuelvas a conectarte',
+    reviewTitle: 'Revisa tu pedido',
+    reviewHint: 'Revisa tu pedido antes de enviarlo',
+    currentDiner: '{name} (tú)',
+    you: 'Tú',
+    guest: 'Invitado',
+    allergies: 'Alergias: {allergens}',
+    allergiesFlagged: 'Tu pedido se marcará para que la cocina conozca tus alergias.',
+    specialInstructions: 'Instrucciones especiales',
+    placingOrderProgress: 'Enviando pedido...',
+    saveOrder: 'Guardar pedido',
+    payAndPlaceOrder: 'Pagar y enviar pedido',
+    submitForTable: 'Enviar para la mesa',
+    placeOrder: 'Enviar pedido',
+    backToCart: 'Volver al carrito',
+    allergenWarningTitle: 'Aviso de alérgenos',
+    allergenWarningMessage: 'Nos dijiste que evitas {allergens}. Estos platos lo contienen:',
+    changeOrder: 'Cambiar mi pedido',
+    confirmAllergens: 'Entendido, enviar pedido',
+    processingPayment: 'Procesando el pago',
+    processingPaymentHint: 'Espera mientras cobramos y enviamos tu pedido. No cierres esta página.',
+    placingYourOrder: 'Enviando tu pedido',
+    placingYourOrderHint: 'Espera mientras procesamos tu pedido...',
+    placingOrder: 'Enviando pedido',
+    orderConfirmed: 'Pedido confirmado',
+    orderSavedTitle: 'Pedido guardado',
+    orderSavedHint: 'Ahora mismo estás sin conexión. Enviaremos tu pedido a la cocina en cuanto vuelvas a conectarte.',
+    orderPlacedTitle: '¡Pedido enviado!',
+    orderPlacedHint: 'Tu pedido se ha enviado a la cocina. Recibirás actualizaciones de su estado.',
+    closingAutomatically: 'Cerrando automáticamente...',
+    orderPlaced: '¡Pedido #{order} enviado!',
+    orderSentForTable: '¡Pedido #{order} enviado para toda la mesa!',
+    orderQueued: 'Estás sin conexión. Tu pedido está guardado y se enviará en cuanto vuelvas a conectarte.',
+    orderFailed: 'No se pudo enviar el pedido. Inténtalo de nuevo.',
+    removed: '{name} eliminado del carrito',
+    removeItem: 'Eliminar {name} del carrito',
+    addedBy: 'Añadido por {name}',
+    addedByYou: 'Añadido por ti',
+    priceEach: '{price} c/u',
+    quantity: 'Cant.:',
+    decreaseQuantity: 'Reducir cantidad',
+    increaseQuantity: 'Aumentar cantidad',
+    itemInstructions: 'Instrucciones especiales:',
+    noInstructions: 'Sin instrucciones especiales',
+    editInstructions: 'Editar instrucciones especiales',
+    instructionsPlaceholder: 'Añade instrucciones especiales...',
+    instructionsUpdated: 'Instrucciones especiales actualizadas',
+    cancel: 'Cancelar',
+    itemCount: {
+      one: '{count} plato',
+      other: '{count} platos'
+    },
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    tax: 'Impuestos',
+    taxAtRate: 'Impuestos ({rate})',
+    serviceCharge: 'Cargo por servicio',
+    rounding: 'Redondeo',
+    tip: 'Propina',
+    total: 'Total',
+    includesTax: 'Impuestos incluidos',
+    includesTaxAtRate: 'Impuestos incluidos ({rate})',
+    includesTaxes: 'Impuestos incluidos',
+    estimatedPrepTime: 'Tiempo de preparación estimado: {time}',
+    readyNotification: 'Te avisaremos cuando tu pedido esté listo'
+  },
+
+  tips: {
+    addTip: 'Añadir propina',
+    amount: 'Importe de la propina',
+    custom: 'Otra',
+    noTip: 'Sin propina',
+    customAmount: 'Importe de propina personalizado'
+  },
+
+  promotions: {
+    errors: {
+      not_found: 'No reconocemos ese código promocional',
+      not_started: 'Esta promoción aún no ha empezado',
+      expired: 'Esta promoción ha terminado',
+      outside_hours: 'Esta promoción no está disponible ahora mismo',
+      min_spend: 'Gasta {amount} o más para usar esta promoción',
+      no_eligible_categories: 'Añade {categories} para usar esta promoción',
+      no_eligible_items: 'Añade platos para usar esta promoción',
+      usage_limit: 'Ya has usado esta promoción',
+      failed: 'No se puede aplicar esta promoción'
+    }
+  },
+
+  modifiers: {
+    errors: {
+      choose_one: 'Elige {name}',
+      too_few: 'Elige al menos {count} opciones',
+      too_many: {
+        one: 'Elige hasta {count} opción',
+        other: 'Elige hasta {count} opciones'
+      }
+    }
+  },
+
+  payments: {
+    errors: {
+      declined: 'Tu pago ha sido rechazado. Prueba con otra tarjeta o paga a un miembro del personal.',
+      not_found: 'No hemos encontrado ese pago',
+      invalid_state: 'Este pago ya no se puede modificar',
+      invalid_amount: 'El importe del pago no es válido',
+      not_configured: 'El pago en línea no está disponible aquí. Paga a un miembro del personal.',
+      failed: 'El pago ha fallado. Inténtalo de nuevo.'
+    }
+  },
+
+  bill: {
+    title: 'Dividir la cuenta',
+    backToMenu: 'Volver a la carta',
+    modes: {
+      even: 'A partes iguales',
+      by_diner: 'Por comensal',
+      by_item: 'Por plato'
+    },
+    you: 'Tú',
+    guest: 'Invitado {number}',
+    person: 'Persona {number}',
+    empty: 'Aún no hay nada que pagar',
+    emptyHint: 'Los pedidos de tu mesa aparecerán aquí cuando se hagan.',
+    items: 'Platos',
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    tax: 'Impuestos',
+    serviceCharge: 'Cargo por servicio',
+    rounding: 'Redondeo',
+    includesTax: 'Incluye {amount} de impuestos',
+    tableTotal: 'Total de la mesa',
+    orderCount: {
+      one: '{count} pedido en esta visita',
+      other: '{count} pedidos en esta visita'
+    },
+    plusTips: 'más {amount} de propina',
+    processingPayment: 'Procesando el pago...',
+    pay: 'Pagar {amount}',
+    payRemaining: 'Pagar el resto {amount}',
+    paid: 'Cuenta pagada',
+    paymentComplete: 'Pago completado. ¡Gracias!',
+    paymentUnrecorded: 'Hemos recibido el pago, pero la cuenta aún no se ha actualizado. Muestra la referencia {reference} a un miembro del personal.',
+    paymentPending: 'Pago {reference} recibido. Un miembro del personal actualizará tu cuenta.',
+    splitBetween: 'Dividir entre',
+    fewerPeople: 'Menos personas',
+    morePeople: 'Más personas',
+    whoHadWhat: '¿Quién tomó qué?',
+    addPerson: 'Añadir persona',
+    line: '{quantity}x {name}',
+    sharedLine: '{fraction} de {quantity}x {name}',
+    unassigned: '{amount} en platos sin asignar a nadie'
+  },
+
+  service: {
+    callServer: 'Llamar al camarero',
+    title: '¿En qué podemos ayudarte?',
+    close: 'Cerrar',
+    offline: 'Estás sin conexión. Haz una señal a un miembro del personal',
+    types: {
+      assistance: 'Llamar al camarero',
+      bill: 'Pedir la cuenta',
+      water: 'Agua para la mesa',
+      cutlery: 'Cubiertos y servilletas'
+    },
+    status: {
+      pending: 'Esperando al personal',
+      acknowledged: 'En camino',
+      completed: 'Hecho',
+      cancelled: 'Cancelado'
+    },
+    yourRequests: 'Tus solicitudes',
+    requested: 'Solicitado',
+    availableInMinutes: 'Disponible en {count} min',
+    availableInSeconds: 'Disponible en {count} s',
+    sent: '{request}: hemos avisado al personal',
+    onTheWay: '{request}: un camarero está en camino',
+    sendFailed: 'No se pudo enviar la solicitud',
+    cancel: 'Cancelar',
+    cancelling: 'Cancelando...',
+    cancelled: '{request}: cancelado',
+    alreadyHandled: 'Esta solicitud ya ha sido atendida',
+    cancelFailed: 'No se pudo cancelar la solicitud',
+    errors: {
+      open: 'Ya tenemos esta solicitud; el personal te atenderá enseguida',
+      wait: 'Espera {count} s antes de volver a pedirlo'
+    }
+  },
+
+  offline: {
+    wentOffline: 'Ahora estás sin conexión. Los pedidos se guardarán y se enviarán cuando vuelva la conexión.',
+    synced: {
+      one: '{count} pedido sincronizado correctamente',
+      other: '{count} pedidos sincronizados correctamente'
+    },
+    syncFailed: {
+      one: 'No se pudo enviar {count} pedido',
+      other: 'No se pudieron enviar {count} pedidos'
+    },
+    syncRejected: {
+      one: 'El restaurante rechazó {count} pedido; consulta el historial de pedidos',
+      other: 'El restaurante rechazó {count} pedidos; consulta el historial de pedidos'
+    }
+  },
+
+  push: {
+    title: '¿Quieres recibir novedades de tu pedido?',
+    message: 'Te avisaremos cuando cambie el estado de tu pedido, aunque cierres esta página.',
+    turnOn: 'Activar notificaciones',
+    enabled: 'Notificaciones activadas: te mantendremos informado',
+    notEnabled: 'No se activaron las notificaciones',
+    failed: 'No se pudieron activar las notificaciones'
+  },
+
+  orders: {
+    title: 'Historial de pedidos',
+    empty: 'Todavía no hay pedidos',
+    emptyHint: 'Tu historial de pedidos aparecerá aquí cuando hagas tu primer pedido.',
+    splitBill: 'Dividir la cuenta',
+    orderNumber: 'Pedido #{order}',
+    itemCount: {
+      one: '{count} plato',
+      other: '{count} platos'
+    },
+    waitingToSend: 'Pendiente de envío',
+    notSent: 'No enviado',
+    rejectedReason: 'El restaurante no pudo aceptar este pedido: {reason}',
+    editInCart: 'Editar en el carrito',
+    discard: 'Descartar',
+    discarded: 'Pedido descartado',
+    retrying: 'Aún no hemos podido contactar con el restaurante; lo seguiremos intentando',
+    justNow: 'Ahora mismo',
+    minutesAgo: 'hace {count} min',
+    hoursAgo: 'hace {count} h',
+    daysAgo: {
+      one: 'hace {count} día',
+      other: 'hace {count} días'
+    },
+    minutesRemaining: 'Faltan ~{count} min',
+    itemsOrdered: 'Platos pedidos',
+    timeline: 'Seguimiento del pedido',
+    placedAt: 'Pedido realizado a las {time}',
+    updatedAt: 'Última actualización a las {time}',
+    reorder: 'Volver a pedir',
+    addingToCart: 'Añadiendo al carrito...',
+    cannotReorder: 'Este pedido no se puede repetir',
+    reorderAdded: {
+      one: 'Se añadió {count} plato del pedido anterior al carrito',
+      other: 'Se añadieron {count} platos del pedido anterior al carrito'
+    },
+    reorderSkipped: {
+      one: '{count} plato ya no está disponible y no se añadió',
+      other: '{count} platos ya no están disponibles y no se añadieron'
+    },
+    reorderFailed: 'No se pudieron volver a pedir los platos',
+    status: {
+      pending: 'Pedido realizado',
+      confirmed: 'Confirmado',
+      preparing: 'En preparación',
+      ready: 'Listo',
+      delivered: 'Servido',
+      cancelled: 'Cancelado'
+    },
+    payment: {
+      unpaid: 'Sin pagar',
+      authorized: 'Pago pendiente',
+      paid: 'Pagado',
+      refunded: 'Reembolsado',
+      failed: 'Pago fallido'
+    }
+  }
+};
+
+export default es;
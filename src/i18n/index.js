@@ -0,0 +1,127 @@
+import en from './en';
+import es from './es';
+import ar from './ar';
+
+// Internationalization
+//
+// Message catalogs are nested objects keyed by language code. Messages can
+// interpolate values ('Table {table}') and pluralize: a message object with
+// Intl.PluralRules categories ({ one, other, ... }) is picked by `count`.
+// Missing messages fall back to the default language, then to
+// `params.defaultValue`, then to the key.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' }
+];
+
+const CATALOGS = { en, es, ar };
+
+const LANGUAGE_STORAGE_KEY = 'restaurant_language';
+
+const pluralRules = {};
+
+const getPluralRules = (language) => {
+  if (!pluralRules[language]) {
+    pluralRules[language] = new Intl.PluralRules(language);
+  }
+  return pluralRules[language];
+};
+
+export const isSupportedLanguage = (language) => {
+  return SUPPORTED_LANGUAGES.some(({ code }) => code === language);
+};
+
+export const getLanguageDirection = (language) => {
+  return SUPPORTED_LANGUAGES.find(({ code }) => code === language)?.dir || 'ltr';
+};
+
+// First supported language in the browser's preference list ('es-MX' -> 'es')
+export const detectLanguage = (languages = navigator.languages || [navigator.language]) => {
+  const match = (languages || [])
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(isSupportedLanguage);
+
+  return match || DEFAULT_LANGUAGE;
+};
+
+// The diner's saved choice, or the browser's language on the first visit
+export const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLanguage(saved)) return saved;
+  } catch (error) {
+    console.error('Error loading language preference:', error);
+  }
+  return detectLanguage();
+};
+
+export const saveLanguage = (language) => {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch (error) {
+    console.error('Error saving language preference:', error);
+  }
+};
+
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+};
+
+const interpolate = (message, params) => {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+  ));
+};
+
+// translate('es', 'cart.itemCount', { count: 2 }) -> '2 artículos'
+export const translate = (language, key, params = {}) => {
+  let message = lookup(CATALOGS[language], key);
+  let messageLanguage = language;
+
+  if (message === undefined) {
+    message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    messageLanguage = DEFAULT_LANGUAGE;
+  }
+
+  if (message === undefined) return params.defaultValue ?? key;
+
+  if (typeof message === 'object') {
+    const category = typeof params.count === 'number'
+      ? getPluralRules(messageLanguage).select(params.count)
+      : 'other';
+    message = message[category] ?? message.other;
+  }
+
+  return typeof message === 'string' ? interpolate(message, params) : key;
+};
+
+// Menu content translations live in a `translations` JSONB column:
+// { es: { name: '...', description: '...' }, ar: { ... } }. Fields that
+// aren't translated keep the default-language value.
+export const getTranslatedField = (record, field, language) => {
+  if (!record) return undefined;
+  return record.translations?.[language]?.[field] || record[field];
+};
+
+// Adds displayName and displayDescription for the diner. `name` and
+// `description` stay in the default language: cart lines and orders copy them,
+// and the kitchen reads them.
+export const localizeMenuItem = (item, language) => ({
+  ...item,
+  displayName: getTranslatedField(item, 'name', language),
+  displayDescription: getTranslatedField(item, 'description', language)
+});
+
+export const localizeCategory = (category, language) => {
+  if (language === DEFAULT_LANGUAGE || !category.translations?.[language]) return category;
+
+  return {
+    ...category,
+    name: getTranslatedField(category, 'name', language)
+  };
+};
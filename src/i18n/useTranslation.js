@@ -0,0 +1,19 @@
+import { useCallback } from 'react';
+import { useApp } from '../contexts/AppContext';
+import { translate, getLanguageDirection } from './index';
+
+// t(key, params) in the diner's current language (AppContext.language)
+const useTranslation = () => {
+  const { language, setLanguage } = useApp();
+
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+  return {
+    t,
+    language,
+    setLanguage,
+    dir: getLanguageDirection(language)
+  };
+};
+
+export default useTranslation;
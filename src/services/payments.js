@@ -0,0 +1,294 @@
+import { v4 as uuidv4 } from 'uuid';
+import { recordOrderPayment } from './supabase';
+import { allocateCents } from '../utils/pricing';
+import { DEFAULT_CURRENCY, toCents, fromCents } from '../utils/money';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+// Payments
+//
+// A payment provider implements:
+//   authorize({ amountCents, currency, reference, metadata }) -> payment
+//   capture(paymentId, amountCents?)                          -> payment
+//   refund(paymentId, amountCents?)                           -> payment
+//   getStatus(paymentId)                                      -> payment
+// where payment is { id, status, amountCents, capturedCents, refundedCents,
+// reference, declineReason }. Providers reject with an Error carrying a
+// PAYMENT_ERRORS `code` when the gateway refuses an operation.
+
+export const PAYMENT_MODES = {
+  PER_ORDER: 'per_order', // pay before the order is sent to the kitchen
+  END_OF_VISIT: 'end_of_visit' // order freely, settle the table's bill at the end
+};
+
+export const PAYMENT_STATUSES = ['unpaid', 'authorized', 'paid', 'refunded', 'failed'];
+
+export const PAYMENT_ERRORS = {
+  DECLINED: 'declined',
+  NOT_FOUND: 'not_found',
+  INVALID_STATE: 'invalid_state',
+  INVALID_AMOUNT: 'invalid_amount',
+  NOT_CONFIGURED: 'not_configured'
+};
+
+// Messages on the thrown errors, for logs; diners see payments.errors.* from the catalogs
+const PAYMENT_ERROR_MESSAGES = {
+  [PAYMENT_ERRORS.DECLINED]: 'Your payment was declined. Please try another card or pay a member of staff.',
+  [PAYMENT_ERRORS.NOT_FOUND]: 'We could not find that payment',
+  [PAYMENT_ERRORS.INVALID_STATE]: 'This payment can no longer be changed',
+  [PAYMENT_ERRORS.INVALID_AMOUNT]: 'The payment amount is not valid',
+  [PAYMENT_ERRORS.NOT_CONFIGURED]: 'No payment provider is configured'
+};
+
+// Diner-facing message for a payment error, in their language
+export const getPaymentErrorMessage = (error, language = DEFAULT_LANGUAGE) => {
+  const code = PAYMENT_ERROR_MESSAGES[error?.code] ? error.code : 'failed';
+  return translate(language, `payments.errors.${code}`);
+};
+
+const paymentError = (code, message = PAYMENT_ERROR_MESSAGES[code]) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// In-memory gateway for development and tests. Any amount whose cents are .13
+// (e.g. $12.13) is declined, so the failure path can be exercised from the
+// normal UI; pass `declineWhen` to choose other rules. Payment ids are random
+// so they never repeat across page loads.
+export const createMockPaymentProvider = ({
+  latencyMs = 0,
+  declineWhen = (amountCents) => amountCents % 100 === 13
+} = {}) => {
+  const payments = new Map();
+
+  const settle = (value) => (
+    latencyMs > 0
+      ? new Promise(resolve => setTimeout(() => resolve(value), latencyMs))
+      : Promise.resolve(value)
+  );
+
+  const findPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) throw paymentError(PAYMENT_ERRORS.NOT_FOUND);
+    return payment;
+  };
+
+  const update = (payment, changes) => {
+    const updated = { ...payment, ...changes };
+    payments.set(payment.id, updated);
+    return { ...updated };
+  };
+
+  return {
+    name: 'mock',
+
+    async authorize({ amountCents, currency = DEFAULT_CURRENCY, reference = null, metadata = {} }) {
+      if (!Number.isInteger(amountCents) || amountCents <= 0) {
+        throw paymentError(PAYMENT_ERRORS.INVALID_AMOUNT);
+      }
+
+      const payment = {
+        id: `mock_pay_${uuidv4()}`,
+        status: 'authorized',
+        amountCents,
+        capturedCents: 0,
+        refundedCents: 0,
+        currency,
+        reference,
+        metadata,
+        declineReason: null
+      };
+
+      if (declineWhen(amountCents)) {
+        payments.set(payment.id, { ...payment, status: 'failed', declineReason: 'card_declined' });
+        await settle();
+        throw paymentError(PAYMENT_ERRORS.DECLINED);
+      }
+
+      payments.set(payment.id, payment);
+      return settle({ ...payment });
+    },
+
+    async capture(paymentId, amountCents) {
+      const payment = findPayment(paymentId);
+      if (payment.status !== 'authorized') throw paymentError(PAYMENT_ERRORS.INVALID_STATE);
+
+      const captureCents = amountCents ?? payment.amountCents;
+      if (captureCents <= 0 || captureCents > payment.amountCents) {
+        throw paymentError(PAYMENT_ERRORS.INVALID_AMOUNT);
+      }
+
+      return settle(update(payment, { status: 'paid', capturedCents: captureCents }));
+    },
+
+    // Refunding an uncaptured authorization releases it
+    async refund(paymentId, amountCents) {
+      const payment = findPayment(paymentId);
+
+      if (payment.status === 'authorized') {
+        return settle(update(payment, { status: 'refunded' }));
+      }
+      if (payment.status !== 'paid') throw paymentError(PAYMENT_ERRORS.INVALID_STATE);
+
+      const refundCents = amountCents ?? payment.capturedCents - payment.refundedCents;
+      if (refundCents <= 0 || payment.refundedCents + refundCents > payment.capturedCents) {
+        throw paymentError(PAYMENT_ERRORS.INVALID_AMOUNT);
+      }
+
+      const refundedCents = payment.refundedCents + refundCents;
+      return settle(update(payment, {
+        refundedCents,
+        status: refundedCents === payment.capturedCents ? 'refunded' : 'paid'
+      }));
+    },
+
+    async getStatus(paymentId) {
+      return settle({ ...findPayment(paymentId) });
+    }
+  };
+};
+
+// The mock gateway never takes real money, so it only runs when a development
+// build asks for it with REACT_APP_PAYMENT_PROVIDER=mock. Everywhere else a real
+// gateway must be registered with setPaymentProvider() before diners can pay.
+export const MOCK_PAYMENTS_ENABLED = process.env.NODE_ENV !== 'production'
+  && process.env.REACT_APP_PAYMENT_PROVIDER === 'mock';
+
+let paymentProvider = MOCK_PAYMENTS_ENABLED ? createMockPaymentProvider({ latencyMs: 600 }) : null;
+
+// Register a real gateway (or a mock with custom rules in tests); null removes it
+export const setPaymentProvider = (provider) => {
+  paymentProvider = provider || null;
+};
+
+export const getPaymentProvider = () => paymentProvider;
+
+const requireProvider = () => {
+  if (!paymentProvider) throw paymentError(PAYMENT_ERRORS.NOT_CONFIGURED);
+  return paymentProvider;
+};
+
+export const authorizePayment = async (amount, { currency = DEFAULT_CURRENCY, reference, metadata } = {}) => {
+  return requireProvider().authorize({ amountCents: toCents(amount, currency), currency, reference, metadata });
+};
+
+export const capturePayment = async (paymentId) => requireProvider().capture(paymentId);
+
+export const refundPayment = async (paymentId, amount, currency = DEFAULT_CURRENCY) => {
+  return requireProvider().refund(paymentId, amount === undefined ? undefined : toCents(amount, currency));
+};
+
+export const getPaymentStatus = async (paymentId) => requireProvider().getStatus(paymentId);
+
+// What the diner pays for an order: its total plus any tip (kept out of total_amount)
+export const getAmountDueCents = (order) => (
+  toCents(order.total_amount, order.currency) + toCents(order.tip_amount || 0, order.currency)
+);
+
+// Recording is idempotent on the database side (same payment, same final tips), so
+// a retry after a dropped response can't double up anything
+const RECORD_ATTEMPTS = 3;
+
+const recordPayment = async (orders, payment, tipAmounts = null) => {
+  const orderIds = orders.map(order => order.id);
+  let lastError;
+
+  for (let attempt = 0; attempt < RECORD_ATTEMPTS; attempt += 1) {
+    try {
+      return await recordOrderPayment(orderIds, payment.id, { tipAmounts, reportedStatus: payment.status });
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+// Pay now: authorize, send the order, then capture. The authorization is
+// released if the order can't be placed, so the diner is never charged for an
+// order the kitchen didn't get. Once the order is in, a failed capture or
+// recording is left for staff to settle rather than failing the order.
+// The order has no id yet, so the payment's metadata names it by client_order_id.
+export const payAndSubmitOrder = async (orderData, submit) => {
+  const payment = await requireProvider().authorize({
+    amountCents: getAmountDueCents(orderData),
+    currency: orderData.currency || DEFAULT_CURRENCY,
+    reference: orderData.client_order_id,
+    metadata: { tableNumber: orderData.table_number, orderIds: [orderData.client_order_id] }
+  });
+
+  // Orders are always inserted unpaid; the payment is recorded against them afterwards
+  let order;
+  try {
+    order = await submit(orderData);
+  } catch (error) {
+    await refundPayment(payment.id).catch(releaseError => {
+      console.error('Error releasing payment authorization:', releaseError);
+    });
+    throw error;
+  }
+
+  let settled = payment;
+  try {
+    settled = await capturePayment(payment.id);
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+  }
+
+  try {
+    const [recorded] = await recordPayment([order], settled);
+    return recorded || order;
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    return order;
+  }
+};
+
+// Orders still to be paid for. Authorized orders are already covered by a
+// payment staff will capture, so they are never charged twice.
+export const isAwaitingPayment = (order) => {
+  return order.status !== 'cancelled' && ['unpaid', 'failed'].includes(order.payment_status || 'unpaid');
+};
+
+// Pay at the end of the visit: one payment covers every unpaid order. A tip
+// added now is spread over those orders in proportion to their totals.
+// Resolves with { payment, orders, recorded }. Once the money is captured this
+// never rejects: `recorded: false` means the orders still read as unpaid and
+// the diner must not be asked to pay again.
+export const payOrders = async (orders, { reference, tip = 0 } = {}) => {
+  const unpaid = orders.filter(isAwaitingPayment);
+  if (unpaid.length === 0) return { payment: null, orders: [], recorded: true };
+
+  // A table visit is billed in a single currency
+  const currency = unpaid[0].currency || DEFAULT_CURRENCY;
+  const tipShares = allocateCents(toCents(tip, currency), unpaid.map(order => toCents(order.total_amount, currency)));
+  const amountCents = unpaid.reduce((sum, order) => sum + getAmountDueCents(order), 0) + toCents(tip, currency);
+  const payment = await requireProvider().authorize({
+    amountCents,
+    currency,
+    reference,
+    metadata: { orderIds: unpaid.map(order => order.id) }
+  });
+
+  let captured;
+  try {
+    captured = await capturePayment(payment.id);
+  } catch (error) {
+    // Don't leave a hold on the diner's card for a bill that wasn't paid
+    await refundPayment(payment.id).catch(releaseError => {
+      console.error('Error releasing payment authorization:', releaseError);
+    });
+    throw error;
+  }
+
+  const tipAmounts = unpaid.map((order, index) => (
+    fromCents(toCents(order.tip_amount || 0, currency) + tipShares[index], currency)
+  ));
+
+  try {
+    const recorded = await recordPayment(unpaid, captured, tipAmounts);
+    return { payment: captured, orders: recorded, recorded: true };
+  } catch (error) {
+    console.error('Error recording bill payment:', error);
+    return { payment: captured, orders: unpaid, recorded: false };
+  }
+};
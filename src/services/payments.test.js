@@ -0,0 +1,160 @@
+import {
+  PAYMENT_ERRORS,
+  MOCK_PAYMENTS_ENABLED,
+  createMockPaymentProvider,
+  setPaymentProvider,
+  getPaymentProvider,
+  authorizePayment,
+  capturePayment,
+  refundPayment,
+  getPaymentStatus,
+  getPaymentErrorMessage,
+  getAmountDueCents,
+  isAwaitingPayment,
+  payAndSubmitOrder
+} from './payments';
+
+describe('createMockPaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createMockPaymentProvider();
+  });
+
+  it('authorizes, captures and refunds', async () => {
+    const payment = await provider.authorize({ amountCents: 2500, currency: 'EUR', reference: 'order-1' });
+    expect(payment).toMatchObject({ status: 'authorized', amountCents: 2500, capturedCents: 0, currency: 'EUR', reference: 'order-1' });
+
+    await expect(provider.capture(payment.id)).resolves.toMatchObject({ status: 'paid', capturedCents: 2500 });
+    await expect(provider.refund(payment.id, 500)).resolves.toMatchObject({ status: 'paid', refundedCents: 500 });
+    await expect(provider.refund(payment.id)).resolves.toMatchObject({ status: 'refunded', refundedCents: 2500 });
+  });
+
+  it('gives every payment a unique id', async () => {
+    const first = await provider.authorize({ amountCents: 100 });
+    const second = await createMockPaymentProvider().authorize({ amountCents: 100 });
+
+    expect(first.id).toMatch(/^mock_pay_/);
+    expect(second.id).not.toBe(first.id);
+  });
+
+  it('declines amounts ending in .13 by default', async () => {
+    await expect(provider.authorize({ amountCents: 1213 })).rejects.toMatchObject({ code: PAYMENT_ERRORS.DECLINED });
+  });
+
+  it('takes custom decline rules', async () => {
+    const declineAll = createMockPaymentProvider({ declineWhen: () => true });
+    await expect(declineAll.authorize({ amountCents: 1000 })).rejects.toMatchObject({ code: PAYMENT_ERRORS.DECLINED });
+  });
+
+  it('rejects invalid amounts and unknown payments', async () => {
+    await expect(provider.authorize({ amountCents: 0 })).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_AMOUNT });
+    await expect(provider.authorize({ amountCents: 10.5 })).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_AMOUNT });
+    await expect(provider.capture('mock_pay_unknown')).rejects.toMatchObject({ code: PAYMENT_ERRORS.NOT_FOUND });
+  });
+
+  it('only captures an authorization once, and never more than it', async () => {
+    const payment = await provider.authorize({ amountCents: 1000 });
+
+    await expect(provider.capture(payment.id, 1500)).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_AMOUNT });
+    await provider.capture(payment.id);
+    await expect(provider.capture(payment.id)).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_STATE });
+  });
+
+  it('releases an uncaptured authorization when refunded', async () => {
+    const payment = await provider.authorize({ amountCents: 1000 });
+
+    await expect(provider.refund(payment.id)).resolves.toMatchObject({ status: 'refunded', capturedCents: 0 });
+    await expect(provider.capture(payment.id)).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_STATE });
+  });
+
+  it('never refunds more than was captured', async () => {
+    const payment = await provider.authorize({ amountCents: 1000 });
+    await provider.capture(payment.id, 600);
+
+    await expect(provider.refund(payment.id, 700)).rejects.toMatchObject({ code: PAYMENT_ERRORS.INVALID_AMOUNT });
+  });
+});
+
+describe('payment provider registration', () => {
+  afterEach(() => {
+    setPaymentProvider(null);
+  });
+
+  it('has no provider unless the mock was explicitly enabled', () => {
+    expect(MOCK_PAYMENTS_ENABLED).toBe(false);
+    expect(getPaymentProvider()).toBeNull();
+  });
+
+  it('refuses to take payments without a provider', async () => {
+    await expect(authorizePayment(10)).rejects.toMatchObject({ code: PAYMENT_ERRORS.NOT_CONFIGURED });
+    await expect(getPaymentStatus('mock_pay_1')).rejects.toMatchObject({ code: PAYMENT_ERRORS.NOT_CONFIGURED });
+  });
+
+  it('takes payments through the registered provider, in cents', async () => {
+    setPaymentProvider(createMockPaymentProvider());
+
+    const payment = await authorizePayment(19.99, { currency: 'USD', reference: 'bill-1' });
+    expect(payment.amountCents).toBe(1999);
+
+    await expect(capturePayment(payment.id)).resolves.toMatchObject({ status: 'paid' });
+    await expect(refundPayment(payment.id, 4.99)).resolves.toMatchObject({ refundedCents: 499 });
+    await expect(getPaymentStatus(payment.id)).resolves.toMatchObject({ refundedCents: 499 });
+  });
+});
+
+describe('payAndSubmitOrder', () => {
+  const orderData = { client_order_id: 'client-1', table_number: 4, total_amount: 20, tip_amount: 2, currency: 'USD' };
+
+  afterEach(() => {
+    setPaymentProvider(null);
+  });
+
+  it('releases the authorization when the order cannot be placed', async () => {
+    const provider = createMockPaymentProvider();
+    const authorize = jest.spyOn(provider, 'authorize');
+    setPaymentProvider(provider);
+
+    await expect(payAndSubmitOrder(orderData, () => Promise.reject(new Error('refused')))).rejects.toThrow('refused');
+
+    const payment = await authorize.mock.results[0].value;
+    expect(payment).toMatchObject({
+      amountCents: 2200,
+      reference: 'client-1',
+      metadata: { tableNumber: 4, orderIds: ['client-1'] }
+    });
+    await expect(provider.getStatus(payment.id)).resolves.toMatchObject({ status: 'refunded', capturedCents: 0 });
+  });
+
+  it('does not send the order when the payment is declined', async () => {
+    setPaymentProvider(createMockPaymentProvider({ declineWhen: () => true }));
+    const submit = jest.fn();
+
+    await expect(payAndSubmitOrder(orderData, submit)).rejects.toMatchObject({ code: PAYMENT_ERRORS.DECLINED });
+    expect(submit).not.toHaveBeenCalled();
+  });
+});
+
+describe('getPaymentErrorMessage', () => {
+  it('translates known codes and falls back for anything else', () => {
+    expect(getPaymentErrorMessage({ code: PAYMENT_ERRORS.NOT_CONFIGURED }, 'en')).toMatch(/payment/i);
+    expect(getPaymentErrorMessage({ code: PAYMENT_ERRORS.DECLINED }, 'es'))
+      .not.toBe(getPaymentErrorMessage({ code: PAYMENT_ERRORS.DECLINED }, 'en'));
+    expect(getPaymentErrorMessage(new Error('boom'), 'en')).toBe(getPaymentErrorMessage({ code: 'failed' }, 'en'));
+  });
+});
+
+describe('getAmountDueCents / isAwaitingPayment', () => {
+  it('adds the tip to the order total', () => {
+    expect(getAmountDueCents({ total_amount: 23.1, tip_amount: 2.5, currency: 'USD' })).toBe(2560);
+    expect(getAmountDueCents({ total_amount: 1200, currency: 'JPY' })).toBe(1200);
+  });
+
+  it('only asks for orders that are unpaid or failed and not cancelled', () => {
+    expect(isAwaitingPayment({ status: 'pending' })).toBe(true);
+    expect(isAwaitingPayment({ status: 'ready', payment_status: 'failed' })).toBe(true);
+    expect(isAwaitingPayment({ status: 'pending', payment_status: 'authorized' })).toBe(false);
+    expect(isAwaitingPayment({ status: 'delivered', payment_status: 'paid' })).toBe(false);
+    expect(isAwaitingPayment({ status: 'cancelled' })).toBe(false);
+  });
+});
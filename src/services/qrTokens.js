@@ -0,0 +1,124 @@
+import { checkTableToken, RESTAURANT_ID } from './supabase';
+import { TABLE_ERRORS } from './tables';
+
+// Signed QR table tokens
+//
+// QR codes point at /qr?t=<token> where the token is
+//   <table_number>.<restaurant_id>.<nonce>.<expires_at_unix>.<signature>
+// and the signature is a hex HMAC-SHA256 of the first four parts. Tokens are
+// issued by the sign_table_token() database function; rotating a table's
+// qr_nonce revokes every code printed before the rotation.
+
+// Plain /qr?table=15 links can be edited by hand, so they are only honoured
+// while older printed QR codes are being replaced
+export const ALLOW_LEGACY_TABLE_PARAM = process.env.REACT_APP_ALLOW_LEGACY_TABLE_PARAM === 'true';
+
+// Typing a table number is just as forgeable, so manual entry (/table-select)
+// follows the same flag
+export const ALLOW_MANUAL_TABLE_ENTRY = ALLOW_LEGACY_TABLE_PARAM;
+
+const invalidResult = (reason) => ({ valid: false, tableNumber: null, reason });
+
+// Split a token into its parts (null when it is malformed)
+export const parseTableToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 5) return null;
+
+  const [table, restaurantId, nonce, expiresAt, signature] = parts;
+  if (!/^\d{1,9}$/.test(table) || !/^\d{1,12}$/.test(expiresAt) || !restaurantId || !nonce || !signature) {
+    return null;
+  }
+
+  return {
+    tableNumber: Number(table),
+    restaurantId,
+    nonce,
+    expiresAt: Number(expiresAt) * 1000,
+    signature: signature.toLowerCase(),
+    payload: parts.slice(0, 4).join('.')
+  };
+};
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// HMAC-SHA256 via Web Crypto, matching encode(hmac(payload, secret, 'sha256'), 'hex')
+export const signTablePayload = async (payload, secret) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return toHex(signature);
+};
+
+// Build a token locally - for tests and development only, production codes
+// come from sign_table_token()
+export const createTableToken = async ({ tableNumber, restaurantId = RESTAURANT_ID, nonce, expiresAt }, secret) => {
+  const payload = [tableNumber, restaurantId, nonce, Math.floor(expiresAt / 1000)].join('.');
+  return `${payload}.${await signTablePayload(payload, secret)}`;
+};
+
+// Local stand-in for the verify_table_token RPC. `nonces` maps table numbers
+// to their current qr_nonce; tables missing from it skip the nonce check.
+export const createLocalTokenVerifier = (secret, { nonces = {} } = {}) => async (token) => {
+  const parsed = parseTableToken(token);
+  if (!parsed) return { valid: false, reason: TABLE_ERRORS.INVALID_TOKEN };
+
+  const expected = await signTablePayload(parsed.payload, secret);
+  if (expected !== parsed.signature) {
+    return { valid: false, reason: TABLE_ERRORS.INVALID_TOKEN };
+  }
+
+  const currentNonce = nonces[parsed.tableNumber];
+  if (currentNonce !== undefined && currentNonce !== parsed.nonce) {
+    return { valid: false, reason: TABLE_ERRORS.INVALID_TOKEN };
+  }
+
+  if (parsed.expiresAt < Date.now()) {
+    return { valid: false, reason: TABLE_ERRORS.EXPIRED_TOKEN };
+  }
+
+  return { valid: true, table_number: parsed.tableNumber };
+};
+
+const supabaseTokenVerifier = (token) => checkTableToken(token, RESTAURANT_ID);
+
+let tokenVerifier = supabaseTokenVerifier;
+
+// Swap the verifier (e.g. createLocalTokenVerifier in tests); pass nothing to restore Supabase
+export const setTableTokenVerifier = (verifier) => {
+  tokenVerifier = verifier || supabaseTokenVerifier;
+};
+
+// Verify a QR token. Resolves to { valid, tableNumber, reason }; verifier
+// failures reject so callers can tell a forged code apart from a network error.
+export const verifyTableToken = async (token) => {
+  const parsed = parseTableToken(token);
+
+  if (!parsed || parsed.restaurantId !== RESTAURANT_ID) {
+    return invalidResult(TABLE_ERRORS.INVALID_TOKEN);
+  }
+
+  // Cheap pre-check; the verifier still enforces expiry authoritatively
+  if (parsed.expiresAt < Date.now()) {
+    return invalidResult(TABLE_ERRORS.EXPIRED_TOKEN);
+  }
+
+  const result = await tokenVerifier(token);
+
+  if (!result || !result.valid) {
+    return invalidResult(result?.reason || TABLE_ERRORS.INVALID_TOKEN);
+  }
+
+  return { valid: true, tableNumber: result.table_number, reason: null };
+};
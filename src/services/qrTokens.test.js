@@ -0,0 +1,122 @@
+import {
+  parseTableToken,
+  signTablePayload,
+  createTableToken,
+  createLocalTokenVerifier,
+  setTableTokenVerifier,
+  verifyTableToken
+} from './qrTokens';
+import { RESTAURANT_ID } from './supabase';
+import { TABLE_ERRORS } from './tables';
+
+const SECRET = 'test-signing-secret';
+const HOUR = 60 * 60 * 1000;
+
+const tokenFor = (overrides = {}, secret = SECRET) => createTableToken({
+  tableNumber: 12,
+  nonce: 'nonce-1',
+  expiresAt: Date.now() + HOUR,
+  ...overrides
+}, secret);
+
+describe('parseTableToken', () => {
+  it('splits a well-formed token', () => {
+    expect(parseTableToken('12.default.abc.1700000000.DEADBEEF')).toEqual({
+      tableNumber: 12,
+      restaurantId: 'default',
+      nonce: 'abc',
+      expiresAt: 1700000000000,
+      signature: 'deadbeef',
+      payload: '12.default.abc.1700000000'
+    });
+  });
+
+  it('rejects malformed tokens', () => {
+    expect(parseTableToken(null)).toBeNull();
+    expect(parseTableToken('12.default.abc.1700000000')).toBeNull();
+    expect(parseTableToken('x.default.abc.1700000000.sig')).toBeNull();
+    expect(parseTableToken('12..abc.1700000000.sig')).toBeNull();
+  });
+});
+
+describe('signTablePayload', () => {
+  it('matches a known HMAC-SHA256 (RFC 4231 test case 2)', async () => {
+    await expect(signTablePayload('what do ya want for nothing?', 'Jefe'))
+      .resolves.toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+});
+
+describe('createTableToken', () => {
+  it('builds a token that parses back', async () => {
+    const expiresAt = Date.now() + HOUR;
+    const parsed = parseTableToken(await tokenFor({ expiresAt }));
+
+    expect(parsed).toMatchObject({ tableNumber: 12, restaurantId: RESTAURANT_ID, nonce: 'nonce-1' });
+    expect(parsed.expiresAt).toBe(Math.floor(expiresAt / 1000) * 1000);
+    expect(parsed.signature).toBe(await signTablePayload(parsed.payload, SECRET));
+  });
+});
+
+describe('createLocalTokenVerifier', () => {
+  const verify = createLocalTokenVerifier(SECRET, { nonces: { 12: 'nonce-1' } });
+
+  it('accepts a token signed with the secret', async () => {
+    await expect(verify(await tokenFor())).resolves.toEqual({ valid: true, table_number: 12 });
+  });
+
+  it('rejects tokens signed with another secret or edited by hand', async () => {
+    const forged = await tokenFor({}, 'another-secret');
+    const edited = (await tokenFor()).replace(/^12\./, '13.');
+
+    await expect(verify(forged)).resolves.toEqual({ valid: false, reason: TABLE_ERRORS.INVALID_TOKEN });
+    await expect(verify(edited)).resolves.toEqual({ valid: false, reason: TABLE_ERRORS.INVALID_TOKEN });
+    await expect(verify('not-a-token')).resolves.toEqual({ valid: false, reason: TABLE_ERRORS.INVALID_TOKEN });
+  });
+
+  it('rejects codes printed before the nonce was rotated', async () => {
+    const rotated = createLocalTokenVerifier(SECRET, { nonces: { 12: 'nonce-2' } });
+    await expect(rotated(await tokenFor())).resolves.toEqual({ valid: false, reason: TABLE_ERRORS.INVALID_TOKEN });
+  });
+
+  it('rejects expired tokens', async () => {
+    const expired = await tokenFor({ expiresAt: Date.now() - HOUR });
+    await expect(verify(expired)).resolves.toEqual({ valid: false, reason: TABLE_ERRORS.EXPIRED_TOKEN });
+  });
+});
+
+describe('verifyTableToken', () => {
+  beforeEach(() => {
+    setTableTokenVerifier(createLocalTokenVerifier(SECRET));
+  });
+
+  afterEach(() => {
+    setTableTokenVerifier();
+  });
+
+  it('resolves the table for a valid token', async () => {
+    await expect(verifyTableToken(await tokenFor({ tableNumber: 7 })))
+      .resolves.toEqual({ valid: true, tableNumber: 7, reason: null });
+  });
+
+  it('rejects tokens for another restaurant without asking the verifier', async () => {
+    const verifier = jest.fn();
+    setTableTokenVerifier(verifier);
+
+    const result = await verifyTableToken(await tokenFor({ restaurantId: `${RESTAURANT_ID}-other` }));
+
+    expect(result).toEqual({ valid: false, tableNumber: null, reason: TABLE_ERRORS.INVALID_TOKEN });
+    expect(verifier).not.toHaveBeenCalled();
+  });
+
+  it('reports expired and forged tokens', async () => {
+    await expect(verifyTableToken(await tokenFor({ expiresAt: Date.now() - HOUR })))
+      .resolves.toMatchObject({ valid: false, reason: TABLE_ERRORS.EXPIRED_TOKEN });
+    await expect(verifyTableToken(await tokenFor({}, 'another-secret')))
+      .resolves.toMatchObject({ valid: false, reason: TABLE_ERRORS.INVALID_TOKEN });
+  });
+
+  it('passes verifier failures on so callers can tell them from a forged code', async () => {
+    setTableTokenVerifier(() => Promise.reject(new Error('network down')));
+    await expect(verifyTableToken(await tokenFor())).rejects.toThrow('network down');
+  });
+});
@@ -5,6 +5,22 @@ const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY || 'your-anon-ke
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
+// Handed to the service worker so background sync can reach the REST API
+export const supabaseConfig = {
+  supabaseUrl,
+  supabaseAnonKey
+};
+
+// supabaseConfig plus the diner's access token, so the worker inserts orders as this diner.
+// The token expires after an hour; the app itself syncs anything the worker couldn't.
+export const getBackgroundSyncConfig = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return { ...supabaseConfig, accessToken: session?.access_token || null };
+};
+
+// Restaurant this deployment serves (keys restaurant_settings and QR signing keys)
+export const RESTAURANT_ID = process.env.REACT_APP_RESTAURANT_ID || 'default';
+
 export const subscribeToMenuUpdates = (callback) => {
   return supabase
     .channel('menu-updates')
@@ -19,6 +35,20 @@ export const subscribeToMenuUpdates = (callback) => {
     .subscribe();
 };
 
+export const subscribeToMenuCategoryUpdates = (callback) => {
+  return supabase
+    .channel('menu-category-updates')
+    .on('postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'menu_categories'
+      },
+      callback
+    )
+    .subscribe();
+};
+
 export const subscribeToOrderUpdates = (sessionId, callback) => {
   return supabase
     .channel(`order-updates-${sessionId}`)
@@ -34,6 +64,51 @@ export const subscribeToOrderUpdates = (sessionId, callback) => {
     .subscribe();
 };
 
+export const subscribeToTableOrderUpdates = (tableSessionId, callback) => {
+  return supabase
+    .channel(`table-order-updates-${tableSessionId}`)
+    .on('postgres_changes', 
+      { 
+        event: '*', 
+        schema: 'public', 
+        table: 'orders',
+        filter: `table_session_id=eq.${tableSessionId}`
+      }, 
+      callback
+    )
+    .subscribe();
+};
+
+export const subscribeToTableCartUpdates = (tableSessionId, callback) => {
+  return supabase
+    .channel(`table-cart-${tableSessionId}`)
+    .on('postgres_changes', 
+      { 
+        event: '*', 
+        schema: 'public', 
+        table: 'table_cart_items',
+        filter: `table_session_id=eq.${tableSessionId}`
+      }, 
+      callback
+    )
+    .subscribe();
+};
+
+export const subscribeToServiceRequestUpdates = (sessionId, callback) => {
+  return supabase
+    .channel(`service-requests-${sessionId}`)
+    .on('postgres_changes', 
+      { 
+        event: '*', 
+        schema: 'public', 
+        table: 'service_requests',
+        filter: `session_id=eq.${sessionId}`
+      }, 
+      callback
+    )
+    .subscribe();
+};
+
 export const fetchMenu = async () => {
   try {
     const { data, error } = await supabase
@@ -51,6 +126,23 @@ export const fetchMenu = async () => {
   }
 };
 
+// Hidden categories are returned too; useMenu leaves their items off the menu
+export const fetchMenuCategories = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('menu_categories')
+      .select('*')
+      .order('sort_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching menu categories:', error);
+    throw error;
+  }
+};
+
 export const submitOrder = async (orderData) => {
   try {
     const { data, error } = await supabase
@@ -67,6 +159,43 @@ export const submitOrder = async (orderData) => {
   }
 };
 
+// Look up an order by the idempotency key the client generated for it
+export const getOrderByClientId = async (clientOrderId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('client_order_id', clientOrderId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching order by client id:', error);
+    throw error;
+  }
+};
+
+// Apply a gateway payment to the orders it covers. The database checks the payment
+// reference and amount and updates every order in one transaction; calling again with
+// the same arguments is a no-op. `tipAmounts` are the orders' final tips.
+export const recordOrderPayment = async (orderIds, paymentReference, { tipAmounts = null, reportedStatus = null } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('record_order_payment', {
+      p_order_ids: orderIds,
+      p_payment_reference: paymentReference,
+      p_tip_amounts: tipAmounts,
+      p_reported_status: reportedStatus
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error recording order payment:', error);
+    throw error;
+  }
+};
+
 export const getOrdersBySession = async (sessionId) => {
   try {
     const { data, error } = await supabase
@@ -101,4 +230,298 @@ export const checkAvailability = async (menuItemIds) => {
     console.error('Error checking availability:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Look up a table in the registry (null when no such table exists)
+export const getTable = async (tableNumber) => {
+  try {
+    const { data, error } = await supabase
+      .from('tables')
+      .select('*')
+      .eq('table_number', tableNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching table:', error);
+    throw error;
+  }
+};
+
+export const fetchRestaurantSettings = async (restaurantId = RESTAURANT_ID) => {
+  try {
+    const { data, error } = await supabase
+      .from('restaurant_settings')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching restaurant settings:', error);
+    throw error;
+  }
+};
+
+export const fetchActivePromotions = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    throw error;
+  }
+};
+
+export const getPromotionRedemptions = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('promotion_redemptions')
+      .select('promotion_id')
+      .eq('session_id', sessionId);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching promotion redemptions:', error);
+    throw error;
+  }
+};
+
+export const createServiceRequest = async (requestData) => {
+  try {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .insert([requestData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating service request:', error);
+    throw error;
+  }
+};
+
+export const getServiceRequestsBySession = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching service requests:', error);
+    throw error;
+  }
+};
+
+// Diners can only withdraw their own requests, and only before staff complete them
+export const cancelServiceRequest = async (requestId) => {
+  try {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .in('status', ['pending', 'acknowledged'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error cancelling service request:', error);
+    throw error;
+  }
+};
+
+// Store a browser push subscription so order status changes can be pushed to this session
+export const savePushSubscription = async (sessionId, subscription) => {
+  try {
+    // Through an RPC: push_subscriptions itself isn't readable or writable by diners
+    const { data, error } = await supabase.rpc('save_push_subscription', {
+      p_session_id: sessionId,
+      p_endpoint: subscription.endpoint,
+      p_p256dh: subscription.keys?.p256dh,
+      p_auth: subscription.keys?.auth
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    throw error;
+  }
+};
+
+// Menu items ranked by recent orders: [{ menu_item_id, order_count, quantity }]
+export const fetchPopularMenuItems = async ({ windowHours = 168, limit = 10 } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('get_popular_menu_items', {
+      p_window_hours: windowHours,
+      p_limit: limit
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching popular menu items:', error);
+    throw error;
+  }
+};
+
+// Items that go well with the given ones: [{ menu_item_id, score, source, reason }]
+// where source is 'curated' or 'frequently_ordered'
+export const fetchItemPairings = async (menuItemIds, { limit = 4 } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('get_item_pairings', {
+      p_menu_item_ids: menuItemIds,
+      p_limit: limit
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching item pairings:', error);
+    throw error;
+  }
+};
+
+// Verify a signed QR table token server-side (the signing secret never reaches the client)
+export const checkTableToken = async (token, restaurantId) => {
+  try {
+    const { data, error } = await supabase.rpc('verify_table_token', {
+      p_token: token,
+      p_restaurant_id: restaurantId
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error verifying table token:', error);
+    throw error;
+  }
+};
+
+// Diners sign in anonymously so the database can tell their browsers apart (auth.uid()).
+// The session survives reloads; the sign-in happens once per browser.
+export const ensureDinerSignedIn = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (session) return session;
+
+  const { data, error } = await supabase.auth.signInAnonymously();
+  if (error) throw error;
+  return data.session;
+};
+
+// Join the table's current visit, opening one if nobody has yet. Visits close when the bill
+// is paid, when staff close them or after a while without activity. The database takes the
+// table from the signed QR token; the bare number only counts while unsigned entry is allowed.
+export const joinTableSession = async (sessionId, { tableToken = null, tableNumber = null } = {}) => {
+  try {
+    await ensureDinerSignedIn();
+
+    const { data, error } = await supabase.rpc('join_table_session', {
+      p_session_id: sessionId,
+      p_table_token: tableToken,
+      p_table_number: tableNumber
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error joining table session:', error);
+    throw error;
+  }
+};
+
+export const fetchTableCart = async (tableSessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('table_cart_items')
+      .select('*')
+      .eq('table_session_id', tableSessionId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching table cart:', error);
+    throw error;
+  }
+};
+
+export const insertTableCartItem = async (cartItem) => {
+  try {
+    const { data, error } = await supabase
+      .from('table_cart_items')
+      .insert([cartItem])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error adding table cart item:', error);
+    throw error;
+  }
+};
+
+export const updateTableCartItem = async (id, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('table_cart_items')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error updating table cart item:', error);
+    throw error;
+  }
+};
+
+export const deleteTableCartItems = async (ids) => {
+  try {
+    const { error } = await supabase
+      .from('table_cart_items')
+      .delete()
+      .in('id', ids);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error('Error removing table cart items:', error);
+    throw error;
+  }
+};
+
+export const getOrdersByTableSession = async (tableSessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('table_session_id', tableSessionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching table orders:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,190 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  fetchTableCart,
+  insertTableCartItem,
+  updateTableCartItem,
+  deleteTableCartItems,
+  subscribeToTableCartUpdates
+} from './supabase';
+
+// Map a table_cart_items row to the cart line shape used by useCart
+export const rowToCartLine = (row) => ({
+  cartId: row.id,
+  id: row.menu_item_id,
+  name: row.name,
+  basePrice: Number(row.base_price),
+  price: Number(row.price),
+  modifiers: row.modifiers || [],
+  allergens: row.allergens || [],
+  category: row.category,
+  image_url: row.image_url,
+  preparation_time: row.preparation_time,
+  quantity: row.quantity,
+  specialInstructions: row.special_instructions || '',
+  addedBy: row.added_by_session,
+  addedByName: row.added_by_name
+});
+
+// Map a cart line back to a table_cart_items row
+export const cartLineToRow = (line, tableSessionId) => ({
+  id: line.cartId,
+  table_session_id: tableSessionId,
+  menu_item_id: line.id,
+  name: line.name,
+  base_price: line.basePrice ?? line.price,
+  price: line.price,
+  modifiers: line.modifiers || [],
+  allergens: line.allergens || [],
+  category: line.category,
+  image_url: line.image_url,
+  preparation_time: line.preparation_time,
+  quantity: line.quantity,
+  special_instructions: line.specialInstructions || '',
+  added_by_session: line.addedBy,
+  added_by_name: line.addedByName
+});
+
+// Single shared store per table session so every useCart instance on the
+// page reads the same lines and only one realtime channel is opened
+export const tableCartStore = {
+  tableSessionId: null,
+  items: [],
+  listeners: new Set(),
+  subscription: null,
+  loading: null,
+
+  join(tableSessionId) {
+    if (this.tableSessionId === tableSessionId && this.loading) {
+      return this.loading;
+    }
+
+    this.leave();
+    this.tableSessionId = tableSessionId;
+
+    this.subscription = subscribeToTableCartUpdates(tableSessionId, (payload) => {
+      this.handleRealtimeChange(payload);
+    });
+
+    this.loading = fetchTableCart(tableSessionId)
+      .then((rows) => {
+        if (this.tableSessionId === tableSessionId) {
+          this.setItems((rows || []).map(rowToCartLine));
+        }
+        return this.items;
+      })
+      .catch((error) => {
+        console.error('Failed to load table cart:', error);
+        this.loading = null;
+        return this.items;
+      });
+
+    return this.loading;
+  },
+
+  leave() {
+    if (this.subscription) {
+      this.subscription.unsubscribe();
+      this.subscription = null;
+    }
+    this.tableSessionId = null;
+    this.loading = null;
+    this.items = [];
+  },
+
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  },
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.items);
+      } catch (error) {
+        console.error('Table cart listener error:', error);
+      }
+    });
+  },
+
+  setItems(updater) {
+    this.items = typeof updater === 'function' ? updater(this.items) : updater;
+    this.notifyListeners();
+  },
+
+  handleRealtimeChange(payload) {
+    switch (payload.eventType) {
+      case 'INSERT':
+        this.setItems(prev => (
+          prev.some(item => item.cartId === payload.new.id)
+            ? prev.map(item => item.cartId === payload.new.id ? rowToCartLine(payload.new) : item)
+            : [...prev, rowToCartLine(payload.new)]
+        ));
+        break;
+      case 'UPDATE':
+        this.setItems(prev =>
+          prev.map(item => item.cartId === payload.new.id ? rowToCartLine(payload.new) : item)
+        );
+        break;
+      case 'DELETE':
+        this.setItems(prev => prev.filter(item => item.cartId !== payload.old.id));
+        break;
+      default:
+        this.reload();
+    }
+  },
+
+  async reload() {
+    if (!this.tableSessionId) return;
+
+    try {
+      const rows = await fetchTableCart(this.tableSessionId);
+      this.setItems((rows || []).map(rowToCartLine));
+    } catch (error) {
+      console.error('Failed to reload table cart:', error);
+    }
+  },
+
+  // Optimistic mutations - the realtime echo reconciles other phones,
+  // and a failed write reloads the authoritative cart
+  async addLine(line) {
+    const newLine = { ...line, cartId: uuidv4() };
+    const tableSessionId = this.tableSessionId;
+    this.setItems(prev => [...prev, newLine]);
+
+    try {
+      await insertTableCartItem(cartLineToRow(newLine, tableSessionId));
+    } catch (error) {
+      await this.reload();
+      throw error;
+    }
+  },
+
+  async updateLine(cartId, updates) {
+    this.setItems(prev => prev.map(item => item.cartId === cartId ? { ...item, ...updates } : item));
+
+    const rowUpdates = {};
+    if (updates.quantity !== undefined) rowUpdates.quantity = updates.quantity;
+    if (updates.specialInstructions !== undefined) rowUpdates.special_instructions = updates.specialInstructions;
+
+    try {
+      await updateTableCartItem(cartId, rowUpdates);
+    } catch (error) {
+      await this.reload();
+      throw error;
+    }
+  },
+
+  async removeLines(cartIds) {
+    if (cartIds.length === 0) return;
+    this.setItems(prev => prev.filter(item => !cartIds.includes(item.cartId)));
+
+    try {
+      await deleteTableCartItems(cartIds);
+    } catch (error) {
+      await this.reload();
+      throw error;
+    }
+  }
+};
+
+export default tableCartStore;
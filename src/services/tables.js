@@ -0,0 +1,46 @@
+import { getTable } from './supabase';
+
+// Reasons a table can be rejected at the QR / manual entry screens;
+// diners see tableErrors.<reason> from the catalogs
+export const TABLE_ERRORS = {
+  INVALID_NUMBER: 'invalid_number',
+  NOT_FOUND: 'not_found',
+  CLOSED: 'closed',
+  OCCUPIED: 'occupied',
+  INVALID_TOKEN: 'invalid_token',
+  EXPIRED_TOKEN: 'expired_token'
+};
+
+// Parse a table number from a URL param or form input
+export const parseTableNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+
+  const tableNumber = Number(value);
+  return Number.isInteger(tableNumber) && tableNumber > 0 ? tableNumber : null;
+};
+
+// Validate a table against the tables registry.
+// Resolves to { valid, tableNumber, table, reason } - lookup failures reject
+// so callers can tell "no such table" apart from "couldn't check".
+export const validateTableNumber = async (value) => {
+  const tableNumber = parseTableNumber(value);
+
+  if (!tableNumber) {
+    return { valid: false, tableNumber: null, table: null, reason: TABLE_ERRORS.INVALID_NUMBER };
+  }
+
+  const table = await getTable(tableNumber);
+
+  if (!table) {
+    return { valid: false, tableNumber, table: null, reason: TABLE_ERRORS.NOT_FOUND };
+  }
+
+  switch (table.status) {
+    case 'active':
+      return { valid: true, tableNumber, table, reason: null };
+    case 'reserved':
+      return { valid: false, tableNumber, table, reason: TABLE_ERRORS.OCCUPIED };
+    default:
+      return { valid: false, tableNumber, table, reason: TABLE_ERRORS.CLOSED };
+  }
+};
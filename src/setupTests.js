@@ -0,0 +1,13 @@
+// Jest's jsdom has no Web Crypto or TextEncoder; tests use Node's own
+// implementations (QR token signing, uuid for mock payment ids)
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
@@ -122,14 +122,15 @@ export const userTracker = {
   },
   
   // Track cart events
-  trackCartEvent(action, item, quantity = 1) {
+  trackCartEvent(action, item, quantity = 1, details = {}) {
     this.track('cart_event', {
-      action, // add, remove, update, clear
+      action, // add, remove, update, clear, suggestion_view, suggestion_add, suggestion_dismiss
       item_id: item.id,
       item_name: item.name,
       item_price: item.price,
       quantity,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...details
     });
   },
   
@@ -150,6 +151,7 @@ export const userTracker = {
     this.track('search', {
       search_query: query,
       results_count,
+      zero_results: results_count === 0,
       filters,
       timestamp: Date.now()
     });
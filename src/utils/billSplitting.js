@@ -0,0 +1,205 @@
+// Bill splitting
+//
+// Aggregates every order from a table visit into one bill and splits it
+// between people: evenly, by the diner who added each item, or by assigning
+// items (or fractions of an item) to people. Each share carries a
+// proportional slice of discount, tax, service charge and rounding. All
+// arithmetic is in integer cents and remainder cents are handed out with the
+// largest remainder method, so the shares always add up to the bill exactly.
+// Every order of a visit is in the same currency (orders.currency).
+
+import { allocateCents } from './pricing';
+import { toCents } from './money';
+
+export const SPLIT_MODES = {
+  EVEN: 'even',
+  BY_DINER: 'by_diner',
+  BY_ITEM: 'by_item'
+};
+
+// Pseudo-person that holds items nobody has claimed yet
+export const UNASSIGNED = '__unassigned__';
+
+const COMPONENTS = ['items', 'discount', 'tax', 'serviceCharge', 'includedTax'];
+
+// Allocate a possibly negative amount (rounding can go either way)
+const allocateSigned = (amount, weights) => (
+  amount < 0
+    ? allocateCents(-amount, weights).map(value => -value || 0)
+    : allocateCents(amount, weights)
+);
+
+// One bill line per order item; line ids are stable across re-renders
+export const buildBillLines = (orders) => {
+  return orders.flatMap(order => (order.order_items || []).map((item, index) => ({
+    id: `${order.id}:${index}`,
+    orderId: order.id,
+    name: item.name,
+    quantity: item.quantity,
+    modifiers: item.modifiers || [],
+    cents: toCents(item.price, order.currency) * (item.quantity || 0),
+    dinerId: item.added_by || order.session_id,
+    dinerName: item.added_by_name || null
+  })));
+};
+
+// Per-order charges in cents. Rounding is taken as whatever reconciles the
+// components with total_amount, so orders saved before the pricing breakdown
+// existed still add up.
+const getOrderCharges = (order, lines) => {
+  const { currency } = order;
+  const items = lines.reduce((sum, line) => sum + line.cents, 0);
+  const discount = toCents(order.discount_amount || 0, currency);
+  const taxAmount = toCents(order.tax_amount || 0, currency);
+  const tax = order.tax_inclusive ? 0 : taxAmount;
+  const serviceCharge = toCents(order.service_charge_amount || 0, currency);
+  const total = toCents(order.total_amount || 0, currency);
+
+  // Tips are kept out of total_amount and aren't split; they're reported separately
+  return {
+    items,
+    discount,
+    tax,
+    serviceCharge,
+    includedTax: order.tax_inclusive ? taxAmount : 0,
+    rounding: total - (items - discount + tax + serviceCharge),
+    total,
+    tip: toCents(order.tip_amount || 0, currency)
+  };
+};
+
+// Aggregate bill for a table visit (cancelled orders are never billed)
+export const summarizeBill = (orders) => {
+  const billableOrders = orders.filter(order => order.status !== 'cancelled');
+  const lines = buildBillLines(billableOrders);
+
+  const totals = { items: 0, discount: 0, tax: 0, serviceCharge: 0, includedTax: 0, rounding: 0, total: 0, tip: 0 };
+  billableOrders.forEach(order => {
+    const charges = getOrderCharges(order, lines.filter(line => line.orderId === order.id));
+    Object.keys(totals).forEach(key => {
+      totals[key] += charges[key];
+    });
+  });
+
+  const diners = [];
+  lines.forEach(line => {
+    if (!diners.some(diner => diner.id === line.dinerId)) {
+      diners.push({ id: line.dinerId, name: line.dinerName });
+    }
+  });
+
+  return { orders: billableOrders, lines, diners, ...totals };
+};
+
+// Default by-diner assignments: each line belongs to whoever added it
+export const getDinerAssignments = (lines) => {
+  return lines.reduce((assignments, line) => {
+    assignments[line.id] = [line.dinerId];
+    return assignments;
+  }, {});
+};
+
+// Fraction of each line owed by each person: { [lineId]: { [personId]: fraction } }
+const getLineFractions = (lines, { mode, people, assignments }) => {
+  return lines.reduce((fractions, line) => {
+    let owners;
+
+    if (mode === SPLIT_MODES.EVEN) {
+      owners = people;
+    } else {
+      const source = mode === SPLIT_MODES.BY_DINER ? getDinerAssignments([line]) : assignments;
+      owners = (source[line.id] || []).filter(personId => people.includes(personId));
+    }
+
+    if (owners.length === 0) owners = [UNASSIGNED];
+
+    fractions[line.id] = owners.reduce((acc, personId) => {
+      acc[personId] = (acc[personId] || 0) + 1 / owners.length;
+      return acc;
+    }, {});
+
+    return fractions;
+  }, {});
+};
+
+// Split a bill between `people` (ids). `assignments` ({ [lineId]: [personId] })
+// is used in BY_ITEM mode; a line assigned to several people is shared equally.
+// Returns one share per person plus whatever is still unassigned.
+export const splitBill = (bill, { mode = SPLIT_MODES.EVEN, people = [], assignments = {} } = {}) => {
+  const participants = [...people, UNASSIGNED];
+  const fractions = getLineFractions(bill.lines, { mode, people, assignments });
+
+  // Exact (fractional) cents per person for each charge, spread over each
+  // order's lines in proportion to their price
+  const exact = participants.map(() => ({ items: 0, discount: 0, tax: 0, serviceCharge: 0, includedTax: 0, total: 0 }));
+
+  bill.orders.forEach(order => {
+    const orderLines = bill.lines.filter(line => line.orderId === order.id);
+    const charges = getOrderCharges(order, orderLines);
+
+    orderLines.forEach(line => {
+      const lineWeight = charges.items > 0 ? line.cents / charges.items : 1 / orderLines.length;
+
+      Object.entries(fractions[line.id]).forEach(([personId, fraction]) => {
+        const share = exact[participants.indexOf(personId)];
+        const weight = lineWeight * fraction;
+
+        COMPONENTS.forEach(component => {
+          share[component] += charges[component] * weight;
+        });
+        share.total += charges.total * weight;
+      });
+    });
+  });
+
+  // Allocate running totals (items, then less discount, plus tax, plus service,
+  // plus rounding) and take the differences. Every share's components then add
+  // up to its total, and an even split differs by at most a cent per person.
+  const steps = [
+    { component: 'items', sign: 1 },
+    { component: 'discount', sign: -1 },
+    { component: 'tax', sign: 1 },
+    { component: 'serviceCharge', sign: 1 }
+  ];
+
+  const cumulativeExact = participants.map(() => 0);
+  let cumulativeBill = 0;
+  let previous = participants.map(() => 0);
+  const allocated = {};
+
+  steps.forEach(({ component, sign }) => {
+    exact.forEach((share, index) => {
+      cumulativeExact[index] += sign * share[component];
+    });
+    cumulativeBill += sign * bill[component];
+
+    const current = allocateSigned(cumulativeBill, cumulativeExact.map(value => Math.max(value, 0)));
+    allocated[component] = current.map((value, index) => sign * (value - previous[index]) || 0);
+    previous = current;
+  });
+
+  const totals = allocateSigned(bill.total, exact.map(share => Math.max(share.total, 0)));
+  const includedTax = allocateSigned(bill.includedTax, exact.map(share => share.includedTax));
+
+  const shares = participants.map((personId, index) => ({
+    personId,
+    itemsCents: allocated.items[index],
+    discountCents: allocated.discount[index],
+    taxCents: allocated.tax[index],
+    serviceChargeCents: allocated.serviceCharge[index],
+    includedTaxCents: includedTax[index],
+    roundingCents: totals[index] - previous[index],
+    totalCents: totals[index],
+    lines: bill.lines
+      .filter(line => fractions[line.id][personId])
+      .map(line => ({ ...line, fraction: fractions[line.id][personId] }))
+  }));
+
+  const unassigned = shares.pop();
+
+  return {
+    shares,
+    unassigned,
+    isFullyAssigned: unassigned.lines.length === 0
+  };
+};
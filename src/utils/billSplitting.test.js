@@ -0,0 +1,174 @@
+import { SPLIT_MODES, UNASSIGNED, summarizeBill, getDinerAssignments, splitBill } from './billSplitting';
+
+const order = (overrides) => ({
+  currency: 'USD',
+  status: 'pending',
+  discount_amount: 0,
+  tax_amount: 0,
+  service_charge_amount: 0,
+  tax_inclusive: false,
+  ...overrides
+});
+
+// Two diners at one table: 10% exclusive tax on everything
+const orders = [
+  order({
+    id: 'order-a',
+    session_id: 'diner-1',
+    order_items: [
+      { name: 'Burger', price: 12, quantity: 1, added_by: 'diner-1', added_by_name: 'Sam' },
+      { name: 'Fries', price: 4.5, quantity: 2, added_by: 'diner-2', added_by_name: 'Alex' }
+    ],
+    tax_amount: 2.1,
+    total_amount: 23.1,
+    tip_amount: 2
+  }),
+  order({
+    id: 'order-b',
+    session_id: 'diner-2',
+    order_items: [{ name: 'Lemonade', price: 3, quantity: 1 }],
+    tax_amount: 0.3,
+    total_amount: 3.3
+  }),
+  order({
+    id: 'order-c',
+    session_id: 'diner-1',
+    status: 'cancelled',
+    order_items: [{ name: 'Steak', price: 30, quantity: 1 }],
+    total_amount: 30
+  })
+];
+
+const sumOf = (shares, field) => shares.reduce((sum, share) => sum + share[field], 0);
+
+// Every share's components add up to its total
+const expectConsistentShares = (shares) => {
+  shares.forEach(share => {
+    expect(share.itemsCents - share.discountCents + share.taxCents + share.serviceChargeCents + share.roundingCents)
+      .toBe(share.totalCents);
+  });
+};
+
+describe('summarizeBill', () => {
+  it('totals the visit in cents and leaves out cancelled orders', () => {
+    const bill = summarizeBill(orders);
+
+    expect(bill.orders.map(({ id }) => id)).toEqual(['order-a', 'order-b']);
+    expect(bill.items).toBe(2400);
+    expect(bill.tax).toBe(240);
+    expect(bill.rounding).toBe(0);
+    expect(bill.total).toBe(2640);
+    expect(bill.tip).toBe(200);
+  });
+
+  it('lists diners in the order they first added something', () => {
+    expect(summarizeBill(orders).diners).toEqual([
+      { id: 'diner-1', name: 'Sam' },
+      { id: 'diner-2', name: 'Alex' }
+    ]);
+  });
+
+  it('attributes lines without added_by to whoever placed the order', () => {
+    const lemonade = summarizeBill(orders).lines.find(line => line.name === 'Lemonade');
+    expect(lemonade).toMatchObject({ id: 'order-b:0', dinerId: 'diner-2', cents: 300 });
+  });
+});
+
+describe('getDinerAssignments', () => {
+  it('assigns each line to the diner who added it', () => {
+    expect(getDinerAssignments(summarizeBill(orders).lines)).toEqual({
+      'order-a:0': ['diner-1'],
+      'order-a:1': ['diner-2'],
+      'order-b:0': ['diner-2']
+    });
+  });
+});
+
+describe('splitBill', () => {
+  it('splits evenly with the remainder cents handed out one each (largest remainder)', () => {
+    const bill = summarizeBill([order({
+      id: 'order',
+      order_items: [{ name: 'Sharing platter', price: 10, quantity: 1 }],
+      total_amount: 10
+    })]);
+
+    const { shares, isFullyAssigned } = splitBill(bill, { people: ['a', 'b', 'c'] });
+
+    expect(shares.map(share => share.totalCents)).toEqual([334, 333, 333]);
+    expect(isFullyAssigned).toBe(true);
+    expectConsistentShares(shares);
+  });
+
+  it('splits by the diner who added each item, with their share of tax', () => {
+    const { shares, unassigned } = splitBill(summarizeBill(orders), {
+      mode: SPLIT_MODES.BY_DINER,
+      people: ['diner-1', 'diner-2']
+    });
+
+    expect(shares).toMatchObject([
+      { personId: 'diner-1', itemsCents: 1200, taxCents: 120, totalCents: 1320 },
+      { personId: 'diner-2', itemsCents: 1200, taxCents: 120, totalCents: 1320 }
+    ]);
+    expect(unassigned.totalCents).toBe(0);
+  });
+
+  it('shares items assigned to several people and reports what is unassigned', () => {
+    const bill = summarizeBill(orders);
+    const { shares, unassigned, isFullyAssigned } = splitBill(bill, {
+      mode: SPLIT_MODES.BY_ITEM,
+      people: ['a', 'b'],
+      assignments: { 'order-a:0': ['a'], 'order-a:1': ['a', 'b'] }
+    });
+
+    expect(shares.map(share => share.totalCents)).toEqual([1815, 495]);
+    expect(shares[1].lines).toEqual([expect.objectContaining({ name: 'Fries', fraction: 0.5 })]);
+    expect(unassigned).toMatchObject({ personId: UNASSIGNED, totalCents: 330 });
+    expect(isFullyAssigned).toBe(false);
+    expect(sumOf(shares, 'totalCents') + unassigned.totalCents).toBe(bill.total);
+  });
+
+  it('always adds up to the bill with discounts and cash rounding', () => {
+    // 9.99 of items, 1.00 off, 8% tax (0.72) and a total rounded to 0.05
+    const bill = summarizeBill([order({
+      id: 'order',
+      order_items: [
+        { name: 'Soup', price: 3.33, quantity: 1 },
+        { name: 'Salad', price: 3.33, quantity: 1 },
+        { name: 'Bread', price: 3.33, quantity: 1 }
+      ],
+      discount_amount: 1,
+      tax_amount: 0.72,
+      total_amount: 9.7
+    })]);
+
+    expect(bill.rounding).toBe(-1);
+
+    [2, 3, 7].forEach(count => {
+      const people = Array.from({ length: count }, (_, index) => `person-${index}`);
+      const { shares } = splitBill(bill, { people });
+      const totals = shares.map(share => share.totalCents);
+
+      expect(sumOf(shares, 'totalCents')).toBe(bill.total);
+      expect(sumOf(shares, 'discountCents')).toBe(bill.discount);
+      expect(sumOf(shares, 'taxCents')).toBe(bill.tax);
+      expect(Math.max(...totals) - Math.min(...totals)).toBeLessThanOrEqual(1);
+      expectConsistentShares(shares);
+    });
+  });
+
+  it('reports inclusive tax without adding it to the total', () => {
+    const bill = summarizeBill([order({
+      id: 'order',
+      order_items: [{ name: 'Pizza', price: 12, quantity: 1 }],
+      tax_amount: 2,
+      tax_inclusive: true,
+      total_amount: 12
+    })]);
+
+    const { shares } = splitBill(bill, { people: ['a', 'b'] });
+
+    expect(shares.map(share => share.totalCents)).toEqual([600, 600]);
+    expect(shares.map(share => share.includedTaxCents)).toEqual([100, 100]);
+    expect(shares.map(share => share.taxCents)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,171 @@
+// Dietary and allergen filtering
+//
+// Menu items carry `allergens` (TEXT[]), `dietary_tags` (TEXT[]) and a
+// `spice_level` from 0 (not spicy) to 3 (hot). Diners exclude allergens and
+// require tags; an item only passes when it satisfies every active filter.
+
+export const ALLERGENS = [
+  { id: 'gluten', label: 'Gluten', emoji: '🌾' },
+  { id: 'dairy', label: 'Dairy', emoji: '🥛' },
+  { id: 'eggs', label: 'Eggs', emoji: '🥚' },
+  { id: 'nuts', label: 'Nuts', emoji: '🥜' },
+  { id: 'shellfish', label: 'Shellfish', emoji: '🦐' },
+  { id: 'soy', label: 'Soy', emoji: '🫘' },
+  { id: 'fish', label: 'Fish', emoji: '🐟' }
+];
+
+export const DIETARY_TAGS = [
+  { id: 'vegetarian', label: 'Vegetarian', emoji: '🥕' },
+  { id: 'vegan', label: 'Vegan', emoji: '🌱' },
+  { id: 'halal', label: 'Halal', emoji: '☪️' },
+  { id: 'kosher', label: 'Kosher', emoji: '✡️' }
+];
+
+export const SPICE_LEVELS = ['Not spicy', 'Mild', 'Medium', 'Hot'];
+
+// Spice preference -> allowed spice_level range
+export const SPICE_FILTERS = {
+  any: { label: 'Any', min: 0, max: 3 },
+  none: { label: 'Not spicy', min: 0, max: 0 },
+  mild: { label: 'Mild or less', min: 0, max: 1 },
+  spicy: { label: 'Spicy only', min: 2, max: 3 }
+};
+
+const DIETARY_FILTERS_STORAGE_KEY = 'restaurant_dietary_filters';
+
+export const DEFAULT_DIETARY_FILTERS = {
+  excludedAllergens: [],
+  requiredTags: [],
+  spice: 'any'
+};
+
+const normalize = (values) => (Array.isArray(values) ? values.map(value => String(value).toLowerCase()) : []);
+
+// Display info for an allergen id, with a generic warning for unknown ones
+export const getAllergenInfo = (allergen) => {
+  return ALLERGENS.find(entry => entry.id === String(allergen).toLowerCase()) ||
+    { id: allergen, label: allergen, emoji: '⚠️' };
+};
+
+export const getDietaryTagInfo = (tag) => {
+  return DIETARY_TAGS.find(entry => entry.id === String(tag).toLowerCase()) ||
+    { id: tag, label: tag, emoji: '🏷️' };
+};
+
+// Allergens an item always contains: its own, plus any shared by every option
+// of a required modifier group (the diner can't order it without one)
+export const getUnavoidableAllergens = (item) => {
+  const allergens = new Set(normalize(item.allergens));
+
+  (item.modifier_groups || [])
+    .filter(group => group.required && group.options?.length > 0)
+    .forEach(group => {
+      const [first, ...rest] = group.options.map(option => new Set(normalize(option.allergens)));
+      first.forEach(allergen => {
+        if (rest.every(options => options.has(allergen))) {
+          allergens.add(allergen);
+        }
+      });
+    });
+
+  return allergens;
+};
+
+export const matchesDietaryFilters = (item, filters = DEFAULT_DIETARY_FILTERS) => {
+  if (filters.excludedAllergens.length > 0) {
+    const allergens = getUnavoidableAllergens(item);
+    if (filters.excludedAllergens.some(allergen => allergens.has(allergen))) {
+      return false;
+    }
+  }
+
+  if (filters.requiredTags.length > 0) {
+    const tags = normalize(item.dietary_tags);
+    if (!filters.requiredTags.every(tag => tags.includes(tag))) {
+      return false;
+    }
+  }
+
+  const spice = SPICE_FILTERS[filters.spice] || SPICE_FILTERS.any;
+  const spiceLevel = Number(item.spice_level) || 0;
+  return spiceLevel >= spice.min && spiceLevel <= spice.max;
+};
+
+export const hasActiveDietaryFilters = (filters) => (
+  filters.excludedAllergens.length > 0 ||
+  filters.requiredTags.length > 0 ||
+  filters.spice !== 'any'
+);
+
+// Restore saved filters, dropping anything no longer recognised
+export const normalizeDietaryFilters = (saved) => {
+  const allergenIds = ALLERGENS.map(allergen => allergen.id);
+  const tagIds = DIETARY_TAGS.map(tag => tag.id);
+
+  return {
+    excludedAllergens: normalize(saved?.excludedAllergens).filter(id => allergenIds.includes(id)),
+    requiredTags: normalize(saved?.requiredTags).filter(id => tagIds.includes(id)),
+    spice: SPICE_FILTERS[saved?.spice] ? saved.spice : 'any'
+  };
+};
+
+// Filters are remembered per session, so a diner's allergen choices survive
+// reloads and are known at checkout
+export const loadDietaryFilters = (sessionId) => {
+  try {
+    const savedFilters = localStorage.getItem(`${DIETARY_FILTERS_STORAGE_KEY}_${sessionId}`);
+    return savedFilters ? normalizeDietaryFilters(JSON.parse(savedFilters)) : DEFAULT_DIETARY_FILTERS;
+  } catch (error) {
+    console.error('Error loading dietary filters from localStorage:', error);
+    return DEFAULT_DIETARY_FILTERS;
+  }
+};
+
+export const saveDietaryFilters = (sessionId, filters) => {
+  try {
+    localStorage.setItem(`${DIETARY_FILTERS_STORAGE_KEY}_${sessionId}`, JSON.stringify(filters));
+  } catch (error) {
+    console.error('Error saving dietary filters to localStorage:', error);
+  }
+};
+
+// Allergens in a cart or order line, including those of the chosen modifiers
+export const getLineAllergens = (line) => {
+  const allergens = new Set(normalize(line.allergens));
+  (line.modifiers || []).forEach(modifier => {
+    normalize(modifier.allergens).forEach(allergen => allergens.add(allergen));
+  });
+  return [...allergens];
+};
+
+// Lines containing any of the diner's declared allergies:
+// [{ line, allergens: [matching allergen ids] }]
+export const findAllergenConflicts = (lines, declaredAllergies = []) => {
+  if (declaredAllergies.length === 0) return [];
+
+  return lines
+    .map(line => ({
+      line,
+      allergens: getLineAllergens(line).filter(allergen => declaredAllergies.includes(allergen))
+    }))
+    .filter(conflict => conflict.allergens.length > 0);
+};
+
+// One chip per active filter for the "Active filters" bar
+export const getDietaryFilterChips = (filters) => [
+  ...filters.excludedAllergens.map(id => ({
+    key: `allergen-${id}`,
+    type: 'allergen',
+    value: id,
+    label: `No ${getAllergenInfo(id).label.toLowerCase()}`
+  })),
+  ...filters.requiredTags.map(id => ({
+    key: `tag-${id}`,
+    type: 'tag',
+    value: id,
+    label: getDietaryTagInfo(id).label
+  })),
+  ...(filters.spice !== 'any'
+    ? [{ key: 'spice', type: 'spice', value: filters.spice, label: SPICE_FILTERS[filters.spice].label }]
+    : [])
+];
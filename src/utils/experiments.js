@@ -0,0 +1,20 @@
+import { abTesting } from './analytics';
+
+// A/B experiments, defined once on import. Components read their bucket with
+// abTesting.getVariation(id) and report through trackExposure/trackConversion.
+
+// How the category tabs navigate the menu: 'filter' shows one category at a
+// time (the original behaviour); 'scroll_spy' keeps the whole menu and scrolls
+// to the tapped category, following along as the diner scrolls
+export const CATEGORY_NAV_EXPERIMENT = 'category_nav';
+
+export const CATEGORY_NAV_MODES = {
+  FILTER: 'filter',
+  SCROLL_SPY: 'scroll_spy'
+};
+
+abTesting.defineExperiment(
+  CATEGORY_NAV_EXPERIMENT,
+  [CATEGORY_NAV_MODES.FILTER, CATEGORY_NAV_MODES.SCROLL_SPY],
+  CATEGORY_NAV_MODES.FILTER
+);
@@ -0,0 +1,164 @@
+// Menu item modifier utilities
+//
+// Modifier groups live on menu rows as a JSONB array:
+// [{ id, name, required, min_selections, max_selections,
+//    options: [{ id, name, price_delta, allergens }] }]
+
+import { DEFAULT_CURRENCY, addAmounts } from './money';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+export const MODIFIER_ERRORS = {
+  TOO_FEW: 'too_few',
+  TOO_MANY: 'too_many'
+};
+
+// Normalize modifier groups so components can rely on consistent fields
+export const getModifierGroups = (menuItem) => {
+  if (!menuItem || !Array.isArray(menuItem.modifier_groups)) return [];
+
+  return menuItem.modifier_groups.map(group => {
+    const required = Boolean(group.required);
+    const minSelections = Math.max(group.min_selections ?? (required ? 1 : 0), required ? 1 : 0);
+    const options = Array.isArray(group.options) ? group.options : [];
+    const maxSelections = group.max_selections ?? options.length;
+
+    return {
+      id: group.id,
+      name: group.name,
+      required,
+      minSelections,
+      maxSelections: Math.max(maxSelections, minSelections, 1),
+      options: options.map(option => ({
+        id: option.id,
+        name: option.name,
+        priceDelta: Number(option.price_delta) || 0,
+        allergens: option.allergens || [],
+        isAvailable: option.is_available !== false
+      }))
+    };
+  });
+};
+
+// Check whether an item needs the detail modal before it can be added
+export const hasRequiredModifiers = (menuItem) => {
+  return getModifierGroups(menuItem).some(group => group.minSelections > 0);
+};
+
+// Build the default selection state: { [groupId]: [optionId, ...] }
+export const getDefaultSelections = (groups) => {
+  return groups.reduce((acc, group) => {
+    acc[group.id] = [];
+    return acc;
+  }, {});
+};
+
+// Toggle an option inside a group, respecting single vs multi select
+export const toggleModifierOption = (selections, group, optionId) => {
+  const current = selections[group.id] || [];
+
+  if (group.maxSelections === 1) {
+    return { ...selections, [group.id]: current.includes(optionId) && !group.required ? [] : [optionId] };
+  }
+
+  if (current.includes(optionId)) {
+    return { ...selections, [group.id]: current.filter(id => id !== optionId) };
+  }
+
+  // Ignore selections past the group's maximum
+  if (current.length >= group.maxSelections) {
+    return selections;
+  }
+
+  return { ...selections, [group.id]: [...current, optionId] };
+};
+
+// Validate selections against group rules. `errors` maps group ids to
+// { reason, group }; getModifierErrorMessage turns one into text.
+export const validateModifierSelections = (groups, selections) => {
+  const errors = {};
+
+  groups.forEach(group => {
+    const selected = selections[group.id] || [];
+
+    if (selected.length < group.minSelections) {
+      errors[group.id] = { reason: MODIFIER_ERRORS.TOO_FEW, group };
+    } else if (selected.length > group.maxSelections) {
+      errors[group.id] = { reason: MODIFIER_ERRORS.TOO_MANY, group };
+    }
+  });
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+// Diner-facing message for a validation error (modifiers.errors.*)
+export const getModifierErrorMessage = ({ reason, group }, language = DEFAULT_LANGUAGE) => {
+  if (reason === MODIFIER_ERRORS.TOO_MANY) {
+    return translate(language, 'modifiers.errors.too_many', { count: group.maxSelections });
+  }
+
+  return group.minSelections === 1
+    ? translate(language, 'modifiers.errors.choose_one', { name: group.name.toLocaleLowerCase(language) })
+    : translate(language, 'modifiers.errors.too_few', { count: group.minSelections });
+};
+
+// Resolve selections into the structured list stored on cart lines and orders
+export const buildSelectedModifiers = (groups, selections) => {
+  const selected = [];
+
+  groups.forEach(group => {
+    const optionIds = selections[group.id] || [];
+    group.options
+      .filter(option => optionIds.includes(option.id))
+      .forEach(option => {
+        selected.push({
+          group_id: group.id,
+          group_name: group.name,
+          option_id: option.id,
+          option_name: option.name,
+          price_delta: option.priceDelta,
+          allergens: option.allergens
+        });
+      });
+  });
+
+  return selected;
+};
+
+// Re-apply modifiers saved on an earlier order to the item as it is today, at
+// today's prices. Options that were removed are dropped; null when what's left
+// no longer satisfies the item's groups (e.g. a new required choice).
+export const reselectModifiers = (menuItem, modifiers = []) => {
+  const groups = getModifierGroups(menuItem);
+  const selections = getDefaultSelections(groups);
+
+  modifiers.forEach(modifier => {
+    const group = groups.find(({ id }) => id === modifier.group_id);
+    const option = group?.options.find(({ id }) => id === modifier.option_id);
+    if (option?.isAvailable) selections[group.id].push(option.id);
+  });
+
+  return validateModifierSelections(groups, selections).valid
+    ? buildSelectedModifiers(groups, selections)
+    : null;
+};
+
+// Total price adjustment for a list of selected modifiers
+export const getModifiersTotal = (modifiers = [], currency = DEFAULT_CURRENCY) => {
+  return addAmounts(modifiers.map(modifier => modifier.price_delta), currency);
+};
+
+// Stable key used to decide whether two cart lines carry the same choices
+export const getModifiersKey = (modifiers = []) => {
+  return modifiers
+    .map(modifier => `${modifier.group_id}:${modifier.option_id}`)
+    .sort()
+    .join('|');
+};
+
+// Human readable summary, e.g. "Medium rare, Fries, Extra cheese"
+export const formatModifiers = (modifiers = []) => {
+  return modifiers.map(modifier => modifier.option_name).join(', ');
+};
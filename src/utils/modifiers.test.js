@@ -0,0 +1,178 @@
+import {
+  MODIFIER_ERRORS,
+  getModifierGroups,
+  hasRequiredModifiers,
+  getDefaultSelections,
+  toggleModifierOption,
+  validateModifierSelections,
+  getModifierErrorMessage,
+  buildSelectedModifiers,
+  reselectModifiers,
+  getModifiersTotal,
+  getModifiersKey,
+  formatModifiers
+} from './modifiers';
+
+const burger = {
+  id: 'burger',
+  name: 'Burger',
+  modifier_groups: [
+    {
+      id: 'doneness',
+      name: 'Doneness',
+      required: true,
+      max_selections: 1,
+      options: [
+        { id: 'medium', name: 'Medium', price_delta: 0 },
+        { id: 'well', name: 'Well done', price_delta: 0 }
+      ]
+    },
+    {
+      id: 'extras',
+      name: 'Extras',
+      max_selections: 2,
+      options: [
+        { id: 'cheese', name: 'Extra cheese', price_delta: '1.10', allergens: ['dairy'] },
+        { id: 'bacon', name: 'Bacon', price_delta: 1.2 },
+        { id: 'egg', name: 'Fried egg', price_delta: 0.9, is_available: false }
+      ]
+    }
+  ]
+};
+
+const groups = getModifierGroups(burger);
+const [doneness, extras] = groups;
+
+const saved = (groupId, optionId) => ({ group_id: groupId, option_id: optionId, option_name: optionId, price_delta: 0 });
+
+describe('getModifierGroups', () => {
+  it('normalizes groups and options', () => {
+    expect(doneness).toMatchObject({ required: true, minSelections: 1, maxSelections: 1 });
+    expect(extras).toMatchObject({ required: false, minSelections: 0, maxSelections: 2 });
+    expect(extras.options[0]).toEqual({
+      id: 'cheese',
+      name: 'Extra cheese',
+      priceDelta: 1.1,
+      allergens: ['dairy'],
+      isAvailable: true
+    });
+    expect(extras.options[2].isAvailable).toBe(false);
+  });
+
+  it('handles items without groups', () => {
+    expect(getModifierGroups({ id: 'soup' })).toEqual([]);
+    expect(getModifierGroups(null)).toEqual([]);
+  });
+});
+
+describe('hasRequiredModifiers', () => {
+  it('is true when any group needs a choice', () => {
+    expect(hasRequiredModifiers(burger)).toBe(true);
+    expect(hasRequiredModifiers({ modifier_groups: [burger.modifier_groups[1]] })).toBe(false);
+  });
+});
+
+describe('toggleModifierOption', () => {
+  const empty = getDefaultSelections(groups);
+
+  it('replaces the choice in single-choice groups', () => {
+    const medium = toggleModifierOption(empty, doneness, 'medium');
+    expect(toggleModifierOption(medium, doneness, 'well').doneness).toEqual(['well']);
+  });
+
+  it('keeps a required single choice selected when tapped again', () => {
+    const medium = toggleModifierOption(empty, doneness, 'medium');
+    expect(toggleModifierOption(medium, doneness, 'medium').doneness).toEqual(['medium']);
+  });
+
+  it('adds and removes options up to the group maximum', () => {
+    let selections = toggleModifierOption(empty, extras, 'cheese');
+    selections = toggleModifierOption(selections, extras, 'bacon');
+    expect(toggleModifierOption(selections, extras, 'egg')).toBe(selections);
+    expect(toggleModifierOption(selections, extras, 'cheese').extras).toEqual(['bacon']);
+  });
+});
+
+describe('validateModifierSelections', () => {
+  it('accepts selections within every group rule', () => {
+    expect(validateModifierSelections(groups, { doneness: ['medium'], extras: [] }))
+      .toEqual({ valid: true, errors: {} });
+  });
+
+  it('reports groups with too few or too many choices', () => {
+    const result = validateModifierSelections(groups, { doneness: [], extras: ['cheese', 'bacon', 'egg'] });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual({
+      doneness: { reason: MODIFIER_ERRORS.TOO_FEW, group: doneness },
+      extras: { reason: MODIFIER_ERRORS.TOO_MANY, group: extras }
+    });
+  });
+});
+
+describe('getModifierErrorMessage', () => {
+  it('describes the problem in the diner language', () => {
+    expect(getModifierErrorMessage({ reason: MODIFIER_ERRORS.TOO_FEW, group: doneness })).toBe('Please choose doneness');
+    expect(getModifierErrorMessage({ reason: MODIFIER_ERRORS.TOO_FEW, group: { ...extras, minSelections: 2 } }))
+      .toBe('Please choose at least 2 options');
+    expect(getModifierErrorMessage({ reason: MODIFIER_ERRORS.TOO_MANY, group: extras }, 'es'))
+      .toBe('Elige hasta 2 opciones');
+  });
+});
+
+describe('buildSelectedModifiers', () => {
+  it('resolves selections in menu order', () => {
+    expect(buildSelectedModifiers(groups, { doneness: ['well'], extras: ['bacon', 'cheese'] })).toEqual([
+      { group_id: 'doneness', group_name: 'Doneness', option_id: 'well', option_name: 'Well done', price_delta: 0, allergens: [] },
+      { group_id: 'extras', group_name: 'Extras', option_id: 'cheese', option_name: 'Extra cheese', price_delta: 1.1, allergens: ['dairy'] },
+      { group_id: 'extras', group_name: 'Extras', option_id: 'bacon', option_name: 'Bacon', price_delta: 1.2, allergens: [] }
+    ]);
+  });
+});
+
+describe('reselectModifiers', () => {
+  it('re-applies saved choices at the current prices', () => {
+    const modifiers = reselectModifiers(burger, [saved('doneness', 'medium'), saved('extras', 'cheese')]);
+
+    expect(modifiers.map(modifier => modifier.option_id)).toEqual(['medium', 'cheese']);
+    expect(getModifiersTotal(modifiers)).toBe(1.1);
+  });
+
+  it('drops options that were removed or are unavailable', () => {
+    const modifiers = reselectModifiers(burger, [
+      saved('doneness', 'well'),
+      saved('extras', 'egg'),
+      saved('extras', 'truffle'),
+      saved('sauces', 'ketchup')
+    ]);
+
+    expect(modifiers.map(modifier => modifier.option_id)).toEqual(['well']);
+  });
+
+  it('is null when a required choice can no longer be made', () => {
+    expect(reselectModifiers(burger, [saved('extras', 'cheese')])).toBeNull();
+    expect(reselectModifiers(burger)).toBeNull();
+  });
+
+  it('returns no modifiers for an item without groups', () => {
+    expect(reselectModifiers({ id: 'soup' }, [saved('extras', 'cheese')])).toEqual([]);
+  });
+});
+
+describe('getModifiersTotal / getModifiersKey / formatModifiers', () => {
+  const modifiers = buildSelectedModifiers(groups, { doneness: ['medium'], extras: ['cheese', 'bacon'] });
+
+  it('adds price deltas exactly', () => {
+    expect(getModifiersTotal(modifiers)).toBe(2.3);
+    expect(getModifiersTotal()).toBe(0);
+  });
+
+  it('keys choices independently of their order', () => {
+    expect(getModifiersKey([...modifiers].reverse())).toBe(getModifiersKey(modifiers));
+    expect(getModifiersKey(modifiers)).toBe('doneness:medium|extras:bacon|extras:cheese');
+  });
+
+  it('summarizes the chosen options', () => {
+    expect(formatModifiers(modifiers)).toBe('Medium, Extra cheese, Bacon');
+  });
+});
@@ -0,0 +1,93 @@
+// Money
+//
+// Amounts are stored as decimals in the restaurant's currency (menu.price,
+// orders.total_amount) with three places, enough for KWD. Arithmetic happens
+// in integer minor units - "cents" throughout the code, which means whole yen
+// for JPY and thousandths for KWD - and display goes through Intl.NumberFormat.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const digitsByCurrency = {};
+const formatters = {};
+
+const createCurrencyFormat = (locale, currency) => (
+  new Intl.NumberFormat(locale, { style: 'currency', currency })
+);
+
+// 'eur' -> 'EUR'; unknown codes fall back to the default currency
+export const normalizeCurrency = (currency) => {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  if (!/^[A-Z]{3}$/.test(code)) return DEFAULT_CURRENCY;
+
+  try {
+    createCurrencyFormat('en', code);
+    return code;
+  } catch (error) {
+    return DEFAULT_CURRENCY;
+  }
+};
+
+// Decimal places of the currency's minor unit (USD 2, JPY 0, KWD 3)
+export const getCurrencyDigits = (currency = DEFAULT_CURRENCY) => {
+  const code = normalizeCurrency(currency);
+  if (digitsByCurrency[code] === undefined) {
+    digitsByCurrency[code] = createCurrencyFormat('en', code).resolvedOptions().maximumFractionDigits;
+  }
+  return digitsByCurrency[code];
+};
+
+// Convert a decimal amount to integer minor units without floating point
+// drift (1.005 -> 101 cents, 1200.4 -> 1200 yen)
+export const toCents = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount) || 0;
+  return Math.round(Number((value * 10 ** getCurrencyDigits(currency)).toFixed(6)));
+};
+
+export const fromCents = (cents, currency = DEFAULT_CURRENCY) => {
+  return cents / 10 ** getCurrencyDigits(currency);
+};
+
+// Add decimal amounts exactly, e.g. a price and its modifier deltas
+export const addAmounts = (amounts, currency = DEFAULT_CURRENCY) => {
+  return fromCents(amounts.reduce((sum, amount) => sum + toCents(amount, currency), 0), currency);
+};
+
+// `price` times `quantity`, exactly
+export const multiplyAmount = (price, quantity, currency = DEFAULT_CURRENCY) => {
+  return fromCents(toCents(price, currency) * quantity, currency);
+};
+
+const getFormatter = (currency, locale) => {
+  const key = `${locale || ''}|${currency}`;
+  if (!formatters[key]) {
+    try {
+      formatters[key] = createCurrencyFormat(locale, currency);
+    } catch (error) {
+      // Unsupported locale tag: use the browser's default
+      formatters[key] = createCurrencyFormat(undefined, currency);
+    }
+  }
+  return formatters[key];
+};
+
+// formatMoney(12.5, { currency: 'EUR', locale: 'es' }) -> '12,50 €'
+export const formatMoney = (amount, { currency = DEFAULT_CURRENCY, locale } = {}) => {
+  const code = normalizeCurrency(currency);
+  return getFormatter(code, locale).format(fromCents(toCents(amount, code), code));
+};
+
+export const formatCents = (cents, { currency = DEFAULT_CURRENCY, locale } = {}) => {
+  return formatMoney(fromCents(cents, currency), { currency, locale });
+};
+
+// Short symbol for amount inputs ('$', '€', '¥')
+export const getCurrencySymbol = (currency = DEFAULT_CURRENCY, locale) => {
+  const code = normalizeCurrency(currency);
+  try {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0);
+    return parts.find(part => part.type === 'currency')?.value || code;
+  } catch (error) {
+    return code;
+  }
+};
@@ -0,0 +1,76 @@
+import {
+  normalizeCurrency,
+  getCurrencyDigits,
+  toCents,
+  fromCents,
+  addAmounts,
+  multiplyAmount,
+  formatMoney
+} from './money';
+
+describe('normalizeCurrency', () => {
+  it('upper-cases known codes', () => {
+    expect(normalizeCurrency('eur')).toBe('EUR');
+    expect(normalizeCurrency(' jpy ')).toBe('JPY');
+  });
+
+  it('falls back to USD for missing or malformed codes', () => {
+    expect(normalizeCurrency(undefined)).toBe('USD');
+    expect(normalizeCurrency('euro')).toBe('USD');
+    expect(normalizeCurrency(42)).toBe('USD');
+  });
+});
+
+describe('getCurrencyDigits', () => {
+  it('uses the currency minor unit', () => {
+    expect(getCurrencyDigits('USD')).toBe(2);
+    expect(getCurrencyDigits('JPY')).toBe(0);
+    expect(getCurrencyDigits('KWD')).toBe(3);
+  });
+});
+
+describe('toCents / fromCents', () => {
+  it('converts without floating point drift', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents('12.34')).toBe(1234);
+    expect(toCents(1200.4, 'JPY')).toBe(1200);
+    expect(toCents(1.2345, 'KWD')).toBe(1235);
+  });
+
+  it('treats non-numeric amounts as zero', () => {
+    expect(toCents(null)).toBe(0);
+    expect(toCents('abc')).toBe(0);
+  });
+
+  it('converts back to decimal amounts', () => {
+    expect(fromCents(1234)).toBe(12.34);
+    expect(fromCents(1200, 'JPY')).toBe(1200);
+    expect(fromCents(1235, 'KWD')).toBe(1.235);
+  });
+});
+
+describe('addAmounts / multiplyAmount', () => {
+  it('adds decimal amounts exactly', () => {
+    expect(addAmounts([0.1, 0.2])).toBe(0.3);
+    expect(addAmounts(['19.99', 0.01, 5])).toBe(25);
+    expect(addAmounts([])).toBe(0);
+  });
+
+  it('multiplies a price by a quantity exactly', () => {
+    expect(multiplyAmount(0.1, 3)).toBe(0.3);
+    expect(multiplyAmount(19.99, 3)).toBe(59.97);
+    expect(multiplyAmount(350, 2, 'JPY')).toBe(700);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats in the currency and locale', () => {
+    expect(formatMoney(12.5, { currency: 'USD', locale: 'en-US' })).toBe('$12.50');
+    expect(formatMoney(1200, { currency: 'JPY', locale: 'en-US' })).toBe('¥1,200');
+  });
+
+  it('rounds to the minor unit before formatting', () => {
+    expect(formatMoney(1.005, { locale: 'en-US' })).toBe('$1.01');
+  });
+});
@@ -1,4 +1,17 @@
 // Offline functionality and PWA utilities
+import { v4 as uuidv4 } from 'uuid';
+import { submitOrder, getOrderByClientId, getBackgroundSyncConfig } from '../services/supabase';
+import { loadLanguage, translate } from '../i18n';
+
+// Background sync tag handled by public/sw.js
+export const ORDER_SYNC_TAG = 'background-sync-orders';
+
+// Sync loop and failure rules shared with the service worker (public/order-sync.js,
+// loaded by index.html)
+const getOrderSync = () => window.orderSync;
+
+// Queued orders the database refused for good; they wait for the diner to edit or discard them
+export const FAILED_ORDER_STATUS = 'failed';
 
 // IndexedDB wrapper for offline storage
 class OfflineStorage {
@@ -123,18 +136,50 @@ export const offlineStorage = new OfflineStorage();
 
 // Offline order queue management
 export const offlineOrderQueue = {
+  listeners: new Set(),
+  syncing: null,
+
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  },
+
+  notifyListeners(event) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Order queue listener error:', error);
+      }
+    });
+  },
+
+  // Queue an order while offline. The client_order_id doubles as the queue key
+  // and as the idempotency key that stops a retried sync creating a duplicate.
   async addPendingOrder(orderData) {
     try {
       await offlineStorage.init();
+      const clientOrderId = orderData.client_order_id || uuidv4();
       const pendingOrder = {
-        id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         ...orderData,
+        id: clientOrderId,
+        client_order_id: clientOrderId,
         status: 'pending_sync',
         created_offline: true,
-        retry_count: 0
+        retry_count: 0,
+        timestamp: Date.now()
       };
       
-      await offlineStorage.add('pending_orders', pendingOrder);
+      await offlineStorage.update('pending_orders', pendingOrder);
+      this.notifyListeners({ type: 'queued', order: pendingOrder });
+
+      // Let the service worker send it even if this tab is closed. Not awaited:
+      // the order is already safe in IndexedDB and the foreground sync covers
+      // browsers without a service worker.
+      getBackgroundSyncConfig()
+        .then(config => backgroundSync.register(ORDER_SYNC_TAG, config))
+        .catch(error => console.error('Background sync registration failed:', error));
+
       return pendingOrder;
     } catch (error) {
       console.error('Failed to store pending order:', error);
@@ -152,41 +197,47 @@ export const offlineOrderQueue = {
     }
   },
 
-  async syncPendingOrders() {
-    const pendingOrders = await this.getPendingOrders();
-    const syncResults = [];
-
-    for (const order of pendingOrders) {
-      try {
-        // Attempt to sync with server
-        const response = await fetch('/api/orders', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            ...order,
-            offline_id: order.id
-          })
-        });
+  // Drop a queued order (e.g. one the restaurant refused)
+  async discardPendingOrder(orderId) {
+    await offlineStorage.init();
+    await offlineStorage.delete('pending_orders', orderId);
+    this.notifyListeners({ type: 'discarded', orderId });
+  },
 
-        if (response.ok) {
-          const syncedOrder = await response.json();
-          await offlineStorage.delete('pending_orders', order.id);
-          syncResults.push({ success: true, order: syncedOrder });
-        } else {
-          // Increment retry count
-          await offlineStorage.update('pending_orders', {
-            ...order,
-            retry_count: order.retry_count + 1,
-            last_retry: Date.now()
-          });
-          syncResults.push({ success: false, error: 'Server error', order });
-        }
-      } catch (error) {
-        console.error('Failed to sync order:', order.id, error);
-        syncResults.push({ success: false, error: error.message, order });
+  async submitPendingOrder(order) {
+    try {
+      return await submitOrder(getOrderSync().toOrderPayload(order));
+    } catch (error) {
+      // Already inserted by an earlier attempt (or by the service worker)
+      if (error.code === '23505') {
+        return await getOrderByClientId(order.client_order_id);
       }
+      throw error;
+    }
+  },
+
+  // Only one sync runs at a time - the online event, the retry timer and the
+  // app can all ask for one at once
+  syncPendingOrders() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  },
+
+  // Refused orders are marked failed with the database's reason and not retried
+  async runSync() {
+    const pendingOrders = await this.getPendingOrders();
+    const syncResults = await getOrderSync().syncQueuedOrders(pendingOrders, {
+      submit: order => this.submitPendingOrder(order),
+      save: order => offlineStorage.update('pending_orders', order),
+      remove: order => offlineStorage.delete('pending_orders', order.id)
+    });
+
+    if (syncResults.length > 0) {
+      this.notifyListeners({ type: 'synced', results: syncResults });
     }
 
     return syncResults;
@@ -195,6 +246,7 @@ export const offlineOrderQueue = {
   async retryFailedOrders() {
     const pendingOrders = await this.getPendingOrders();
     const failedOrders = pendingOrders.filter(order => 
+      order.status !== FAILED_ORDER_STATUS &&
       order.retry_count < 3 && 
       (!order.last_retry || Date.now() - order.last_retry > 30000) // 30 second delay
     );
@@ -263,6 +315,31 @@ export const offlineMenuCache = {
   }
 };
 
+// Tell the diner how a sync went (from this tab or the service worker), outside
+// React so in the saved language
+const notifySyncResults = (syncResults) => {
+  if (syncResults.length === 0) return;
+
+  const successCount = syncResults.filter(r => r.success).length;
+  const rejectedCount = syncResults.filter(r => !r.success && r.permanent).length;
+  const failureCount = syncResults.length - successCount - rejectedCount;
+
+  console.log(`Sync completed: ${successCount} successful, ${failureCount} failed, ${rejectedCount} rejected`);
+
+  if (window.showNotification) {
+    const language = loadLanguage();
+    window.showNotification({
+      type: rejectedCount > 0 ? 'error' : successCount > 0 ? 'success' : 'warning',
+      message: [
+        successCount > 0 && translate(language, 'offline.synced', { count: successCount }),
+        failureCount > 0 && translate(language, 'offline.syncFailed', { count: failureCount }),
+        rejectedCount > 0 && translate(language, 'offline.syncRejected', { count: rejectedCount })
+      ].filter(Boolean).join('. '),
+      duration: 5000
+    });
+  }
+};
+
 // Network status monitoring
 export const networkMonitor = {
   isOnline: navigator.onLine,
@@ -303,22 +380,7 @@ export const networkMonitor = {
     try {
       // Sync pending orders
       const syncResults = await offlineOrderQueue.syncPendingOrders();
-      
-      if (syncResults.length > 0) {
-        const successCount = syncResults.filter(r => r.success).length;
-        const failureCount = syncResults.filter(r => !r.success).length;
-        
-        console.log(`Sync completed: ${successCount} successful, ${failureCount} failed`);
-        
-        // Notify user
-        if (window.showNotification) {
-          window.showNotification({
-            type: successCount > 0 ? 'success' : 'warning',
-            message: `${successCount} orders synced successfully${failureCount > 0 ? `, ${failureCount} failed` : ''}`,
-            duration: 5000
-          });
-        }
-      }
+      notifySyncResults(syncResults);
     } catch (error) {
       console.error('Sync failed:', error);
     }
@@ -331,7 +393,7 @@ export const networkMonitor = {
     if (window.showNotification) {
       window.showNotification({
         type: 'warning',
-        message: 'You are now offline. Orders will be saved and synced when connection is restored.',
+        message: translate(loadLanguage(), 'offline.wentOffline'),
         duration: 5000
       });
     }
@@ -403,8 +465,11 @@ export const backgroundSync = {
   async register(tag, data) {
     if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
       try {
-        const registration = await navigator.serviceWorker.ready;
-        
+        // `ready` never settles without a registered worker (development
+        // builds, failed registration), so look the registration up instead
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration?.active) return false;
+
         // Store data for sync
         await offlineStorage.init();
         await offlineStorage.update('app_data', {
@@ -461,6 +526,16 @@ export const initOfflineSupport = async () => {
     
     // Initialize PWA helpers
     pwaHelpers.init();
+
+    // Orders sent by the service worker's background sync
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'ORDERS_SYNCED') {
+          offlineOrderQueue.notifyListeners({ type: 'synced', results: event.data.results });
+          notifySyncResults(event.data.results);
+        }
+      });
+    }
     
     // Set up periodic sync retry
     setInterval(() => {
@@ -141,6 +141,22 @@ export const calculateVisibleItems = (
   };
 };
 
+// Nearest ancestor that scrolls vertically; virtualized lists follow its
+// scroll position instead of scrolling themselves
+export const getScrollParent = (element) => {
+  let parent = element?.parentElement;
+
+  while (parent) {
+    const { overflowY } = window.getComputedStyle(parent);
+    if (overflowY === 'auto' || overflowY === 'scroll') {
+      return parent;
+    }
+    parent = parent.parentElement;
+  }
+
+  return document.scrollingElement || document.documentElement;
+};
+
 // Resource loading priority
 export const loadWithPriority = async (resources, maxConcurrent = 3) => {
   const results = [];
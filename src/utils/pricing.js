@@ -0,0 +1,185 @@
+// Pricing engine
+//
+// Computes subtotal, discount, tax, service charge and total for a list of
+// cart lines. All arithmetic happens in integer cents (the currency's minor
+// unit, see utils/money); amounts are only converted back to decimal currency
+// at the edges for display and storage.
+
+import { DEFAULT_CURRENCY, normalizeCurrency, toCents, fromCents } from './money';
+
+export const ROUNDING_MODES = ['half_up', 'half_even', 'down', 'up'];
+
+export const DEFAULT_PRICING_SETTINGS = {
+  currency: DEFAULT_CURRENCY,
+  taxInclusive: false,
+  defaultTaxRate: 0,
+  categoryTaxRates: {},
+  serviceChargeType: 'none', // none, percentage, flat
+  serviceChargeValue: 0,
+  roundingMode: 'half_up',
+  totalRoundingIncrement: 1 // in cents, e.g. 5 for cash rounding to the nearest 0.05
+};
+
+// Round a fractional cent value to a whole cent
+export const roundCents = (value, mode = 'half_up') => {
+  switch (mode) {
+    case 'down':
+      return Math.floor(value + 1e-9);
+    case 'up':
+      return Math.ceil(value - 1e-9);
+    case 'half_even': {
+      const floor = Math.floor(value);
+      const diff = value - floor;
+      if (Math.abs(diff - 0.5) < 1e-9) {
+        return floor % 2 === 0 ? floor : floor + 1;
+      }
+      return Math.round(value);
+    }
+    case 'half_up':
+    default:
+      return Math.round(value + 1e-9);
+  }
+};
+
+// Round cents to a cash increment (e.g. 5 cents) using the configured mode
+const roundToIncrement = (cents, increment, mode) => {
+  if (!increment || increment <= 1) return cents;
+  return roundCents(cents / increment, mode) * increment;
+};
+
+// Map a restaurant_settings row to engine settings
+export const normalizePricingSettings = (row = {}) => {
+  const settings = row || {};
+
+  return {
+    currency: normalizeCurrency(settings.currency),
+    taxInclusive: settings.tax_inclusive ?? DEFAULT_PRICING_SETTINGS.taxInclusive,
+    defaultTaxRate: Number(settings.default_tax_rate ?? DEFAULT_PRICING_SETTINGS.defaultTaxRate),
+    categoryTaxRates: settings.category_tax_rates || DEFAULT_PRICING_SETTINGS.categoryTaxRates,
+    serviceChargeType: settings.service_charge_type || DEFAULT_PRICING_SETTINGS.serviceChargeType,
+    serviceChargeValue: Number(settings.service_charge_value ?? DEFAULT_PRICING_SETTINGS.serviceChargeValue),
+    roundingMode: ROUNDING_MODES.includes(settings.rounding_mode)
+      ? settings.rounding_mode
+      : DEFAULT_PRICING_SETTINGS.roundingMode,
+    totalRoundingIncrement: Number(settings.total_rounding_increment) || DEFAULT_PRICING_SETTINGS.totalRoundingIncrement
+  };
+};
+
+// Tax rate for a menu category, falling back to the default rate
+export const getTaxRate = (category, settings = DEFAULT_PRICING_SETTINGS) => {
+  const rate = settings.categoryTaxRates?.[category];
+  return Number(rate ?? settings.defaultTaxRate) || 0;
+};
+
+// Split `amount` cents across `weights` so the parts always add back up exactly
+// (largest remainder method)
+export const allocateCents = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (amount <= 0 || totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (amount * weight) / totalWeight);
+  const allocated = exact.map(Math.floor);
+  let remainder = amount - allocated.reduce((sum, value) => sum + value, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        allocated[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return allocated;
+};
+
+// Calculate the full price breakdown for cart lines ({ price, quantity, category }).
+// Discounts come off before tax so discounted items are taxed on what the diner
+// actually pays: `lineDiscounts` gives cents per line (e.g. from promotions),
+// otherwise an order-level `discountCents` is spread across lines pro rata.
+export const calculatePricing = (lines = [], settings = DEFAULT_PRICING_SETTINGS, { discountCents = 0, lineDiscounts = null } = {}) => {
+  const { roundingMode } = settings;
+  const currency = settings.currency || DEFAULT_CURRENCY;
+
+  const lineCents = lines.map(line => toCents(line.price, currency) * (line.quantity || 0));
+  const subtotalCents = lineCents.reduce((sum, cents) => sum + cents, 0);
+
+  const lineDiscountCents = lineDiscounts
+    ? lineCents.map((cents, index) => Math.min(Math.max(lineDiscounts[index] || 0, 0), cents))
+    : allocateCents(Math.min(Math.max(discountCents, 0), subtotalCents), lineCents);
+  const appliedDiscountCents = lineDiscountCents.reduce((sum, cents) => sum + cents, 0);
+  const netSubtotalCents = subtotalCents - appliedDiscountCents;
+
+  // Tax is rounded once per rate, not per line, so many small lines don't drift
+  const taxableByRate = lines.reduce((acc, line, index) => {
+    const rate = getTaxRate(line.category, settings);
+    acc[rate] = (acc[rate] || 0) + lineCents[index] - lineDiscountCents[index];
+    return acc;
+  }, {});
+
+  const taxLines = Object.entries(taxableByRate)
+    .map(([rate, taxableCents]) => {
+      const numericRate = Number(rate);
+      const exactTax = settings.taxInclusive
+        ? taxableCents - taxableCents / (1 + numericRate)
+        : taxableCents * numericRate;
+
+      return {
+        rate: numericRate,
+        taxableCents,
+        taxCents: roundCents(exactTax, roundingMode)
+      };
+    })
+    .filter(line => line.rate > 0 && line.taxableCents > 0)
+    .sort((a, b) => a.rate - b.rate);
+
+  const taxCents = taxLines.reduce((sum, line) => sum + line.taxCents, 0);
+
+  let serviceChargeCents = 0;
+  if (netSubtotalCents > 0) {
+    if (settings.serviceChargeType === 'percentage') {
+      serviceChargeCents = roundCents(netSubtotalCents * settings.serviceChargeValue, roundingMode);
+    } else if (settings.serviceChargeType === 'flat') {
+      serviceChargeCents = toCents(settings.serviceChargeValue, currency);
+    }
+  }
+
+  const unroundedTotalCents = netSubtotalCents
+    + (settings.taxInclusive ? 0 : taxCents)
+    + serviceChargeCents;
+  const totalCents = roundToIncrement(unroundedTotalCents, settings.totalRoundingIncrement, roundingMode);
+
+  return {
+    currency,
+    subtotalCents,
+    discountCents: appliedDiscountCents,
+    taxCents,
+    serviceChargeCents,
+    roundingCents: totalCents - unroundedTotalCents,
+    totalCents,
+    taxInclusive: settings.taxInclusive,
+    taxLines
+  };
+};
+
+// Decimal view of a breakdown for display and the order row
+export const toPricingAmounts = (breakdown) => {
+  const { currency } = breakdown;
+
+  return {
+    currency,
+    subtotal: fromCents(breakdown.subtotalCents, currency),
+    discount: fromCents(breakdown.discountCents, currency),
+    taxAmount: fromCents(breakdown.taxCents, currency),
+    serviceCharge: fromCents(breakdown.serviceChargeCents, currency),
+    rounding: fromCents(breakdown.roundingCents, currency),
+    total: fromCents(breakdown.totalCents, currency),
+    taxInclusive: breakdown.taxInclusive,
+    taxLines: breakdown.taxLines.map(line => ({
+      rate: line.rate,
+      taxable: fromCents(line.taxableCents, currency),
+      tax: fromCents(line.taxCents, currency)
+    }))
+  };
+};
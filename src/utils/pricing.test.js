@@ -0,0 +1,171 @@
+import {
+  DEFAULT_PRICING_SETTINGS,
+  roundCents,
+  normalizePricingSettings,
+  getTaxRate,
+  allocateCents,
+  calculatePricing,
+  toPricingAmounts
+} from './pricing';
+
+const settings = (overrides) => ({ ...DEFAULT_PRICING_SETTINGS, ...overrides });
+
+describe('roundCents', () => {
+  it('rounds halves up by default', () => {
+    expect(roundCents(2.5)).toBe(3);
+    expect(roundCents(2.4999)).toBe(2);
+  });
+
+  it('rounds halves to even', () => {
+    expect(roundCents(2.5, 'half_even')).toBe(2);
+    expect(roundCents(3.5, 'half_even')).toBe(4);
+    expect(roundCents(2.6, 'half_even')).toBe(3);
+  });
+
+  it('rounds down and up', () => {
+    expect(roundCents(2.9, 'down')).toBe(2);
+    expect(roundCents(2.1, 'up')).toBe(3);
+    expect(roundCents(2, 'up')).toBe(2);
+  });
+});
+
+describe('normalizePricingSettings', () => {
+  it('maps a restaurant_settings row', () => {
+    expect(normalizePricingSettings({
+      currency: 'eur',
+      tax_inclusive: true,
+      default_tax_rate: '0.21',
+      category_tax_rates: { drinks: 0.1 },
+      service_charge_type: 'percentage',
+      service_charge_value: '0.125',
+      rounding_mode: 'half_even',
+      total_rounding_increment: 5
+    })).toEqual({
+      currency: 'EUR',
+      taxInclusive: true,
+      defaultTaxRate: 0.21,
+      categoryTaxRates: { drinks: 0.1 },
+      serviceChargeType: 'percentage',
+      serviceChargeValue: 0.125,
+      roundingMode: 'half_even',
+      totalRoundingIncrement: 5
+    });
+  });
+
+  it('uses the defaults for a missing row or unknown rounding mode', () => {
+    expect(normalizePricingSettings(null)).toEqual(DEFAULT_PRICING_SETTINGS);
+    expect(normalizePricingSettings({ rounding_mode: 'bankers' }).roundingMode).toBe('half_up');
+  });
+});
+
+describe('getTaxRate', () => {
+  it('prefers the category rate over the default', () => {
+    const pricing = settings({ defaultTaxRate: 0.2, categoryTaxRates: { alcohol: 0.25, food: 0 } });
+    expect(getTaxRate('alcohol', pricing)).toBe(0.25);
+    expect(getTaxRate('food', pricing)).toBe(0);
+    expect(getTaxRate('dessert', pricing)).toBe(0.2);
+  });
+});
+
+describe('allocateCents', () => {
+  it('splits so the parts add back up exactly (largest remainder)', () => {
+    expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateCents(10, [1, 2, 3])).toEqual([2, 3, 5]);
+  });
+
+  it('gives remainders to the largest fractions, then the earliest lines', () => {
+    // exact shares 1.5, 2.5 and 1 -> the spare cent goes to the earlier .5 line
+    expect(allocateCents(5, [3, 5, 2])).toEqual([2, 2, 1]);
+    expect(allocateCents(2, [1, 1, 1])).toEqual([1, 1, 0]);
+  });
+
+  it('allocates nothing for a zero amount or zero weights', () => {
+    expect(allocateCents(0, [1, 2])).toEqual([0, 0]);
+    expect(allocateCents(50, [0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe('calculatePricing', () => {
+  const lines = [
+    { price: 10, quantity: 2, category: 'food' },
+    { price: 5.5, quantity: 1, category: 'drinks' }
+  ];
+
+  it('totals lines with no tax or charges', () => {
+    const result = calculatePricing(lines);
+    expect(result.subtotalCents).toBe(2550);
+    expect(result.taxCents).toBe(0);
+    expect(result.totalCents).toBe(2550);
+    expect(result.taxLines).toEqual([]);
+  });
+
+  it('adds exclusive tax per rate', () => {
+    const result = calculatePricing(lines, settings({ defaultTaxRate: 0.1, categoryTaxRates: { drinks: 0.2 } }));
+    expect(result.taxLines).toEqual([
+      { rate: 0.1, taxableCents: 2000, taxCents: 200 },
+      { rate: 0.2, taxableCents: 550, taxCents: 110 }
+    ]);
+    expect(result.totalCents).toBe(2550 + 310);
+  });
+
+  it('extracts inclusive tax without changing the total', () => {
+    const result = calculatePricing([{ price: 12, quantity: 1 }], settings({ taxInclusive: true, defaultTaxRate: 0.2 }));
+    expect(result.taxCents).toBe(200);
+    expect(result.totalCents).toBe(1200);
+  });
+
+  it('takes discounts off before tax', () => {
+    const result = calculatePricing(lines, settings({ defaultTaxRate: 0.1 }), { discountCents: 510 });
+    expect(result.discountCents).toBe(510);
+    expect(result.taxCents).toBe(204);
+    expect(result.totalCents).toBe(2550 - 510 + 204);
+  });
+
+  it('never discounts a line below zero', () => {
+    const result = calculatePricing(lines, DEFAULT_PRICING_SETTINGS, { lineDiscounts: [5000, 100] });
+    expect(result.discountCents).toBe(2100);
+    expect(result.totalCents).toBe(450);
+  });
+
+  it('adds percentage and flat service charges on the discounted subtotal', () => {
+    expect(calculatePricing(lines, settings({ serviceChargeType: 'percentage', serviceChargeValue: 0.1 })).serviceChargeCents)
+      .toBe(255);
+    expect(calculatePricing(lines, settings({ serviceChargeType: 'flat', serviceChargeValue: 2 })).serviceChargeCents)
+      .toBe(200);
+    expect(calculatePricing([], settings({ serviceChargeType: 'flat', serviceChargeValue: 2 })).serviceChargeCents)
+      .toBe(0);
+  });
+
+  it('rounds the total to a cash increment and reports the difference', () => {
+    const result = calculatePricing([{ price: 10.02, quantity: 1 }], settings({ totalRoundingIncrement: 5 }));
+    expect(result.totalCents).toBe(1000);
+    expect(result.roundingCents).toBe(-2);
+  });
+
+  it('works in the currency minor unit', () => {
+    const result = calculatePricing([{ price: 1200, quantity: 3 }], settings({ currency: 'JPY', defaultTaxRate: 0.1 }));
+    expect(result.subtotalCents).toBe(3600);
+    expect(result.taxCents).toBe(360);
+  });
+});
+
+describe('toPricingAmounts', () => {
+  it('converts a breakdown to decimal amounts', () => {
+    const amounts = toPricingAmounts(calculatePricing(
+      [{ price: 19.99, quantity: 3 }],
+      settings({ defaultTaxRate: 0.08 })
+    ));
+
+    expect(amounts).toEqual({
+      currency: 'USD',
+      subtotal: 59.97,
+      discount: 0,
+      taxAmount: 4.8,
+      serviceCharge: 0,
+      rounding: 0,
+      total: 64.77,
+      taxInclusive: false,
+      taxLines: [{ rate: 0.08, taxable: 59.97, tax: 4.8 }]
+    });
+  });
+});
@@ -0,0 +1,236 @@
+// Promotion evaluation
+//
+// Promotions are rows in the `promotions` table. Rows without a code apply
+// automatically (e.g. happy hour); rows with a code need the diner to enter
+// it in the cart. Evaluation works in integer cents and returns a discount
+// per cart line so the pricing engine can tax discounted lines correctly.
+
+import { roundCents, allocateCents } from './pricing';
+import { DEFAULT_CURRENCY, toCents, formatMoney } from './money';
+import { getWeekMinute } from './schedule';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const PROMOTION_ERRORS = {
+  NOT_FOUND: 'not_found',
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  OUTSIDE_HOURS: 'outside_hours',
+  MIN_SPEND: 'min_spend',
+  NO_ELIGIBLE_ITEMS: 'no_eligible_items',
+  USAGE_LIMIT: 'usage_limit'
+};
+
+// Map a promotions row to the shape used by the evaluator
+export const normalizePromotion = (row) => ({
+  id: row.id,
+  code: row.code ? row.code.trim().toUpperCase() : null,
+  name: row.name,
+  description: row.description || '',
+  discountType: row.discount_type, // percentage, fixed, free_item
+  discountValue: Number(row.discount_value) || 0,
+  categories: Array.isArray(row.applies_to_categories) && row.applies_to_categories.length > 0
+    ? row.applies_to_categories
+    : null,
+  minSpend: Number(row.min_spend) || 0,
+  startsAt: row.starts_at ? new Date(row.starts_at) : null,
+  endsAt: row.ends_at ? new Date(row.ends_at) : null,
+  daysOfWeek: Array.isArray(row.days_of_week) && row.days_of_week.length > 0 ? row.days_of_week : null,
+  startTime: row.start_time || null,
+  endTime: row.end_time || null,
+  maxUsesPerSession: row.max_uses_per_session ?? null,
+  isActive: row.is_active !== false
+});
+
+// 'HH:MM[:SS]' -> minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Check the daily window (e.g. 17:00-19:00 happy hour) in the restaurant's
+// timezone, as the database does; windows may wrap past midnight
+const isWithinDailyWindow = (promotion, now, timeZone) => {
+  const weekMinute = getWeekMinute(now, timeZone);
+  if (promotion.daysOfWeek && !promotion.daysOfWeek.includes(Math.floor(weekMinute / MINUTES_PER_DAY))) {
+    return false;
+  }
+
+  if (!promotion.startTime || !promotion.endTime) return true;
+
+  const current = weekMinute % MINUTES_PER_DAY;
+  const start = toMinutes(promotion.startTime);
+  const end = toMinutes(promotion.endTime);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Diner-facing reason a promotion can't be applied (promotions.errors.*)
+export const getPromotionErrorMessage = (reason, promotion, {
+  currency = DEFAULT_CURRENCY,
+  language = DEFAULT_LANGUAGE
+} = {}) => {
+  switch (reason) {
+    case PROMOTION_ERRORS.NOT_FOUND:
+    case PROMOTION_ERRORS.NOT_STARTED:
+    case PROMOTION_ERRORS.OUTSIDE_HOURS:
+    case PROMOTION_ERRORS.USAGE_LIMIT:
+      return translate(language, `promotions.errors.${reason}`);
+    case PROMOTION_ERRORS.EXPIRED:
+    case PROMOTION_ERRORS.INACTIVE:
+      return translate(language, 'promotions.errors.expired');
+    case PROMOTION_ERRORS.MIN_SPEND:
+      return translate(language, 'promotions.errors.min_spend', {
+        amount: formatMoney(promotion.minSpend, { currency, locale: language })
+      });
+    case PROMOTION_ERRORS.NO_ELIGIBLE_ITEMS:
+      return promotion?.categories
+        ? translate(language, 'promotions.errors.no_eligible_categories', {
+          categories: new Intl.ListFormat(language, { type: 'disjunction' }).format(promotion.categories)
+        })
+        : translate(language, 'promotions.errors.no_eligible_items');
+    default:
+      return translate(language, 'promotions.errors.failed');
+  }
+};
+
+// Evaluate one promotion against cart lines ({ price, quantity, category }).
+// Returns { eligible, reason, lineDiscounts, discountCents }.
+export const evaluatePromotion = (promotion, lines, {
+  now = new Date(),
+  timeZone,
+  usageCount = 0,
+  currency = DEFAULT_CURRENCY
+} = {}) => {
+  const noDiscount = (reason) => ({
+    eligible: false,
+    reason,
+    lineDiscounts: lines.map(() => 0),
+    discountCents: 0
+  });
+
+  if (!promotion.isActive) return noDiscount(PROMOTION_ERRORS.INACTIVE);
+  if (promotion.startsAt && now < promotion.startsAt) return noDiscount(PROMOTION_ERRORS.NOT_STARTED);
+  if (promotion.endsAt && now >= promotion.endsAt) return noDiscount(PROMOTION_ERRORS.EXPIRED);
+  if (!isWithinDailyWindow(promotion, now, timeZone)) return noDiscount(PROMOTION_ERRORS.OUTSIDE_HOURS);
+
+  if (promotion.maxUsesPerSession !== null && usageCount >= promotion.maxUsesPerSession) {
+    return noDiscount(PROMOTION_ERRORS.USAGE_LIMIT);
+  }
+
+  const lineCents = lines.map(line => toCents(line.price, currency) * (line.quantity || 0));
+  const subtotalCents = lineCents.reduce((sum, cents) => sum + cents, 0);
+
+  if (subtotalCents < toCents(promotion.minSpend, currency)) return noDiscount(PROMOTION_ERRORS.MIN_SPEND);
+
+  const eligibleCents = lines.map((line, index) => (
+    !promotion.categories || promotion.categories.includes(line.category) ? lineCents[index] : 0
+  ));
+  const eligibleTotal = eligibleCents.reduce((sum, cents) => sum + cents, 0);
+
+  if (eligibleTotal === 0) return noDiscount(PROMOTION_ERRORS.NO_ELIGIBLE_ITEMS);
+
+  let lineDiscounts;
+
+  switch (promotion.discountType) {
+    case 'percentage': {
+      const rate = Math.min(promotion.discountValue, 1);
+      lineDiscounts = allocateCents(roundCents(eligibleTotal * rate), eligibleCents);
+      break;
+    }
+    case 'fixed':
+      lineDiscounts = allocateCents(Math.min(toCents(promotion.discountValue, currency), eligibleTotal), eligibleCents);
+      break;
+    case 'free_item': {
+      // One unit of the cheapest eligible item is free
+      let cheapestIndex = -1;
+      lines.forEach((line, index) => {
+        if (eligibleCents[index] > 0 &&
+          (cheapestIndex === -1 || toCents(line.price, currency) < toCents(lines[cheapestIndex].price, currency))) {
+          cheapestIndex = index;
+        }
+      });
+      lineDiscounts = lines.map((line, index) => (index === cheapestIndex ? toCents(line.price, currency) : 0));
+      break;
+    }
+    default:
+      return noDiscount(null);
+  }
+
+  return {
+    eligible: true,
+    reason: null,
+    lineDiscounts,
+    discountCents: lineDiscounts.reduce((sum, cents) => sum + cents, 0)
+  };
+};
+
+// Evaluate every automatic promotion plus the entered code (if any).
+// Discounts stack, but a line is never discounted below zero.
+// `codeError` is { reason, promotion } when the entered code can't be used.
+export const evaluatePromotions = (promotions, lines, {
+  code = null,
+  now = new Date(),
+  timeZone,
+  usageCounts = {},
+  currency = DEFAULT_CURRENCY
+} = {}) => {
+  const lineCents = lines.map(line => toCents(line.price, currency) * (line.quantity || 0));
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+  let codeError = null;
+
+  const normalizedCode = code ? code.trim().toUpperCase() : null;
+  const codePromotion = normalizedCode
+    ? promotions.find(promotion => promotion.code === normalizedCode)
+    : null;
+
+  if (normalizedCode && !codePromotion) {
+    codeError = { reason: PROMOTION_ERRORS.NOT_FOUND, promotion: null };
+  }
+
+  const candidates = promotions.filter(promotion => !promotion.code || promotion === codePromotion);
+
+  candidates.forEach(promotion => {
+    const result = evaluatePromotion(promotion, lines, {
+      now,
+      timeZone,
+      usageCount: usageCounts[promotion.id] || 0,
+      currency
+    });
+
+    if (!result.eligible) {
+      if (promotion === codePromotion) {
+        codeError = { reason: result.reason, promotion };
+      }
+      return;
+    }
+
+    let discountCents = 0;
+    result.lineDiscounts.forEach((cents, index) => {
+      const capped = Math.min(cents, lineCents[index] - lineDiscounts[index]);
+      lineDiscounts[index] += capped;
+      discountCents += capped;
+    });
+
+    if (discountCents > 0) {
+      applied.push({
+        promotionId: promotion.id,
+        code: promotion.code,
+        name: promotion.name,
+        discountCents
+      });
+    }
+  });
+
+  return {
+    applied,
+    lineDiscounts,
+    discountCents: lineDiscounts.reduce((sum, cents) => sum + cents, 0),
+    codeError
+  };
+};
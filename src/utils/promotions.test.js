@@ -0,0 +1,168 @@
+import {
+  PROMOTION_ERRORS,
+  normalizePromotion,
+  getPromotionErrorMessage,
+  evaluatePromotion,
+  evaluatePromotions
+} from './promotions';
+
+const promotion = (overrides = {}) => normalizePromotion({
+  id: 'promo-1',
+  name: 'Promotion',
+  discount_type: 'percentage',
+  discount_value: 0.1,
+  ...overrides
+});
+
+const lines = [
+  { price: 12, quantity: 2, category: 'mains' },
+  { price: 4.5, quantity: 1, category: 'drinks' },
+  { price: 6, quantity: 1, category: 'desserts' }
+];
+
+// Wednesday 2024-05-15, 18:30 UTC
+const now = new Date('2024-05-15T18:30:00Z');
+const options = { now, timeZone: 'UTC' };
+
+describe('normalizePromotion', () => {
+  it('maps a promotions row', () => {
+    const normalized = normalizePromotion({
+      id: 'p',
+      code: ' happy10 ',
+      name: 'Happy hour',
+      discount_type: 'fixed',
+      discount_value: '5.00',
+      applies_to_categories: [],
+      min_spend: '20',
+      starts_at: '2024-05-01T00:00:00Z',
+      days_of_week: [1, 2],
+      start_time: '17:00',
+      end_time: '19:00',
+      max_uses_per_session: 1
+    });
+
+    expect(normalized).toMatchObject({
+      code: 'HAPPY10',
+      discountValue: 5,
+      categories: null,
+      minSpend: 20,
+      endsAt: null,
+      daysOfWeek: [1, 2],
+      maxUsesPerSession: 1,
+      isActive: true
+    });
+    expect(normalized.startsAt).toEqual(new Date('2024-05-01T00:00:00Z'));
+  });
+});
+
+describe('evaluatePromotion', () => {
+  it('takes a percentage off eligible lines', () => {
+    const result = evaluatePromotion(promotion(), lines, options);
+    expect(result.eligible).toBe(true);
+    expect(result.discountCents).toBe(345);
+    expect(result.lineDiscounts).toEqual([240, 45, 60]);
+  });
+
+  it('limits discounts to the promotion categories', () => {
+    const result = evaluatePromotion(promotion({ applies_to_categories: ['drinks', 'desserts'] }), lines, options);
+    expect(result.lineDiscounts).toEqual([0, 45, 60]);
+  });
+
+  it('never takes a fixed amount off more than the eligible total', () => {
+    const result = evaluatePromotion(
+      promotion({ discount_type: 'fixed', discount_value: 50, applies_to_categories: ['drinks'] }),
+      lines,
+      options
+    );
+    expect(result.discountCents).toBe(450);
+  });
+
+  it('makes one unit of the cheapest eligible item free', () => {
+    const result = evaluatePromotion(promotion({ discount_type: 'free_item' }), lines, options);
+    expect(result.lineDiscounts).toEqual([0, 450, 0]);
+  });
+
+  it('reports why a promotion does not apply', () => {
+    const reasonFor = (overrides, extra = {}) => (
+      evaluatePromotion(promotion(overrides), lines, { ...options, ...extra }).reason
+    );
+
+    expect(reasonFor({ is_active: false })).toBe(PROMOTION_ERRORS.INACTIVE);
+    expect(reasonFor({ starts_at: '2024-06-01T00:00:00Z' })).toBe(PROMOTION_ERRORS.NOT_STARTED);
+    expect(reasonFor({ ends_at: '2024-05-15T18:00:00Z' })).toBe(PROMOTION_ERRORS.EXPIRED);
+    expect(reasonFor({ max_uses_per_session: 1 }, { usageCount: 1 })).toBe(PROMOTION_ERRORS.USAGE_LIMIT);
+    expect(reasonFor({ min_spend: 100 })).toBe(PROMOTION_ERRORS.MIN_SPEND);
+    expect(reasonFor({ applies_to_categories: ['starters'] })).toBe(PROMOTION_ERRORS.NO_ELIGIBLE_ITEMS);
+  });
+
+  it('only applies inside its days and daily window', () => {
+    const reasonFor = (overrides) => evaluatePromotion(promotion(overrides), lines, options).reason;
+
+    expect(reasonFor({ start_time: '17:00', end_time: '19:00' })).toBeNull();
+    expect(reasonFor({ start_time: '11:00', end_time: '14:00' })).toBe(PROMOTION_ERRORS.OUTSIDE_HOURS);
+    expect(reasonFor({ start_time: '22:00', end_time: '02:00' })).toBe(PROMOTION_ERRORS.OUTSIDE_HOURS);
+    expect(reasonFor({ days_of_week: [3] })).toBeNull();
+    expect(reasonFor({ days_of_week: [0, 6] })).toBe(PROMOTION_ERRORS.OUTSIDE_HOURS);
+  });
+
+  it('treats a window past midnight as running into the next day', () => {
+    const lateNight = promotion({ start_time: '22:00', end_time: '02:00' });
+    const afterMidnight = { now: new Date('2024-05-16T01:00:00Z'), timeZone: 'UTC' };
+    expect(evaluatePromotion(lateNight, lines, afterMidnight).eligible).toBe(true);
+  });
+});
+
+describe('evaluatePromotions', () => {
+  const automatic = promotion({ id: 'auto', discount_type: 'fixed', discount_value: 20 });
+  const coded = promotion({ id: 'coded', code: 'SAVE10' });
+
+  it('applies automatic promotions and ignores codes that were not entered', () => {
+    const result = evaluatePromotions([automatic, coded], lines, options);
+    expect(result.applied.map(applied => applied.promotionId)).toEqual(['auto']);
+    expect(result.codeError).toBeNull();
+  });
+
+  it('stacks discounts without taking a line below zero', () => {
+    const result = evaluatePromotions([automatic, coded], lines, { ...options, code: 'save10' });
+    const lineTotals = [2400, 450, 600];
+
+    expect(result.discountCents).toBe(2000 + 345);
+    result.lineDiscounts.forEach((cents, index) => {
+      expect(cents).toBeLessThanOrEqual(lineTotals[index]);
+    });
+  });
+
+  it('reports an unknown code', () => {
+    expect(evaluatePromotions([automatic], lines, { ...options, code: 'NOPE' }).codeError)
+      .toEqual({ reason: PROMOTION_ERRORS.NOT_FOUND, promotion: null });
+  });
+
+  it('reports why an entered code does not apply', () => {
+    const limited = promotion({ id: 'limited', code: 'ONCE', max_uses_per_session: 1 });
+    const result = evaluatePromotions([limited], lines, { ...options, code: 'ONCE', usageCounts: { limited: 1 } });
+
+    expect(result.applied).toEqual([]);
+    expect(result.codeError).toEqual({ reason: PROMOTION_ERRORS.USAGE_LIMIT, promotion: limited });
+  });
+});
+
+describe('getPromotionErrorMessage', () => {
+  it('describes the reason in the diner language', () => {
+    expect(getPromotionErrorMessage(PROMOTION_ERRORS.NOT_FOUND)).toBe("We don't recognise that promo code");
+    expect(getPromotionErrorMessage(PROMOTION_ERRORS.INACTIVE, null, { language: 'es' }))
+      .toBe('Esta promoción ha terminado');
+  });
+
+  it('includes the minimum spend and categories', () => {
+    expect(getPromotionErrorMessage(PROMOTION_ERRORS.MIN_SPEND, promotion({ min_spend: 20 }), { language: 'en' }))
+      .toBe('Spend $20.00 or more to use this promotion');
+    expect(getPromotionErrorMessage(
+      PROMOTION_ERRORS.NO_ELIGIBLE_ITEMS,
+      promotion({ applies_to_categories: ['drinks', 'desserts'] })
+    )).toBe('Add drinks or desserts to use this promotion');
+  });
+
+  it('falls back to a generic message', () => {
+    expect(getPromotionErrorMessage('something_else')).toBe('This promotion cannot be applied');
+  });
+});
@@ -0,0 +1,50 @@
+// Web Push helpers for order status notifications
+import { savePushSubscription } from '../services/supabase';
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+const PUSH_PROMPTED_STORAGE_KEY = 'restaurant_push_prompted';
+
+export const isPushSupported = () => {
+  return process.env.REACT_APP_ENABLE_PUSH_NOTIFICATIONS !== 'false' &&
+    Boolean(VAPID_PUBLIC_KEY) &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window;
+};
+
+// Only offer the opt-in once, and never after the diner has already decided
+export const shouldPromptForPush = () => {
+  if (!isPushSupported() || Notification.permission !== 'default') return false;
+  return !localStorage.getItem(PUSH_PROMPTED_STORAGE_KEY);
+};
+
+export const markPushPrompted = () => {
+  localStorage.setItem(PUSH_PROMPTED_STORAGE_KEY, Date.now().toString());
+};
+
+// VAPID keys are distributed base64url encoded; PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = window.atob(base64);
+  return Uint8Array.from(rawData, char => char.charCodeAt(0));
+};
+
+// Ask for permission, subscribe and store the subscription against the session.
+// Resolves to true when the diner will receive order updates.
+export const subscribeToPush = async (sessionId) => {
+  if (!isPushSupported()) return false;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+    });
+
+  await savePushSubscription(sessionId, subscription.toJSON());
+  return true;
+};
@@ -0,0 +1,135 @@
+// Availability schedules
+//
+// Menu items and categories can carry an `availability_schedule`: a JSONB
+// array of windows like { days: [1, 2, 3, 4, 5], start: '07:00', end: '11:30' }.
+// Days are 0 (Sunday) to 6 (Saturday); leave `days` out for every day. A
+// window whose end is before its start runs past midnight. No schedule (or an
+// empty one) means always available. Times are in the restaurant's timezone.
+//
+// Internally everything is in "week minutes": minutes since Sunday 00:00.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 'HH:MM[:SS]' -> minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// Current week minute in a timezone. Unknown timezones fall back to the
+// device's local time rather than hiding the whole menu.
+export const getWeekMinute = (now = new Date(), timeZone) => {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = (type) => parts.find(entry => entry.type === type)?.value;
+
+    return WEEKDAYS[part('weekday')] * MINUTES_PER_DAY + (Number(part('hour')) % 24) * 60 + Number(part('minute'));
+  } catch (error) {
+    console.error('Error reading time in restaurant timezone:', error);
+    return now.getDay() * MINUTES_PER_DAY + now.getHours() * 60 + now.getMinutes();
+  }
+};
+
+// Schedule -> list of [start, end) week-minute intervals, or null for "always"
+export const normalizeSchedule = (schedule) => {
+  if (!Array.isArray(schedule) || schedule.length === 0) return null;
+
+  return schedule.flatMap(window => {
+    const start = toMinutes(window.start ?? '00:00');
+    let end = toMinutes(window.end ?? '24:00');
+    if (end <= start) end += MINUTES_PER_DAY;
+
+    const days = Array.isArray(window.days) && window.days.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6];
+    return days.map(day => ({
+      start: day * MINUTES_PER_DAY + start,
+      end: day * MINUTES_PER_DAY + end
+    }));
+  });
+};
+
+const isOpenAt = (intervals, weekMinute) => {
+  if (!intervals) return true;
+
+  // Intervals may run past the end of the week (Saturday night into Sunday)
+  return intervals.some(({ start, end }) => (
+    (weekMinute >= start && weekMinute < end) ||
+    (weekMinute + MINUTES_PER_WEEK >= start && weekMinute + MINUTES_PER_WEEK < end)
+  ));
+};
+
+// Minutes from `weekMinute` until the next time any schedule opens or closes,
+// or null when none of them ever change
+export const getMinutesUntilNextBoundary = (schedules, weekMinute) => {
+  const deltas = schedules
+    .map(normalizeSchedule)
+    .filter(Boolean)
+    .flatMap(intervals => intervals.flatMap(({ start, end }) => [start, end]))
+    .map(boundary => mod(boundary - weekMinute, MINUTES_PER_WEEK) || MINUTES_PER_WEEK);
+
+  return deltas.length > 0 ? Math.min(...deltas) : null;
+};
+
+// Whether something governed by every one of `schedules` (e.g. an item and its
+// category) is available, and if not, the next time it will be:
+// { isAvailable, opensIn (minutes), opensAt (week minute) }
+export const getScheduleAvailability = (schedules, weekMinute) => {
+  const normalized = schedules.map(normalizeSchedule);
+
+  if (normalized.every(intervals => isOpenAt(intervals, weekMinute))) {
+    return { isAvailable: true, opensIn: null, opensAt: null };
+  }
+
+  // Availability can only start when one of the schedules opens
+  const candidates = normalized
+    .filter(Boolean)
+    .flatMap(intervals => intervals.map(({ start }) => mod(start - weekMinute, MINUTES_PER_WEEK)))
+    .sort((a, b) => a - b);
+
+  const opensIn = candidates.find(delta => (
+    normalized.every(intervals => isOpenAt(intervals, mod(weekMinute + delta, MINUTES_PER_WEEK)))
+  ));
+
+  return {
+    isAvailable: false,
+    opensIn: opensIn ?? null,
+    opensAt: opensIn === undefined ? null : mod(weekMinute + opensIn, MINUTES_PER_WEEK)
+  };
+};
+
+// When something unavailable is next back, as { weekday (0-6), minutes (after
+// midnight), daysAhead (0 for later today) }, or null if it never reopens
+export const getAvailableFrom = ({ opensIn, opensAt }, weekMinute) => {
+  if (opensIn === null || opensAt === null) return null;
+
+  return {
+    weekday: Math.floor(opensAt / MINUTES_PER_DAY),
+    minutes: opensAt % MINUTES_PER_DAY,
+    daysAhead: Math.floor((weekMinute % MINUTES_PER_DAY + opensIn) / MINUTES_PER_DAY)
+  };
+};
+
+// "Available from 5:00 PM", "Available tomorrow from 7:00 AM" or "Available
+// Mon from 7:00 AM", with the day and time in the diner's language
+export const formatAvailableFrom = ({ weekday, minutes, daysAhead }, t, language) => {
+  const time = new Intl.DateTimeFormat(language, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(1970, 0, 1, 0, minutes)));
+
+  if (daysAhead === 0) return t('menu.availableFrom', { time });
+  if (daysAhead === 1) return t('menu.availableTomorrowFrom', { time });
+
+  // 4 January 1970 was a Sunday
+  const day = new Intl.DateTimeFormat(language, { weekday: 'short', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(1970, 0, 4 + weekday)));
+  return t('menu.availableOnDayFrom', { day, time });
+};
@@ -0,0 +1,157 @@
+import {
+  getWeekMinute,
+  normalizeSchedule,
+  getMinutesUntilNextBoundary,
+  getScheduleAvailability,
+  getAvailableFrom,
+  formatAvailableFrom
+} from './schedule';
+import { translate } from '../i18n';
+
+const DAY = 24 * 60;
+const WEEK = 7 * DAY;
+
+// Week minute for a day (0 = Sunday) and 'HH:MM'
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return day * DAY + hours * 60 + minutes;
+};
+
+const lunch = [{ start: '11:00', end: '15:00' }];
+const weekdays = [{ days: [1, 2, 3, 4, 5] }];
+const fridayLate = [{ days: [5], start: '22:00', end: '02:00' }];
+const saturdayLate = [{ days: [6], start: '23:00', end: '01:00' }];
+
+describe('getWeekMinute', () => {
+  // Wednesday 15 May 2024, 18:30 UTC
+  const now = new Date('2024-05-15T18:30:00Z');
+
+  it('counts minutes since Sunday midnight in the timezone', () => {
+    expect(getWeekMinute(now, 'UTC')).toBe(at(3, '18:30'));
+    expect(getWeekMinute(now, 'America/New_York')).toBe(at(3, '14:30'));
+    expect(getWeekMinute(now, 'Asia/Tokyo')).toBe(at(4, '03:30'));
+  });
+
+  it('falls back to local time for an unknown timezone', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(getWeekMinute(now, 'Not/AZone')).toBe(now.getDay() * DAY + now.getHours() * 60 + now.getMinutes());
+    consoleError.mockRestore();
+  });
+});
+
+describe('normalizeSchedule', () => {
+  it('treats a missing or empty schedule as always open', () => {
+    expect(normalizeSchedule(null)).toBeNull();
+    expect(normalizeSchedule([])).toBeNull();
+  });
+
+  it('repeats windows without days on every day', () => {
+    const intervals = normalizeSchedule(lunch);
+    expect(intervals).toHaveLength(7);
+    expect(intervals[1]).toEqual({ start: at(1, '11:00'), end: at(1, '15:00') });
+  });
+
+  it('runs windows that end before they start past midnight', () => {
+    expect(normalizeSchedule(fridayLate)).toEqual([{ start: at(5, '22:00'), end: at(6, '02:00') }]);
+  });
+});
+
+describe('getScheduleAvailability', () => {
+  it('is available with no schedules', () => {
+    expect(getScheduleAvailability([null, undefined], at(2, '03:00')))
+      .toEqual({ isAvailable: true, opensIn: null, opensAt: null });
+  });
+
+  it('follows a daily window', () => {
+    expect(getScheduleAvailability([lunch], at(2, '12:00')).isAvailable).toBe(true);
+    expect(getScheduleAvailability([lunch], at(2, '15:00')).isAvailable).toBe(false);
+    expect(getScheduleAvailability([lunch], at(2, '09:30'))).toEqual({
+      isAvailable: false,
+      opensIn: 90,
+      opensAt: at(2, '11:00')
+    });
+  });
+
+  it('stays open past midnight into the next day', () => {
+    expect(getScheduleAvailability([fridayLate], at(5, '23:00')).isAvailable).toBe(true);
+    expect(getScheduleAvailability([fridayLate], at(6, '01:30')).isAvailable).toBe(true);
+    expect(getScheduleAvailability([fridayLate], at(6, '02:00')).isAvailable).toBe(false);
+  });
+
+  it('wraps from Saturday night into Sunday', () => {
+    expect(getScheduleAvailability([saturdayLate], at(0, '00:30')).isAvailable).toBe(true);
+    expect(getScheduleAvailability([saturdayLate], at(0, '02:00'))).toEqual({
+      isAvailable: false,
+      opensIn: at(6, '23:00') - at(0, '02:00'),
+      opensAt: at(6, '23:00')
+    });
+  });
+
+  it('needs every schedule (item and category) to be open', () => {
+    // Lunch on weekdays only: Saturday lunch waits until Monday
+    const availability = getScheduleAvailability([lunch, weekdays], at(6, '12:00'));
+    expect(availability.isAvailable).toBe(false);
+    expect(availability.opensAt).toBe(at(1, '11:00'));
+    expect(availability.opensIn).toBe(WEEK - at(6, '12:00') + at(1, '11:00'));
+  });
+
+  it('reports no opening time when the schedules never overlap', () => {
+    const mornings = [{ start: '07:00', end: '10:00' }];
+    expect(getScheduleAvailability([lunch, mornings], at(2, '12:00')))
+      .toEqual({ isAvailable: false, opensIn: null, opensAt: null });
+  });
+});
+
+describe('getMinutesUntilNextBoundary', () => {
+  it('finds the next opening or closing time', () => {
+    expect(getMinutesUntilNextBoundary([lunch], at(1, '10:00'))).toBe(60);
+    expect(getMinutesUntilNextBoundary([lunch, weekdays], at(1, '14:00'))).toBe(60);
+  });
+
+  it('wraps around the end of the week', () => {
+    expect(getMinutesUntilNextBoundary([saturdayLate], at(0, '00:30'))).toBe(30);
+    expect(getMinutesUntilNextBoundary([saturdayLate], at(6, '22:00'))).toBe(60);
+  });
+
+  it('is null when nothing ever changes', () => {
+    expect(getMinutesUntilNextBoundary([null, []], at(3, '12:00'))).toBeNull();
+  });
+});
+
+describe('getAvailableFrom', () => {
+  const availableFrom = (schedules, weekMinute) => (
+    getAvailableFrom(getScheduleAvailability(schedules, weekMinute), weekMinute)
+  );
+
+  it('describes the next opening relative to today', () => {
+    expect(availableFrom([lunch], at(2, '09:30'))).toEqual({ weekday: 2, minutes: at(0, '11:00'), daysAhead: 0 });
+    expect(availableFrom([lunch], at(2, '16:00'))).toEqual({ weekday: 3, minutes: at(0, '11:00'), daysAhead: 1 });
+    expect(availableFrom([lunch, weekdays], at(6, '12:00'))).toEqual({ weekday: 1, minutes: at(0, '11:00'), daysAhead: 2 });
+  });
+
+  it('counts days across the end of the week', () => {
+    expect(availableFrom([saturdayLate], at(0, '02:00'))).toEqual({ weekday: 6, minutes: at(0, '23:00'), daysAhead: 6 });
+  });
+
+  it('is null when it never reopens', () => {
+    expect(getAvailableFrom({ isAvailable: false, opensIn: null, opensAt: null }, at(2, '12:00'))).toBeNull();
+  });
+});
+
+describe('formatAvailableFrom', () => {
+  const format = (availableFrom, language) => (
+    formatAvailableFrom(availableFrom, (key, params) => translate(language, key, params), language)
+  );
+
+  it('formats later today, tomorrow and other days', () => {
+    expect(format({ weekday: 2, minutes: at(0, '17:00'), daysAhead: 0 }, 'en')).toMatch(/^Available from 5:00\sPM$/);
+    expect(format({ weekday: 3, minutes: at(0, '07:00'), daysAhead: 1 }, 'en')).toMatch(/^Available tomorrow from 7:00\sAM$/);
+    expect(format({ weekday: 1, minutes: at(0, '07:00'), daysAhead: 2 }, 'en')).toMatch(/^Available Mon from 7:00\sAM$/);
+  });
+
+  it('uses the diner language for the day and time', () => {
+    expect(format({ weekday: 2, minutes: at(0, '17:00'), daysAhead: 0 }, 'es')).toBe('Disponible desde las 17:00');
+    expect(format({ weekday: 1, minutes: at(0, '07:30'), daysAhead: 3 }, 'es')).toBe('Disponible el lun desde las 7:30');
+  });
+});
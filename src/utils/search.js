@@ -0,0 +1,256 @@
+// Menu search
+//
+// A small client-side index over the menu. Queries are tokenized and every
+// query term has to match something on the item: exactly, as a prefix, with a
+// typo or two ("chiken", "tiramsu") or through a synonym ("soda" finds
+// sparkling water). Matches in the name count for more than matches in the
+// category, tags or description, and results come back ranked by that score.
+
+// Query term -> other ways the menu may say it
+export const SEARCH_SYNONYMS = {
+  soda: ['sparkling water', 'soft drink', 'cola', 'lemonade'],
+  pop: ['soda', 'soft drink', 'cola'],
+  fizzy: ['sparkling'],
+  fries: ['chips'],
+  chips: ['fries'],
+  veggie: ['vegetarian', 'vegan'],
+  pasta: ['spaghetti', 'penne', 'linguine'],
+  dessert: ['cake', 'ice cream', 'tiramisu'],
+  sweet: ['dessert', 'cake'],
+  booze: ['wine', 'beer', 'cocktail'],
+  alcohol: ['wine', 'beer', 'cocktail'],
+  kids: ['children'],
+  starter: ['appetizer'],
+  starters: ['appetizers']
+};
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 1.5,
+  tags: 1.5,
+  description: 1
+};
+
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6,
+  fuzzyPrefix: 0.4
+};
+
+// Synonym matches rank just below the term itself
+const SYNONYM_FACTOR = 0.9;
+
+// Lowercase, strip accents ("crème" -> "creme") and punctuation
+export const normalizeText = (text) => (
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+);
+
+export const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Short words have to be spelled right; longer ones may have one or two typos
+const getMaxTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Optimal string alignment distance (a swap of two letters is one typo),
+// giving up once it's known to exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// How well a query term matches one indexed token:
+// { score, length } where `length` is how much of the token to highlight
+const matchTerm = (term, token, isLastTerm) => {
+  if (token === term) {
+    return { score: MATCH_SCORES.exact, length: token.length };
+  }
+
+  // The last term may still be being typed, so even one letter can be a prefix
+  if (token.startsWith(term) && (isLastTerm || term.length >= 2)) {
+    return { score: MATCH_SCORES.prefix, length: term.length };
+  }
+
+  const maxTypos = getMaxTypos(term);
+  if (maxTypos === 0) return null;
+
+  const distance = editDistance(term, token, maxTypos);
+  if (distance <= maxTypos) {
+    return { score: MATCH_SCORES.typo - (distance - 1) * 0.15, length: token.length };
+  }
+
+  if (isLastTerm && token.length > term.length &&
+      editDistance(term, token.slice(0, term.length), maxTypos) <= maxTypos) {
+    return { score: MATCH_SCORES.fuzzyPrefix, length: term.length };
+  }
+
+  return null;
+};
+
+// items -> index entries. `categories` ([{ id, name }]) lets diners search by
+// the category's display name as well as its slug.
+export const buildSearchIndex = (items, categories = []) => {
+  const categoryNames = categories.reduce((acc, category) => {
+    acc[category.id] = category.name;
+    return acc;
+  }, {});
+
+  return items.map(item => ({
+    item,
+    normalizedName: normalizeText(item.displayName || item.name),
+    fields: {
+      // The diner's language first; the default-language name still matches
+      name: [...new Set([...tokenize(item.displayName), ...tokenize(item.name)])],
+      category: [...new Set(tokenize(`${item.category} ${categoryNames[item.category] || ''}`))],
+      tags: [...new Set(tokenize((item.dietary_tags || []).join(' ')))],
+      description: [...new Set(tokenize(item.displayDescription || item.description))]
+    }
+  }));
+};
+
+// Every way of saying a query term: the term itself plus its synonyms, each
+// as a list of tokens that all have to match
+const expandTerm = (term) => [
+  { tokens: [term], factor: 1 },
+  ...(SEARCH_SYNONYMS[term] || []).map(synonym => ({ tokens: tokenize(synonym), factor: SYNONYM_FACTOR }))
+];
+
+// Best match for a list of tokens within one field, or null if any is missing
+const matchTokens = (tokens, fieldTokens, isLastTerm) => {
+  let score = 0;
+  const highlights = {};
+
+  for (let index = 0; index < tokens.length; index++) {
+    let best = null;
+    let bestToken = null;
+
+    fieldTokens.forEach(token => {
+      const match = matchTerm(tokens[index], token, isLastTerm && index === tokens.length - 1);
+      if (match && (!best || match.score > best.score)) {
+        best = match;
+        bestToken = token;
+      }
+    });
+
+    if (!best) return null;
+    score += best.score;
+    highlights[bestToken] = Math.max(highlights[bestToken] || 0, best.length);
+  }
+
+  return { score: score / tokens.length, highlights };
+};
+
+// Ranked matches for `query`: [{ item, score, highlights }], best first.
+// `highlights` maps matched tokens to how many of their letters matched, for
+// getHighlightSegments.
+export const searchIndex = (index, query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const normalizedQuery = terms.join(' ');
+
+  const results = index.map(entry => {
+    let score = 0;
+    const highlights = {};
+
+    for (let termIndex = 0; termIndex < terms.length; termIndex++) {
+      const isLastTerm = termIndex === terms.length - 1;
+      let best = null;
+
+      expandTerm(terms[termIndex]).forEach(({ tokens, factor }) => {
+        Object.entries(entry.fields).forEach(([field, fieldTokens]) => {
+          const match = matchTokens(tokens, fieldTokens, isLastTerm);
+          if (!match) return;
+
+          const weighted = match.score * factor * FIELD_WEIGHTS[field];
+          if (!best || weighted > best.score) {
+            best = { score: weighted, highlights: match.highlights };
+          }
+        });
+      });
+
+      // Every term has to match somewhere
+      if (!best) return null;
+
+      score += best.score;
+      Object.entries(best.highlights).forEach(([token, length]) => {
+        highlights[token] = Math.max(highlights[token] || 0, length);
+      });
+    }
+
+    // Reward names that read like the query
+    if (entry.normalizedName.startsWith(normalizedQuery)) {
+      score += 2;
+    } else if (entry.normalizedName.includes(normalizedQuery)) {
+      score += 1;
+    }
+
+    return { item: entry.item, score, highlights };
+  });
+
+  return results
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || (a.item.displayName || a.item.name).localeCompare(b.item.displayName || b.item.name));
+};
+
+// Split `text` into [{ text, highlighted }] segments for the matched tokens
+export const getHighlightSegments = (text, highlights) => {
+  if (!text || !highlights || Object.keys(highlights).length === 0) {
+    return [{ text: text || '', highlighted: false }];
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+  const pushSegment = (value, highlighted) => {
+    if (value) segments.push({ text: value, highlighted });
+  };
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const length = highlights[normalizeText(match[0])];
+    if (!length) continue;
+
+    const end = match.index + Math.min(length, match[0].length);
+    pushSegment(text.slice(lastIndex, match.index), false);
+    pushSegment(text.slice(match.index, end), true);
+    lastIndex = end;
+  }
+
+  pushSegment(text.slice(lastIndex), false);
+  return segments;
+};
@@ -0,0 +1,97 @@
+import { normalizeText, tokenize, buildSearchIndex, searchIndex, getHighlightSegments } from './search';
+
+const items = [
+  { id: 1, name: 'Chicken Burger', category: 'mains', description: 'Grilled chicken with lettuce' },
+  { id: 2, name: 'Tiramisu', category: 'desserts', description: 'Coffee soaked sponge' },
+  { id: 3, name: 'Sparkling Water', category: 'drinks', description: 'Chilled, 500ml' },
+  { id: 4, name: 'Crème Brûlée', category: 'desserts', description: 'Vanilla custard' },
+  { id: 5, name: 'Garden Salad', category: 'starters', description: 'With chicken on request', dietary_tags: ['vegetarian'] },
+  { id: 6, name: 'Hamburguesa', displayName: 'Hamburguesa de pollo', category: 'mains', description: '' }
+];
+
+const categories = [{ id: 'desserts', name: 'Sweet Treats' }];
+const index = buildSearchIndex(items, categories);
+
+const search = (query) => searchIndex(index, query).map(result => result.item.id);
+
+describe('normalizeText / tokenize', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizeText('  Crème Brûlée! ')).toBe('creme brulee');
+    expect(normalizeText(null)).toBe('');
+  });
+
+  it('splits into words', () => {
+    expect(tokenize('Fish & Chips, large')).toEqual(['fish', 'chips', 'large']);
+    expect(tokenize('   ')).toEqual([]);
+  });
+});
+
+describe('searchIndex', () => {
+  it('returns nothing for an empty query', () => {
+    expect(searchIndex(index, '  ')).toEqual([]);
+  });
+
+  it('ranks name matches above description matches', () => {
+    expect(search('chicken')).toEqual([1, 5]);
+  });
+
+  it('matches a prefix of the word still being typed', () => {
+    expect(search('tira')).toEqual([2]);
+    expect(search('c')).toContain(1);
+  });
+
+  it('tolerates typos in longer words but not short ones', () => {
+    expect(search('chiken')).toContain(1);
+    expect(search('tiramsu')).toEqual([2]);
+    expect(search('tea')).toEqual([]);
+  });
+
+  it('matches accented names without the accents', () => {
+    expect(search('creme brulee')).toEqual([4]);
+  });
+
+  it('finds items through synonyms', () => {
+    expect(search('soda')).toEqual([3]);
+    expect(search('veggie')).toEqual([5]);
+  });
+
+  it('searches category slugs and display names', () => {
+    expect(search('sweet treats')).toEqual(expect.arrayContaining([2, 4]));
+  });
+
+  it('requires every term to match', () => {
+    expect(search('chicken burger')).toEqual([1]);
+    expect(search('chicken tiramisu')).toEqual([]);
+  });
+
+  it('matches the translated and default-language names', () => {
+    expect(search('pollo')).toEqual([6]);
+    expect(search('hamburguesa')).toEqual([6]);
+  });
+
+  it('reports matched tokens for highlighting', () => {
+    const [result] = searchIndex(index, 'chick');
+    expect(result.highlights).toEqual({ chicken: 5 });
+  });
+});
+
+describe('getHighlightSegments', () => {
+  it('marks the matched letters of each word', () => {
+    expect(getHighlightSegments('Chicken Burger', { chicken: 5 })).toEqual([
+      { text: 'Chick', highlighted: true },
+      { text: 'en Burger', highlighted: false }
+    ]);
+  });
+
+  it('matches words case- and accent-insensitively', () => {
+    expect(getHighlightSegments('Crème Brûlée', { creme: 5 })).toEqual([
+      { text: 'Crème', highlighted: true },
+      { text: ' Brûlée', highlighted: false }
+    ]);
+  });
+
+  it('returns the whole text when nothing matched', () => {
+    expect(getHighlightSegments('Tiramisu', {})).toEqual([{ text: 'Tiramisu', highlighted: false }]);
+    expect(getHighlightSegments('', null)).toEqual([{ text: '', highlighted: false }]);
+  });
+});
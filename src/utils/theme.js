@@ -0,0 +1,164 @@
+// Theme and branding
+//
+// Colours live in the CSS variables in index.css. The diner picks light, dark
+// or system (follows prefers-color-scheme); the resolved theme is set as
+// data-theme on <html>. Restaurant branding from restaurant_settings
+// overrides the primary colour and fonts on top of either theme.
+
+export const THEMES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system'
+};
+
+// Order the toggle cycles through
+export const THEME_PREFERENCES = [THEMES.SYSTEM, THEMES.LIGHT, THEMES.DARK];
+
+// Also read by the inline script in public/index.html to avoid a flash of the wrong theme
+const THEME_STORAGE_KEY = 'restaurant_theme';
+const BRAND_FONT_LINK_ID = 'brand-font-stylesheet';
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+export const isThemePreference = (theme) => THEME_PREFERENCES.includes(theme);
+
+export const loadThemePreference = () => {
+  try {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    if (isThemePreference(saved)) return saved;
+  } catch (error) {
+    console.error('Error loading theme preference:', error);
+  }
+  return THEMES.SYSTEM;
+};
+
+export const saveThemePreference = (theme) => {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, theme);
+  } catch (error) {
+    console.error('Error saving theme preference:', error);
+  }
+};
+
+export const getNextThemePreference = (theme) => {
+  const index = THEME_PREFERENCES.indexOf(theme);
+  return THEME_PREFERENCES[(index + 1) % THEME_PREFERENCES.length];
+};
+
+const getColorSchemeQuery = () => (
+  typeof window.matchMedia === 'function' ? window.matchMedia(DARK_SCHEME_QUERY) : null
+);
+
+// 'system' -> 'light' or 'dark' from the OS setting
+export const resolveTheme = (preference) => {
+  if (preference === THEMES.LIGHT || preference === THEMES.DARK) return preference;
+  return getColorSchemeQuery()?.matches ? THEMES.DARK : THEMES.LIGHT;
+};
+
+// Calls back when the OS colour scheme changes; returns an unsubscribe function
+export const watchSystemTheme = (callback) => {
+  const query = getColorSchemeQuery();
+  if (!query) return () => {};
+
+  const handleChange = () => callback(resolveTheme(THEMES.SYSTEM));
+  // Safari < 14 only has the deprecated addListener
+  if (query.addEventListener) {
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }
+  query.addListener(handleChange);
+  return () => query.removeListener(handleChange);
+};
+
+// Set data-theme on <html> and match the browser chrome to the surface colour
+export const applyTheme = (theme) => {
+  const root = document.documentElement;
+  root.dataset.theme = theme;
+
+  const themeColor = getComputedStyle(root).getPropertyValue('--surface-color').trim();
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta && themeColor) {
+    meta.setAttribute('content', themeColor);
+  }
+};
+
+// '#f63' or '#ff6633' -> [255, 102, 51]; null for anything else
+const parseHexColor = (color) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!match) return null;
+
+  const hex = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+};
+
+const toHexColor = (channels) => (
+  `#${channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+);
+
+const cleanFontFamily = (fontFamily) => {
+  // Font stacks only - no declarations smuggled in through the settings row
+  const value = typeof fontFamily === 'string' ? fontFamily.trim() : '';
+  return value && !/[;{}<>]/.test(value) ? value : null;
+};
+
+const cleanUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Branding columns of a restaurant_settings row; missing or invalid values are null
+export const normalizeBranding = (row = {}) => {
+  const settings = row || {};
+  const primaryColor = parseHexColor(settings.primary_color);
+
+  return {
+    name: typeof settings.display_name === 'string' && settings.display_name.trim()
+      ? settings.display_name.trim()
+      : null,
+    logoUrl: cleanUrl(settings.logo_url),
+    primaryColor: primaryColor ? toHexColor(primaryColor) : null,
+    fontFamily: cleanFontFamily(settings.font_family),
+    headingFontFamily: cleanFontFamily(settings.heading_font_family),
+    fontStylesheetUrl: cleanUrl(settings.font_stylesheet_url)
+  };
+};
+
+const setOrRemoveProperty = (style, name, value) => {
+  if (value) {
+    style.setProperty(name, value);
+  } else {
+    style.removeProperty(name);
+  }
+};
+
+// Override the primary colour and fonts from index.css with the restaurant's
+export const applyBranding = (branding) => {
+  const { style } = document.documentElement;
+  const primary = parseHexColor(branding.primaryColor);
+
+  setOrRemoveProperty(style, '--primary-color', primary && toHexColor(primary));
+  // Hover/pressed shade, 10% darker like the default palette
+  setOrRemoveProperty(style, '--primary-dark', primary && toHexColor(primary.map(channel => channel * 0.9)));
+  setOrRemoveProperty(style, '--primary-rgb', primary && primary.join(', '));
+  setOrRemoveProperty(style, '--font-family', branding.fontFamily);
+  setOrRemoveProperty(style, '--heading-font-family', branding.headingFontFamily);
+
+  let link = document.getElementById(BRAND_FONT_LINK_ID);
+  if (branding.fontStylesheetUrl) {
+    if (!link) {
+      link = document.createElement('link');
+      link.id = BRAND_FONT_LINK_ID;
+      link.rel = 'stylesheet';
+      document.head.appendChild(link);
+    }
+    link.href = branding.fontStylesheetUrl;
+  } else if (link) {
+    link.remove();
+  }
+};
@@ -0,0 +1,44 @@
+// Tips
+//
+// Tips are kept out of total_amount and stored in orders.tip_amount. Preset
+// percentages are applied to the pre-tax subtotal, so diners don't tip on tax.
+
+import { roundCents } from './pricing';
+import { DEFAULT_CURRENCY, toCents, fromCents } from './money';
+
+export const DEFAULT_TIP_PRESETS = [0.10, 0.15, 0.20];
+
+export const TIP_MODES = {
+  NONE: 'none',
+  PERCENTAGE: 'percentage',
+  CUSTOM: 'custom'
+};
+
+export const NO_TIP = { mode: TIP_MODES.NONE, percentage: 0, customAmount: '' };
+
+// Tip in cents for a selection ({ mode, percentage, customAmount })
+export const getTipCents = (selection, subtotal, roundingMode = 'half_up', currency = DEFAULT_CURRENCY) => {
+  switch (selection?.mode) {
+    case TIP_MODES.PERCENTAGE:
+      return roundCents(toCents(subtotal, currency) * selection.percentage, roundingMode);
+    case TIP_MODES.CUSTOM:
+      return Math.max(toCents(selection.customAmount, currency), 0);
+    case TIP_MODES.NONE:
+    default:
+      return 0;
+  }
+};
+
+export const getTipAmount = (selection, subtotal, roundingMode, currency = DEFAULT_CURRENCY) => {
+  return fromCents(getTipCents(selection, subtotal, roundingMode, currency), currency);
+};
+
+// Restaurant presets from restaurant_settings.tip_presets (fractions, e.g. 0.15)
+export const normalizeTipPresets = (presets) => {
+  const valid = Array.isArray(presets)
+    ? presets.map(Number).filter(rate => Number.isFinite(rate) && rate > 0 && rate < 1)
+    : [];
+  return valid.length > 0 ? valid : DEFAULT_TIP_PRESETS;
+};
+
+export const formatTipPercentage = (rate) => `${Number((rate * 100).toFixed(1))}%`;
@@ -0,0 +1,61 @@
+import {
+  DEFAULT_TIP_PRESETS,
+  TIP_MODES,
+  NO_TIP,
+  getTipCents,
+  getTipAmount,
+  normalizeTipPresets,
+  formatTipPercentage
+} from './tips';
+
+const percentage = (rate) => ({ ...NO_TIP, mode: TIP_MODES.PERCENTAGE, percentage: rate });
+const custom = (amount) => ({ ...NO_TIP, mode: TIP_MODES.CUSTOM, customAmount: amount });
+
+describe('getTipCents', () => {
+  it('is zero without a tip', () => {
+    expect(getTipCents(NO_TIP, 50)).toBe(0);
+    expect(getTipCents(undefined, 50)).toBe(0);
+  });
+
+  it('applies a percentage to the subtotal', () => {
+    expect(getTipCents(percentage(0.15), 42.5)).toBe(638);
+    expect(getTipCents(percentage(0.2), 1200, 'half_up', 'JPY')).toBe(240);
+  });
+
+  it('uses the rounding mode for fractional cents', () => {
+    expect(getTipCents(percentage(0.15), 42.5, 'down')).toBe(637);
+    expect(getTipCents(percentage(0.1), 0.25, 'half_even')).toBe(2);
+  });
+
+  it('takes a custom amount as entered, never negative', () => {
+    expect(getTipCents(custom('5.5'), 42.5)).toBe(550);
+    expect(getTipCents(custom('-3'), 42.5)).toBe(0);
+    expect(getTipCents(custom(''), 42.5)).toBe(0);
+  });
+});
+
+describe('getTipAmount', () => {
+  it('returns the tip as a decimal amount', () => {
+    expect(getTipAmount(percentage(0.1), 19.99)).toBe(2);
+    expect(getTipAmount(custom('3.25'), 19.99)).toBe(3.25);
+  });
+});
+
+describe('normalizeTipPresets', () => {
+  it('keeps valid fractions', () => {
+    expect(normalizeTipPresets([0.12, '0.18', 0.25])).toEqual([0.12, 0.18, 0.25]);
+  });
+
+  it('drops invalid presets and falls back to the defaults', () => {
+    expect(normalizeTipPresets([15, 0, 'abc', 0.1])).toEqual([0.1]);
+    expect(normalizeTipPresets([])).toBe(DEFAULT_TIP_PRESETS);
+    expect(normalizeTipPresets(null)).toBe(DEFAULT_TIP_PRESETS);
+  });
+});
+
+describe('formatTipPercentage', () => {
+  it('formats fractions as percentages', () => {
+    expect(formatTipPercentage(0.15)).toBe('15%');
+    expect(formatTipPercentage(0.125)).toBe('12.5%');
+  });
+});